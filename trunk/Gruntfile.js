@@ -31,6 +31,9 @@ module.exports = function(grunt) {
         }
     }
 
+    // config schema version (hash of the config index, matched by the server config)
+    CONFIG_INDEX['ABTFSCHEMA'] = require('crypto').createHash('md5').update(JSON.stringify(json_config_index)).digest('hex').substr(0, 8);
+
     // closure compiler
     var CC = {}
     var CCfiles = {
@@ -38,12 +41,15 @@ module.exports = function(grunt) {
         'public/js/abovethefold-proxy.min.js': 'public/js/min/abovethefold-proxy.js',
         'public/js/abovethefold-jquery-stub.min.js': 'public/js/min/abovethefold-jquery-stub.js',
         'public/js/abovethefold-js-localstorage.min.js': 'public/js/min/abovethefold-js-localstorage.js',
+        'public/js/abovethefold-js-sandbox.min.js': 'public/js/min/abovethefold-js-sandbox.js',
         'public/js/abovethefold-js.min.js': 'public/js/min/abovethefold-js.js',
         'public/js/abovethefold-pwa-unregister.min.js': 'public/js/min/abovethefold-pwa-unregister.js',
         'public/js/abovethefold-css.min.js': 'public/js/min/abovethefold-css.js',
-        'public/js/abovethefold-loadcss-enhanced.min.js': 'public/js/min/abovethefold-loadcss-enhanced.js',
         'public/js/abovethefold-loadcss.min.js': 'public/js/min/abovethefold-loadcss.js',
         'public/js/abovethefold-pwa.min.js': 'public/js/min/abovethefold-pwa.js',
+        'public/js/abovethefold-telemetry.min.js': 'public/js/min/abovethefold-telemetry.js',
+        'public/js/abovethefold-prefetch.min.js': 'public/js/min/abovethefold-prefetch.js',
+        'public/js/abovethefold-overlay.min.js': 'public/js/min/abovethefold-overlay.js',
         'public/js/pwa-serviceworker.js': 'public/js/min/pwa.serviceworker.js'
     };
 
@@ -142,22 +148,36 @@ module.exports = function(grunt) {
                         'public/js/src/abovethefold.loadscript-localstorage.js'
                     ],
 
+                    // Javascript third-party script sandbox
+                    'public/js/min/abovethefold-js-sandbox.js': [
+                        'public/js/src/abovethefold.sandbox.js'
+                    ],
+
                     // CSS optimization
                     'public/js/min/abovethefold-css.js': [
                         'public/js/src/abovethefold.css.js'
                     ],
 
-                    // Enhanced loadCSS
-                    'public/js/min/abovethefold-loadcss-enhanced.js': [
-                        'public/js/src/abovethefold.loadcss-modified.js'
-                    ],
-
-                    // Original loadCSS
+                    // loadCSS
                     'public/js/min/abovethefold-loadcss.js': [
-                        'bower_components/loadcss/src/loadCSS.js',
                         'public/js/src/abovethefold.loadcss.js'
                     ],
 
+                    // Telemetry
+                    'public/js/min/abovethefold-telemetry.js': [
+                        'public/js/src/abovethefold.telemetry.js'
+                    ],
+
+                    // Navigation prefetch
+                    'public/js/min/abovethefold-prefetch.js': [
+                        'public/js/src/abovethefold.prefetch.js'
+                    ],
+
+                    // Debug overlay
+                    'public/js/min/abovethefold-overlay.js': [
+                        'public/js/src/abovethefold.overlay.js'
+                    ],
+
                     // Compare Critical CSS view
                     'public/js/compare.min.js': [
                         'public/js/src/compare.js'
@@ -218,6 +238,11 @@ module.exports = function(grunt) {
                         'public/js/src/abovethefold.loadscript-localstorage.js'
                     ],
 
+                    // Javascript third-party script sandbox
+                    'public/js/min/abovethefold-js-sandbox.debug.js': [
+                        'public/js/src/abovethefold.sandbox.js'
+                    ],
+
                     // jQuery Stub
                     'public/js/min/abovethefold-jquery-stub.debug.js': [
                         'public/js/src/abovethefold.jquery-stub.js'
@@ -228,15 +253,24 @@ module.exports = function(grunt) {
                         'public/js/src/abovethefold.css.js'
                     ],
 
-                    // Enhanced loadCSS
-                    'public/js/min/abovethefold-loadcss-enhanced.debug.js': [
-                        'public/js/src/abovethefold.loadcss-modified.js'
-                    ],
-
-                    // Original loadCSS
+                    // loadCSS
                     'public/js/min/abovethefold-loadcss.debug.js': [
-                        'bower_components/loadcss/src/loadCSS.js',
                         'public/js/src/abovethefold.loadcss.js'
+                    ],
+
+                    // Telemetry
+                    'public/js/min/abovethefold-telemetry.debug.js': [
+                        'public/js/src/abovethefold.telemetry.js'
+                    ],
+
+                    // Navigation prefetch
+                    'public/js/min/abovethefold-prefetch.debug.js': [
+                        'public/js/src/abovethefold.prefetch.js'
+                    ],
+
+                    // Debug overlay
+                    'public/js/min/abovethefold-overlay.debug.js': [
+                        'public/js/src/abovethefold.overlay.js'
                     ]
 
                 }
@@ -266,6 +300,11 @@ module.exports = function(grunt) {
                         'admin/js/admincp-html.js'
                     ],
 
+                    // admincp javascript
+                    'admin/js/admincp-javascript.min.js': [
+                        'admin/js/admincp-javascript.js'
+                    ],
+
                     // admincp PWA
                     'admin/js/admincp-pwa.min.js': [
                         'admin/js/admincp-pwa.js'
@@ -22,6 +22,17 @@ class Abovethefold_Admin_CSS
      */
     public $options;
 
+    /**
+     * CSS load strategies
+     */
+    public $css_strategies = array(
+        'interaction' => 'First user interaction',
+        'inview' => 'Element in view (CSS selector)',
+        'idle' => 'CPU idle time (optional timeout in ms)',
+        'media' => 'Media query match (media query)',
+        'preload' => 'Preload'
+    );
+
     /**
      * Initialize the class and set its properties.
      */
@@ -113,11 +124,71 @@ class Abovethefold_Admin_CSS
          */
         $options['cssdelivery'] = (isset($input['cssdelivery']) && intval($input['cssdelivery']) === 1) ? true : false;
         $options['loadcss_enhanced'] = (isset($input['loadcss_enhanced']) && intval($input['loadcss_enhanced']) === 1) ? true : false;
+        $options['loadcss_swap'] = (isset($input['loadcss_swap']) && $input['loadcss_swap'] === 'preload') ? 'preload' : 'print';
+        $options['cssdelivery_cache'] = (isset($input['cssdelivery_cache']) && in_array($input['cssdelivery_cache'], array('style', 'blob'))) ? $input['cssdelivery_cache'] : '';
         $options['cssdelivery_position'] = trim($input['cssdelivery_position']);
         $options['cssdelivery_ignore'] = $this->CTRL->admin->newline_array($input['cssdelivery_ignore']);
         $options['cssdelivery_remove'] = $this->CTRL->admin->newline_array($input['cssdelivery_remove']);
+        $options['cssdelivery_renderdelay_mode'] = (isset($input['cssdelivery_renderdelay_mode']) && $input['cssdelivery_renderdelay_mode'] === 'adaptive') ? 'adaptive' : 'fixed';
         $options['cssdelivery_renderdelay'] = (isset($input['cssdelivery_renderdelay']) && is_numeric($input['cssdelivery_renderdelay']) && intval($input['cssdelivery_renderdelay']) > 0) ? intval($input['cssdelivery_renderdelay']) : false;
 
+        /**
+         * CSS load failure retry
+         */
+        $options['cssdelivery_retries'] = (isset($input['cssdelivery_retries']) && is_numeric($input['cssdelivery_retries']) && intval($input['cssdelivery_retries']) >= 0) ? min(10, intval($input['cssdelivery_retries'])) : 2;
+        $options['cssdelivery_retry_delay'] = (isset($input['cssdelivery_retry_delay']) && is_numeric($input['cssdelivery_retry_delay']) && intval($input['cssdelivery_retry_delay']) >= 0) ? intval($input['cssdelivery_retry_delay']) : 1000;
+        $options['cssdelivery_timeout'] = (isset($input['cssdelivery_timeout']) && is_numeric($input['cssdelivery_timeout']) && intval($input['cssdelivery_timeout']) >= 0) ? intval($input['cssdelivery_timeout']) : 10000;
+
+        /**
+         * Critical CSS cleanup
+         */
+        $options['cssdelivery_critical_cleanup'] = (isset($input['cssdelivery_critical_cleanup']) && in_array($input['cssdelivery_critical_cleanup'], array('disable', 'remove'))) ? $input['cssdelivery_critical_cleanup'] : '';
+        $options['cssdelivery_critical_sentinels'] = $this->CTRL->admin->newline_array(isset($input['cssdelivery_critical_sentinels']) ? $input['cssdelivery_critical_sentinels'] : '');
+
+        /**
+         * CSS load strategies
+         */
+        $strategies = array();
+        if (isset($input['cssdelivery_strategies']) && is_array($input['cssdelivery_strategies']) && isset($input['cssdelivery_strategies']['match']) && is_array($input['cssdelivery_strategies']['match'])) {
+            foreach ($input['cssdelivery_strategies']['match'] as $n => $match) {
+                $match = trim($match);
+                $strategy = (isset($input['cssdelivery_strategies']['strategy'][$n])) ? trim($input['cssdelivery_strategies']['strategy'][$n]) : '';
+                $param = (isset($input['cssdelivery_strategies']['param'][$n])) ? trim($input['cssdelivery_strategies']['param'][$n]) : '';
+                if ($match === '' || $strategy === '') {
+                    continue 1;
+                }
+
+                if (!isset($this->css_strategies[$strategy])) {
+                    $this->CTRL->admin->set_notice('You did not select a valid load strategy for <code>'.htmlentities($match, ENT_COMPAT, 'utf-8').'</code>.', 'ERROR');
+                    continue 1;
+                }
+
+                switch ($strategy) {
+                    case "inview":
+                        if ($param === '') {
+                            $this->CTRL->admin->set_notice('The load strategy <code>inview</code> for <code>'.htmlentities($match, ENT_COMPAT, 'utf-8').'</code> requires a CSS selector.', 'ERROR');
+                            continue 2;
+                        }
+                    break;
+                    case "media":
+                        if ($param === '') {
+                            $this->CTRL->admin->set_notice('The load strategy <code>media</code> for <code>'.htmlentities($match, ENT_COMPAT, 'utf-8').'</code> requires a media query.', 'ERROR');
+                            continue 2;
+                        }
+                    break;
+                    case "idle":
+                        $param = (is_numeric($param) && intval($param) > 0) ? intval($param) : '';
+                    break;
+                    default:
+                        $param = '';
+                    break;
+                }
+
+                $strategies[] = ($param !== '') ? array($match, $strategy, $param) : array($match, $strategy);
+            }
+        }
+        $options['cssdelivery_strategies'] = $strategies;
+
         /**
          * Web Font Optimization
          */
@@ -50,7 +50,7 @@
 										<label><input type="checkbox" name="abovethefold[cssdelivery]" value="1"<?php if (!isset($options['cssdelivery']) || intval($options['cssdelivery']) === 1) {
     print ' checked';
 } ?> onchange="if (jQuery(this).is(':checked')) { jQuery('.cssdeliveryoptions').show(); } else { jQuery('.cssdeliveryoptions').hide(); }"> Enabled</label>
-										<p class="description">When enabled, CSS files are loaded asynchronously via <a href="https://github.com/filamentgroup/loadCSS" target="_blank">loadCSS</a> (v<?php print $loadcss_version;?>).  <a href="https://developers.google.com/speed/docs/insights/OptimizeCSSDelivery?hl=<?php print $lgcode;?>" target="_blank">Click here</a> for the recommendations by Google.</p>
+										<p class="description">When enabled, CSS files are loaded asynchronously using a loader based on <a href="https://github.com/filamentgroup/loadCSS" target="_blank">loadCSS</a> (v<?php print $loadcss_version;?>).  <a href="https://developers.google.com/speed/docs/insights/OptimizeCSSDelivery?hl=<?php print $lgcode;?>" target="_blank">Click here</a> for the recommendations by Google.</p>
 									</td>
 								</tr>
 								<tr valign="top" class="cssdeliveryoptions" style="<?php if (isset($options['cssdelivery']) && intval($options['cssdelivery']) !== 1) {
@@ -63,13 +63,44 @@
 											<h3 class="h"><span>CSS Delivery Optimization</span></h3>
 											<div class="inside">
 												<table class="form-table">
+													<tr valign="top">
+														<th scope="row">Load Method</th>
+														<td>
+															<select name="abovethefold[loadcss_swap]">
+																<option value="print"<?php if (!isset($options['loadcss_swap']) || $options['loadcss_swap'] !== 'preload') {
+    print ' selected';
+} ?>>media=print swap</option>
+																<option value="preload"<?php if (isset($options['loadcss_swap']) && $options['loadcss_swap'] === 'preload') {
+    print ' selected';
+} ?>>rel=preload swap</option>
+															</select>
+															<p class="description">Select the method to download stylesheets without blocking rendering. The <code>rel=preload</code> swap downloads stylesheets with a high priority and falls back to the <code>media=print</code> swap in browsers that do not support <a href="https://developer.mozilla.org/en-US/docs/Web/HTML/Preloading_content" target="_blank">preload</a>.</p>
+														</td>
+													</tr>
+													<tr valign="top">
+														<th scope="row">Stylesheet Cache</th>
+														<td>
+															<select name="abovethefold[cssdelivery_cache]">
+																<option value=""<?php if (empty($options['cssdelivery_cache'])) {
+    print ' selected';
+} ?>>Disabled</option>
+																<option value="style"<?php if (isset($options['cssdelivery_cache']) && $options['cssdelivery_cache'] === 'style') {
+    print ' selected';
+} ?>>Inline &lt;style&gt;</option>
+																<option value="blob"<?php if (isset($options['cssdelivery_cache']) && $options['cssdelivery_cache'] === 'blob') {
+    print ' selected';
+} ?>>Blob url</option>
+															</select>
+															<p class="description">Download stylesheets in the background using the web worker of the HTML5 script loader and store them in the script cache. Repeat visitors render the full design without network stylesheet requests. Relative <code>url()</code> and <code>@import</code> references are rebased to the stylesheet location. Requires the HTML5 script loader with proxy (Javascript tab). Stylesheets on other domains require CORS headers or the CSS proxy. The blob url option requires <code>blob:</code> in the <code>style-src</code> of a Content-Security-Policy. When script integrity verification is required, only local stylesheets and stylesheets in the CSS proxy cache are cached.</p>
+														</td>
+													</tr>
 													<tr valign="top">
 														<th scope="row">Enhanced loadCSS</th>
 														<td>
 															<label><input type="checkbox" name="abovethefold[loadcss_enhanced]" value="1" onchange="if (jQuery(this).is(':checked')) { jQuery('.enhancedloadcssoptions').show(); } else { jQuery('.enhancedloadcssoptions').hide(); }"<?php if (!isset($options['loadcss_enhanced']) || intval($options['loadcss_enhanced']) === 1) {
     print ' checked';
 } ?>> Enabled</label>
-															<p class="description">When enabled, a customized version of loadCSS is used to make use of the <code>requestAnimationFrame</code> API following the <a href="https://developers.google.com/speed/docs/insights/OptimizeCSSDelivery?hl=<?php print $lgcode;?>" target="_blank">recommendations by Google</a>.</p>
+															<p class="description">When enabled, stylesheets are rendered in batches using the <code>requestAnimationFrame</code> API following the <a href="https://developers.google.com/speed/docs/insights/OptimizeCSSDelivery?hl=<?php print $lgcode;?>" target="_blank">recommendations by Google</a>.</p>
 														</td>
 													</tr>
 													<tr valign="top" class="enhancedloadcssoptions" style="<?php if (isset($options['loadcss_enhanced']) && intval($options['loadcss_enhanced']) !== 1) {
@@ -79,11 +110,19 @@
 														<td>
 															<table cellpadding="0" cellspacing="0" border="0">
 																<tr>
+																	<td valign="top" style="padding:0px;vertical-align:top;padding-right:10px;"><select name="abovethefold[cssdelivery_renderdelay_mode]">
+																		<option value="fixed"<?php if (!isset($options['cssdelivery_renderdelay_mode']) || $options['cssdelivery_renderdelay_mode'] !== 'adaptive') {
+    print ' selected';
+} ?>>Fixed delay</option>
+																		<option value="adaptive"<?php if (isset($options['cssdelivery_renderdelay_mode']) && $options['cssdelivery_renderdelay_mode'] === 'adaptive') {
+    print ' selected';
+} ?>>Adaptive budget</option>
+																	</select></td>
 																	<td valign="top" style="padding:0px;vertical-align:top;"><input type="number" min="0" max="3000" step="1" name="abovethefold[cssdelivery_renderdelay]" size="10" value="<?php print((empty($options['cssdelivery_renderdelay']) || $options['cssdelivery_renderdelay'] === 0) ? '' : htmlentities($options['cssdelivery_renderdelay'], ENT_COMPAT, 'utf-8')); ?>" onkeyup="if (jQuery(this).val() !== '' && jQuery(this).val() !== '0') { jQuery('#warnrenderdelay').show(); } else { jQuery('#warnrenderdelay').hide(); }" onchange="if (jQuery(this).val() === '0') { jQuery(this).val(''); } if (jQuery(this).val() !== '' && jQuery(this).val() !== '0') { jQuery('#warnrenderdelay').show(); } else { jQuery('#warnrenderdelay').hide(); }" placeholder="0 ms" /></td>
 																	<td valign="top" style="padding:0px;vertical-align:top;padding-left:10px;font-size:11px;"><div id="warnrenderdelay" style="padding:0px;margin:0px;<?php print((empty($options['cssdelivery_renderdelay']) || $options['cssdelivery_renderdelay'] === 0 || trim($options['cssdelivery_renderdelay']) === '') ? 'display:none;' : ''); ?>"><span style="color:red;font-weight:bold;">Warning:</span> A higher Google PageSpeed score may sometimes be achieved using this option but it may not be beneficial to the page rendering experience of your users. Often it is best to seek an alternative solution.</div></td>
 																</tr>
 															</table>
-															<p class="description" style="clear:both;">Optionally, enter a time in milliseconds to delay the rendering of CSS files.</p>
+															<p class="description" style="clear:both;">Optionally, enter a time in milliseconds to delay the rendering of CSS files. In adaptive mode, the time is a budget after first paint: stylesheets that arrive within the budget are applied immediately, later stylesheets are applied together in CPU idle time or on the first user interaction.</p>
 
 														</td>
 													</tr>
@@ -101,6 +140,46 @@
 															<p class="description">Select the position where the async loading of CSS will start.</p>
 														</td>
 													</tr>
+													<tr valign="top">
+														<th scope="row">Critical CSS Cleanup</th>
+														<td>
+															<select name="abovethefold[cssdelivery_critical_cleanup]" onchange="if (jQuery(this).val() === '') { jQuery('.criticalcleanupoptions').hide(); } else { jQuery('.criticalcleanupoptions').show(); }">
+																<option value=""<?php if (empty($options['cssdelivery_critical_cleanup'])) {
+    print ' selected';
+} ?>>Disabled</option>
+																<option value="disable"<?php if (isset($options['cssdelivery_critical_cleanup']) && $options['cssdelivery_critical_cleanup'] === 'disable') {
+    print ' selected';
+} ?>>Disable critical CSS</option>
+																<option value="remove"<?php if (isset($options['cssdelivery_critical_cleanup']) && $options['cssdelivery_critical_cleanup'] === 'remove') {
+    print ' selected';
+} ?>>Remove critical CSS</option>
+															</select>
+															<p class="description">Disable or remove the inline critical CSS when all non-print stylesheets are applied. This prevents critical CSS rules from overriding the full CSS. Stylesheets with a deferred load strategy (interaction, in view or media query) are included, the critical CSS is kept until they are applied. The critical CSS is kept when a stylesheet failed to load.</p>
+															<div class="criticalcleanupoptions" style="<?php if (empty($options['cssdelivery_critical_cleanup'])) {
+    print 'display:none;';
+} ?>">
+																<br />
+																<h5 class="h">&nbsp;Sentinel Elements</h5>
+																<textarea style="width: 100%;height:50px;font-size:11px;" name="abovethefold[cssdelivery_critical_sentinels]" placeholder="header"><?php if (isset($options['cssdelivery_critical_sentinels'])) {
+    echo $this->CTRL->admin->newline_array_string($options['cssdelivery_critical_sentinels']);
+} ?></textarea>
+																<p class="description">CSS selectors of elements to verify, one per line. When the position or size of a sentinel element changes after disabling the critical CSS, the critical CSS is restored. In debug modus, the browser console shows a report of critical CSS rules that override the full CSS.</p>
+															</div>
+														</td>
+													</tr>
+													<tr valign="top">
+														<th scope="row">Load Failure</th>
+														<td>
+															<table cellpadding="0" cellspacing="0" border="0">
+																<tr>
+																	<td style="padding:0px;padding-right:10px;"><label>Retries<br /><input type="number" min="0" max="10" step="1" name="abovethefold[cssdelivery_retries]" size="5" value="<?php print((isset($options['cssdelivery_retries'])) ? intval($options['cssdelivery_retries']) : 2); ?>" /></label></td>
+																	<td style="padding:0px;padding-right:10px;"><label>Retry delay<br /><input type="number" min="0" step="1" name="abovethefold[cssdelivery_retry_delay]" size="10" value="<?php print((isset($options['cssdelivery_retry_delay'])) ? intval($options['cssdelivery_retry_delay']) : 1000); ?>" placeholder="1000 ms" /></label></td>
+																	<td style="padding:0px;"><label>Timeout<br /><input type="number" min="0" step="1" name="abovethefold[cssdelivery_timeout]" size="10" value="<?php print((isset($options['cssdelivery_timeout'])) ? intval($options['cssdelivery_timeout']) : 10000); ?>" placeholder="10000 ms" /></label></td>
+																</tr>
+															</table>
+															<p class="description" style="clear:both;">Stylesheets that fail to load or that are not available within the timeout (in milliseconds, 0 to disable) are retried. The retry delay doubles for each attempt. When a proxy or CDN url keeps failing, the original url is loaded. The client emits <code>css:error</code> for each failed attempt and <code>css:failed</code> when a stylesheet could not be loaded.</p>
+														</td>
+													</tr>
 													<tr valign="top">
 														<th scope="row">Ignore List</th>
 														<td>
@@ -119,6 +198,50 @@
 															<p class="description">Stylesheets to remove from HTML. One stylesheet per line. This feature enables to include small plugin related CSS files inline.</p>
 														</td>
 													</tr>
+													<tr valign="top">
+														<th scope="row">Load Strategies</th>
+														<td>
+<?php
+
+    // strategy rule row
+    $strategy_row = function ($rule, $strategies) {
+        $html = '<tr><td style="padding:2px;"><input type="text" name="abovethefold[cssdelivery_strategies][match][]" value="' . esc_attr((isset($rule[0])) ? $rule[0] : '') . '" placeholder="/plugins/woocommerce/" style="width:100%;font-size:11px;" /></td>';
+        $html .= '<td style="padding:2px;"><select name="abovethefold[cssdelivery_strategies][strategy][]">';
+        foreach ($strategies as $strategy => $title) {
+            $html .= '<option value="' . esc_attr($strategy) . '"' . ((isset($rule[1]) && $rule[1] === $strategy) ? ' selected' : '') . '>' . esc_html($title) . '</option>';
+        }
+        $html .= '</select></td>';
+        $html .= '<td style="padding:2px;"><input type="text" name="abovethefold[cssdelivery_strategies][param][]" value="' . esc_attr((isset($rule[2])) ? $rule[2] : '') . '" placeholder="#comments" style="width:100%;font-size:11px;" /></td>';
+        $html .= '<td style="padding:2px;width:1%;"><a href="javascript:void(0);" onclick="jQuery(this).closest(\'tr\').remove();" class="button button-small">Remove</a></td></tr>';
+
+        return $html;
+    };
+
+?>
+															<table cellpadding="0" cellspacing="0" border="0" style="width:100%;" id="cssdelivery_strategies">
+																<thead>
+																	<tr>
+																		<th style="padding:2px;font-size:11px;">Stylesheet</th>
+																		<th style="padding:2px;font-size:11px;">Strategy</th>
+																		<th style="padding:2px;font-size:11px;">Parameter</th>
+																		<th style="padding:2px;"></th>
+																	</tr>
+																</thead>
+																<tbody>
+<?php
+    if (isset($options['cssdelivery_strategies']) && is_array($options['cssdelivery_strategies'])) {
+        foreach ($options['cssdelivery_strategies'] as $rule) {
+            print $strategy_row($rule, $this->css->css_strategies);
+        }
+    }
+?>
+																</tbody>
+															</table>
+															<script type="text/template" id="cssdelivery_strategy_row"><?php print $strategy_row(array(), $this->css->css_strategies); ?></script>
+															<p><a href="javascript:void(0);" onclick="jQuery('#cssdelivery_strategies tbody').append(jQuery('#cssdelivery_strategy_row').html());" class="button button-small">Add rule</a></p>
+															<p class="description">Assign a load strategy to stylesheets by matching (a part of) the URL. The first matching rule is applied. A stylesheet with the in view strategy is loaded in CPU idle time when no element matches the selector. Stylesheets that load on user interaction, in view or on a media query match are not included in the <code>css:loaded</code> event. This feature enables to defer heavy plugin CSS (e.g. comment forms or WooCommerce widgets) that is used far below the fold.</p>
+														</td>
+													</tr>
 												</table>
 											</div>
 
@@ -39,6 +39,13 @@ class Abovethefold_Admin_Javascript
              * Handle form submissions
              */
             $this->CTRL->loader->add_action('admin_post_abtf_javascript_update', $this, 'update_settings');
+            $this->CTRL->loader->add_action('admin_post_abtf_js_cache_invalidate', $this, 'js_cache_invalidate');
+
+            // script dependency graph
+            $this->CTRL->loader->add_action('wp_ajax_abtf_script_graph', $this, 'ajax_script_graph');
+
+            // add scripts/styles
+            $this->CTRL->loader->add_action('admin_enqueue_scripts', $this, 'enqueue_scripts', 30);
         }
     }
 
@@ -73,29 +80,84 @@ class Abovethefold_Admin_Javascript
         $options['jsdelivery_async'] = $this->CTRL->admin->newline_array($input['jsdelivery_async']);
         $options['jsdelivery_async_disabled'] = $this->CTRL->admin->newline_array($input['jsdelivery_async_disabled']);
         $options['jsdelivery_scriptloader'] = trim($input['jsdelivery_scriptloader']);
+        $options['jsdelivery_scriptloader_storage'] = (isset($input['jsdelivery_scriptloader_storage']) && in_array($input['jsdelivery_scriptloader_storage'], array('indexeddb', 'cache', 'localstorage'))) ? $input['jsdelivery_scriptloader_storage'] : 'auto';
+        $options['jsdelivery_scriptloader_integrity'] = (isset($input['jsdelivery_scriptloader_integrity']) && intval($input['jsdelivery_scriptloader_integrity']) === 1) ? true : false;
+        $options['jsdelivery_parallel'] = (isset($input['jsdelivery_parallel']) && intval($input['jsdelivery_parallel']) === 1) ? true : false;
+        $options['jsdelivery_inline'] = (isset($input['jsdelivery_inline']) && intval($input['jsdelivery_inline']) === 1) ? true : false;
+        $options['jsdelivery_inline_ignore'] = $this->CTRL->admin->newline_array(isset($input['jsdelivery_inline_ignore']) ? $input['jsdelivery_inline_ignore'] : array());
 
-        $options['jsdelivery_idle'] = $this->CTRL->admin->newline_array(isset($input['jsdelivery_idle']) ? $input['jsdelivery_idle'] : array());
-        $idle = array();
-        if (!empty($options['jsdelivery_idle'])) {
-            foreach ($options['jsdelivery_idle'] as $str) {
-                if (trim($str) === '') {
-                    continue;
-                }
-                $cnf = array();
+        $options['jsdelivery_idle'] = $this->parse_script_timeout_list(isset($input['jsdelivery_idle']) ? $input['jsdelivery_idle'] : array());
+        $options['jsdelivery_interaction'] = $this->parse_script_timeout_list(isset($input['jsdelivery_interaction']) ? $input['jsdelivery_interaction'] : array());
+
+        // third-party script sandbox
+        $sandbox = array();
+        $rows = $this->CTRL->admin->newline_array(isset($input['jsdelivery_sandbox']) ? $input['jsdelivery_sandbox'] : array());
+        if (!empty($rows)) {
+            foreach ($rows as $str) {
+                $cnf = array(trim($str), 'worker');
+
+                // optional mode (a colon in an url is not a mode)
                 if (strpos($str, ':') !== false) {
-                    $cnf[0] = trim(substr("$str", 0, strrpos($str, ':')));
-                    
-                    $timeframe = trim(substr("$str", (strrpos($str, ':') + 1)));
-                    if (is_numeric($timeframe) && intval($timeframe) > 0) {
-                        $cnf[1] = intval($timeframe);
+                    $mode = trim(substr("$str", (strrpos($str, ':') + 1)));
+                    if (in_array($mode, array('worker','iframe'))) {
+                        $cnf = array(trim(substr("$str", 0, strrpos($str, ':'))), $mode);
                     }
-                } else {
-                    $cnf[0] = trim($str);
                 }
-                $idle[] = $cnf;
+                if ($cnf[0] === '') {
+                    continue;
+                }
+                $sandbox[] = $cnf;
             }
-            $options['jsdelivery_idle'] = $idle;
         }
+        $options['jsdelivery_sandbox'] = $sandbox;
+
+        $forward = array();
+        $rows = $this->CTRL->admin->newline_array(isset($input['jsdelivery_sandbox_forward']) ? $input['jsdelivery_sandbox_forward'] : array());
+        if (!empty($rows)) {
+            foreach ($rows as $str) {
+                $str = trim($str);
+                if (!preg_match('#^[a-z_$][a-z0-9_$]*(\.[a-z_$][a-z0-9_$]*)*$#i', $str)) {
+                    $this->CTRL->admin->set_notice('Invalid sandbox forward <code>'.htmlentities($str, ENT_COMPAT, 'utf-8').'</code>. Use a global function name such as <code>gtag</code> or <code>dataLayer.push</code>.', 'ERROR');
+                    continue;
+                }
+                $forward[] = $str;
+            }
+        }
+        $options['jsdelivery_sandbox_forward'] = $forward;
+
+        // load failure handling
+        $options['jsdelivery_timeout'] = (isset($input['jsdelivery_timeout']) && is_numeric($input['jsdelivery_timeout']) && intval($input['jsdelivery_timeout']) > 0) ? intval($input['jsdelivery_timeout']) : 0;
+        $options['jsdelivery_failure_default'] = (isset($input['jsdelivery_failure_default']) && $input['jsdelivery_failure_default'] === 'load') ? 'load' : 'skip';
+        $options['jsdelivery_exec_error'] = (isset($input['jsdelivery_exec_error']) && $input['jsdelivery_exec_error'] === 'fail') ? 'fail' : 'ignore';
+        $options['jsdelivery_error_report'] = (isset($input['jsdelivery_error_report'])) ? trim($input['jsdelivery_error_report']) : '';
+        if ($options['jsdelivery_error_report'] !== '' && !preg_match('#^(https?:)?//|^/#i', $options['jsdelivery_error_report'])) {
+            $this->CTRL->admin->set_notice('Invalid error report url <code>'.htmlentities($options['jsdelivery_error_report'], ENT_COMPAT, 'utf-8').'</code>.', 'ERROR');
+            $options['jsdelivery_error_report'] = '';
+        }
+
+        $policy = array();
+        $rows = $this->CTRL->admin->newline_array(isset($input['jsdelivery_failure_policy']) ? $input['jsdelivery_failure_policy'] : array());
+        if (!empty($rows)) {
+            foreach ($rows as $str) {
+                if (strpos($str, ':') === false) {
+                    continue;
+                }
+                $handle = trim(substr("$str", 0, strrpos($str, ':')));
+                $handlepolicy = trim(substr("$str", (strrpos($str, ':') + 1)));
+                if ($handle === '' || !in_array($handlepolicy, array('skip','load'))) {
+                    $this->CTRL->admin->set_notice('Invalid failure policy <code>'.htmlentities($str, ENT_COMPAT, 'utf-8').'</code>. Use <code>handle:skip</code> or <code>handle:load</code>.', 'ERROR');
+                    continue;
+                }
+                $policy[$handle] = $handlepolicy;
+            }
+        }
+        $options['jsdelivery_failure_policy'] = $policy;
+
+        // navigation prefetch
+        $options['prefetch'] = (isset($input['prefetch']) && intval($input['prefetch']) === 1) ? true : false;
+        $options['prefetch_mode'] = (isset($input['prefetch_mode']) && $input['prefetch_mode'] === 'prerender') ? 'prerender' : 'prefetch';
+        $options['prefetch_trigger'] = (isset($input['prefetch_trigger']) && $input['prefetch_trigger'] === 'viewport') ? 'viewport' : 'hover';
+        $options['prefetch_exclude'] = $this->CTRL->admin->newline_array(isset($input['prefetch_exclude']) ? $input['prefetch_exclude'] : array());
 
         // Lazy Load Scripts
         $options['lazyscripts_enabled'] = (isset($input['lazyscripts_enabled']) && intval($input['lazyscripts_enabled']) === 1) ? true : false;
@@ -111,4 +173,99 @@ class Abovethefold_Admin_Javascript
         wp_redirect(add_query_arg(array( 'page' => 'abovethefold', 'tab' => 'javascript' ), admin_url('admin.php')));
         exit;
     }
+
+    /**
+     * Invalidate HTML5 script loader cache on visitor devices
+     */
+    public function js_cache_invalidate()
+    {
+        check_admin_referer('abovethefold');
+
+        $generation = $this->CTRL->js_cache_invalidate();
+
+        $this->CTRL->admin->set_notice('<p style="font-size:18px;">The script cache on visitor devices has been invalidated (generation ' . $generation . ').</p><p>Page related caches from supported plugins have been cleared.</p>', 'NOTICE');
+
+        wp_redirect(add_query_arg(array( 'page' => 'abovethefold', 'tab' => 'javascript' ), admin_url('admin.php')) . '#jscache');
+        exit;
+    }
+
+    /**
+     * Parse list with script_string[:timeout_ms] entries
+     */
+    public function parse_script_timeout_list($input)
+    {
+        $list = array();
+        $rows = $this->CTRL->admin->newline_array($input);
+        if (!empty($rows)) {
+            foreach ($rows as $str) {
+                if (trim($str) === '') {
+                    continue;
+                }
+                $cnf = array(trim($str));
+
+                // optional timeout (a colon in an url is not a timeout)
+                if (strpos($str, ':') !== false) {
+                    $timeframe = trim(substr("$str", (strrpos($str, ':') + 1)));
+                    if (is_numeric($timeframe)) {
+                        $cnf[0] = trim(substr("$str", 0, strrpos($str, ':')));
+                        if (intval($timeframe) > 0) {
+                            $cnf[1] = intval($timeframe);
+                        }
+                    }
+                }
+                $list[] = $cnf;
+            }
+        }
+
+        return $list;
+    }
+
+    /**
+     * Return script dependency graph for page
+     */
+    public function ajax_script_graph()
+    {
+        check_ajax_referer('abtf_script_graph', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_die();
+        }
+
+        $url = (isset($_POST['url'])) ? trim(stripslashes($_POST['url'])) : '';
+        if ($url === '' || strpos($url, home_url()) !== 0) {
+            $url = home_url();
+        }
+
+        $results = array('url' => $url);
+
+        $data = $this->CTRL->remote_get($this->CTRL->view_url('abtf-script-graph', false, $url));
+        $data = ($data) ? explode('--SCRIPT-GRAPH-JSON--', $data) : array();
+        $graph = (isset($data[1])) ? @json_decode(trim($data[1]), true) : false;
+
+        if (!is_array($graph)) {
+            $results['error'] = 'Failed to retrieve the script dependency graph. Verify that the plugin is enabled for the page.';
+        } else {
+            $results['graph'] = $graph;
+        }
+
+        $json = json_encode($results);
+
+        header('Content-Type: application/json');
+        header('Content-Length: ' . strlen($json));
+        print $json;
+
+        wp_die(); // this is required to terminate immediately and return a proper response
+    }
+
+    /**
+     * Enqueue scripts and styles
+     */
+    public function enqueue_scripts($hook)
+    {
+        if (!isset($_REQUEST['page']) || !isset($_REQUEST['tab']) || $_REQUEST['page'] !== 'abovethefold' || $_REQUEST['tab'] !== 'javascript') {
+            return;
+        }
+
+        wp_enqueue_script('abtf_admincp_javascript', plugin_dir_url(__FILE__) . 'js/admincp-javascript.min.js', array( 'jquery', 'abtf_admincp' ), WPABTF_VERSION);
+    }
 }
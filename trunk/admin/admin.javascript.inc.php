@@ -2,14 +2,23 @@
 
     $jsProxy = (isset($options['js_proxy']) && intval($options['js_proxy']) === 1);
 
-    if (isset($options['jsdelivery_idle']) && !empty($options['jsdelivery_idle'])) {
-        foreach ($options['jsdelivery_idle'] as $n => $cnf) {
-            $options['jsdelivery_idle'][$n] = $cnf[0];
-            if (isset($cnf[1])) {
-                $options['jsdelivery_idle'][$n] .= ':' . $cnf[1];
+    foreach (array('jsdelivery_idle', 'jsdelivery_interaction', 'jsdelivery_sandbox') as $option) {
+        if (isset($options[$option]) && !empty($options[$option])) {
+            foreach ($options[$option] as $n => $cnf) {
+                $options[$option][$n] = $cnf[0];
+                if (isset($cnf[1])) {
+                    $options[$option][$n] .= ':' . $cnf[1];
+                }
             }
         }
     }
+
+    $failure_policy = array();
+    if (isset($options['jsdelivery_failure_policy']) && is_array($options['jsdelivery_failure_policy'])) {
+        foreach ($options['jsdelivery_failure_policy'] as $handle => $policy) {
+            $failure_policy[] = $handle . ':' . $policy;
+        }
+    }
 ?>
 <form method="post" action="<?php echo admin_url('admin-post.php?action=abtf_javascript_update'); ?>" class="clearfix">
 	<?php wp_nonce_field('abovethefold'); ?>
@@ -62,7 +71,7 @@
     print ' checked';
 } ?> <?php if (!$jsProxy) {
     print ' DISABLED';
-} ?>> little-loader + HTML5 Web Worker and Fetch API based script loader with localStorage cache</label>
+} ?>> little-loader + HTML5 Web Worker and Fetch API based script loader with IndexedDB, Cache Storage or localStorage cache</label>
 														<p class="description" style="color:red;<?php if ($jsProxy) {
     print 'display:none;';
 } ?>">This script loader requires the <a href="<?php echo add_query_arg(array( 'page' => 'abovethefold', 'tab' => 'proxy' ), admin_url('admin.php')); ?>">Javascript proxy</a> to be enabled to bypass <a href="https://developer.mozilla.org/en-US/docs/Web/HTTP/Access_control_CORS" target="_blank">CORS</a>.</p> 
@@ -80,6 +89,27 @@
 																</ul>
 															</p>
 														</div>
+														<p style="margin-top:10px;"><label>Cache storage<br /><select name="abovethefold[jsdelivery_scriptloader_storage]"<?php if (!$jsProxy) {
+    print ' DISABLED';
+} ?>>
+															<option value="auto"<?php if (!isset($options['jsdelivery_scriptloader_storage']) || !in_array($options['jsdelivery_scriptloader_storage'], array('indexeddb', 'cache', 'localstorage'))) {
+    print ' selected';
+} ?>>Automatic (IndexedDB, Cache Storage or localStorage)</option>
+<?php
+    foreach (array('indexeddb' => 'IndexedDB', 'cache' => 'Cache Storage', 'localstorage' => 'localStorage') as $storage => $storage_title) {
+        print '<option value="' . $storage . '"' . ((isset($options['jsdelivery_scriptloader_storage']) && $options['jsdelivery_scriptloader_storage'] === $storage) ? ' selected' : '') . '>' . $storage_title . '</option>';
+    }
+?>
+														</select></label></p>
+														<p class="description">The storage of the script cache. IndexedDB and Cache Storage do not block the main thread and are not limited to the ~5MB localStorage quota. When the preferred storage is not available in the browser, the next available storage is used. Existing localStorage entries are migrated to the selected storage. Old entries are removed when the storage quota is reached.</p>
+														<p style="margin-top:10px;"><label><input type="checkbox" name="abovethefold[jsdelivery_scriptloader_integrity]" value="1"<?php if (isset($options['jsdelivery_scriptloader_integrity']) && intval($options['jsdelivery_scriptloader_integrity']) === 1) {
+    print ' checked';
+} ?><?php if (!$jsProxy) {
+    print ' DISABLED';
+} ?>> Require integrity verification</label></p>
+														<p class="description">Cached scripts are verified against the SHA-256 hash of the local file or the proxy cache file supplied by the server using <a href="https://developer.mozilla.org/en-US/docs/Web/API/SubtleCrypto/digest" target="_blank">SubtleCrypto</a> before execution. Corrupted entries are removed from the cache and downloaded again. Scripts without a server hash are not verified. When enabled, scripts without a server hash (external scripts that are not in the proxy cache), or browsers without SubtleCrypto (e.g. non HTTPS pages), are not cached and are loaded from the network.</p>
+														<p style="margin-top:10px;"><a name="jscache">&nbsp;</a><a href="<?php echo wp_nonce_url(admin_url('admin-post.php?action=abtf_js_cache_invalidate'), 'abovethefold'); ?>" onclick="if (!confirm('Are you sure you want to remove the cached scripts from all visitor devices?',true)) { return false; } " class="button button-small">Invalidate Script Cache</a> <span class="description">Generation: <?php print (isset($options['jsdelivery_cache_generation'])) ? intval($options['jsdelivery_cache_generation']) : 0; ?></span></p>
+														<p class="description">The client configuration includes a version manifest with the content hash of each local script and each script in the proxy cache. Cached scripts with a different version are removed immediately. Invalidating the script cache bumps a global cache generation that removes all cached scripts on the next page view, e.g. after a deploy of theme scripts. Deploy scripts can use <code>do_action('abtf_js_cache_invalidate');</code> or <code>wp abtf js-cache-invalidate</code>. The version manifest can be modified using the filter <code>abtf_js_cache_manifest</code>.</p>
 													</td>
 												</tr>
 												<tr valign="top">
@@ -176,6 +206,31 @@
 														<p class="info_yellow" style="margin-top:7px;">Example: <code>script.js:2000</code> (script.js should execute when CPU is available or within 2 seconds). Timeout is optional.</p>
 													</td>
 												</tr>
+												<tr valign="top">
+													<th scope="row">Load on Interaction</th>
+													<td>
+														<textarea style="width: 100%;height:50px;font-size:11px;" name="abovethefold[jsdelivery_interaction]"><?php if (isset($options['jsdelivery_interaction'])) {
+    echo $this->CTRL->admin->newline_array_string($options['jsdelivery_interaction']);
+} ?></textarea>
+														<p class="description">Enter a list with <code>script_string[:max_wait_ms]</code> entries (one per line) to load scripts on the first scroll, click, touch or keydown, or after a maximum wait time in milliseconds (default 10 seconds). This feature enables to defer heavy scripts such as chat widgets, social embeds and sliders. Held scripts do not delay the scripts that follow them, only scripts that depend on a held script wait for it. Clicks before the scripts have loaded are replayed to the click listeners that the scripts added during their execution (except on links and form fields). The event <code>js:loaded</code> does not wait for held scripts, <code>Abtf.ready('js:interaction')</code> resolves when the held scripts have executed.</p>
+
+														<p class="info_yellow" style="margin-top:7px;">Example: <code>widget.js:10000</code> (widget.js should load on user interaction or within 10 seconds). Maximum wait time is optional (default 10000).</p>
+													</td>
+												</tr>
+												<tr valign="top">
+													<th scope="row">Third-Party Sandbox</th>
+													<td>
+														<textarea style="width: 100%;height:50px;font-size:11px;" name="abovethefold[jsdelivery_sandbox]"><?php if (isset($options['jsdelivery_sandbox'])) {
+    echo $this->CTRL->admin->newline_array_string($options['jsdelivery_sandbox']);
+} ?></textarea>
+														<p class="description">Enter a list with <code>script_string[:worker|iframe]</code> entries (one per line) to run third-party scripts such as tracking and widget scripts off the main thread. In <code>worker</code> mode (default) the script runs in a web worker with a proxied DOM: it reads a snapshot of the page (location, cookies, viewport) while cookie writes, image beacons and <code>navigator.sendBeacon</code> requests are performed on the main thread. In <code>iframe</code> mode the script runs in a hidden sandboxed iframe without access to the page, its cookies and storage. Sandboxed scripts do not block the script queue and are not cached by the HTML5 script loader.</p>
+														<p class="info_yellow" style="margin-top:7px;">Example: <code>googletagmanager.com/gtag/js</code> (worker) or <code>widget.js:iframe</code>. Scripts that need to modify the page (e.g. visible widgets) will not work in the sandbox.</p>
+														<textarea style="width: 100%;height:50px;font-size:11px;margin-top:7px;" name="abovethefold[jsdelivery_sandbox_forward]"><?php if (isset($options['jsdelivery_sandbox_forward'])) {
+    echo $this->CTRL->admin->newline_array_string($options['jsdelivery_sandbox_forward']);
+} ?></textarea>
+														<p class="description">Enter global functions (one per line) of which the calls on the page are forwarded to the sandbox, e.g. <code>dataLayer.push</code> or <code>gtag</code>. Existing <code>dataLayer</code> entries are forwarded when the sandbox is started. Arguments that cannot be serialized (functions, DOM elements) are not forwarded.</p>
+													</td>
+												</tr>
 												<tr valign="top">
 													<th scope="row">
 														Abide Dependencies
@@ -187,6 +242,69 @@
 														<p class="description">When enabled, scripts will be loaded in sequential order abiding the WordPress dependency configuration from <a href="https://developer.wordpress.org/reference/functions/wp_enqueue_script/" target="_blank">wp_enqueue_script()</a>.</p>
 													</td>
 												</tr>
+												<tr valign="top">
+													<th scope="row">
+														Parallel Download
+													</th>
+													<td>
+														<label><input type="checkbox" name="abovethefold[jsdelivery_parallel]" value="1"<?php if (isset($options['jsdelivery_parallel']) && intval($options['jsdelivery_parallel']) === 1) {
+    print ' checked';
+} ?> > Enabled</label>
+														<p class="description">When enabled, the downloads of all scripts are started in parallel using <code>&lt;link rel="preload"&gt;</code> (or from the localStorage cache of the HTML5 script loader) while scripts are executed in the original order abiding dependencies. This feature saves network round trips on pages with many blocking scripts. Scripts that are loaded on interaction are not downloaded in advance.</p>
+													</td>
+												</tr>
+												<tr valign="top">
+													<th scope="row">
+														Inline Scripts
+													</th>
+													<td>
+														<label><input type="checkbox" name="abovethefold[jsdelivery_inline]" value="1"<?php if (isset($options['jsdelivery_inline']) && intval($options['jsdelivery_inline']) === 1) {
+    print ' checked';
+} ?> onchange="if (jQuery(this).is(':checked')) { jQuery('.jsdelivery_inline_options').show(); } else { jQuery('.jsdelivery_inline_options').hide(); }"> Enabled</label>
+														<p class="description">When enabled, inline scripts are removed from the HTML and executed in their original position in the script queue, after the scripts that precede them have loaded. Localized script data (<code>wp_localize_script</code>) is executed immediately. This feature enables to load scripts async when inline scripts depend on them.</p>
+														<div class="jsdelivery_inline_options" style="margin-top:10px;<?php if (!isset($options['jsdelivery_inline']) || intval($options['jsdelivery_inline']) !== 1) {
+    print 'display:none;';
+} ?>">
+															<textarea style="width: 100%;height:50px;font-size:11px;" name="abovethefold[jsdelivery_inline_ignore]"><?php if (isset($options['jsdelivery_inline_ignore'])) {
+    echo $this->CTRL->admin->newline_array_string($options['jsdelivery_inline_ignore']);
+} ?></textarea>
+															<p class="description">Enter (parts of) inline scripts to leave untouched in the HTML, e.g. scripts that use <code>document.write</code> or that should execute before the page is rendered. One string per line.</p>
+														</div>
+													</td>
+												</tr>
+												<tr valign="top">
+													<th scope="row">Load Failure</th>
+													<td>
+														<table cellpadding="0" cellspacing="0" border="0">
+															<tr>
+																<td style="padding:0px;padding-right:10px;"><label>Timeout<br /><input type="number" min="0" step="1" name="abovethefold[jsdelivery_timeout]" size="10" value="<?php print((isset($options['jsdelivery_timeout']) && intval($options['jsdelivery_timeout']) > 0) ? intval($options['jsdelivery_timeout']) : ''); ?>" placeholder="0 ms" /></label></td>
+																<td style="padding:0px;"><label>Dependants of failed scripts<br /><select name="abovethefold[jsdelivery_failure_default]">
+																	<option value="skip"<?php if (!isset($options['jsdelivery_failure_default']) || $options['jsdelivery_failure_default'] !== 'load') {
+    print ' selected';
+} ?>>Skip</option>
+																	<option value="load"<?php if (isset($options['jsdelivery_failure_default']) && $options['jsdelivery_failure_default'] === 'load') {
+    print ' selected';
+} ?>>Load</option>
+																</select></label></td>
+																<td style="padding:0px;padding-left:10px;"><label>Scripts that throw an error<br /><select name="abovethefold[jsdelivery_exec_error]">
+																	<option value="ignore"<?php if (!isset($options['jsdelivery_exec_error']) || $options['jsdelivery_exec_error'] !== 'fail') {
+    print ' selected';
+} ?>>Continue</option>
+																	<option value="fail"<?php if (isset($options['jsdelivery_exec_error']) && $options['jsdelivery_exec_error'] === 'fail') {
+    print ' selected';
+} ?>>Mark as failed</option>
+																</select></label></td>
+															</tr>
+														</table>
+														<p class="description" style="clear:both;">Scripts that fail to load or that are not loaded within the timeout (in milliseconds, 0 to disable) are marked as failed. When abiding dependencies, scripts that depend on a failed script are skipped or loaded without the dependency. The client emits <code>js:error</code> for a failed script and <code>js:skip</code> for a skipped script.</p>
+														<textarea style="width: 100%;height:50px;font-size:11px;margin-top:7px;" name="abovethefold[jsdelivery_failure_policy]"><?php echo $this->CTRL->admin->newline_array_string($failure_policy); ?></textarea>
+														<p class="description">Enter a list with <code>handle:skip</code> or <code>handle:load</code> entries (one per line) to override the policy for dependants of a specific WordPress script handle.</p>
+														<p class="info_yellow" style="margin-top:7px;">Example: <code>jquery:skip</code> (skip jQuery plugins when jQuery fails) or <code>google-recaptcha:load</code> (load scripts that use an optional dependency).</p>
+														<p class="description">Errors that are thrown while a script is executed emit <code>js:exception</code> and are shown in the debug console. When marked as failed, dependants are skipped or loaded using the policy above.</p>
+														<input type="text" name="abovethefold[jsdelivery_error_report]" value="<?php print esc_attr((isset($options['jsdelivery_error_report'])) ? $options['jsdelivery_error_report'] : ''); ?>" placeholder="https://..." style="width:100%;margin-top:7px;" />
+														<p class="description">Optional url to report execution errors to. Errors are posted as JSON using <code>navigator.sendBeacon</code> with the keys <code>page</code>, <code>url</code>, <code>handle</code>, <code>message</code>, <code>line</code> and <code>column</code> (max 10 per page view).</p>
+													</td>
+												</tr>
 												<th scope="row">
 													jQuery Stub
 												</th>
@@ -230,6 +348,59 @@ FB.XFBML.parse(document.getElementById(\'fblikebutton_1\').parentNode||null);
 										</pre>
 								</td>
 							</tr>
+							<tr valign="top">
+								<th scope="row">
+									Navigation Prefetch<a name="prefetch">&nbsp;</a>
+								</th>
+								<td>
+									<label><input type="checkbox" name="abovethefold[prefetch]" value="1"<?php if (isset($options['prefetch']) && intval($options['prefetch']) === 1) {
+    print ' checked';
+} ?> onchange="if (jQuery(this).is(':checked')) { jQuery('.prefetchoptions').show(); } else { jQuery('.prefetchoptions').hide(); }"> Enabled</label>
+									<p class="description">When enabled, links to other pages of the website are downloaded in advance when a visitor is likely to navigate to them. <a href="https://developer.chrome.com/docs/web-platform/prerender-pages" target="_blank">Speculation Rules</a> are used when supported by the browser, otherwise pages are prefetched using <code>&lt;link rel="prefetch"&gt;</code>. When the Service Worker of the PWA tab controls the page, pages are added to the Service Worker cache. Prefetching is disabled for visitors with data saver enabled or a slow (2G) connection.</p>
+									<div class="prefetchoptions" style="margin-top:10px;<?php if (!isset($options['prefetch']) || intval($options['prefetch']) !== 1) {
+    print 'display:none;';
+} ?>">
+										<table cellpadding="0" cellspacing="0" border="0">
+											<tr>
+												<td style="padding:0px;padding-right:10px;"><label>Mode<br /><select name="abovethefold[prefetch_mode]">
+													<option value="prefetch"<?php if (!isset($options['prefetch_mode']) || $options['prefetch_mode'] !== 'prerender') {
+    print ' selected';
+} ?>>Prefetch</option>
+													<option value="prerender"<?php if (isset($options['prefetch_mode']) && $options['prefetch_mode'] === 'prerender') {
+    print ' selected';
+} ?>>Prerender</option>
+												</select></label></td>
+												<td style="padding:0px;"><label>Trigger<br /><select name="abovethefold[prefetch_trigger]">
+													<option value="hover"<?php if (!isset($options['prefetch_trigger']) || $options['prefetch_trigger'] !== 'viewport') {
+    print ' selected';
+} ?>>Hover or touchstart</option>
+													<option value="viewport"<?php if (isset($options['prefetch_trigger']) && $options['prefetch_trigger'] === 'viewport') {
+    print ' selected';
+} ?>>Visible in viewport</option>
+												</select></label></td>
+											</tr>
+										</table>
+										<p class="description" style="clear:both;">Prerender renders the page in the background and requires Speculation Rules (other browsers prefetch). Viewport prefetching downloads up to 20 visible links per page in CPU idle time.</p>
+										<textarea style="width: 100%;height:50px;font-size:11px;margin-top:7px;" name="abovethefold[prefetch_exclude]"><?php if (isset($options['prefetch_exclude'])) {
+    echo $this->CTRL->admin->newline_array_string($options['prefetch_exclude']);
+} ?></textarea>
+										<p class="description">Enter (parts of) urls to exclude from prefetching, e.g. admin, cart and logout urls. One string per line. Links with <code>rel="nofollow"</code>, <code>download</code>, <code>target="_blank"</code> or a <code>data-no-prefetch</code> attribute are not prefetched.</p>
+									</div>
+								</td>
+							</tr>
+							<tr valign="top">
+								<th scope="row">
+									Dependency Graph<a name="scriptgraph">&nbsp;</a>
+								</th>
+								<td>
+									<p class="description" style="margin-bottom:1em;">Select a page to view the WordPress script handles with their dependencies, the async, idle, interaction and position assignment of the saved settings, and detected dependency cycles and missing handles. Hover a handle to highlight its dependencies and dependants.</p>
+									<select id="abtf_scriptgraph_page" class="wp-pageselect"><option value=""></option><option value="<?php print home_url(); ?>">Home Page (index)</option></select>
+									<div style="margin-top:10px;">
+										<button type="button" id="abtf_scriptgraph_load" data-nonce="<?php print wp_create_nonce('abtf_script_graph'); ?>" class="button button-large">Show Graph</button>
+									</div>
+									<div id="abtf_scriptgraph" style="display:none;margin-top:10px;"></div>
+								</td>
+							</tr>
 						</table>
 						<hr />
 						<?php
@@ -48,6 +48,15 @@ class Abovethefold_Admin_Monitor {
 
 		check_admin_referer('abovethefold');
 
+		// clear telemetry reports
+		if (isset($_POST['clear_telemetry'])) {
+			$this->CTRL->telemetry->clear();
+			$this->CTRL->admin->set_notice('Telemetry reports cleared.', 'NOTICE');
+
+			wp_redirect( add_query_arg( array( 'page' => 'abovethefold', 'tab' => 'monitor' ), admin_url( 'admin.php' ) ) . '#telemetry' );
+			exit;
+		}
+
 		// @link https://codex.wordpress.org/Function_Reference/stripslashes_deep
 		$_POST = array_map( 'stripslashes_deep', $_POST );
 
@@ -55,11 +64,17 @@ class Abovethefold_Admin_Monitor {
 		if (!is_array($options)) { $options = array(); }
 
 		// input
-		$input = (isset($_POST['ao']) && is_array($_POST['ao'])) ? $_POST['ao'] : array();
+		$input = (isset($_POST['abovethefold']) && is_array($_POST['abovethefold'])) ? $_POST['abovethefold'] : array();
 
+		/**
+		 * Performance telemetry
+		 */
+		$options['telemetry'] = (isset($input['telemetry']) && intval($input['telemetry']) === 1) ? true : false;
+		$options['telemetry_url'] = (isset($input['telemetry_url'])) ? $this->CTRL->telemetry->sanitize_url($input['telemetry_url']) : '';
+		$options['telemetry_sample'] = (isset($input['telemetry_sample']) && intval($input['telemetry_sample']) > 0 && intval($input['telemetry_sample']) <= 100) ? intval($input['telemetry_sample']) : $this->CTRL->telemetry->default_sample;
 
 		// update settings
-		//$this->CTRL->admin->save_settings($options, 'Proxy settings saved.');
+		$this->CTRL->admin->save_settings($options, 'Monitor settings saved.');
 
 		wp_redirect( add_query_arg( array( 'page' => 'abovethefold', 'tab' => 'monitor' ), admin_url( 'admin.php' ) ) );
 		exit;
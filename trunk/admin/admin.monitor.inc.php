@@ -87,6 +87,151 @@
 
 						</div>
 					</div>
+					<div class="postbox">
+						<h3 class="hndle">
+							<span><?php _e('Performance Telemetry', 'abovethefold'); ?></span>
+						</h3>
+						<div class="inside testcontent">
+
+							<a name="telemetry"></a>
+							<p>Performance telemetry collects CSS, script and web font load timings and <a href="https://developers.google.com/web/fundamentals/performance/user-centric-performance-metrics" target="_blank">paint metrics</a> (First Paint, First Contentful Paint and Largest Contentful Paint) from real visitors and sends them to WordPress using <a href="https://developer.mozilla.org/en-US/docs/Web/API/Navigator/sendBeacon" target="_blank">navigator.sendBeacon</a>. The report shows if the critical CSS setup improves rendering in production. When the HTML5 script loader is enabled, the report includes the hit rate and statistics of the script cache on visitor devices.</p>
+
+<table class="form-table">
+	<tr valign="top">
+		<th scope="row">Enable telemetry</th>
+		<td>
+			<label><input type="checkbox" name="abovethefold[telemetry]" value="1"<?php if (isset($options['telemetry']) && intval($options['telemetry']) === 1) {
+    print ' checked';
+} ?> /> Enabled</label>
+			<p class="description">Load the telemetry client module and send a report when a page is hidden or closed. The last <?php print $this->CTRL->telemetry->max_reports; ?> reports are stored in the database.</p>
+		</td>
+	</tr>
+	<tr valign="top">
+		<th scope="row">&nbsp;</th>
+		<td style="padding-top:0px;padding-bottom:0px;">
+			<h5 class="h">&nbsp;Sample rate</h5>
+			<input type="number" min="1" max="100" step="1" name="abovethefold[telemetry_sample]" style="width:120px;" value="<?php if (isset($options['telemetry_sample']) && intval($options['telemetry_sample']) > 0) {
+    print intval($options['telemetry_sample']);
+} ?>" placeholder="<?php print $this->CTRL->telemetry->default_sample; ?> %" />
+			<p class="description">Percentage of page views that send a report (default <?php print $this->CTRL->telemetry->default_sample; ?>%). The WordPress endpoint stores at most one report per visitor per minute and <?php print $this->CTRL->telemetry->throttle_minute; ?> reports per minute.</p>
+		</td>
+	</tr>
+	<tr valign="top">
+		<th scope="row">&nbsp;</th>
+		<td style="padding-top:0px;">
+			<h5 class="h">&nbsp;Beacon endpoint</h5>
+			<input type="url" size="80" name="abovethefold[telemetry_url]" value="<?php if (isset($options['telemetry_url'])) {
+    echo esc_attr($options['telemetry_url']);
+} ?>" placeholder="<?php echo esc_attr(add_query_arg(array( 'action' => 'abtf_telemetry' ), admin_url('admin-ajax.php'))); ?>" />
+			<p class="description">Leave blank to store reports in WordPress. A custom endpoint receives the JSON report as <code>text/plain</code> POST request.</p>
+		</td>
+	</tr>
+	<tr valign="top">
+		<td colspan="2" style="padding:0px;">
+<?php
+submit_button(__('Save'), 'primary large', 'is_submit', false);
+?>
+		</td>
+	</tr>
+</table>
+
+<?php
+    $telemetry = $this->CTRL->telemetry->get_summary();
+    if ($telemetry['count'] > 0) {
+        $ms = function ($time) {
+            return ($time === false) ? '-' : number_format_i18n($time) . ' ms';
+        }; ?>
+							<h1>Report</h1>
+							<p><?php print $telemetry['count']; ?> page views from <?php print date_i18n(get_option('date_format') . ' ' . get_option('time_format'), $telemetry['from']); ?> to <?php print date_i18n(get_option('date_format') . ' ' . get_option('time_format'), $telemetry['to']); ?>. Timings are medians in milliseconds after navigation start.</p>
+
+							<table class="widefat fixed striped" style="margin-bottom:1em;">
+								<thead><tr><th>First Paint</th><th>First Contentful Paint</th><th>Largest Contentful Paint</th><th>Web fonts</th><th>Script cache hit rate</th><th>Proxy captures per page</th></tr></thead>
+								<tbody><tr>
+									<td><?php print $ms($telemetry['paint']['fp']); ?></td>
+									<td><?php print $ms($telemetry['paint']['fcp']); ?></td>
+									<td><?php print $ms($telemetry['paint']['lcp']); ?></td>
+									<td><?php if ($telemetry['fonts']) {
+            print $ms($telemetry['fonts']['time']) . ' (' . $telemetry['fonts']['active'] . ' active, ' . $telemetry['fonts']['inactive'] . ' inactive)';
+        } else {
+            print '-';
+        } ?></td>
+									<td><?php if (($telemetry['cache'][0] + $telemetry['cache'][1]) > 0) {
+            print round(($telemetry['cache'][0] / ($telemetry['cache'][0] + $telemetry['cache'][1])) * 100) . '% (' . $telemetry['cache'][0] . ' / ' . ($telemetry['cache'][0] + $telemetry['cache'][1]) . ')';
+        } else {
+            print '-';
+        } ?></td>
+									<td><?php print $telemetry['proxy']; ?></td>
+								</tr></tbody>
+							</table>
+
+<?php
+        if ($telemetry['jscache']) {
+            $jscache = $telemetry['jscache'];
+            $storage = array();
+            foreach ($jscache['storage'] as $name => $count) {
+                $storage[] = esc_html($name) . ' (' . $count . ')';
+            } ?>
+							<table class="widefat fixed striped" style="margin-bottom:1em;">
+								<thead><tr><th>HTML5 script loader storage</th><th>Entries per device</th><th>Size per device</th><th>Hits / misses</th><th>Evictions</th><th>Expired / invalidated</th><th>Integrity failures</th><th>Worker / storage errors</th></tr></thead>
+								<tbody><tr>
+									<td><?php print implode(', ', $storage); ?></td>
+									<td><?php print ($jscache['entries'] === false) ? '-' : $jscache['entries']; ?></td>
+									<td><?php print ($jscache['size'] === false) ? '-' : size_format($jscache['size'], 1); ?></td>
+									<td><?php print $jscache['hits'] . ' / ' . $jscache['misses']; ?><?php if (($jscache['hits'] + $jscache['misses']) > 0) {
+                print ' (' . round(($jscache['hits'] / ($jscache['hits'] + $jscache['misses'])) * 100) . '%)';
+            } ?></td>
+									<td><?php print $jscache['evictions']; ?></td>
+									<td><?php print $jscache['expired'] . ' / ' . $jscache['invalidated']; ?></td>
+									<td><?php print $jscache['integrity']; ?></td>
+									<td><?php print $jscache['worker_errors'] . ' / ' . $jscache['storage_errors']; ?></td>
+								</tr></tbody>
+							</table>
+							<p class="description">Statistics of the HTML5 script loader cache on visitor devices (<?php print $jscache['count']; ?> page views). Entries and size are medians.</p>
+
+<?php
+        }
+
+        if (!empty($telemetry['css'])) {
+            ?>
+							<table class="widefat fixed striped" style="margin-bottom:1em;">
+								<thead><tr><th style="width:60%;">Stylesheet</th><th>Page views</th><th>Download start</th><th>Applied</th></tr></thead>
+								<tbody>
+<?php
+            foreach ($telemetry['css'] as $url => $timing) {
+                ?>
+								<tr><td style="word-break:break-all;"><?php print esc_html($url); ?></td><td><?php print $timing['count']; ?></td><td><?php print $ms($timing['start']); ?></td><td><?php print $ms($timing['applied']); ?></td></tr>
+<?php
+            } ?>
+								</tbody>
+							</table>
+<?php
+        }
+
+        if (!empty($telemetry['js'])) {
+            ?>
+							<table class="widefat fixed striped" style="margin-bottom:1em;">
+								<thead><tr><th style="width:45%;">Script</th><th>Handle</th><th>Page views</th><th>Queued</th><th>Dependency wait</th><th>Executed</th></tr></thead>
+								<tbody>
+<?php
+            foreach ($telemetry['js'] as $url => $timing) {
+                ?>
+								<tr><td style="word-break:break-all;"><?php print esc_html($url); ?></td><td><?php print ($timing['handle']) ? esc_html($timing['handle']) : '-'; ?></td><td><?php print $timing['count']; ?></td><td><?php print $ms($timing['queued']); ?></td><td><?php print $ms($timing['wait']); ?></td><td><?php print $ms($timing['executed']); ?></td></tr>
+<?php
+            } ?>
+								</tbody>
+							</table>
+<?php
+        } ?>
+							<p><?php submit_button(__('Clear reports', 'abovethefold'), 'secondary', 'clear_telemetry', false, array('onclick' => 'return confirm(\'Are you sure you want to delete all telemetry reports?\');')); ?></p>
+<?php
+    } elseif (isset($options['telemetry']) && $options['telemetry']) {
+        ?>
+							<p class="info_yellow">No reports received yet.</p>
+<?php
+    }
+?>
+						</div>
+					</div>
 				</div>
 			</div>
 		</div>
@@ -78,6 +78,23 @@ class Abovethefold_Admin_Settings {
 		$options['debug'] = (isset($input['debug']) && intval($input['debug']) === 1) ? true : false;
 		$options['clear_pagecache'] = (isset($input['clear_pagecache']) && intval($input['clear_pagecache']) === 1) ? true : false;
 		$options['adminbar'] = (isset($input['adminbar']) && intval($input['adminbar']) === 1) ? true : false;
+
+		/**
+		 * Content Security Policy
+		 */
+		$options['csp_nonce'] = (isset($input['csp_nonce']) && intval($input['csp_nonce']) === 1) ? true : false;
+		$options['csp_header'] = (isset($input['csp_header']) && in_array($input['csp_header'], array('enforce', 'report'))) ? $input['csp_header'] : '';
+		$options['csp_policy'] = (isset($input['csp_policy'])) ? trim($input['csp_policy']) : '';
+
+		if ($options['csp_header'] && $options['csp_policy'] !== '' && strpos($options['csp_policy'], '{nonce}') !== false && !$options['csp_nonce']) {
+			$this->CTRL->admin->set_notice('The Content Security Policy contains <code>{nonce}</code> but the nonce is not enabled.', 'ERROR');
+		}
+
+		$pagecache = $this->CTRL->plugins->pagecache();
+		if ($options['csp_nonce'] && !empty($pagecache)) {
+			$options['csp_nonce'] = false;
+			$this->CTRL->admin->set_notice('The Content Security Policy nonce can not be enabled while a full page cache is active (' . esc_html(implode(', ', $pagecache)) . '). Cached pages would contain the nonce of the cached request. The policy uses the hash of the client script.', 'ERROR');
+		}
 	
 		// update settings
 		$this->CTRL->admin->save_settings($options, 'Settings saved.');
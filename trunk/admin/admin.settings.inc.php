@@ -41,6 +41,38 @@
                                     <p class="description">Show debug info in the browser console for logged in admin-users.</p>
 								</td>
 							</tr>
+							<tr valign="top">
+								<th scope="row">Content Security Policy</th>
+								<td>
+                                    <label><input type="checkbox" name="abovethefold[csp_nonce]" value="1"<?php if (isset($options['csp_nonce']) && intval($options['csp_nonce']) === 1) {
+    print ' checked';
+} ?>> Nonce</label>
+                                    <p class="description">When enabled, a nonce is added to the inline client script, the critical CSS and all scripts, stylesheets and inline scripts that are inserted by the client. This feature enables a Content Security Policy without <code>unsafe-inline</code>. The nonce changes on each request and is disabled when a full page cache plugin is active: cached HTML would contain the nonce of the cached request which does not match the policy header of later requests. The nonce of a security plugin can be used via the filter <code>abtf_csp_nonce</code>.</p>
+                                    <div style="margin-top:10px;"><label>Policy header<br /><select name="abovethefold[csp_header]">
+                                        <option value=""<?php if (!isset($options['csp_header']) || !in_array($options['csp_header'], array('enforce', 'report'))) {
+    print ' selected';
+} ?>>Disabled</option>
+                                        <option value="enforce"<?php if (isset($options['csp_header']) && $options['csp_header'] === 'enforce') {
+    print ' selected';
+} ?>>Content-Security-Policy</option>
+                                        <option value="report"<?php if (isset($options['csp_header']) && $options['csp_header'] === 'report') {
+    print ' selected';
+} ?>>Content-Security-Policy-Report-Only</option>
+                                    </select></label></div>
+<?php
+    $pagecache = $this->CTRL->plugins->pagecache();
+    if (!empty($pagecache)) {
+        ?>
+                                    <p style="padding:10px;border:solid #efefef;background:#f1f1f1;"><span style="color:red;font-weight:bold;">Warning:</span> The nonce is not available while a full page cache is active (<?php print esc_html(implode(', ', $pagecache)); ?>). The policy uses the hash of the client script.</p>
+<?php
+    }
+?>
+                                    <textarea style="width: 100%;height:80px;font-size:11px;margin-top:7px;" name="abovethefold[csp_policy]" placeholder="<?php print esc_attr(str_replace('; ', ";\n", $this->CTRL->optimization->csp_default_policy)); ?>"><?php if (isset($options['csp_policy'])) {
+    print esc_html($options['csp_policy']);
+} ?></textarea>
+                                    <p class="description">Enter the policy to send with the header (one directive per line). <code>{nonce}</code> is replaced with the nonce of the request and <code>{client-hash}</code> with the SHA256 hash of the inline client script. Leave blank to use the default policy.</p>
+								</td>
+							</tr>
 						</table>
 						<hr />
 						<?php
@@ -96,6 +128,17 @@
 						</tbody>
 						</table>
 
+						<strong>Suggested header</strong>
+						<p class="description">Based on the policy entered above. <code>{nonce}</code> should be replaced with the nonce of the request.</p>
+						<textarea readonly style="width:100%;height:60px;font-size:11px;margin-bottom:10px;"><?php
+                            $policy = (isset($options['csp_policy']) && trim($options['csp_policy']) !== '') ? $options['csp_policy'] : $this->CTRL->optimization->csp_default_policy;
+                            $policy = trim(preg_replace('|\s*[\r\n]+\s*|', ' ', $policy));
+                            if (isset($client_hashes['sha256']['public'])) {
+                                $policy = str_replace('{client-hash}', "'sha256-" . $client_hashes['sha256']['public'] . "'", $policy);
+                            }
+                            print esc_html('Content-Security-Policy: ' . $policy);
+                        ?></textarea>
+
 						<strong>Debug modus client (admin users only)</strong>
 						<table width="100%">
 						<thead>
@@ -0,0 +1,483 @@
+jQuery(function($) {
+
+    /**
+     * Script dependency graph
+     */
+    if ($('#abtf_scriptgraph').length === 0) {
+        return;
+    }
+
+    var SVGNS = 'http://www.w3.org/2000/svg';
+
+    // layout
+    var NODE_WIDTH = 170;
+    var NODE_HEIGHT = 38;
+    var COL_GAP = 70;
+    var ROW_GAP = 14;
+    var PADDING = 10;
+
+    var $container = $('#abtf_scriptgraph');
+
+    var esc = function(str) {
+        return $('<div/>').text(String(str)).html();
+    };
+
+    var svgEl = function(name, attrs) {
+        var el = document.createElementNS(SVGNS, name);
+        for (var key in attrs) {
+            if (attrs.hasOwnProperty(key)) {
+                el.setAttribute(key, attrs[key]);
+            }
+        }
+        return el;
+    };
+
+    /**
+     * Build nodes from handles, missing handles and scripts
+     */
+    var buildNodes = function(graph) {
+        var nodes = {};
+        var handle;
+
+        for (handle in graph.handles) {
+            if (graph.handles.hasOwnProperty(handle)) {
+                nodes[handle] = {
+                    handle: handle,
+                    src: graph.handles[handle].src,
+                    deps: graph.handles[handle].deps,
+                    group: graph.handles[handle].group,
+                    dependants: [],
+                    missing: false,
+                    script: false
+                };
+            }
+        }
+
+        for (handle in graph.missing) {
+            if (graph.missing.hasOwnProperty(handle)) {
+                nodes[handle] = {
+                    handle: handle,
+                    src: false,
+                    deps: [],
+                    group: false,
+                    dependants: [],
+                    missing: graph.missing[handle].reason,
+                    script: false
+                };
+            }
+        }
+
+        // scripts without a WordPress handle
+        var unmatched = [];
+        var l = graph.scripts.length;
+        for (var i = 0; i < l; i++) {
+            var script = graph.scripts[i];
+            if (script.handle && nodes[script.handle]) {
+                nodes[script.handle].script = script;
+            } else {
+                unmatched.push(script);
+            }
+        }
+
+        for (handle in nodes) {
+            if (nodes.hasOwnProperty(handle)) {
+                var deps = nodes[handle].deps;
+                for (var d = 0; d < deps.length; d++) {
+                    if (nodes[deps[d]]) {
+                        nodes[deps[d]].dependants.push(handle);
+                    }
+                }
+            }
+        }
+
+        return [nodes, unmatched];
+    };
+
+    /**
+     * Detect dependency cycles (depth first search)
+     */
+    var detectCycles = function(nodes) {
+        var state = {};
+        var stack = [];
+        var cycles = [];
+
+        var visit = function(handle) {
+            state[handle] = 1;
+            stack.push(handle);
+
+            var deps = nodes[handle].deps;
+            for (var i = 0; i < deps.length; i++) {
+                var dep = deps[i];
+                if (!nodes[dep]) {
+                    continue;
+                }
+                if (state[dep] === 1) {
+                    cycles.push(stack.slice(stack.indexOf(dep)).concat([dep]));
+                } else if (!state[dep]) {
+                    visit(dep);
+                }
+            }
+
+            stack.pop();
+            state[handle] = 2;
+        };
+
+        for (var handle in nodes) {
+            if (nodes.hasOwnProperty(handle) && !state[handle]) {
+                visit(handle);
+            }
+        }
+
+        return cycles;
+    };
+
+    /**
+     * Column of node: longest dependency chain (edges in a cycle are ignored)
+     */
+    var computeLevels = function(nodes) {
+        var levels = {};
+        var visiting = {};
+
+        var level = function(handle) {
+            if (typeof levels[handle] !== 'undefined') {
+                return levels[handle];
+            }
+            visiting[handle] = true;
+
+            var max = 0;
+            var deps = nodes[handle].deps;
+            for (var i = 0; i < deps.length; i++) {
+                if (nodes[deps[i]] && !visiting[deps[i]]) {
+                    max = Math.max(max, level(deps[i]) + 1);
+                }
+            }
+
+            visiting[handle] = false;
+            levels[handle] = max;
+            return max;
+        };
+
+        for (var handle in nodes) {
+            if (nodes.hasOwnProperty(handle)) {
+                level(handle);
+            }
+        }
+
+        return levels;
+    };
+
+    // short description of the load assignment
+    var assignment = function(node) {
+        if (node.missing) {
+            return node.missing;
+        }
+        if (!node.script) {
+            return (node.group) ? 'group' : 'not in HTML';
+        }
+        var script = node.script;
+        if (script.status !== 'optimized') {
+            return script.status + ' · ' + script.position;
+        }
+        var info = [(script.async) ? 'async' : 'blocking', script.position];
+        if (script.idle) {
+            info.push('idle' + ((script.idle !== true) ? ' ' + script.idle + 'ms' : ''));
+        }
+        if (script.interaction) {
+            info.push('interaction' + ((script.interaction !== true) ? ' ' + script.interaction + 'ms' : ''));
+        }
+        if (script.sandbox) {
+            info.push('sandbox ' + script.sandbox);
+        }
+        if (script.module) {
+            info.push(script.module);
+        }
+        return info.join(' · ');
+    };
+
+    var nodeClass = function(node, cyclic) {
+        var cls = ['abtf-graph-node'];
+        if (node.missing) {
+            cls.push('abtf-graph-missing');
+        } else if (!node.script) {
+            cls.push('abtf-graph-group');
+        } else {
+            cls.push('abtf-graph-' + node.script.status);
+            if (node.script.status === 'optimized' && !node.script.async) {
+                cls.push('abtf-graph-blocking');
+            }
+        }
+        if (cyclic[node.handle]) {
+            cls.push('abtf-graph-cycle');
+        }
+        return cls.join(' ');
+    };
+
+    /**
+     * Render graph
+     */
+    var render = function(res) {
+        var graph = res.graph;
+        var built = buildNodes(graph);
+        var nodes = built[0];
+        var unmatched = built[1];
+        var cycles = detectCycles(nodes);
+        var levels = computeLevels(nodes);
+
+        var cyclic = {};
+        var cycleEdges = {};
+        for (var c = 0; c < cycles.length; c++) {
+            for (var n = 0; n < cycles[c].length - 1; n++) {
+                cyclic[cycles[c][n]] = true;
+                cycleEdges[cycles[c][n] + '>' + cycles[c][n + 1]] = true;
+            }
+        }
+
+        $container.html('').show();
+
+        // settings and warnings
+        var info = '<p>' + esc(res.url) + ': <strong>' + Object.keys(graph.handles).length + '</strong> handles, <strong>' + graph.scripts.length + '</strong> scripts';
+        if (!graph.enabled) {
+            info += ' <span class="abtf-graph-warning">(javascript load optimization is disabled)</span>';
+        } else if (!graph.deps) {
+            info += ' <span class="abtf-graph-warning">(abide dependencies is disabled)</span>';
+        }
+        info += '</p>';
+
+        if (cycles.length) {
+            info += '<p class="abtf-graph-error"><strong>Dependency cycles:</strong> ';
+            for (c = 0; c < cycles.length; c++) {
+                info += ((c) ? ', ' : '') + '<code>' + esc(cycles[c].join(' → ')) + '</code>';
+            }
+            info += '</p>';
+        }
+
+        var missing = Object.keys(graph.missing);
+        if (missing.length) {
+            info += '<p class="abtf-graph-error"><strong>Missing handles:</strong> ';
+            for (var m = 0; m < missing.length; m++) {
+                info += ((m) ? ', ' : '') + '<code>' + esc(missing[m]) + '</code> (' + esc(graph.missing[missing[m]].reason) + ', required by ' + esc(graph.missing[missing[m]].required_by.join(', ')) + ')';
+            }
+            info += '</p>';
+        }
+        $container.append(info);
+
+        // columns by level
+        var columns = [];
+        for (var handle in nodes) {
+            if (nodes.hasOwnProperty(handle)) {
+                if (!columns[levels[handle]]) {
+                    columns[levels[handle]] = [];
+                }
+                columns[levels[handle]].push(handle);
+            }
+        }
+
+        var rows = 0;
+        var pos = {};
+        for (var col = 0; col < columns.length; col++) {
+            columns[col].sort();
+            for (var row = 0; row < columns[col].length; row++) {
+                pos[columns[col][row]] = [
+                    PADDING + col * (NODE_WIDTH + COL_GAP),
+                    PADDING + row * (NODE_HEIGHT + ROW_GAP)
+                ];
+            }
+            rows = Math.max(rows, columns[col].length);
+        }
+
+        if (!columns.length) {
+            $container.append('<p>No WordPress script handles found on the page.</p>');
+        } else {
+            var width = PADDING * 2 + columns.length * NODE_WIDTH + (columns.length - 1) * COL_GAP;
+            var height = PADDING * 2 + rows * NODE_HEIGHT + (rows - 1) * ROW_GAP;
+
+            var svg = svgEl('svg', {
+                'class': 'abtf-graph',
+                'width': width,
+                'height': height,
+                'viewBox': '0 0 ' + width + ' ' + height
+            });
+            var defs = svgEl('defs', {});
+            var marker = svgEl('marker', {
+                'id': 'abtf-graph-arrow',
+                'viewBox': '0 0 10 10',
+                'refX': 10,
+                'refY': 5,
+                'markerWidth': 6,
+                'markerHeight': 6,
+                'orient': 'auto'
+            });
+            marker.appendChild(svgEl('path', {
+                'd': 'M0,0 L10,5 L0,10 z'
+            }));
+            defs.appendChild(marker);
+            svg.appendChild(defs);
+
+            // edges from dependency to dependant
+            var edges = svgEl('g', {});
+            for (handle in nodes) {
+                if (nodes.hasOwnProperty(handle)) {
+                    var deps = nodes[handle].deps;
+                    for (var d = 0; d < deps.length; d++) {
+                        if (!pos[deps[d]]) {
+                            continue;
+                        }
+                        var x1 = pos[deps[d]][0] + NODE_WIDTH;
+                        var y1 = pos[deps[d]][1] + NODE_HEIGHT / 2;
+                        var x2 = pos[handle][0];
+                        var y2 = pos[handle][1] + NODE_HEIGHT / 2;
+                        var bend = Math.max(40, Math.abs(x2 - x1) / 2);
+                        edges.appendChild(svgEl('path', {
+                            'class': 'abtf-graph-edge' + ((cycleEdges[handle + '>' + deps[d]]) ? ' abtf-graph-cycle' : ''),
+                            'd': 'M' + x1 + ',' + y1 + ' C' + (x1 + bend) + ',' + y1 + ' ' + (x2 - bend) + ',' + y2 + ' ' + x2 + ',' + y2,
+                            'marker-end': 'url(#abtf-graph-arrow)',
+                            'data-from': deps[d],
+                            'data-to': handle
+                        }));
+                    }
+                }
+            }
+            svg.appendChild(edges);
+
+            // nodes
+            for (handle in nodes) {
+                if (nodes.hasOwnProperty(handle)) {
+                    var node = nodes[handle];
+                    var g = svgEl('g', {
+                        'class': nodeClass(node, cyclic),
+                        'data-handle': handle,
+                        'transform': 'translate(' + pos[handle][0] + ',' + pos[handle][1] + ')'
+                    });
+                    g.appendChild(svgEl('rect', {
+                        'width': NODE_WIDTH,
+                        'height': NODE_HEIGHT,
+                        'rx': 4,
+                        'ry': 4
+                    }));
+                    var label = svgEl('text', {
+                        'x': 8,
+                        'y': 15,
+                        'class': 'abtf-graph-label'
+                    });
+                    label.textContent = (handle.length > 24) ? handle.substr(0, 23) + '…' : handle;
+                    g.appendChild(label);
+                    var sub = svgEl('text', {
+                        'x': 8,
+                        'y': 30,
+                        'class': 'abtf-graph-sub'
+                    });
+                    sub.textContent = assignment(node);
+                    g.appendChild(sub);
+                    svg.appendChild(g);
+                }
+            }
+
+            var $scroll = $('<div class="abtf-graph-scroll"></div>');
+            $scroll.append(svg);
+            $container.append($scroll);
+        }
+
+        var $details = $('<div class="abtf-graph-details"><p class="description">Hover or click a handle for details.</p></div>');
+        $container.append($details);
+
+        // scripts without handle
+        if (unmatched.length) {
+            var table = '<p><strong>Scripts without WordPress handle</strong></p><table class="widefat striped"><tbody>';
+            for (var u = 0; u < unmatched.length; u++) {
+                table += '<tr><td><code>' + esc(unmatched[u].src) + '</code></td><td>' + esc(assignment({
+                    script: unmatched[u]
+                })) + '</td></tr>';
+            }
+            table += '</tbody></table>';
+            $container.append(table);
+        }
+
+        /**
+         * Highlight dependencies and dependants
+         */
+        var $svg = $container.find('svg.abtf-graph');
+        var highlight = function(handle) {
+            var node = nodes[handle];
+            var related = {};
+            related[handle] = true;
+            var i;
+            for (i = 0; i < node.deps.length; i++) {
+                related[node.deps[i]] = true;
+            }
+            for (i = 0; i < node.dependants.length; i++) {
+                related[node.dependants[i]] = true;
+            }
+
+            $svg.attr('class', 'abtf-graph abtf-graph-focus');
+            $svg.find('g.abtf-graph-node').each(function() {
+                var cls = this.getAttribute('class').replace(/ abtf-graph-active/g, '');
+                this.setAttribute('class', cls + ((related[this.getAttribute('data-handle')]) ? ' abtf-graph-active' : ''));
+            });
+            $svg.find('path.abtf-graph-edge').each(function() {
+                var cls = this.getAttribute('class').replace(/ abtf-graph-active/g, '');
+                var active = (this.getAttribute('data-from') === handle || this.getAttribute('data-to') === handle);
+                this.setAttribute('class', cls + ((active) ? ' abtf-graph-active' : ''));
+            });
+
+            var html = '<p><strong>' + esc(handle) + '</strong> — ' + esc(assignment(node)) + '</p>';
+            if (node.src) {
+                html += '<p><code>' + esc(node.src) + '</code></p>';
+            }
+            html += '<p>Dependencies: ' + ((node.deps.length) ? esc(node.deps.join(', ')) : '<em>none</em>') + '<br />';
+            html += 'Dependants: ' + ((node.dependants.length) ? esc(node.dependants.join(', ')) : '<em>none</em>') + '</p>';
+            $details.html(html);
+        };
+
+        var selected = false;
+        $svg.find('g.abtf-graph-node').on('mouseenter', function() {
+            highlight(this.getAttribute('data-handle'));
+        }).on('mouseleave', function() {
+            if (selected) {
+                highlight(selected);
+            } else {
+                $svg.attr('class', 'abtf-graph');
+            }
+        }).on('click', function() {
+            var handle = this.getAttribute('data-handle');
+            selected = (selected === handle) ? false : handle;
+        });
+    };
+
+    /**
+     * Load graph for page
+     */
+    $('#abtf_scriptgraph_load').on('click', function() {
+        var url = $('#abtf_scriptgraph_page').val();
+        if (url === '') {
+            alert('Select a page...');
+            return;
+        }
+
+        var $btn = $(this);
+        $btn.prop('disabled', true);
+        $container.html('<p>Loading...</p>').show();
+
+        $.ajax({
+            url: ajaxurl,
+            type: 'POST',
+            dataType: 'json',
+            data: {
+                action: 'abtf_script_graph',
+                nonce: $btn.data('nonce'),
+                url: url
+            },
+            error: function() {
+                $btn.prop('disabled', false);
+                $container.html('<p class="abtf-graph-error">Failed to load the script dependency graph.</p>');
+            },
+            success: function(res) {
+                $btn.prop('disabled', false);
+                if (!res || res.error || !res.graph) {
+                    $container.html('<p class="abtf-graph-error">' + esc((res && res.error) ? res.error : 'Failed to load the script dependency graph.') + '</p>');
+                    return;
+                }
+                render(res);
+            }
+        });
+    });
+});
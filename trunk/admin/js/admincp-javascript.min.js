@@ -0,0 +1 @@
+jQuery(function(t){if(0!==t("#abtf_scriptgraph").length){var a=t("#abtf_scriptgraph"),r=function(a){return t("<div/>").text(String(a)).html()},e=function(t,a){var r=document.createElementNS("http://www.w3.org/2000/svg",t);for(var e in a)a.hasOwnProperty(e)&&r.setAttribute(e,a[e]);return r},n=function(t){var a,r={};for(a in t.handles)t.handles.hasOwnProperty(a)&&(r[a]={handle:a,src:t.handles[a].src,deps:t.handles[a].deps,group:t.handles[a].group,dependants:[],missing:!1,script:!1});for(a in t.missing)t.missing.hasOwnProperty(a)&&(r[a]={handle:a,src:!1,deps:[],group:!1,dependants:[],missing:t.missing[a].reason,script:!1});for(var e=[],n=t.scripts.length,s=0;s<n;s++){var i=t.scripts[s];i.handle&&r[i.handle]?r[i.handle].script=i:e.push(i)}for(a in r)if(r.hasOwnProperty(a))for(var p=r[a].deps,o=0;o<p.length;o++)r[p[o]]&&r[p[o]].dependants.push(a);return[r,e]},s=function(t){var a={},r=[],e=[],n=function(s){a[s]=1,r.push(s);for(var i=t[s].deps,p=0;p<i.length;p++){var o=i[p];t[o]&&(1===a[o]?e.push(r.slice(r.indexOf(o)).concat([o])):a[o]||n(o))}r.pop(),a[s]=2};for(var s in t)t.hasOwnProperty(s)&&!a[s]&&n(s);return e},i=function(t){var a={},r={},e=function(n){if(void 0!==a[n])return a[n];r[n]=!0;for(var s=0,i=t[n].deps,p=0;p<i.length;p++)t[i[p]]&&!r[i[p]]&&(s=Math.max(s,e(i[p])+1));return r[n]=!1,a[n]=s,s};for(var n in t)t.hasOwnProperty(n)&&e(n);return a},p=function(t){if(t.missing)return t.missing;if(!t.script)return t.group?"group":"not in HTML";var a=t.script;if("optimized"!==a.status)return a.status+" · "+a.position;var r=[a.async?"async":"blocking",a.position];return a.idle&&r.push("idle"+(!0!==a.idle?" "+a.idle+"ms":"")),a.interaction&&r.push("interaction"+(!0!==a.interaction?" "+a.interaction+"ms":"")),a.sandbox&&r.push("sandbox "+a.sandbox),a.module&&r.push(a.module),r.join(" · ")},o=function(t,a){var r=["abtf-graph-node"];return t.missing?r.push("abtf-graph-missing"):t.script?(r.push("abtf-graph-"+t.script.status),"optimized"!==t.script.status||t.script.async||r.push("abtf-graph-blocking")):r.push("abtf-graph-group"),a[t.handle]&&r.push("abtf-graph-cycle"),r.join(" ")},d=function(d){for(var h=d.graph,l=n(h),c=l[0],g=l[1],f=s(c),u=i(c),b={},v={},m=0;m<f.length;m++)for(var y=0;y<f[m].length-1;y++)b[f[m][y]]=!0,v[f[m][y]+">"+f[m][y+1]]=!0;a.html("").show();var w="<p>"+r(d.url)+": <strong>"+Object.keys(h.handles).length+"</strong> handles, <strong>"+h.scripts.length+"</strong> scripts";if(h.enabled?h.deps||(w+=' <span class="abtf-graph-warning">(abide dependencies is disabled)</span>'):w+=' <span class="abtf-graph-warning">(javascript load optimization is disabled)</span>',w+="</p>",f.length){for(w+='<p class="abtf-graph-error"><strong>Dependency cycles:</strong> ',m=0;m<f.length;m++)w+=(m?", ":"")+"<code>"+r(f[m].join(" → "))+"</code>";w+="</p>"}var x=Object.keys(h.missing);if(x.length){w+='<p class="abtf-graph-error"><strong>Missing handles:</strong> ';for(var j=0;j<x.length;j++)w+=(j?", ":"")+"<code>"+r(x[j])+"</code> ("+r(h.missing[x[j]].reason)+", required by "+r(h.missing[x[j]].required_by.join(", "))+")";w+="</p>"}a.append(w);var O=[];for(var C in c)c.hasOwnProperty(C)&&(O[u[C]]||(O[u[C]]=[]),O[u[C]].push(C));for(var P=0,k={},A=0;A<O.length;A++){O[A].sort();for(var _=0;_<O[A].length;_++)k[O[A][_]]=[10+240*A,10+52*_];P=Math.max(P,O[A].length)}if(O.length){var M=20+170*O.length+70*(O.length-1),S=20+38*P+14*(P-1),z=e("svg",{class:"abtf-graph",width:M,height:S,viewBox:"0 0 "+M+" "+S}),L=e("defs",{}),D=e("marker",{id:"abtf-graph-arrow",viewBox:"0 0 10 10",refX:10,refY:5,markerWidth:6,markerHeight:6,orient:"auto"});D.appendChild(e("path",{d:"M0,0 L10,5 L0,10 z"})),L.appendChild(D),z.appendChild(L);var H=e("g",{});for(C in c)if(c.hasOwnProperty(C))for(var T=c[C].deps,W=0;W<T.length;W++)if(k[T[W]]){var q=k[T[W]][0]+170,B=k[T[W]][1]+19,F=k[C][0],N=k[C][1]+19,E=Math.max(40,Math.abs(F-q)/2);H.appendChild(e("path",{class:"abtf-graph-edge"+(v[C+">"+T[W]]?" abtf-graph-cycle":""),d:"M"+q+","+B+" C"+(q+E)+","+B+" "+(F-E)+","+N+" "+F+","+N,"marker-end":"url(#abtf-graph-arrow)","data-from":T[W],"data-to":C}))}z.appendChild(H);for(C in c)if(c.hasOwnProperty(C)){var Q=c[C],X=e("g",{class:o(Q,b),"data-handle":C,transform:"translate("+k[C][0]+","+k[C][1]+")"});X.appendChild(e("rect",{width:170,height:38,rx:4,ry:4}));var Y=e("text",{x:8,y:15,class:"abtf-graph-label"});Y.textContent=C.length>24?C.substr(0,23)+"…":C,X.appendChild(Y);var G=e("text",{x:8,y:30,class:"abtf-graph-sub"});G.textContent=p(Q),X.appendChild(G),z.appendChild(X)}var I=t('<div class="abtf-graph-scroll"></div>');I.append(z),a.append(I)}else a.append("<p>No WordPress script handles found on the page.</p>");var J=t('<div class="abtf-graph-details"><p class="description">Hover or click a handle for details.</p></div>');if(a.append(J),g.length){for(var K='<p><strong>Scripts without WordPress handle</strong></p><table class="widefat striped"><tbody>',R=0;R<g.length;R++)K+="<tr><td><code>"+r(g[R].src)+"</code></td><td>"+r(p({script:g[R]}))+"</td></tr>";K+="</tbody></table>",a.append(K)}var U=a.find("svg.abtf-graph"),V=function(t){var a=c[t],e={};e[t]=!0;var n;for(n=0;n<a.deps.length;n++)e[a.deps[n]]=!0;for(n=0;n<a.dependants.length;n++)e[a.dependants[n]]=!0;U.attr("class","abtf-graph abtf-graph-focus"),U.find("g.abtf-graph-node").each(function(){var t=this.getAttribute("class").replace(/ abtf-graph-active/g,"");this.setAttribute("class",t+(e[this.getAttribute("data-handle")]?" abtf-graph-active":""))}),U.find("path.abtf-graph-edge").each(function(){var a=this.getAttribute("class").replace(/ abtf-graph-active/g,""),r=this.getAttribute("data-from")===t||this.getAttribute("data-to")===t;this.setAttribute("class",a+(r?" abtf-graph-active":""))});var s="<p><strong>"+r(t)+"</strong> — "+r(p(a))+"</p>";a.src&&(s+="<p><code>"+r(a.src)+"</code></p>"),s+="<p>Dependencies: "+(a.deps.length?r(a.deps.join(", ")):"<em>none</em>")+"<br />",s+="Dependants: "+(a.dependants.length?r(a.dependants.join(", ")):"<em>none</em>")+"</p>",J.html(s)},Z=!1;U.find("g.abtf-graph-node").on("mouseenter",function(){V(this.getAttribute("data-handle"))}).on("mouseleave",function(){Z?V(Z):U.attr("class","abtf-graph")}).on("click",function(){var t=this.getAttribute("data-handle");Z=Z!==t&&t})};t("#abtf_scriptgraph_load").on("click",function(){var e=t("#abtf_scriptgraph_page").val();if(""!==e){var n=t(this);n.prop("disabled",!0),a.html("<p>Loading...</p>").show(),t.ajax({url:ajaxurl,type:"POST",dataType:"json",data:{action:"abtf_script_graph",nonce:n.data("nonce"),url:e},error:function(){n.prop("disabled",!1),a.html('<p class="abtf-graph-error">Failed to load the script dependency graph.</p>')},success:function(t){n.prop("disabled",!1),t&&!t.error&&t.graph?d(t):a.html('<p class="abtf-graph-error">'+r(t&&t.error?t.error:"Failed to load the script dependency graph.")+"</p>")}})}else alert("Select a page...")})}});
\ No newline at end of file
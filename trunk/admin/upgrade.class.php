@@ -534,6 +534,24 @@ class Abovethefold_Upgrade
                 }
             }
 
+            /**
+             * Pre 2.8.22 update
+             */
+            if (version_compare($current_version, '2.8.21', '<=')) {
+
+                /**
+                 * loadCSS forks replaced by a single loader
+                 *
+                 * Both previous loaders rendered with requestAnimationFrame and the render delay using a media swap.
+                 * The loadcss_enhanced option now controls requestAnimationFrame rendering and the render delay.
+                 */
+                if (is_array($options) && !isset($options['loadcss_swap'])) {
+                    $options['loadcss_enhanced'] = true;
+                    $options['loadcss_swap'] = 'print';
+                    $update_options = true;
+                }
+            }
+
             // update new abtf-pwa-policy.json format
             if (isset($options['pwa']) && $options['pwa']) {
 
@@ -55,6 +55,7 @@ class Abovethefold
     public $gwfo;
     public $proxy;
     public $lazy;
+    public $telemetry;
 
     /**
      * cURL controller
@@ -118,6 +119,9 @@ class Abovethefold
             // build tool full css export for Gulp.js critical task
             'abtf-buildtool-css' => array( 'admin_bar' => false ),
 
+            // script dependency graph export for the Javascript admin tab
+            'abtf-script-graph' => array( 'admin_bar' => false ),
+
             // external resource proxy
             'abtf-proxy' => array( )
         );
@@ -157,6 +161,9 @@ class Abovethefold
         // load webfont optimization controller
         $this->gwfo = new Abovethefold_WebFonts($this);
 
+        // load client performance telemetry controller
+        $this->telemetry = new Abovethefold_Telemetry($this);
+
         /**
          * External resource proxy
          */
@@ -205,6 +212,17 @@ class Abovethefold
          */
         $this->loader->add_action('abtf_cron', $this, 'cron');
         $this->loader->add_action('wp', $this, 'setup_cron');
+
+        /**
+         * Invalidate the HTML5 script loader cache on visitor devices, e.g. from a deploy script
+         *
+         * do_action('abtf_js_cache_invalidate');
+         * wp abtf js-cache-invalidate
+         */
+        $this->loader->add_action('abtf_js_cache_invalidate', $this, 'js_cache_invalidate');
+        if (defined('WP_CLI') && WP_CLI) {
+            WP_CLI::add_command('abtf js-cache-invalidate', array($this, 'cli_js_cache_invalidate'));
+        }
     }
 
     /**
@@ -373,6 +391,11 @@ class Abovethefold
          */
         require_once WPABTF_PATH . 'includes/proxy.class.php';
 
+        /**
+         * The class responsible for defining all actions related to client performance telemetry
+         */
+        require_once WPABTF_PATH . 'includes/telemetry.class.php';
+
         /**
          * The class responsible for defining all actions that occur in the Dashboard.
          */
@@ -717,7 +740,14 @@ class Abovethefold
          */
         $default_options['cssdelivery'] = false;
         $default_options['loadcss_enhanced'] = true;
+        $default_options['loadcss_swap'] = 'print';
+        $default_options['cssdelivery_cache'] = '';
         $default_options['cssdelivery_position'] = 'header';
+        $default_options['cssdelivery_retries'] = 2;
+        $default_options['cssdelivery_retry_delay'] = 1000;
+        $default_options['cssdelivery_timeout'] = 10000;
+        $default_options['cssdelivery_critical_cleanup'] = '';
+        $default_options['cssdelivery_critical_sentinels'] = array('header', 'h1', 'main', 'footer');
 
         /**
          * Javascript Delivery Optimization
@@ -726,6 +756,24 @@ class Abovethefold
         $default_options['jsdelivery_position'] = 'header';
         $default_options['jsdelivery_jquery'] = true;
         $default_options['jsdelivery_async_all'] = true;
+        $default_options['jsdelivery_inline'] = false;
+        $default_options['jsdelivery_parallel'] = false;
+        $default_options['jsdelivery_scriptloader_storage'] = 'auto';
+        $default_options['jsdelivery_scriptloader_integrity'] = false;
+        $default_options['jsdelivery_cache_generation'] = 0;
+        $default_options['jsdelivery_timeout'] = 0;
+        $default_options['jsdelivery_failure_default'] = 'skip';
+        $default_options['jsdelivery_exec_error'] = 'ignore';
+        $default_options['jsdelivery_sandbox'] = array();
+        $default_options['jsdelivery_sandbox_forward'] = array();
+
+        /**
+         * Navigation prefetch
+         */
+        $default_options['prefetch'] = false;
+        $default_options['prefetch_mode'] = 'prefetch';
+        $default_options['prefetch_trigger'] = 'hover';
+        $default_options['prefetch_exclude'] = array('/wp-admin', '/wp-login.php', 'logout', '/cart', '/checkout', '/my-account', 'add-to-cart=');
 
         /**
          * Web Font Optimization
@@ -741,6 +789,8 @@ class Abovethefold
         $default_options['debug'] = false;
         $default_options['adminbar'] = true;
         $default_options['clear_pagecache'] = false;
+        $default_options['csp_nonce'] = false;
+        $default_options['csp_header'] = '';
 
         // Store default options
         $options = get_option('abovethefold');
@@ -772,6 +822,43 @@ class Abovethefold
         $this->proxy->cron_prune();
     }
 
+    /**
+     * Bump the global cache generation of the HTML5 script loader
+     *
+     * Cached scripts of an older generation are removed on the next page view.
+     */
+    public function js_cache_invalidate()
+    {
+        $options = get_option('abovethefold');
+        if (!is_array($options)) {
+            $options = array();
+        }
+
+        $generation = ((isset($options['jsdelivery_cache_generation'])) ? intval($options['jsdelivery_cache_generation']) : 0) + 1;
+        $options['jsdelivery_cache_generation'] = $generation;
+        update_option('abovethefold', $options, true);
+
+        if (is_array($this->options)) {
+            $this->options['jsdelivery_cache_generation'] = $generation;
+        }
+
+        // the generation is included in the HTML of cached pages
+        if ($this->plugins) {
+            $this->plugins->clear_pagecache();
+        }
+
+        return $generation;
+    }
+
+    /**
+     * WP-CLI command: invalidate the HTML5 script loader cache
+     */
+    public function cli_js_cache_invalidate()
+    {
+        $generation = $this->js_cache_invalidate();
+        WP_CLI::success('Script cache generation bumped to ' . $generation . '.');
+    }
+
     /**
      * Setup cron
      */
@@ -45,11 +45,26 @@ class Abovethefold_Optimization
      */
     public $js_replacement_string = 'ABTF_JS';
 
+    /**
+     * HTML5 script loader cache version manifest replacement string
+     */
+    public $js_manifest_replacement_string = 'ABTF_JS_MANIFEST';
+
     /**
      * Critical CSS replacement string
      */
     public $criticalcss_replacement_string = 'ABTF_CRITICALCSS';
 
+    /**
+     * Content Security Policy nonce for the current request
+     */
+    public $csp_nonce = null;
+
+    /**
+     * Default Content Security Policy ({nonce} and {client-hash} are replaced per request)
+     */
+    public $csp_default_policy = "script-src 'nonce-{nonce}' {client-hash} 'strict-dynamic'; worker-src 'self' blob:; object-src 'none'; base-uri 'self'";
+
     /**
      * Preserve comments
      */
@@ -59,6 +74,9 @@ class Abovethefold_Optimization
     public $client_config_index;
     public $client_config_ref;
 
+    // client config schema version
+    public $client_config_schema;
+
     /**
      * Initialize the class and set its properties
      */
@@ -101,6 +119,9 @@ class Abovethefold_Optimization
             }
         }
 
+        // schema version, the client compares it with the version of the config index it was built with (Gruntfile.js)
+        $this->client_config_schema = substr(md5(json_encode($this->client_config_index)), 0, 8);
+
         /**
          * Optimize CSS delivery
          */
@@ -155,6 +176,9 @@ class Abovethefold_Optimization
 
         // wordpress header
         $this->CTRL->loader->add_action('wp_head', $this, 'header', 1);
+
+        // Content Security Policy header
+        $this->CTRL->loader->add_action('template_redirect', $this, 'csp_header', 99999);
     }
 
     /**
@@ -285,14 +309,26 @@ class Abovethefold_Optimization
     /**
      * Extract scripts from HTML
      */
-    public function extract_scripts($HTML)
+    public function extract_scripts($HTML, $inline = false)
     {
         $scripts = array();
 
-        // script regex
-        $script_regex = '#(<\!--\[if[^>]+>\s*)?<script[^>]+src[^>]+>([^<]*</script>)?#is';
+        if ($inline) {
+
+            // include inline scripts, the opening tags are matched by regex and the closing tags by position (a
+            // regex over the script code can exceed pcre.backtrack_limit on large pages)
+            $out = $this->match_script_tags($HTML);
+            if ($out === false) {
+
+                // regex failed, process external scripts only
+                return $this->extract_scripts($HTML);
+            }
+            $matched = !empty($out[0]);
+        } else {
+            $matched = preg_match_all('#(<\!--\[if[^>]+>\s*)?<script[^>]+src[^>]+>([^<]*</script>)?#is', $HTML, $out);
+        }
 
-        if (preg_match_all($script_regex, $HTML, $out)) {
+        if ($matched) {
             foreach ($out[0] as $n => $script) {
 
                 /**
@@ -302,6 +338,18 @@ class Abovethefold_Optimization
                     continue 1;
                 }
 
+                /**
+                 * Inline script
+                 */
+                if ($inline && !preg_match('#\ssrc\s*=#i', $out[2][$n])) {
+                    $scripts[] = array(
+                        false,
+                        $out[0][$n], // tag
+                        $out[3][$n] // code
+                    );
+                    continue 1;
+                }
+
                 /**
                  * No src, skip
                  */
@@ -319,6 +367,159 @@ class Abovethefold_Optimization
         return $scripts;
     }
 
+    /**
+     * Match script tags with code in HTML
+     *
+     * Returns array(tags, conditional comments, attributes, code) or false when the regex failed.
+     */
+    public function match_script_tags($HTML)
+    {
+        $out = array(array(), array(), array(), array());
+
+        if (preg_match_all('#(<\!--\[if[^>]+>\s*)?<script(\s[^>]*)?>#i', $HTML, $tags, PREG_OFFSET_CAPTURE | PREG_SET_ORDER) === false) {
+            return false;
+        }
+
+        $end = 0;
+        foreach ($tags as $tag) {
+
+            // tag in the code of a previous script
+            if ($tag[0][1] < $end) {
+                continue 1;
+            }
+
+            $code_start = $tag[0][1] + strlen($tag[0][0]);
+            $close = stripos($HTML, '</script>', $code_start);
+            if ($close === false) {
+                break 1;
+            }
+            $end = $close + 9;
+
+            $out[0][] = substr($HTML, $tag[0][1], $end - $tag[0][1]);
+            $out[1][] = (isset($tag[1]) && $tag[1][1] !== -1) ? $tag[1][0] : '';
+            $out[2][] = (isset($tag[2]) && $tag[2][1] !== -1) ? $tag[2][0] : '';
+            $out[3][] = substr($HTML, $code_start, $close - $code_start);
+        }
+
+        return $out;
+    }
+
+    /**
+     * Extract script attributes for the client script loader
+     */
+    public function script_attributes($tag)
+    {
+        $attrs = array();
+
+        // ES module
+        if (preg_match('#\stype\s*=\s*["\']?module["\'\s>]#i', $tag)) {
+            $attrs['type'] = 'module';
+        }
+        if (preg_match('#\snomodule(\s*=\s*["\'][^"\']*["\'])?[\s/>]#i', $tag)) {
+            $attrs['nomodule'] = true;
+        }
+
+        foreach (array('integrity', 'crossorigin', 'referrerpolicy') as $attr) {
+            if (preg_match('#\s'.$attr.'\s*=\s*["\']([^"\']*)["\']#i', $tag, $out)) {
+                $attrs[$attr] = $out[1];
+            } elseif ($attr === 'crossorigin' && preg_match('#\scrossorigin[\s/>]#i', $tag)) {
+
+                // empty crossorigin attribute
+                $attrs[$attr] = 'anonymous';
+            }
+        }
+
+        return $attrs;
+    }
+
+    /**
+     * Return client config for an inline script or false when the script should be left untouched
+     */
+    public function inline_script_config($tag, $code, $ignorelist = array())
+    {
+        if (trim($code) === '') {
+            return false;
+        }
+
+        $opentag = substr($tag, 0, strpos($tag, '>') + 1);
+
+        // Above The Fold client
+        if (strpos($opentag, 'data-abtf') !== false) {
+            return false;
+        }
+
+        // javascript only (e.g. not JSON-LD, templates, modules or import maps)
+        if (preg_match('#\stype\s*=\s*["\']?([^"\'\s>]+)#i', $opentag, $out) && !in_array(strtolower($out[1]), array('text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript'))) {
+            return false;
+        }
+
+        // match script against ignore list
+        if (!empty($ignorelist)) {
+            foreach ($ignorelist as $ignored_script_string) {
+                if (strpos($tag, $ignored_script_string) !== false) {
+                    return false;
+                }
+            }
+        }
+
+        // data that WordPress prints before a script (wp_localize_script and wp_add_inline_script before) is executed without waiting
+        $data = (preg_match('#\sid\s*=\s*["\'][^"\']+-js-(extra|before)["\']#i', $opentag)) ? true : false;
+
+        return array(false, $data, false, false, false, $code);
+    }
+
+    /**
+     * Extract inline import maps from HTML
+     */
+    public function extract_importmaps($HTML)
+    {
+        $importmaps = array();
+
+        if (preg_match_all('#<script[^>]+type\s*=\s*["\']?importmap["\']?[^>]*>(.*?)</script>#is', $HTML, $out)) {
+            foreach ($out[0] as $n => $tag) {
+                $importmaps[] = array(
+                    trim($out[1][$n]), // JSON
+                    $tag // tag
+                );
+            }
+        }
+
+        return $importmaps;
+    }
+
+    /**
+     * Return async loading for script
+     */
+    public function script_async($file, $matchedTag)
+    {
+
+        // match file against async disabled list (blocking)
+        if (isset($this->CTRL->options['jsdelivery_async_disabled']) && !empty($this->CTRL->options['jsdelivery_async_disabled'])) {
+            foreach ($this->CTRL->options['jsdelivery_async_disabled'] as $disabled_file_string) {
+                if (strpos($file, $disabled_file_string) !== false) {
+                    return false;
+                }
+            }
+        }
+
+        // force async for all scripts
+        if (isset($this->CTRL->options['jsdelivery_async_all']) && intval($this->CTRL->options['jsdelivery_async_all']) === 1) {
+            return true;
+        }
+
+        // match file against async force list
+        if (isset($this->CTRL->options['jsdelivery_async']) && !empty($this->CTRL->options['jsdelivery_async'])) {
+            foreach ($this->CTRL->options['jsdelivery_async'] as $async_file_string) {
+                if (strpos($file, $async_file_string) !== false) {
+                    return true;
+                }
+            }
+        }
+
+        // async script tag
+        return (strpos($matchedTag, ' async') !== false || strpos($matchedTag, ' defer') !== false);
+    }
+
     /**
      * Get script dependencies
      */
@@ -400,6 +601,170 @@ class Abovethefold_Optimization
         return array($scriptdeps,$dependencygroups,$dependencyreferences);
     }
 
+    /**
+     * Return script dependency graph for the Javascript admin tab
+     */
+    public function script_graph($buffer)
+    {
+        global $wp_scripts;
+
+        $graph = array(
+            'enabled' => $this->optimize_js_delivery,
+            'deps' => (isset($this->CTRL->options['jsdelivery_deps']) && $this->CTRL->options['jsdelivery_deps']) ? true : false,
+            'position' => (isset($this->CTRL->options['jsdelivery_position']) && $this->CTRL->options['jsdelivery_position'] === 'footer') ? 'footer' : 'header',
+            'handles' => array(),
+            'missing' => array(),
+            'scripts' => array()
+        );
+
+        /**
+         * WordPress script handles printed on the page
+         */
+        $done = (isset($wp_scripts) && isset($wp_scripts->done) && is_array($wp_scripts->done)) ? $wp_scripts->done : array();
+        foreach ($done as $handle) {
+            if (!isset($wp_scripts->registered[$handle])) {
+                continue 1;
+            }
+            $registered = $wp_scripts->registered[$handle];
+
+            $deps = (isset($registered->deps) && is_array($registered->deps)) ? array_values(array_filter($registered->deps, 'trim')) : array();
+
+            // dependencies added by the client (see wp_script_dependencies)
+            if ($handle === 'jquery-migrate') {
+                $deps[] = 'jquery-core';
+            }
+            if ($handle === 'admin-bar') {
+                $deps[] = 'jquery';
+            }
+
+            $src = (isset($registered->src) && trim($registered->src) !== '') ? str_replace(home_url(), '', $registered->src) : false;
+
+            $graph['handles'][$handle] = array(
+                'src' => $src,
+                'deps' => array_values(array_unique($deps)),
+                'group' => ($src === false)
+            );
+        }
+
+        // dependencies that are not registered or not printed on the page
+        foreach ($graph['handles'] as $handle => $config) {
+            foreach ($config['deps'] as $dep) {
+                if (isset($graph['handles'][$dep])) {
+                    continue 1;
+                }
+                if (!isset($graph['missing'][$dep])) {
+                    $graph['missing'][$dep] = array(
+                        'reason' => (isset($wp_scripts->registered[$dep])) ? 'not printed' : 'not registered',
+                        'required_by' => array()
+                    );
+                }
+                $graph['missing'][$dep]['required_by'][] = $handle;
+            }
+        }
+
+        /**
+         * Scripts in HTML
+         */
+        $ignorelist = (isset($this->CTRL->options['jsdelivery_ignore']) && is_array($this->CTRL->options['jsdelivery_ignore'])) ? $this->CTRL->options['jsdelivery_ignore'] : array();
+        $deletelist = (isset($this->CTRL->options['jsdelivery_remove']) && is_array($this->CTRL->options['jsdelivery_remove'])) ? $this->CTRL->options['jsdelivery_remove'] : array();
+        $headpos = stripos($buffer, '</head>');
+
+        $scripts = $this->extract_scripts($buffer);
+        if (!empty($scripts)) {
+            foreach ($scripts as $script) {
+                list($file, $matchedTag) = $script;
+                if (empty($file)) {
+                    continue 1;
+                }
+
+                $status = 'optimized';
+
+                $filterResult = apply_filters('abtf_jsfile_pre', $file);
+                if ($filterResult === 'ignore') {
+                    $status = 'ignored';
+                } elseif ($filterResult === 'delete') {
+                    $status = 'removed';
+                } elseif ($filterResult && $filterResult !== $file) {
+                    $file = $filterResult;
+                }
+
+                if ($status === 'optimized') {
+                    foreach ($ignorelist as $ignored_file_string) {
+                        if (strpos($file, $ignored_file_string) !== false) {
+                            $status = 'ignored';
+                            break 1;
+                        }
+                    }
+                }
+                if ($status === 'optimized') {
+                    foreach ($deletelist as $deleted_file_string) {
+                        if (strpos($file, $deleted_file_string) !== false) {
+                            $status = 'removed';
+                            break 1;
+                        }
+                    }
+                }
+
+                // WordPress handle
+                $handle = false;
+                foreach ($graph['handles'] as $scripthandle => $config) {
+                    if ($config['src'] && strpos($file, $config['src']) !== false) {
+                        $handle = $scripthandle;
+                        break 1;
+                    }
+                }
+
+                $file = html_entity_decode($file, ENT_COMPAT, 'utf-8');
+                $attrs = $this->script_attributes($matchedTag);
+
+                $script_graph = array(
+                    'src' => str_replace(home_url(), '', $file),
+                    'handle' => $handle,
+                    'status' => ($this->optimize_js_delivery) ? $status : 'ignored',
+                    'async' => $this->script_async($file, $matchedTag),
+                    'idle' => false,
+                    'interaction' => false,
+                    'sandbox' => false,
+                    'module' => (isset($attrs['type'])) ? 'module' : ((isset($attrs['nomodule'])) ? 'nomodule' : false)
+                );
+
+                // position in HTML
+                $tagpos = strpos($buffer, $matchedTag);
+                $script_graph['position'] = ($headpos !== false && $tagpos !== false && $tagpos < $headpos) ? 'header' : 'footer';
+
+                if ($script_graph['status'] === 'optimized') {
+                    $script_graph['position'] = $graph['position'];
+
+                    // idle and interaction match, true or the maximum wait in ms
+                    foreach (array('idle', 'interaction') as $list) {
+                        if (isset($this->CTRL->options['jsdelivery_' . $list]) && is_array($this->CTRL->options['jsdelivery_' . $list])) {
+                            foreach ($this->CTRL->options['jsdelivery_' . $list] as $cnf) {
+                                if (strpos($file, $cnf[0]) !== false) {
+                                    $script_graph[$list] = (isset($cnf[1])) ? $cnf[1] : true;
+                                    break 1;
+                                }
+                            }
+                        }
+                    }
+
+                    // sandbox mode (module scripts are not sandboxed)
+                    if ($script_graph['module'] !== 'module' && isset($this->CTRL->options['jsdelivery_sandbox']) && is_array($this->CTRL->options['jsdelivery_sandbox'])) {
+                        foreach ($this->CTRL->options['jsdelivery_sandbox'] as $cnf) {
+                            if (strpos($file, $cnf[0]) !== false) {
+                                $script_graph['sandbox'] = $cnf[1];
+                                break 1;
+                            }
+                        }
+                    }
+                }
+
+                $graph['scripts'][] = $script_graph;
+            }
+        }
+
+        return $graph;
+    }
+
     /**
      * Rewrite callback
      */
@@ -415,6 +780,10 @@ class Abovethefold_Optimization
             return $buffer;
         }
 
+        if ($this->CTRL->view === 'abtf-script-graph') {
+            return "--SCRIPT-GRAPH-JSON--\n" . json_encode($this->script_graph($buffer)) . "\n--SCRIPT-GRAPH-JSON--";
+        }
+
         // search / replace
         $search = array();
         $replace = array();
@@ -455,6 +824,20 @@ class Abovethefold_Optimization
                 }
             }
 
+            /**
+             * Load Strategies
+             *
+             * Matching files will be loaded using a client load strategy
+             */
+            $strategylist = array();
+            if (isset($this->CTRL->options['cssdelivery_strategies']) && !empty($this->CTRL->options['cssdelivery_strategies'])) {
+                foreach ($this->CTRL->options['cssdelivery_strategies'] as $rule) {
+                    if (is_array($rule) && isset($rule[0]) && isset($rule[1])) {
+                        $strategylist[] = $rule;
+                    }
+                }
+            }
+
             /**
              * Parse CSS links
              */
@@ -468,6 +851,9 @@ class Abovethefold_Optimization
                         continue 1;
                     }
 
+                    // original url, used as fallback when a proxy or CDN url fails to load
+                    $original_file = $file;
+
                     // apply css file filter pre processing
                     $filterResult = apply_filters('abtf_cssfile_pre', $file);
 
@@ -548,12 +934,31 @@ class Abovethefold_Optimization
                      */
                     $media = html_entity_decode($media, ENT_COMPAT, 'utf-8');
                     $file = html_entity_decode($file, ENT_COMPAT, 'utf-8');
+                    $original_file = html_entity_decode($original_file, ENT_COMPAT, 'utf-8');
 
                     // convert media to array
                     $media = explode(',', $media);
 
+                    // match file against load strategies
+                    $strategy = false;
+                    if (!empty($strategylist)) {
+                        foreach ($strategylist as $rule) {
+                            if (strpos($file, $rule[0]) !== false) {
+                                $strategy = (isset($rule[2]) && $rule[2] !== '') ? array($rule[1], $rule[2]) : array($rule[1]);
+                                break 1;
+                            }
+                        }
+                    }
+
                     // add file to style array to be processed
-                    $async_styles[] = array($media,$file);
+                    $style = array($media,$file);
+                    if ($strategy || $original_file !== $file) {
+                        $style[] = $strategy;
+                    }
+                    if ($original_file !== $file) {
+                        $style[] = $original_file;
+                    }
+                    $async_styles[] = $style;
                     
                     $search[] = $matchedTag;
                     $replace[] = '';
@@ -635,52 +1040,91 @@ class Abovethefold_Optimization
             }
 
             /**
-             * Force Async for all scripts
+             * Load WordPRess dependencies
              */
-            $forceAsync = (isset($this->CTRL->options['jsdelivery_async_all']) && intval($this->CTRL->options['jsdelivery_async_all']) === 1) ? true : false;
+            if (isset($this->CTRL->options['jsdelivery_deps']) && $this->CTRL->options['jsdelivery_deps']) {
+                list($wp_script_deps, $wp_script_depgroups, $wp_script_deprefs) = $this->wp_script_dependencies();
+            } else {
+                $wp_script_deps = false;
+            }
 
             /**
-             * Async Force List
+             * Merge import maps (the first definition of a specifier wins)
              *
-             * Matching files will be loaded asynchrounously
+             * Browsers support a single import map that must precede module scripts. The merged map replaces the first
+             * import map in its original position so that modules in the HTML resolve bare specifiers.
              */
-            $asynclist = array();
-            if (!$forceAsync && isset($this->CTRL->options['jsdelivery_async']) && !empty($this->CTRL->options['jsdelivery_async'])) {
-                foreach ($this->CTRL->options['jsdelivery_async'] as $row) {
-                    $asynclist[] = $row;
+            $importmap = false;
+            $importmap_tags = array();
+            $importmaps = $this->extract_importmaps($buffer);
+            if (!empty($importmaps)) {
+                foreach ($importmaps as $map) {
+                    list($json, $matchedTag) = $map;
+
+                    $json = @json_decode($json, true);
+                    if (!is_array($json)) {
+                        continue 1;
+                    }
+
+                    if (!$importmap) {
+                        $importmap = array();
+                    }
+                    $importmap_tags[] = $matchedTag;
+                    if (isset($json['imports']) && is_array($json['imports'])) {
+                        $importmap['imports'] = ((isset($importmap['imports'])) ? $importmap['imports'] : array()) + $json['imports'];
+                    }
+                    if (isset($json['scopes']) && is_array($json['scopes'])) {
+                        foreach ($json['scopes'] as $scope => $imports) {
+                            if (!is_array($imports)) {
+                                continue 1;
+                            }
+                            $importmap['scopes'][$scope] = ((isset($importmap['scopes'][$scope])) ? $importmap['scopes'][$scope] : array()) + $imports;
+                        }
+                    }
                 }
             }
 
-            /**
-             * Async Disabled List
-             *
-             * Matching files will be loaded non-async (blocking)
-             */
-            $async_disabledlist = array();
-            if (isset($this->CTRL->options['jsdelivery_async_disabled']) && !empty($this->CTRL->options['jsdelivery_async_disabled'])) {
-                foreach ($this->CTRL->options['jsdelivery_async_disabled'] as $row) {
-                    $async_disabledlist[] = $row;
+            if (count($importmap_tags) > 1) {
+                if (defined('JSON_UNESCAPED_SLASHES')) {
+                    $importmap_json = json_encode($importmap, JSON_UNESCAPED_SLASHES | JSON_HEX_TAG);
+                } else {
+                    $importmap_json = str_replace('\\/', '/', json_encode($importmap, JSON_HEX_TAG));
+                }
+
+                foreach ($importmap_tags as $n => $matchedTag) {
+                    $search[] = $matchedTag;
+                    $replace[] = ($n === 0) ? substr($matchedTag, 0, strpos($matchedTag, '>') + 1) . $importmap_json . '</script>' : '';
                 }
             }
 
             /**
-             * Load WordPRess dependencies
+             * Capture inline scripts
              */
-            if (isset($this->CTRL->options['jsdelivery_deps']) && $this->CTRL->options['jsdelivery_deps']) {
-                list($wp_script_deps, $wp_script_depgroups, $wp_script_deprefs) = $this->wp_script_dependencies();
-            } else {
-                $wp_script_deps = false;
-            }
+            $inline = (isset($this->CTRL->options['jsdelivery_inline']) && $this->CTRL->options['jsdelivery_inline']) ? true : false;
+            $inline_ignorelist = ($inline && isset($this->CTRL->options['jsdelivery_inline_ignore']) && is_array($this->CTRL->options['jsdelivery_inline_ignore'])) ? $this->CTRL->options['jsdelivery_inline_ignore'] : array();
 
             /**
              * Parse scripts
              */
             $optimized_scripts = array();
 
-            $scripts = $this->extract_scripts($buffer);
+            $scripts = $this->extract_scripts($buffer, $inline);
             if (!empty($scripts)) {
                 foreach ($scripts as $script) {
                     list($file, $matchedTag) = $script;
+
+                    // inline script, execute in queue order
+                    if ($file === false) {
+                        $inline_script = $this->inline_script_config($matchedTag, $script[2], $inline_ignorelist);
+                        if ($inline_script) {
+                            $optimized_scripts[] = $inline_script;
+
+                            $search[] = $matchedTag;
+                            $replace[] = '';
+                        }
+                        continue 1;
+                    }
+
                     if (empty($file)) {
                         continue 1;
                     }
@@ -738,36 +1182,7 @@ class Abovethefold_Optimization
                     }
 
                     // async loading
-                    $async = -1;
-
-                    // match file against async disabled list
-                    if (!empty($async_disabledlist)) {
-                        foreach ($async_disabledlist as $disabled_file_string) {
-                            if (strpos($file, $disabled_file_string) !== false) {
-                                $async = false;
-                                break 1;
-                            }
-                        }
-                    }
-
-                    if ($async === -1 && $forceAsync) {
-                        $async = true;
-                    }
-
-                    // match file against async force list
-                    if ($async === -1 && !$forceAsync && !empty($asynclist)) {
-                        foreach ($asynclist as $async_file_string) {
-                            if (strpos($file, $async_file_string) !== false) {
-                                $async = true;
-                                break 1;
-                            }
-                        }
-                    }
-
-                    // async script tag
-                    if ($async === -1) {
-                        $async = (strpos($matchedTag, ' async') !== false || strpos($matchedTag, ' defer') !== false);
-                    }
+                    $async = $this->script_async($file, $matchedTag);
 
                     $handle = false;
                     $deps = false;
@@ -789,7 +1204,15 @@ class Abovethefold_Optimization
                     $file = html_entity_decode($file, ENT_COMPAT, 'utf-8');
 
                     // add file to style array to be processed
-                    $optimized_scripts[] = array($file,$async,$handle,$deps);
+                    $script_config = array($file,$async,$handle,$deps);
+
+                    // module, nomodule, integrity, crossorigin and referrerpolicy
+                    $attrs = $this->script_attributes($matchedTag);
+                    if (!empty($attrs)) {
+                        $script_config[] = $attrs;
+                    }
+
+                    $optimized_scripts[] = $script_config;
                     
                     $search[] = $matchedTag;
                     $replace[] = '';
@@ -895,6 +1318,13 @@ class Abovethefold_Optimization
             $scripts = array();
             if (isset($optimized_scripts) && !empty($optimized_scripts)) {
                 foreach ($optimized_scripts as $script) {
+
+                    // inline script
+                    if ($script[0] === false) {
+                        $scripts[] = $script;
+                        continue 1;
+                    }
+
                     if (isset($reflog[$script[0]])) {
                         continue 1;
                     }
@@ -911,10 +1341,63 @@ class Abovethefold_Optimization
                 $scripts_data[] = $wp_script_deprefs;
             }
 
+            /**
+             * HTML5 script loader cache version manifest (url => sha256 integrity hash of the local file, the proxy cache file or a version)
+             *
+             * Cached scripts and stylesheets with a different version are removed on the client. Hashes are verified
+             * when integrity verification is enabled.
+             */
+            if ($this->CTRL->options['jsdelivery_scriptloader'] === 'html5' && $this->CTRL->options['js_proxy']) {
+                $manifest = array();
+                foreach ($scripts as $script) {
+                    if ($script[0] === false || isset($manifest[$script[0]])) {
+                        continue 1;
+                    }
+                    $hash = $this->CTRL->proxy->integrity_hash($script[0], 'js');
+                    if ($hash) {
+                        $manifest[$script[0]] = $hash;
+                    }
+                }
+
+                // stylesheets cached by the HTML5 script loader
+                if (isset($styles) && !empty($styles) && isset($this->CTRL->options['cssdelivery_cache']) && in_array($this->CTRL->options['cssdelivery_cache'], array('style', 'blob'))) {
+                    foreach ($styles as $style) {
+                        if (isset($manifest[$style[1]])) {
+                            continue 1;
+                        }
+                        $hash = $this->CTRL->proxy->integrity_hash($style[1], 'css');
+                        if ($hash) {
+                            $manifest[$style[1]] = $hash;
+                        }
+                    }
+                }
+
+                // apply filter to add or modify script versions
+                $manifest = apply_filters('abtf_js_cache_manifest', $manifest);
+
+                if (!is_array($manifest) || empty($manifest)) {
+                    $manifest = false;
+                }
+
+                // the configuration is placed in a single quoted HTML attribute (inline scripts)
+                if (defined('JSON_UNESCAPED_SLASHES')) {
+                    $manifest_json = json_encode($manifest, JSON_UNESCAPED_SLASHES | JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS);
+                } else {
+                    $manifest_json = str_replace('\\/', '/', json_encode($manifest, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS));
+                }
+
+                /**
+                 * Update script cache manifest JSON configuration
+                 */
+                $search[] = '"'.$this->js_manifest_replacement_string.'"';
+                $replace[] = $manifest_json;
+            }
+
+            // the configuration is placed in a single quoted HTML attribute (inline scripts)
             if (defined('JSON_UNESCAPED_SLASHES')) {
-                $scripts_json = json_encode($scripts_data, JSON_UNESCAPED_SLASHES);
+                $scripts_json = json_encode($scripts_data, JSON_UNESCAPED_SLASHES | JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS);
             } else {
-                $scripts_json = str_replace('\\/', '/', json_encode($scripts_data));
+                $scripts_json = str_replace('\\/', '/', json_encode($scripts_data, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS));
             }
 
             /**
@@ -1046,11 +1529,15 @@ class Abovethefold_Optimization
             print $clientjs['html_before'];
         }
 
+        // Content Security Policy nonce
+        $nonce = $this->csp_nonce();
+        $nonce_attr = ($nonce) ? ' nonce="' . esc_attr($nonce) . '"' : '';
+
         // print javascript
-        print '<script '.((!defined('ABTF_NOREF') || !ABTF_NOREF) ? 'data-ref="https://goo.gl/C1gw96"' : '').' data-abtf=\''.str_replace('\'', '&#39;', json_encode($clientjs['config'])).'\'>'.$clientjs['client'].'</script>';
+        print '<script '.((!defined('ABTF_NOREF') || !ABTF_NOREF) ? 'data-ref="https://goo.gl/C1gw96"' : '').$nonce_attr.' data-abtf=\''.str_replace('\'', '&#39;', json_encode($clientjs['config'])).'\'>'.$clientjs['client'].'</script>';
 
         // above the fold CSS
-        print '<style type="text/css" id="AbtfCSS" data-abtf>' . $inlineCSS . '</style>';
+        print '<style type="text/css" id="AbtfCSS"'.$nonce_attr.' data-abtf>' . $inlineCSS . '</style>';
     }
 
     /**
@@ -1070,7 +1557,9 @@ class Abovethefold_Optimization
         /**
          * Inline settings JSON
          */
-        $jssettings = array();
+        $jssettings = array(
+            $this->client_config_ref['schema'] => $this->client_config_schema
+        );
         
         /**
          * Javascript client files to combine
@@ -1089,11 +1578,35 @@ class Abovethefold_Optimization
         /** main client controller */
         $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold'.$jsdebug.'.min.js';
 
+        /** debug overlay */
+        if ($debug) {
+            $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-overlay.debug.min.js';
+        }
+
+        /**
+         * Client performance telemetry
+         */
+        $this->CTRL->telemetry->client_jssettings($jssettings, $jsfiles, $jsdebug);
+
         /**
          * Google PWA Optimization
          */
         $this->CTRL->pwa->client_jssettings($jssettings, $jsfiles, $script_code, $jsdebug, $html_before);
 
+        /**
+         * Navigation prefetch
+         */
+        if (isset($this->CTRL->options['prefetch']) && $this->CTRL->options['prefetch']) {
+            $prefetchindexsub = $this->client_config_ref['prefetch-sub'];
+            $jssettings[$this->client_config_ref['prefetch']] = array(
+                $prefetchindexsub['mode'] => (isset($this->CTRL->options['prefetch_mode']) && $this->CTRL->options['prefetch_mode'] === 'prerender') ? 'prerender' : 'prefetch',
+                $prefetchindexsub['trigger'] => (isset($this->CTRL->options['prefetch_trigger']) && $this->CTRL->options['prefetch_trigger'] === 'viewport') ? 'viewport' : 'hover',
+                $prefetchindexsub['exclude'] => (isset($this->CTRL->options['prefetch_exclude']) && is_array($this->CTRL->options['prefetch_exclude'])) ? array_values($this->CTRL->options['prefetch_exclude']) : array()
+            );
+
+            $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-prefetch'.$jsdebug.'.min.js';
+        }
+
         // Proxy external files
         if ($this->CTRL->options['js_proxy'] || $this->CTRL->options['css_proxy']) {
 
@@ -1121,6 +1634,11 @@ class Abovethefold_Optimization
                     $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-js-localstorage'.$jsdebug.'.min.js';
                 }
             }
+
+            // third-party script sandbox
+            if (isset($this->CTRL->options['jsdelivery_sandbox']) && !empty($this->CTRL->options['jsdelivery_sandbox'])) {
+                $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-js-sandbox'.$jsdebug.'.min.js';
+            }
         }
 
         /**
@@ -1130,11 +1648,7 @@ class Abovethefold_Optimization
             $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-css'.$jsdebug.'.min.js';
 
             /** Async CSS controller */
-            if (intval($this->CTRL->options['loadcss_enhanced']) === 1) {
-                $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-loadcss-enhanced'.$jsdebug.'.min.js';
-            } else {
-                $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-loadcss'.$jsdebug.'.min.js';
-            }
+            $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-loadcss'.$jsdebug.'.min.js';
         }
 
         /**
@@ -1142,6 +1656,11 @@ class Abovethefold_Optimization
          */
         foreach ($jsfiles as $file) {
             if (!file_exists($file)) {
+
+                // client module not built (grunt build)
+                if ($jsdebug) {
+                    $script_code .= 'console.error("Abtf","client module missing",' . json_encode(basename($file)) . ');';
+                }
                 continue 1;
             }
             $js = trim(file_get_contents($file));
@@ -1159,6 +1678,49 @@ class Abovethefold_Optimization
             if (isset($this->CTRL->options['jsdelivery_idle']) && !empty($this->CTRL->options['jsdelivery_idle'])) {
                 $jssettings[$this->client_config_ref['js']][] = $this->CTRL->options['jsdelivery_idle'];
             }
+
+            // load on interaction
+            if (isset($this->CTRL->options['jsdelivery_interaction']) && !empty($this->CTRL->options['jsdelivery_interaction'])) {
+                if (count($jssettings[$this->client_config_ref['js']]) === 2) {
+                    $jssettings[$this->client_config_ref['js']][] = false;
+                }
+                $jssettings[$this->client_config_ref['js']][] = $this->CTRL->options['jsdelivery_interaction'];
+            }
+
+            // parallel download with ordered execution
+            if (isset($this->CTRL->options['jsdelivery_parallel']) && $this->CTRL->options['jsdelivery_parallel']) {
+                $jssettings[$this->client_config_ref['js_parallel']] = true;
+            }
+
+            // HTML5 script loader cache storage
+            if (isset($this->CTRL->options['jsdelivery_scriptloader']) && $this->CTRL->options['jsdelivery_scriptloader'] === 'html5' && $this->CTRL->options['js_proxy']) {
+                $cacheindexsub = $this->client_config_ref['js_cache-sub'];
+                $jssettings[$this->client_config_ref['js_cache']] = array(
+                    $cacheindexsub['storage'] => (isset($this->CTRL->options['jsdelivery_scriptloader_storage']) && in_array($this->CTRL->options['jsdelivery_scriptloader_storage'], array('indexeddb', 'cache', 'localstorage'))) ? $this->CTRL->options['jsdelivery_scriptloader_storage'] : 'auto',
+                    $cacheindexsub['integrity'] => (isset($this->CTRL->options['jsdelivery_scriptloader_integrity']) && $this->CTRL->options['jsdelivery_scriptloader_integrity']) ? true : false,
+                    $cacheindexsub['generation'] => (isset($this->CTRL->options['jsdelivery_cache_generation'])) ? intval($this->CTRL->options['jsdelivery_cache_generation']) : 0,
+                    $cacheindexsub['manifest'] => $this->js_manifest_replacement_string
+                );
+            }
+
+            // third-party script sandbox
+            if (isset($this->CTRL->options['jsdelivery_sandbox']) && !empty($this->CTRL->options['jsdelivery_sandbox'])) {
+                $sandboxindexsub = $this->client_config_ref['js_sandbox-sub'];
+                $jssettings[$this->client_config_ref['js_sandbox']] = array(
+                    $sandboxindexsub['scripts'] => array_values($this->CTRL->options['jsdelivery_sandbox']),
+                    $sandboxindexsub['forward'] => (isset($this->CTRL->options['jsdelivery_sandbox_forward']) && is_array($this->CTRL->options['jsdelivery_sandbox_forward'])) ? array_values($this->CTRL->options['jsdelivery_sandbox_forward']) : array()
+                );
+            }
+
+            // load failure handling
+            $failureindexsub = $this->client_config_ref['js_failure-sub'];
+            $jssettings[$this->client_config_ref['js_failure']] = array(
+                $failureindexsub['timeout'] => (isset($this->CTRL->options['jsdelivery_timeout'])) ? intval($this->CTRL->options['jsdelivery_timeout']) : 0,
+                $failureindexsub['policy'] => (object)((isset($this->CTRL->options['jsdelivery_failure_policy']) && is_array($this->CTRL->options['jsdelivery_failure_policy'])) ? $this->CTRL->options['jsdelivery_failure_policy'] : array()),
+                $failureindexsub['default'] => (isset($this->CTRL->options['jsdelivery_failure_default']) && $this->CTRL->options['jsdelivery_failure_default'] === 'load') ? 'load' : 'skip',
+                $failureindexsub['exec'] => (isset($this->CTRL->options['jsdelivery_exec_error']) && $this->CTRL->options['jsdelivery_exec_error'] === 'fail') ? 'fail' : 'ignore',
+                $failureindexsub['report'] => (isset($this->CTRL->options['jsdelivery_error_report']) && trim($this->CTRL->options['jsdelivery_error_report']) !== '') ? $this->CTRL->options['jsdelivery_error_report'] : false
+            );
         }
 
         /**
@@ -1167,13 +1729,47 @@ class Abovethefold_Optimization
         if ($this->optimize_css_delivery) {
             $jssettings[$this->client_config_ref['css']] = $this->criticalcss_replacement_string;
 
-            if (isset($this->CTRL->options['cssdelivery_renderdelay']) && intval($this->CTRL->options['cssdelivery_renderdelay']) > 0) {
-                $jssettings[$this->client_config_ref['css_delay']] = intval($this->CTRL->options['cssdelivery_renderdelay']);
+            // render delay (enhanced loadCSS), fixed or adaptive budget
+            if (intval($this->CTRL->options['loadcss_enhanced']) === 1 && isset($this->CTRL->options['cssdelivery_renderdelay']) && intval($this->CTRL->options['cssdelivery_renderdelay']) > 0) {
+                if (isset($this->CTRL->options['cssdelivery_renderdelay_mode']) && $this->CTRL->options['cssdelivery_renderdelay_mode'] === 'adaptive') {
+                    $jssettings[$this->client_config_ref['css_budget']] = intval($this->CTRL->options['cssdelivery_renderdelay']);
+                } else {
+                    $jssettings[$this->client_config_ref['css_delay']] = intval($this->CTRL->options['cssdelivery_renderdelay']);
+                }
             }
 
             if (!isset($this->CTRL->options['cssdelivery_position']) || $this->CTRL->options['cssdelivery_position'] !== 'header') {
                 $jssettings[$this->client_config_ref['css_footer']] = true;
             }
+
+            // loadCSS strategies
+            $loadcssindexsub = $this->client_config_ref['loadcss_config-sub'];
+            $jssettings[$this->client_config_ref['loadcss_config']] = array(
+                $loadcssindexsub['swap'] => (isset($this->CTRL->options['loadcss_swap']) && $this->CTRL->options['loadcss_swap'] === 'preload') ? 'preload' : 'print',
+                $loadcssindexsub['raf'] => (isset($this->CTRL->options['loadcss_enhanced']) && intval($this->CTRL->options['loadcss_enhanced']) === 1) ? true : false
+            );
+
+            // stylesheet cache (HTML5 script loader)
+            if (isset($this->CTRL->options['cssdelivery_cache']) && in_array($this->CTRL->options['cssdelivery_cache'], array('style', 'blob')) && $this->optimize_js_delivery && isset($this->CTRL->options['jsdelivery_scriptloader']) && $this->CTRL->options['jsdelivery_scriptloader'] === 'html5' && $this->CTRL->options['js_proxy']) {
+                $jssettings[$this->client_config_ref['css_cache']] = $this->CTRL->options['cssdelivery_cache'];
+            }
+
+            // critical CSS cleanup
+            if (isset($this->CTRL->options['cssdelivery_critical_cleanup']) && in_array($this->CTRL->options['cssdelivery_critical_cleanup'], array('disable', 'remove'))) {
+                $cleanupindexsub = $this->client_config_ref['critical_cleanup-sub'];
+                $jssettings[$this->client_config_ref['critical_cleanup']] = array(
+                    $cleanupindexsub['mode'] => $this->CTRL->options['cssdelivery_critical_cleanup'],
+                    $cleanupindexsub['sentinels'] => (isset($this->CTRL->options['cssdelivery_critical_sentinels']) && is_array($this->CTRL->options['cssdelivery_critical_sentinels'])) ? array_values($this->CTRL->options['cssdelivery_critical_sentinels']) : array()
+                );
+            }
+
+            // load failure retry
+            $retryindexsub = $this->client_config_ref['css_retry-sub'];
+            $jssettings[$this->client_config_ref['css_retry']] = array(
+                $retryindexsub['retries'] => (isset($this->CTRL->options['cssdelivery_retries'])) ? intval($this->CTRL->options['cssdelivery_retries']) : 2,
+                $retryindexsub['delay'] => (isset($this->CTRL->options['cssdelivery_retry_delay'])) ? intval($this->CTRL->options['cssdelivery_retry_delay']) : 1000,
+                $retryindexsub['timeout'] => (isset($this->CTRL->options['cssdelivery_timeout'])) ? intval($this->CTRL->options['cssdelivery_timeout']) : 10000
+            );
         }
 
         $max = 0;
@@ -1207,6 +1803,80 @@ class Abovethefold_Optimization
         return base64_encode(hash($algorithm, $script['client'], true));
     }
 
+    /**
+     * Return Content Security Policy nonce for the current request (false when disabled)
+     *
+     * The nonce is disabled when a full page cache is active, cached HTML would contain the nonce of an earlier
+     * request. The policy falls back to the hash of the client script.
+     */
+    public function csp_nonce()
+    {
+        if (!isset($this->CTRL->options['csp_nonce']) || !$this->CTRL->options['csp_nonce']) {
+            return false;
+        }
+
+        if (isset($this->CTRL->plugins) && $this->CTRL->plugins->pagecache()) {
+            return false;
+        }
+
+        if (is_null($this->csp_nonce)) {
+            if (function_exists('random_bytes')) {
+                $nonce = base64_encode(random_bytes(16));
+            } elseif (function_exists('openssl_random_pseudo_bytes')) {
+                $nonce = base64_encode(openssl_random_pseudo_bytes(16));
+            } else {
+                $nonce = base64_encode(md5(uniqid(mt_rand(), true), true));
+            }
+
+            // use the nonce of a security plugin that sends the policy header
+            $this->csp_nonce = apply_filters('abtf_csp_nonce', $nonce);
+        }
+
+        return $this->csp_nonce;
+    }
+
+    /**
+     * Return Content Security Policy for the current request
+     */
+    public function csp_policy($debug = false)
+    {
+        $policy = (isset($this->CTRL->options['csp_policy']) && trim($this->CTRL->options['csp_policy']) !== '') ? $this->CTRL->options['csp_policy'] : $this->csp_default_policy;
+
+        // one directive per line in the admin
+        $policy = trim(preg_replace('|\s*[\r\n]+\s*|', ' ', $policy));
+
+        $nonce = $this->csp_nonce();
+        if ($nonce) {
+            $policy = str_replace('{nonce}', $nonce, $policy);
+        } else {
+            $policy = str_replace(" 'nonce-{nonce}'", '', $policy);
+        }
+
+        if (strpos($policy, '{client-hash}') !== false) {
+            $policy = str_replace('{client-hash}', "'sha256-" . $this->get_client_script_hash($debug) . "'", $policy);
+        }
+
+        return apply_filters('abtf_csp_policy', $policy);
+    }
+
+    /**
+     * Send Content Security Policy header
+     */
+    public function csp_header()
+    {
+        if ($this->CTRL->disabled || $this->CTRL->view || headers_sent()) {
+            return;
+        }
+
+        if (!isset($this->CTRL->options['csp_header']) || !in_array($this->CTRL->options['csp_header'], array('enforce', 'report'))) {
+            return;
+        }
+
+        $debug = (current_user_can('administrator') && intval($this->CTRL->options['debug']) === 1) ? true : false;
+
+        header((($this->CTRL->options['csp_header'] === 'report') ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy') . ': ' . $this->csp_policy($debug));
+    }
+
     /**
      * Minify HTML
      */
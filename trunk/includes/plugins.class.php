@@ -97,6 +97,22 @@ class Abovethefold_Plugins {
 
 	}
 
+	/**
+	 * Return names of active full page cache plugins
+	 */
+	public function pagecache() {
+
+		$plugins = array();
+		foreach ($this->active_modules as $module) {
+			if ($module->pagecache) {
+				$plugins[] = $module->name;
+			}
+		}
+
+		return $plugins;
+
+	}
+
 	/**
 	 * Get plugin modules
 	 */
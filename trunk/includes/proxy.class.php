@@ -109,6 +109,16 @@ class Abovethefold_Proxy
      */
     public $default_cache_expire = 2592000; // 30 days
 
+    /**
+     * Transient with cached integrity hashes (path => [modified time, size, hash])
+     */
+    public $integrity_transient = 'abtf_integrity_hashes';
+
+    /**
+     * Maximum number of cached integrity hashes
+     */
+    public $integrity_cache_size = 1000;
+
     /**
      * Initialize the class and set its properties
      */
@@ -979,6 +989,104 @@ class Abovethefold_Proxy
         return false;
     }
 
+    /**
+     * Return Subresource Integrity hash (sha256) of a local file or the proxy cache file for url
+     *
+     * Used in the HTML output buffer: the proxy cache is not created and errors do not abort the request.
+     */
+    public function integrity_hash($url, $type)
+    {
+        $path = $this->local_path($url);
+
+        // static files only, the output of a script differs from the file
+        if ($path && strtolower(pathinfo($path, PATHINFO_EXTENSION)) !== $type) {
+            return false;
+        }
+
+        if (!$path) {
+
+            // proxy cache file of external url
+            $parsed = $this->parse_url($url);
+            if (!$parsed || $parsed[2] !== false || strlen($parsed[1]) !== 32) {
+                return false;
+            }
+
+            $path = apply_filters('abtf_cache_path', ABTF_CACHE_DIR . 'proxy/') . implode('/', array_slice(str_split($parsed[1], 2), 0, 3)) . '/' . $parsed[1] . '.' . (($type === 'css') ? 'css' : 'js');
+            if ($this->cache_file_expired($path, $url)) {
+                return false;
+            }
+        }
+
+        // hashes are cached by path, modified time and size
+        $mtime = filemtime($path);
+        $size = filesize($path);
+
+        $hashes = get_transient($this->integrity_transient);
+        if (!is_array($hashes)) {
+            $hashes = array();
+        }
+        if (isset($hashes[$path]) && $hashes[$path][0] === $mtime && $hashes[$path][1] === $size) {
+            return $hashes[$path][2];
+        }
+
+        $hash = hash_file('sha256', $path, true);
+        if (!$hash) {
+            return false;
+        }
+        $hash = 'sha256-' . base64_encode($hash);
+
+        if (count($hashes) >= $this->integrity_cache_size) {
+            $hashes = array();
+        }
+        $hashes[$path] = array($mtime, $size, $hash);
+        set_transient($this->integrity_transient, $hashes, DAY_IN_SECONDS);
+
+        return $hash;
+    }
+
+    /**
+     * Return path of a local url in the WordPress root, false for external urls or missing files
+     */
+    public function local_path($url)
+    {
+        $url = trim($url);
+
+        // protocol relative url
+        if (substr($url, 0, 2) === '//') {
+            $url = ((isset($_SERVER['HTTPS']) && $_SERVER['HTTPS'] != 'off') ? 'https:' : 'http:') . $url;
+        }
+
+        if (strpos($url, '://') !== false) {
+            $parsed_url = parse_url($url);
+            if (!$parsed_url || !isset($parsed_url['scheme']) || !in_array(strtolower($parsed_url['scheme']), array('http', 'https')) || empty($parsed_url['host'])) {
+                return false;
+            }
+
+            // external url
+            if (!$this->is_local($parsed_url, $url) && (empty($this->cdn_hosts) || !in_array($parsed_url['host'], $this->cdn_hosts))) {
+                return false;
+            }
+
+            $url = (isset($parsed_url['path'])) ? $parsed_url['path'] : '';
+        } else {
+
+            // remove query string and hash
+            $url = preg_replace('|[?#].*$|', '', $url);
+        }
+
+        $resource_path = realpath($this->abspath . ltrim($url, '/'));
+
+        /**
+         * Make sure resource is in WordPress root
+         * @security
+         */
+        if (!$resource_path || strpos($resource_path, $this->abspath) !== 0 || !is_file($resource_path)) {
+            return false;
+        }
+
+        return $resource_path;
+    }
+
     /**
      * Match url against include list
      */
@@ -0,0 +1,490 @@
+<?php
+
+/**
+ * Abovethefold client performance telemetry.
+ *
+ * This class provides the functionality for receiving and reporting client performance telemetry.
+ *
+ * @since      2.8.22
+ * @package    abovethefold
+ * @subpackage abovethefold/includes
+ * @author     PageSpeed.pro <info@pagespeed.pro>
+ */
+
+
+class Abovethefold_Telemetry
+{
+
+    /**
+     * Above the fold controller
+     */
+    public $CTRL;
+
+    /**
+     * Option name for stored reports
+     */
+    public $option_name = 'abovethefold_telemetry';
+
+    /**
+     * Maximum number of stored reports
+     */
+    public $max_reports = 100;
+
+    /**
+     * Maximum beacon size in bytes
+     */
+    public $max_report_size = 32768;
+
+    /**
+     * Maximum number of resources per report
+     */
+    public $max_resources = 50;
+
+    /**
+     * Maximum resource timing in milliseconds
+     */
+    public $max_time = 600000;
+
+    /**
+     * Default sample rate (percentage of page views)
+     */
+    public $default_sample = 5;
+
+    /**
+     * Minimum interval in seconds between reports of a visitor (IP)
+     */
+    public $throttle_ip = 60;
+
+    /**
+     * Maximum number of stored reports per minute
+     */
+    public $throttle_minute = 30;
+
+    /**
+     * HTML5 script loader cache statistics
+     */
+    public $jscache_stats = array('entries', 'size', 'chunks', 'hits', 'misses', 'evictions', 'expired', 'invalidated', 'integrity', 'worker_errors', 'storage_errors');
+
+    /**
+     * Initialize the class and set its properties
+     */
+    public function __construct(&$CTRL)
+    {
+        $this->CTRL =& $CTRL;
+
+        // beacon receiver (AJAX requests are excluded from optimization)
+        $this->CTRL->loader->add_action('wp_ajax_abtf_telemetry', $this, 'receive');
+        $this->CTRL->loader->add_action('wp_ajax_nopriv_abtf_telemetry', $this, 'receive');
+    }
+
+    /**
+     * Telemetry enabled
+     */
+    public function enabled()
+    {
+        return (isset($this->CTRL->options['telemetry']) && $this->CTRL->options['telemetry']);
+    }
+
+    /**
+     * Return beacon url
+     */
+    public function beacon_url()
+    {
+        if (isset($this->CTRL->options['telemetry_url']) && $this->sanitize_url($this->CTRL->options['telemetry_url']) !== '') {
+            return $this->sanitize_url($this->CTRL->options['telemetry_url']);
+        }
+
+        return add_query_arg(array( 'action' => 'abtf_telemetry' ), admin_url('admin-ajax.php'));
+    }
+
+    /**
+     * Javascript client settings
+     */
+    public function client_jssettings(&$jssettings, &$jsfiles, $jsdebug)
+    {
+        if (!$this->enabled()) {
+            return;
+        }
+
+        $telemetryindex = $this->CTRL->optimization->client_config_ref['telemetry'];
+        $telemetryindexsub = $this->CTRL->optimization->client_config_ref['telemetry-sub'];
+
+        $jssettings[$telemetryindex] = array(
+            $telemetryindexsub['url'] => $this->beacon_url(),
+            $telemetryindexsub['sample'] => (isset($this->CTRL->options['telemetry_sample']) && intval($this->CTRL->options['telemetry_sample']) > 0) ? intval($this->CTRL->options['telemetry_sample']) : $this->default_sample
+        );
+
+        $jsfiles[] = WPABTF_PATH . 'public/js/abovethefold-telemetry'.$jsdebug.'.min.js';
+    }
+
+    /**
+     * Receive telemetry beacon
+     *
+     * The endpoint is public. Reports are throttled per visitor and per minute and are stored under a lock, reports
+     * that arrive while another report is stored are dropped.
+     */
+    public function receive()
+    {
+        if (!$this->enabled() || !isset($_SERVER['REQUEST_METHOD']) || $_SERVER['REQUEST_METHOD'] !== 'POST') {
+            $this->response(403);
+        }
+
+        // same origin beacons only
+        if (isset($_SERVER['HTTP_ORIGIN']) && $_SERVER['HTTP_ORIGIN'] !== 'null') {
+            if (parse_url($_SERVER['HTTP_ORIGIN'], PHP_URL_HOST) !== parse_url(home_url(), PHP_URL_HOST)) {
+                $this->response(403);
+            }
+        }
+
+        // throttle
+        if (!$this->throttle()) {
+            $this->response(429);
+        }
+
+        // sendBeacon posts the report as text/plain
+        $json = file_get_contents('php://input', false, null, 0, $this->max_report_size + 1);
+        if (!$json || strlen($json) > $this->max_report_size) {
+            $this->response(400);
+        }
+
+        try {
+            $report = @json_decode($json, true);
+        } catch (Exception $err) {
+            $report = false;
+        }
+        if (!is_array($report)) {
+            $this->response(400);
+        }
+
+        $report = $this->sanitize_report($report);
+
+        // lock to prevent concurrent requests from overwriting reports
+        $lock = $this->option_name . '_lock';
+        if (!add_option($lock, time(), '', 'no')) {
+            $locktime = intval(get_option($lock));
+            if ($locktime > (time() - 10)) {
+                $this->response(204);
+            }
+
+            // stale lock
+            update_option($lock, time());
+        }
+
+        $reports = $this->get_reports();
+        $reports[] = $report;
+        if (count($reports) > $this->max_reports) {
+            $reports = array_slice($reports, (count($reports) - $this->max_reports));
+        }
+
+        update_option($this->option_name, $reports, false);
+
+        delete_option($lock);
+
+        $this->response(204);
+    }
+
+    /**
+     * Throttle reports per visitor (IP) and per minute, returns false when the report should be dropped
+     */
+    public function throttle()
+    {
+        $ip = (isset($_SERVER['REMOTE_ADDR'])) ? $_SERVER['REMOTE_ADDR'] : '';
+        $iptransient = 'abtf_telemetry_' . md5($ip);
+        if (get_transient($iptransient)) {
+            return false;
+        }
+        set_transient($iptransient, 1, $this->throttle_ip);
+
+        $minutetransient = 'abtf_telemetry_' . floor(time() / 60);
+        $count = intval(get_transient($minutetransient));
+        if ($count >= $this->throttle_minute) {
+            return false;
+        }
+        set_transient($minutetransient, $count + 1, 120);
+
+        return true;
+    }
+
+    /**
+     * Sanitize beacon endpoint url (http or https)
+     */
+    public function sanitize_url($url)
+    {
+        $url = esc_url_raw(trim($url), array('http', 'https'));
+
+        return ($url) ? $url : '';
+    }
+
+    /**
+     * Sanitize resource url
+     */
+    public function sanitize_resource_url($url)
+    {
+        return substr(esc_url_raw($url, array('http', 'https')), 0, 255);
+    }
+
+    /**
+     * Sanitize timing
+     */
+    public function sanitize_time($time)
+    {
+        return (is_numeric($time)) ? min($this->max_time, max(0, intval($time))) : false;
+    }
+
+    /**
+     * Send status response
+     */
+    public function response($status)
+    {
+        status_header($status);
+        exit;
+    }
+
+    /**
+     * Sanitize report
+     */
+    public function sanitize_report($report)
+    {
+        $sanitized = array(
+            'time' => time(),
+            'url' => (isset($report['url']) && is_string($report['url']) && substr($report['url'], 0, 1) === '/') ? substr(preg_replace('|[^a-zA-Z0-9\-._~%!$&\'()*+,;=:@/]|', '', $report['url']), 0, 255) : '',
+            'paint' => array(),
+            'css' => array(),
+            'js' => array(),
+            'cache' => array(0, 0),
+            'proxy' => (isset($report['proxy']) && is_numeric($report['proxy'])) ? min(1000, max(0, intval($report['proxy']))) : 0,
+            'fonts' => false,
+            'jscache' => false
+        );
+
+        // paint timing
+        foreach (array('fp', 'fcp', 'lcp') as $key) {
+            if (isset($report['paint'][$key]) && is_numeric($report['paint'][$key])) {
+                $sanitized['paint'][$key] = $this->sanitize_time($report['paint'][$key]);
+            }
+        }
+
+        // CSS: [start, applied]
+        if (isset($report['css']) && is_array($report['css'])) {
+            foreach (array_slice($report['css'], 0, $this->max_resources, true) as $url => $timing) {
+                $url = $this->sanitize_resource_url($url);
+                if (!is_array($timing) || !$url) {
+                    continue 1;
+                }
+                $sanitized['css'][$url] = array(
+                    (isset($timing['start'])) ? $this->sanitize_time($timing['start']) : false,
+                    (isset($timing['applied'])) ? $this->sanitize_time($timing['applied']) : false
+                );
+            }
+        }
+
+        // scripts: [handle, queued, wait, executed]
+        if (isset($report['js']) && is_array($report['js'])) {
+            foreach (array_slice($report['js'], 0, $this->max_resources, true) as $url => $timing) {
+                $url = $this->sanitize_resource_url($url);
+                if (!is_array($timing) || !$url) {
+                    continue 1;
+                }
+                $sanitized['js'][$url] = array(
+                    (isset($timing['handle']) && is_string($timing['handle'])) ? substr(preg_replace('|[^a-zA-Z0-9_.\-]|', '', $timing['handle']), 0, 100) : false,
+                    (isset($timing['queued'])) ? $this->sanitize_time($timing['queued']) : false,
+                    (isset($timing['wait'])) ? $this->sanitize_time($timing['wait']) : false,
+                    (isset($timing['executed'])) ? $this->sanitize_time($timing['executed']) : false
+                );
+            }
+        }
+
+        // script cache [hits, misses]
+        if (isset($report['cache']) && is_array($report['cache']) && count($report['cache']) === 2) {
+            $sanitized['cache'] = array(
+                (is_numeric($report['cache'][0])) ? min(1000, max(0, intval($report['cache'][0]))) : 0,
+                (is_numeric($report['cache'][1])) ? min(1000, max(0, intval($report['cache'][1]))) : 0
+            );
+        }
+
+        // HTML5 script loader cache statistics
+        if (isset($report['jscache']) && is_array($report['jscache'])) {
+            $sanitized['jscache'] = array(
+                'storage' => (isset($report['jscache']['storage']) && in_array($report['jscache']['storage'], array('indexeddb', 'cache', 'localstorage'), true)) ? $report['jscache']['storage'] : false
+            );
+            foreach ($this->jscache_stats as $key) {
+                $sanitized['jscache'][$key] = (isset($report['jscache'][$key]) && is_numeric($report['jscache'][$key])) ? max(0, intval($report['jscache'][$key])) : 0;
+            }
+        }
+
+        // web fonts: [status, time]
+        if (isset($report['fonts']) && is_array($report['fonts']) && count($report['fonts']) === 2) {
+            $sanitized['fonts'] = array(
+                ($report['fonts'][0] === 'active') ? 'active' : 'inactive',
+                $this->sanitize_time($report['fonts'][1])
+            );
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Return stored reports
+     */
+    public function get_reports()
+    {
+        $reports = get_option($this->option_name);
+        if (!is_array($reports)) {
+            $reports = array();
+        }
+
+        return $reports;
+    }
+
+    /**
+     * Delete stored reports
+     */
+    public function clear()
+    {
+        delete_option($this->option_name);
+    }
+
+    /**
+     * Return median of values
+     */
+    public function median($values)
+    {
+        $values = array_values(array_filter($values, 'is_int'));
+        $count = count($values);
+        if ($count === 0) {
+            return false;
+        }
+        sort($values);
+        $middle = (int)floor($count / 2);
+
+        return ($count % 2) ? $values[$middle] : (int)round(($values[$middle - 1] + $values[$middle]) / 2);
+    }
+
+    /**
+     * Return aggregated report for admin panel
+     */
+    public function get_summary()
+    {
+        $reports = $this->get_reports();
+
+        $summary = array(
+            'count' => count($reports),
+            'from' => false,
+            'to' => false,
+            'paint' => array(),
+            'css' => array(),
+            'js' => array(),
+            'cache' => array(0, 0),
+            'proxy' => 0,
+            'fonts' => array(),
+            'jscache' => false
+        );
+        if (empty($reports)) {
+            return $summary;
+        }
+
+        $paint = array('fp' => array(), 'fcp' => array(), 'lcp' => array());
+        $css = array();
+        $js = array();
+        $fonts = array('active' => 0, 'inactive' => 0, 'time' => array());
+        $jscache = array('count' => 0, 'storage' => array(), 'entries' => array(), 'size' => array());
+        foreach ($this->jscache_stats as $key) {
+            if (!isset($jscache[$key])) {
+                $jscache[$key] = 0;
+            }
+        }
+
+        foreach ($reports as $report) {
+            if (!$summary['from'] || $report['time'] < $summary['from']) {
+                $summary['from'] = $report['time'];
+            }
+            if (!$summary['to'] || $report['time'] > $summary['to']) {
+                $summary['to'] = $report['time'];
+            }
+
+            foreach ($report['paint'] as $key => $time) {
+                $paint[$key][] = $time;
+            }
+
+            foreach ($report['css'] as $url => $timing) {
+                if (!isset($css[$url])) {
+                    $css[$url] = array('start' => array(), 'applied' => array());
+                }
+                $css[$url]['start'][] = $timing[0];
+                $css[$url]['applied'][] = $timing[1];
+            }
+
+            foreach ($report['js'] as $url => $timing) {
+                if (!isset($js[$url])) {
+                    $js[$url] = array('handle' => $timing[0], 'queued' => array(), 'wait' => array(), 'executed' => array());
+                }
+                $js[$url]['queued'][] = $timing[1];
+                $js[$url]['wait'][] = $timing[2];
+                $js[$url]['executed'][] = $timing[3];
+            }
+
+            $summary['cache'][0] += $report['cache'][0];
+            $summary['cache'][1] += $report['cache'][1];
+            $summary['proxy'] += $report['proxy'];
+
+            if ($report['fonts']) {
+                $fonts[$report['fonts'][0]]++;
+                $fonts['time'][] = $report['fonts'][1];
+            }
+
+            // reports stored by older versions do not contain cache statistics
+            if (isset($report['jscache']) && $report['jscache']) {
+                $jscache['count']++;
+                $storage = ($report['jscache']['storage']) ? $report['jscache']['storage'] : 'none';
+                $jscache['storage'][$storage] = ((isset($jscache['storage'][$storage])) ? $jscache['storage'][$storage] : 0) + 1;
+                $jscache['entries'][] = $report['jscache']['entries'];
+                $jscache['size'][] = $report['jscache']['size'];
+                foreach ($this->jscache_stats as $key) {
+                    if (!is_array($jscache[$key])) {
+                        $jscache[$key] += $report['jscache'][$key];
+                    }
+                }
+            }
+        }
+
+        foreach ($paint as $key => $times) {
+            $summary['paint'][$key] = $this->median($times);
+        }
+
+        foreach ($css as $url => $timing) {
+            $summary['css'][$url] = array(
+                'count' => count($timing['start']),
+                'start' => $this->median($timing['start']),
+                'applied' => $this->median($timing['applied'])
+            );
+        }
+
+        foreach ($js as $url => $timing) {
+            $summary['js'][$url] = array(
+                'count' => count($timing['queued']),
+                'handle' => $timing['handle'],
+                'queued' => $this->median($timing['queued']),
+                'wait' => $this->median($timing['wait']),
+                'executed' => $this->median($timing['executed'])
+            );
+        }
+
+        $summary['proxy'] = round($summary['proxy'] / $summary['count'], 1);
+
+        if ($fonts['active'] || $fonts['inactive']) {
+            $summary['fonts'] = array(
+                'active' => $fonts['active'],
+                'inactive' => $fonts['inactive'],
+                'time' => $this->median($fonts['time'])
+            );
+        }
+
+        if ($jscache['count'] > 0) {
+            $jscache['entries'] = $this->median($jscache['entries']);
+            $jscache['size'] = $this->median($jscache['size']);
+            $summary['jscache'] = $jscache;
+        }
+
+        return $summary;
+    }
+}
@@ -22,6 +22,11 @@ abstract class Abovethefold_OPP {
 	 */
 	public $name;
 
+	/**
+	 * Full page cache plugin
+	 */
+	public $pagecache = false;
+
 	/**
 	 * Initialize the class and set its properties.
 	 */
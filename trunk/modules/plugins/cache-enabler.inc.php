@@ -21,6 +21,16 @@ class Abovethefold_OPP_CacheEnabler extends Abovethefold_OPP
      */
     public $plugin_file = 'cache-enabler/cache-enabler.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'Cache Enabler';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Initialize the class and set its properties
      */
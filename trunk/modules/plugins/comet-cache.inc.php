@@ -31,6 +31,16 @@ class Abovethefold_OPP_CometCache extends Abovethefold_OPP
      */
     public $plugin_file = 'comet-cache/comet-cache.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'Comet Cache';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Initialize the class and set its properties
      */
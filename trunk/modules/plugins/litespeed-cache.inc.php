@@ -22,6 +22,16 @@ class Abovethefold_OPP_LitespeedCache extends Abovethefold_OPP
      */
     public $plugin_file = 'litespeed-cache/litespeed-cache.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'LiteSpeed Cache';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Initialize the class and set its properties
      */
@@ -21,6 +21,16 @@ class Abovethefold_OPP_NginxHelper extends Abovethefold_OPP
      */
     public $plugin_file = 'nginx-helper/nginx-helper.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'Nginx Helper';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Initialize the class and set its properties
      */
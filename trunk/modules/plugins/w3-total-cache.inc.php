@@ -21,6 +21,16 @@ class Abovethefold_OPP_W3TotalCache extends Abovethefold_OPP
      */
     public $plugin_file = 'w3-total-cache/w3-total-cache.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'W3 Total Cache';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Config data
      */
@@ -21,6 +21,16 @@ class Abovethefold_OPP_WpFastestCache extends Abovethefold_OPP
      */
     public $plugin_file = 'wp-fastest-cache/wpFastestCache.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'WP Fastest Cache';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Initialize the class and set its properties
      */
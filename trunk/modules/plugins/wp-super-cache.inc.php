@@ -21,6 +21,16 @@ class Abovethefold_OPP_WpSuperCache extends Abovethefold_OPP
      */
     public $plugin_file = 'wp-super-cache/wp-cache.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'WP Super Cache';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Initialize the class and set its properties
      */
@@ -31,6 +31,16 @@ class Abovethefold_OPP_Zencache extends Abovethefold_OPP
      */
     public $plugin_file = 'zencache/zencache.php';
 
+    /**
+     * Name of the plugin
+     */
+    public $name = 'Zencache';
+
+    /**
+     * Full page cache plugin
+     */
+    public $pagecache = true;
+
     /**
      * Initialize the class and set its properties
      */
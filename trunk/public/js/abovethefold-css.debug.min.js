@@ -1 +1,11 @@
-Abtf[0](function(d,b){b[12]=function(){var c,a=b[2];if(a)if("object"==typeof a)for(i in console.log("Abtf.css()",a),document.getElementById("AbtfCSS")&&document.getElementById("AbtfCSS").nextSibling,a)a.hasOwnProperty(i)&&"object"==typeof a[i]?(c=a[i][0].join(","),b[19](a[i][1],c)):console.error("Abtf.css()","Invalid CSS file configuration",i,a);else console.error("Abtf.css()","output buffer failed to apply CSS optimization")}});
+Abtf[31](function(l,e){function y(){var k=e[36],c=document.getElementById("AbtfCSS");if(c&&c.sheet){for(var g=[],d=k[1]instanceof Array?k[1]:[],b=d.length,a=0;a<b;a++){try{var f=document.querySelector(d[a])}catch(w){console.error("Abtf.css() \u27a4 critical CSS cleanup \u27a4 invalid sentinel selector",d[a]);continue}f&&g.push([d[a],f])}b=function(){for(var a=[],b=g.length,c=0;c<b;c++){var d=g[c][1].getBoundingClientRect();a.push([Math.round(d.left),Math.round(d.top),Math.round(d.width),Math.round(d.height)].join())}return a};
+d=[];try{var h=c.sheet.cssRules||[]}catch(w){h=[]}a=Math.min(h.length,500);for(f=0;f<a;f++)if(h[f].selectorText&&h[f].style){try{var m=document.querySelector(h[f].selectorText)}catch(w){continue}if(m)for(var t=l.getComputedStyle(m),p=h[f].style.length,n=0;n<p;n++){var q=h[f].style[n];d.push([h[f].selectorText,q,t.getPropertyValue(q),m])}}h=b();c.sheet.disabled=!0;m=b();b=h.length;for(a=0;a<b;a++)if(h[a]!==m[a])return c.sheet.disabled=!1,console.warn("Abtf.css() \u27a4 critical CSS cleanup \u27a4 layout shift, critical CSS kept",
+g[a][0],h[a],"\u27a4",m[a]),void e[30]("css:critical",{status:"kept"});h=[];m=d.length;for(b=0;b<m;b++)a=l.getComputedStyle(d[b][3]).getPropertyValue(d[b][1]),a!==d[b][2]&&h.push({j:d[b][0],i:d[b][1],c:d[b][2],f:a});h.length?(console.warn("Abtf.css() \u27a4 critical CSS cleanup \u27a4 "+h.length+" critical CSS overrides"),console.table&&console.table(h)):console.info("Abtf.css() \u27a4 critical CSS cleanup \u27a4 no critical CSS overrides");"remove"===k[0]&&c.parentNode.removeChild(c);console.info("Abtf.css() \u27a4 critical CSS "+
+("remove"===k[0]?"removed":"disabled"));e[30]("css:critical",{status:"remove"===k[0]?"removed":"disabled"})}}function z(k,c,g,d){function b(){function f(f){x||q||(x=!0,clearTimeout(r),console.warn("Abtf.css() \u27a4 load failed",f,e[29](p),"attempt "+n),e[30]("css:error",{url:p,media:c,attempt:n,reason:f}),p!==g&&n<=h?a=setTimeout(b,m*Math.pow(2,n-1)):g&&p!==g?(console.warn("Abtf.css() \u27a4 fallback to original url",e[29](g)),p=g,b()):(q=!0,e[30]("css:failed",{url:k,media:c}),d(!1)))}n++;var r,
+x=!1,t=e[19](p,c,function(){clearTimeout(r);q||(q=!0,clearTimeout(a),d(!0))},function(){f("error")});0<l&&(r=setTimeout(function(){t()&&f("timeout")},l))}var a,f=e[34]||[],h="number"==typeof f[0]?f[0]:2,m="number"==typeof f[1]?f[1]:1E3,l="number"==typeof f[2]?f[2]:1E4,p=k,n=0,q=!1;b()}var u="mousemove mousedown touchstart keydown scroll wheel".split(" "),v={g:[!0,function(e){function c(){if(!g){g=!0;for(var a=0;a<d;a++)l.removeEventListener(u[a],c,!0);e()}}for(var g=!1,d=u.length,b=0;b<d;b++)l.addEventListener(u[b],
+c,!0)}],h:[!0,function(k,c){e[14](function(){try{var e=c?document.querySelectorAll(c):[]}catch(f){e=[]}if(!e.length)return console.warn("Abtf.css() \u27a4 inview \u27a4 no element matches selector, load in idle time",c),void v.b[1](k);if(!("IntersectionObserver"in l))return void k();for(var d=new IntersectionObserver(function(a){for(var b=a.length,c=0;c<b;c++)if(a[c].isIntersecting||0<a[c].intersectionRatio)return d.disconnect(),void k()},{rootMargin:"200px 0px"}),b=e.length,a=0;a<b;a++)d.observe(e[a])})}],
+b:[!1,function(k,c){e[16]?e[16](k,c?{timeout:c}:void 0):setTimeout(k,c?Math.min(c,1E3):1)}],media:[!0,function(e,c){function g(){d.matches&&(d.removeEventListener?d.removeEventListener("change",g):d.removeListener(g),e())}var d=!(!c||!l.matchMedia)&&l.matchMedia(c);if(!d||d.matches)return void e();d.addEventListener?d.addEventListener("change",g):d.addListener(g)}],preload:[!1,function(k,c,g){function d(){b||(b=!0,k())}c=document.createElement("link");if(!c.a||!c.a.supports||!c.a.supports("preload"))return void k();
+var b=!1;e[40](c);c.rel="preload";c.setAttribute("as","style");c.href=g;c.onload=d;c.onerror=d;document.head.appendChild(c)}]};e[12]=function(){function k(a,b,c,f){return function(){f&&console.info("Abtf.css() \u27a4 deferred load",e[29](a));e[30]("css:start",{url:a,media:b});z(a,b,c,f?function(c){c&&e[30]("css:file",{url:a,media:b});d(c,b)}:g(a,b))}}function c(a){return!!(a[2]instanceof Array&&v[a[2][0]])&&v[a[2][0]]}function g(a,b){return function(c){c&&e[30]("css:file",{url:a,media:b});d(c,b);
+0===--f&&e[30]("css:loaded",l)}}function d(a,b){"print"!==b&&(a||(m=!0),0===--h&&e[36]&&(m?console.warn("Abtf.css() \u27a4 critical CSS cleanup \u27a4 stylesheet failed, critical CSS kept"):e[15](y)))}var b,a=e[2];if(!a)return void e[30]("css:loaded",0);if("object"!=typeof a)return console.error("Abtf.css()","output buffer failed to apply CSS optimization"),void e[30]("css:loaded",0);console.log("Abtf.css()",a);var f=(!!document.getElementById("AbtfCSS")&&document.getElementById("AbtfCSS").nextSibling,
+0),h=0,m=!1;for(b in a)a.hasOwnProperty(b)&&"object"==typeof a[b]?("print"!==a[b][0].join(",")&&h++,c(a[b])&&c(a[b])[0]||f++):console.error("Abtf.css()","Invalid CSS file configuration",b,a);var l=f;for(b in a)if(a.hasOwnProperty(b)&&"object"==typeof a[b]){var p=a[b][0].join(",");var n=c(a[b]);n?(console.info("Abtf.css() \u27a4 "+a[b][2][0],e[29](a[b][1]),void 0!==a[b][2][1]?a[b][2][1]:""),n[1](k(a[b][1],p,a[b][3],n[0]),a[b][2][1],a[b][1])):(a[b][2]&&console.error("Abtf.css()","Invalid CSS load strategy",
+a[b][1],a[b][2]),k(a[b][1],p,a[b][3])())}0===l&&e[30]("css:loaded",0)}},"css");
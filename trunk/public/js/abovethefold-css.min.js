@@ -1 +1,7 @@
-Abtf[0](function(d,b){b[12]=function(){var c,a=b[2];if(a&&"object"==typeof a)for(i in document.getElementById("AbtfCSS")&&document.getElementById("AbtfCSS").nextSibling,a)a.hasOwnProperty(i)&&"object"==typeof a[i]&&(c=a[i][0].join(","),b[19](a[i][1],c))}});
+Abtf[31](function(k,g){function w(){var e=g[36],a=document.getElementById("AbtfCSS");if(a&&a.sheet){for(var f=[],d=e[1]instanceof Array?e[1]:[],b=d.length,c=0;c<b;c++){try{var h=document.querySelector(d[c])}catch(u){continue}h&&f.push([d[c],h])}b=function(){for(var a=[],c=f.length,b=0;b<c;b++){var d=f[b][1].getBoundingClientRect();a.push([Math.round(d.left),Math.round(d.top),Math.round(d.width),Math.round(d.height)].join())}return a};d=b();a.sheet.disabled=!0;h=b();b=d.length;for(c=0;c<b;c++)if(d[c]!==
+h[c])return a.sheet.disabled=!1,void g[30]("css:critical",{status:"kept"});"remove"===e[0]&&a.parentNode.removeChild(a);g[30]("css:critical",{status:"remove"===e[0]?"removed":"disabled"})}}function x(e,a,f,d){function b(){function h(h){v||q||(v=!0,clearTimeout(r),g[30]("css:error",{url:l,media:a,attempt:m,reason:h}),l!==f&&m<=u?c=setTimeout(b,p*Math.pow(2,m-1)):f&&l!==f?(l=f,b()):(q=!0,g[30]("css:failed",{url:e,media:a}),d(!1)))}m++;var r,v=!1,y=g[19](l,a,function(){clearTimeout(r);q||(q=!0,clearTimeout(c),
+d(!0))},function(){h("error")});0<k&&(r=setTimeout(function(){y()&&h("timeout")},k))}var c,h=g[34]||[],u="number"==typeof h[0]?h[0]:2,p="number"==typeof h[1]?h[1]:1E3,k="number"==typeof h[2]?h[2]:1E4,l=e,m=0,q=!1;b()}var n="mousemove mousedown touchstart keydown scroll wheel".split(" "),t={c:[!0,function(e){function a(){if(!f){f=!0;for(var c=0;c<d;c++)k.removeEventListener(n[c],a,!0);e()}}for(var f=!1,d=n.length,b=0;b<d;b++)k.addEventListener(n[b],a,!0)}],f:[!0,function(e,a){g[14](function(){try{var f=
+a?document.querySelectorAll(a):[]}catch(h){f=[]}if(!f.length)return void t.b[1](e);if(!("IntersectionObserver"in k))return void e();for(var d=new IntersectionObserver(function(a){for(var c=a.length,b=0;b<c;b++)if(a[b].isIntersecting||0<a[b].intersectionRatio)return d.disconnect(),void e()},{rootMargin:"200px 0px"}),b=f.length,c=0;c<b;c++)d.observe(f[c])})}],b:[!1,function(e,a){g[16]?g[16](e,a?{timeout:a}:void 0):setTimeout(e,a?Math.min(a,1E3):1)}],media:[!0,function(e,a){function f(){d.matches&&(d.removeEventListener?
+d.removeEventListener("change",f):d.removeListener(f),e())}var d=!(!a||!k.matchMedia)&&k.matchMedia(a);if(!d||d.matches)return void e();d.addEventListener?d.addEventListener("change",f):d.addListener(f)}],preload:[!1,function(e,a,f){function d(){b||(b=!0,e())}a=document.createElement("link");if(!a.a||!a.a.supports||!a.a.supports("preload"))return void e();var b=!1;g[40](a);a.rel="preload";a.setAttribute("as","style");a.href=f;a.onload=d;a.onerror=d;document.head.appendChild(a)}]};g[12]=function(){function e(a,
+b,c,e){return function(){g[30]("css:start",{url:a,media:b});x(a,b,c,e?function(c){c&&g[30]("css:file",{url:a,media:b});d(c,b)}:f(a,b))}}function a(a){return!!(a[2]instanceof Array&&t[a[2][0]])&&t[a[2][0]]}function f(a,b){return function(c){c&&g[30]("css:file",{url:a,media:b});d(c,b);0===--h&&g[30]("css:loaded",n)}}function d(a,b){"print"!==b&&(a||(p=!0),0===--k&&g[36]&&(p||g[15](w)))}var b,c=g[2];if(!c||"object"!=typeof c)return void g[30]("css:loaded",0);var h=(!!document.getElementById("AbtfCSS")&&
+document.getElementById("AbtfCSS").nextSibling,0),k=0,p=!1;for(b in c)c.hasOwnProperty(b)&&"object"==typeof c[b]&&("print"!==c[b][0].join(",")&&k++,a(c[b])&&a(c[b])[0]||h++);var n=h;for(b in c)if(c.hasOwnProperty(b)&&"object"==typeof c[b]){var l=c[b][0].join(",");var m=a(c[b]);m?m[1](e(c[b][1],l,c[b][3],m[0]),c[b][2][1],c[b][1]):e(c[b][1],l,c[b][3])()}0===n&&g[30]("css:loaded",0)}},"css");
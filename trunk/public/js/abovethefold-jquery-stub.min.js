@@ -1,2 +1,2 @@
-Abtf[0](function(a,n,g,d){if(!a.jQuery){var h=[],k=[],l=!1,f=function(b,a){"ready"===b?k.push(a):h.push(b)},m={ready:f,bind:f};a.$=a.jQuery=function(b){if(b===g||void 0===b)return m;f(b)};a.$.noConflict=a.jQuery.noConflict=function(){l=!0};a.$.isStub=a.jQuery.isStub=!0;d.prototype.watch||d.defineProperty(d.prototype,"watch",{enumerable:!1,configurable:!0,writable:!1,value:function(b,a){var c=this[b],e=c;delete this[b]&&d.defineProperty(this,b,{get:function(){return e},set:function(d){return c=e,e=
-a.call(this,b,c,d)},enumerable:!0,configurable:!0})}});d.prototype.unwatch||d.defineProperty(d.prototype,"unwatch",{enumerable:!1,configurable:!0,writable:!1,value:function(b){var a=this[b];delete this[b];this[b]=a}});a.watch("jQuery",function(b,d,c){if("function"!=typeof c||void 0===c.fn||void 0!==c.isStub)return c;l&&c.noConflict();var e=0;return c.each(h,function(a,b){c(b);e++}),c.each(k,function(b,a){c(g).bind("ready",a);e++}),a.unwatch("jQuery"),a.jQuery=c,c})}});
+Abtf[31](function(a,q,k,d){if(!a.jQuery){var l=[],m=[],n=!1,f=function(b,a){"ready"===b?m.push(a):l.push(b)},p={ready:f,bind:f};a.$=a.jQuery=function(b){if(b===k||void 0===b)return p;f(b)};a.$.noConflict=a.jQuery.noConflict=function(){n=!0};a.$.isStub=a.jQuery.isStub=!0;d.prototype.watch||d.defineProperty(d.prototype,"watch",{enumerable:!1,configurable:!0,writable:!1,value:function(b,a){function c(c){return g=h,h=a.call(this,b,g,c)}function e(){return h}var g=this[b],h=g;delete this[b]&&d.defineProperty(this,
+b,{get:e,set:c,enumerable:!0,configurable:!0})}});d.prototype.unwatch||d.defineProperty(d.prototype,"unwatch",{enumerable:!1,configurable:!0,writable:!1,value:function(b){var a=this[b];delete this[b];this[b]=a}});a.watch("jQuery",function(b,d,c){if("function"!=typeof c||void 0===c.fn||void 0!==c.isStub)return c;n&&c.noConflict();var e=0;return c.each(l,function(a,b){c(b);e++}),c.each(m,function(b,a){c(k).bind("ready",a);e++}),a.unwatch("jQuery"),a.jQuery=c,c})}},"jquery-stub");
@@ -1,14 +1,29 @@
-Abtf[0](function(l,g){if(l.localStorage&&l.Worker){var n=[],t=function(a){"Promise"in l?new Promise(function(b){b(a())}):"undefined"!==l.setImmediate?l.setImmediate(a):setTimeout(a,0)},d={prefix:"abtf-",G:86400,a:{},now:function(){return+new Date/1E3},i:function(a,b){g[16]?g[16](a,{timeout:b}):a()},B:function(a,b,c){d.i(function(){var h={},e=d.now();if(h.v=e,h.j=e+(c||d.G),b instanceof Array){h.h=!0;h.u=b.length;for(var e=[],f=b.length,k=0;k<f;k++)e.push(b[k])}else e=!1,h.data=b;if(d.add(a,h),e)for(f=
-e.length,k=0;k<f;k++)d.add("chunk:"+k+":"+a,e[k])},3E3)},l:function(a){if(void 0!==d.a[a]&&!1!==d.a[a])return d.a[a];d.a[a]=!1;var b=d.get(a);if(!b||"object"!=typeof b||void 0!==b.j&&0>b.j-d.now())return!1;if(void 0!==b.h&&!0===b.h){for(var c,h=[],e=0;e<b.u;e++){if(!1===(c=d.get("chunk:"+e+":"+a))||void 0===c)return!1;h.push(c)}b.data=h.join("")}else if(!b.data)return!1;var f;c="/* @source "+a+" */\n";h=!1;if(g[16]&&void 0!==g[1][2]&&g[1][2])for(var k=g[1][2].length,e=0;e<k;e++)if("object"==typeof g[1][2][e]&&
--1!==a.indexOf(g[1][2][e][0])){h=!0;g[1][2][e][1]&&(f=g[1][2][e][1]);break}return h?(c+="window.requestIdleCallback(function(){",c+=b.data,c+=f?"},{timeout:"+f+"});":"});"):c+=b.data,d.a[a]=u(c),n.push(d.a[a]),d.a[a]},I:function(a){void 0===d.a[a]&&d.i(function(){void 0===d.a[a]&&(d.a[a]=d.l(a))},100)},add:function(a,b,c){if(void 0!==c&&10<parseInt(c))console.error("Abtf.js() \u27a4 localStorage quota reached","retry limit reached, abort saving...",a);else{"object"==typeof b&&(b=JSON.stringify(b));
-try{return localStorage.setItem(d.prefix+a,b),!0}catch(q){if(0<=q.name.toUpperCase().indexOf("QUOTA")){var h,e,f,k=[];for(h in localStorage)0===h.indexOf(d.prefix)&&-1===h.indexOf("chunk:")&&(f=h.split(d.prefix)[1],(e=d.get(f))&&k.push([f,e]));return k.length?(k.sort(function(a,b){return a[1].v-b[1].v}),console.error("Abtf.js() \u27a4 localStorage quota reached","removed",k[0][0],"for key",a),d.remove(k[0][0]),void d.i(function(){void 0===c&&(c=0);d.add(a,b,++c)},1E3)):void console.error("Abtf.js() \u27a4 localStorage quota reached",
-"no files to remove")}return void console.error("Abtf.js() \u27a4 localStorage error",q.name,q)}}},remove:function(a){var b=d.get(a);if(b){if(b.h)for(var b=parseInt(b.u),c=0;c<b;c++)localStorage.removeItem(d.prefix+"chunk:"+c+":"+a);localStorage.removeItem(d.prefix+a)}},get:function(a){var b=localStorage.getItem(d.prefix+a);try{return-1!==a.indexOf("chunk:")?b||!1:JSON.parse(b||"false")}catch(c){return!1}},clear:function(a){var b,c,h,e=this.now(),f=[];for(b in localStorage)(c=b.split(d.prefix)[1])&&
--1===c.indexOf("chunk:")&&(h=d.get(c))&&(!a||h.j<=e)&&(d.remove(c),f.push(c));0<f.length&&console.warn("Abtf.js() \u27a4 localStorage cleared",f.length,"expired scripts")}},u=function(a){var b;try{b=new Blob([a],{type:"application/javascript"})}catch(c){l.BlobBuilder=l.BlobBuilder||l.WebKitBlobBuilder||l.K,(b=new BlobBuilder).append(a),b=b.getBlob("application/javascript")}return URL.createObjectURL(b)},p=function(){self.m=self.fetch||!1;self.c=5E3;self.s=1E5;self.D=function(a){for(var b=self.s,c,
-d=Math.ceil(a.length/b),e=Array(d),f=0;f<d;f++)c=f*b,e[f]=a.substring(c,c+b);return e};self.o=function(a){function b(b,e){c||(c=!0,d&&(clearTimeout(d),d=!1),!b&&e&&e.length>self.s&&(e=self.D(e)),self.F(a,b,e))}var c=!1,d=!1;if(self.m){var e=function(a){c||("object"==typeof a&&a.status&&(a=[a.status,a.statusText]),b(a))};self.m(a.url,{method:"GET",mode:"cors",cache:"default"}).then(function(a){c||(a.ok?a.text().then(function(a){b(!1,a)}):b([a.status,a.statusText]))},e)["catch"](e);e=a.timeout||self.c;
-isNaN(e)&&(e=self.c);d=setTimeout(function(){c||b("timeout")},e)}else{var f=new XMLHttpRequest;f.open("GET",a.url,!0);f.responseType="text";f.onreadystatechange=function(){c||4===f.readyState&&(200!==f.status?b(f.statusText):b(!1,f.responseText))};f.onerror=function(){c||b(f.statusText)};e=a.timeout||self.c;isNaN(e)&&(e=self.c);d=setTimeout(function(){if(!c){try{f.abort()}catch(k){}b("timeout")}},e);f.send(null)}};self.F=function(a,b,c){b?(b instanceof Array||"object"!=typeof b||(b=b.toString()),
-self.postMessage([2,a.f,b])):self.postMessage([1,a.f,c])};self.onmessage=function(a){a=a.data;if(a instanceof Array)for(var b=a.length,c=0;c<b;c++)"object"==typeof a[c]&&void 0!==a[c].url&&void 0!==a[c].f&&self.o(a[c]);else{if("object"!=typeof a||void 0===a.url||void 0===a.f)throw Error("Web Worker Script Loader: Invalid resource object");self.o(a)}}}.toString().replace(/^function\s*\(\s*\)\s*\{/,"").replace(/\}$/,""),m={J:u(p),b:!1,C:0,g:[],start:function(){this.b=new Worker(this.J);this.b.addEventListener("message",
-this.w);this.b.addEventListener("error",this.handleError)},stop:function(){this.b&&(this.b.removeEventListener("message",this.w),this.b.removeEventListener("error",this.handleError),this.b.terminate(),this.b=!1,console.warn("Abtf.js() \u27a4 web worker terminated"))},w:function(a){a=a.data;var b=a[1];if(void 0!==m.g[b]){if(1!==parseInt(a[0]))return 2===parseInt(a[0])?a[2]instanceof Array&&200<parseInt(a[2][0])&&600>parseInt(a[2][0])?void console.error("Abtf.js() \u27a4 web worker \u27a4 "+a[2][0]+
-" "+a[2][1],m.g[b].url):void console.error("Abtf.js() \u27a4 web worker script loader error",a[2]):void 0;m.g[b].H(a[2])}else console.error("Abtf.js() \u27a4 web worker script loader invalid response",a)},handleError:function(a){console.error("Abtf.js() \u27a4 web worker script loader error",a)},A:function(a,b){this.b||this.start();a=g[28](a);var c=parseInt(this.C);this.C++;this.g[c]={url:a,H:b};this.b.postMessage({url:a,f:c})}};if(m.start(),l.addEventListener("beforeunload",function(){if(m.stop(),
-0<n.length)for(var a=n.length,b=0;b<a;b++)try{URL.revokeObjectURL(n[b])}catch(c){console.error("Abtf.js() \u27a4 failed to revoke script url",n[b],c)}}),g[16])g[16](function(){d.clear(!0)},{timeout:3E3});else{var r,p=function(){r&&clearTimeout(r);r=setTimeout(function(){d.clear(!0)},2E3)};p();g[20](p)}g[23]=function(a,b,c){t(function(){var h=d.l(a);if(h)return c(h),void g[21](h,b);c(!1);g[21](a,function(){b();m.A(a,function(b){b?(b instanceof Array?console.info("Abtf.js() \u27a4 web worker \u27a4 localStorage saved chunked",
-"("+b.length+" chunks)",g[29](a)):console.info("Abtf.js() \u27a4 web worker \u27a4 localStorage saved","("+b.length+")",g[29](a)),d.B(a,b)):console.error("Abtf.js() \u27a4 web worker script loader no data",g[29](a))})})})};g[25]=function(a){t(function(){d.I(a)})};g[24]=function(a){return d.l(a)||(m.A(a,function(b){b?(b instanceof Array?console.info("Abtf.js() \u27a4 web worker \u27a4 localStorage saved chunked","("+b.length+" chunks)",g[29](a)):console.info("Abtf.js() \u27a4 web worker \u27a4 localStorage saved",
-"("+b.length+")",g[29](a)),d.B(a,b)):console.error("Abtf.js() \u27a4 web worker script loader no data",g[29](a))}),a)}}});
+Abtf[31](function(l,h){if(l.Worker){var p=[],t=0,u=0,G=0,H=0,I=0,J=0,z=0,K=0,L=function(a){"Promise"in l?new Promise(function(b){b(a())}):"undefined"!==l.setImmediate?l.setImmediate(a):setTimeout(a,0)},M=!!(l.crypto&&l.crypto.subtle&&l.TextEncoder)&&l.crypto.subtle,A=!(!h[46]||!h[46][1]),B=h[46]&&h[46][2]?parseInt(h[46][2]):0,N=("style"===h[49]||"blob"===h[49])&&h[49],v=!1,w=function(a){if(!v){v={};var b=!(!h[46]||!h[46][3])&&h[46][3];if(b&&"object"==typeof b){var d=document.createElement("a"),c;
+for(c in b)b.hasOwnProperty(c)&&(d.href=c,v[d.href]=String(b[c]))}}return v[a]||!1},C=function(a){a=w(a);return!(!a||0!==a.indexOf("sha256-"))&&a},O=function(a,b){if(!M)return b(!1);a instanceof Array&&(a=a.join(""));M.digest("SHA-256",(new TextEncoder).encode(a)).then(function(a){a=new Uint8Array(a);for(var d="",c=a.length,e=0;e<c;e++)d+=String.fromCharCode(a[e]);b("sha256-"+l.btoa(d))},function(){b(!1)})},q=function(a){return a&&a.name&&0<=a.name.toUpperCase().indexOf("QUOTA")?"quota":a&&a.name?
+a.name:"error"},r={S:{name:"abtf-loadscript",db:!1,l:function(a){try{var b=l.indexedDB.open(this.name,1)}catch(d){return a(!1)}b.onupgradeneeded=function(){var a=b.result;a.objectStoreNames.contains("meta")||a.createObjectStore("meta");a.objectStoreNames.contains("data")||a.createObjectStore("data")};b.onsuccess=function(){r.S.db=b.result;a(!0)};b.onerror=function(b){b&&b.preventDefault&&b.preventDefault();a(!1)}},list:function(a){var b=[];try{var d=this.db.transaction("meta","readonly").objectStore("meta").openCursor()}catch(g){return a(b)}d.onsuccess=
+function(){var c=d.result;c?(b.push([c.key,c.value]),c.continue()):a(b)};d.onerror=function(){a(b)}},get:function(a,b){try{var d=this.db.transaction("data","readonly").objectStore("data").get(a)}catch(g){return b(!1)}d.onsuccess=function(){b(d.result||!1)};d.onerror=function(){b(!1)}},set:function(a,b,d,c){function g(a){e||(e=!0,c(a))}var e=!1;try{var k=this.db.transaction(["meta","data"],"readwrite");k.objectStore("meta").put(b,a);k.objectStore("data").put(d instanceof Array?d.join(""):d,a)}catch(m){return g(q(m))}k.oncomplete=
+function(){g(!1)};k.onerror=k.onabort=function(){g(q(k.error))}},remove:function(a,b){try{var d=this.db.transaction(["meta","data"],"readwrite");d.objectStore("meta").delete(a);d.objectStore("data").delete(a);d.oncomplete=d.onerror=function(){b()}}catch(g){b()}}},cache:{name:"abtf-loadscript",cache:!1,l:function(a){if(!(l.caches&&"Promise"in l))return a(!1);l.caches.open(this.name).then(function(b){r.cache.cache=b;a(!0)},function(){a(!1)})},list:function(a){var b=this.cache;b.keys().then(function(a){return Promise.all(a.map(function(a){return b.match(a).then(function(a){try{return JSON.parse(decodeURIComponent(a.headers.get("x-abtf-meta")))}catch(e){return!1}})}))}).then(function(b){a(b.filter(function(a){return a instanceof
+Array}))},function(){a([])})},get:function(a,b){this.cache.match(a).then(function(a){return!!a&&a.text()}).then(b,function(){b(!1)})},set:function(a,b,d,c){try{var g=new Response(d instanceof Array?d.join(""):d,{headers:{"Content-Type":"css"===b.type?"text/css":"application/javascript","x-abtf-meta":encodeURIComponent(JSON.stringify([a,b]))}})}catch(e){return c(q(e))}this.cache.put(a,g).then(function(){c(!1)},function(a){c(q(a))})},remove:function(a,b){this.cache.delete(a).then(function(){b()},function(){b()})}},
+U:{prefix:"abtf-",sync:!0,H:1E5,l:function(a){try{a(!!l.localStorage)}catch(b){a(!1)}},list:function(a){var b,d,c,f,e=[];for(b in localStorage)if(0===b.indexOf(this.prefix)&&(d=b.substr(this.prefix.length))&&0!==d.indexOf("chunk:")&&(c=this.C(d))){if(f={h:c.h,f:c.f,size:c.size},c.s&&(f.c=c.c),c.hash&&(f.hash=c.hash),c.version&&(f.version=c.version),c.i&&(f.i=c.i),c.type&&(f.type=c.type),void 0===f.size)if(f.size=0,c.s)for(var k=0;k<c.c;k++)f.size+=(localStorage.getItem(this.prefix+"chunk:"+k+":"+
+d)||"").length;else c.data&&(f.size=c.data.length);e.push([d,f])}a(e)},C:function(a){try{return JSON.parse(localStorage.getItem(this.prefix+a)||"false")}catch(b){return!1}},get:function(a,b){var d=this.C(a);if(!d||"object"!=typeof d)return b(!1);if(!0===d.s){for(var c,f=[],e=0;e<d.c;e++){if(!(c=localStorage.getItem(this.prefix+"chunk:"+e+":"+a)))return b(!1);f.push(c)}return b(f.join(""))}b(d.data||!1)},set:function(a,b,c,g){var d={h:b.h,f:b.f,size:b.size};b.hash&&(d.hash=b.hash);b.version&&(d.version=
+b.version);b.i&&(d.i=b.i);b.type&&(d.type=b.type);b=!1;c instanceof Array?(d.s=!0,d.c=c.length,b=c):d.data=c;try{if(b){var e=b.length;for(c=0;c<e;c++)localStorage.setItem(this.prefix+"chunk:"+c+":"+a,b[c])}localStorage.setItem(this.prefix+a,JSON.stringify(d))}catch(k){return this.remove(a,function(){},d),g(q(k))}g(!1)},remove:function(a,b,c){if((c=c||this.C(a))&&c.s){c=parseInt(c.c);for(var d=0;d<c;d++)localStorage.removeItem(this.prefix+"chunk:"+d+":"+a)}localStorage.removeItem(this.prefix+a);b()}}},
+c={O:86400,b:{},a:!1,storage:!1,index:!1,D:[],now:function(){return+new Date/1E3},j:function(a,b){h[16]?h[16](a,{timeout:b}):a()},l:function(){function a(){var d=b.shift();if(!d)return console.error("Abtf.js() \u27a4 script cache \u27a4 no storage available"),void c.ready({});r[d].l(function(b){if(!b)return a();c.a=r[d];c.storage=d;c.a.list(function(a){for(var b={},e=a.length,f=0;f<e;f++)a[f][1]&&"object"==typeof a[f][1]&&(b[a[f][0]]=a[f][1]);console.info("Abtf.js() \u27a4 script cache \u27a4 "+d,
+"("+e+" entries)");c.ready(b)})})}var b=["indexeddb","cache","localstorage"],d=!!h[46]&&h[46][0];d&&0<b.indexOf(d)&&(b.splice(b.indexOf(d),1),b.unshift(d));a()},ready:function(a){c.index=a;c.T();for(var b in a)a.hasOwnProperty(b)&&"proxy"===a[b].type&&w(b)&&c.B(b)&&c.L(b);a=c.D;c.D=[];b=a.length;for(var d=0;d<b;d++)a[d]()},m:function(a){c.index?a():c.D.push(a)},B:function(a){return!(!c.index||!c.index[a])&&!(void 0!==c.index[a].f&&0>c.index[a].f-c.now())&&!c.F(a,c.index[a])&&c.index[a]},F:function(a,
+b){if((b.i||0)!==B)return!0;a=w(a);return!(!a||b.version===a||b.hash===a)},T:function(){var a=[];for(b in c.index)c.index.hasOwnProperty(b)&&c.F(b,c.index[b])&&a.push(b);var b=a.length;for(var d=0;d<b;d++)c.remove(a[d]);I+=b;0<b&&console.warn("Abtf.js() \u27a4 script cache \u27a4 invalidated",b,"stale scripts","(generation "+B+")")},verify:function(a,b,c,g){var d=C(a);if(!d)return g(!A,"no hash");O(c,function(a){if(!a)return g(!A,"SubtleCrypto not available");g(a===d,"hash mismatch")})},X:function(a,
+b,d,g){O(b,function(f){var e=C(a);if(e&&f!==e||A&&!e)return void console.error("Abtf.js() \u27a4 script cache \u27a4 integrity",e?"hash mismatch":"no hash","not saved",h[29](a));c.save(a,b,d,f,g)})},save:function(a,b,d,g,f){c.j(function(){var e=c.now();e={h:e,f:e+(d||c.O),size:0,i:B};g&&(e.hash=g);f&&(e.type=f);var k=w(a);if(k&&(e.version=k),b instanceof Array){k=e.c=b.length;for(var h=0;h<k;h++)e.size+=b[h].length}else e.size=b.length;c.add(a,e,b)},3E3)},u:function(a,b){if(void 0!==c.b[a]&&!1!==
+c.b[a])return b(c.b[a]);c.b[a]=!1;c.getData(a,function(d){if(!d)return b(!1);c.N(a,d,b)})},getData:function(a,b){c.m(function(){var d=c.B(a);if(!c.a||!d)return b(!1);c.a.get(a,function(g){if(!g)return b(!1);c.verify(a,d,g,function(d,e){if(!d)return console.error("Abtf.js() \u27a4 script cache \u27a4 integrity",e,"removed",h[29](a)),J++,h[30]("js:integrity",{url:a,reason:e}),c.remove(a),b(!1);b(g)})})})},N:function(a,b,d){if(c.b[a])return d(c.b[a]);var g,f="/* @source "+a+" */\n",e=!1;if(h[16]&&void 0!==
+h[1][2]&&h[1][2])for(var k=h[1][2].length,m=0;m<k;m++)if("object"==typeof h[1][2][m]&&-1!==a.indexOf(h[1][2][m][0])){e=!0;h[1][2][m][1]&&(g=h[1][2][m][1]);break}e?(f+="window.requestIdleCallback(function(){",f+=b,f+=g?"},{timeout:"+g+"});":"});"):f+=b;c.b[a]=D(f,"application/javascript");p.push(c.b[a]);d(c.b[a])},L:function(a){void 0===c.b[a]&&c.j(function(){void 0===c.b[a]&&c.u(a,function(){})},100)},add:function(a,b,d,g){if(c.a)return void 0!==g&&10<parseInt(g)?void console.error("Abtf.js() \u27a4 "+
+c.storage+" quota reached","retry limit reached, abort saving...",a):void c.a.set(a,b,d,function(f){if(!f)return void(c.index[a]=b);if("quota"===f){f=!1;for(var e in c.index)c.index.hasOwnProperty(e)&&e!==a&&(!1===f||c.index[e].h<c.index[f].h)&&(f=e);return!1===f?void console.error("Abtf.js() \u27a4 "+c.storage+" quota reached","no files to remove"):(console.error("Abtf.js() \u27a4 "+c.storage+" quota reached","removed",f,"for key",a),G++,void c.remove(f,function(){c.j(function(){void 0===g&&(g=0);
+c.add(a,b,d,++g)},1E3)}))}K++;console.error("Abtf.js() \u27a4 "+c.storage+" error",f)})},remove:function(a,b){if(c.index&&delete c.index[a],c.b[a]&&delete c.b[a],!c.a)return b?b():null;c.a.remove(a,b||function(){})},clear:function(a){c.m(function(){var b=c.now(),d=[],g;for(g in c.index)c.index.hasOwnProperty(g)&&(!a||c.index[g].f<=b)&&d.push(g);b=d.length;for(g=0;g<b;g++)c.remove(d[g]);a&&(H+=b);0<d.length&&console.warn("Abtf.js() \u27a4 "+c.storage+" cleared",d.length,"expired scripts")})},V:function(){c.m(function(){if(c.a&&
+"localstorage"!==c.storage){var a=r.U;a.l(function(b){b&&a.list(function(b){for(var d=c.now(),f=b.length,e=0;e<f;e++)!function(b,e){!c.index[b]&&e.f>d&&!c.F(b,e)&&a.get(b,function(a){a&&c.add(b,e,a)});a.remove(b,function(){})}(b[e][0],b[e][1]);0<f&&console.info("Abtf.js() \u27a4 script cache \u27a4 migrated",f,"localStorage entries to",c.storage)})})}})}},D=h[41],x=function(){self.G=self.fetch||!1;self.o=5E3;self.P=function(a,b){for(var c,g=Math.ceil(a.length/b),f=Array(g),e=0;e<g;e++)c=e*b,f[e]=
+a.substring(c,c+b);return f};self.I=function(a){function b(b,d){c||((c=!0,g&&(clearTimeout(g),g=!1),!b&&d&&a.A)&&d.length>a.A&&(d=self.P(d,a.A)),self.R(a,b,d))}var c=!1,g=!1;if(self.G){var f=function(a){c||("object"==typeof a&&a.status&&(a=[a.status,a.statusText]),b(a))};self.G(a.url,{method:"GET",mode:"cors",cache:"default"}).then(function(a){c||(a.ok?a.text().then(function(a){b(!1,a)}):b([a.status,a.statusText]))},f).catch(f);f=a.timeout||self.o;isNaN(f)&&(f=self.o);g=setTimeout(function(){c||b("timeout")},
+f)}else{var e=new XMLHttpRequest;e.open("GET",a.url,!0);e.responseType="text";e.onreadystatechange=function(){c||4===e.readyState&&(200!==e.status?b(e.statusText):b(!1,e.responseText))};e.onerror=function(){c||b(e.statusText)};f=a.timeout||self.o;isNaN(f)&&(f=self.o);g=setTimeout(function(){if(!c){try{e.abort()}catch(k){}b("timeout")}},f);e.send(null)}};self.R=function(a,b,c){b?(b instanceof Array||"object"!=typeof b||(b=b.toString()),self.postMessage([2,a.v,b])):self.postMessage([1,a.v,c])};self.onmessage=
+function(a){a=a.data;if(a instanceof Array)for(var b=a.length,c=0;c<b;c++)"object"==typeof a[c]&&void 0!==a[c].url&&void 0!==a[c].v&&self.I(a[c]);else{if("object"!=typeof a||void 0===a.url||void 0===a.v)throw Error("Web Worker Script Loader: Invalid resource object");self.I(a)}}}.toString().replace(/^function\s*\(\s*\)\s*\{/,"").replace(/\}$/,""),n={Y:D(x,"application/javascript"),g:!1,M:0,w:[],start:function(){this.g=new Worker(this.Y);this.g.addEventListener("message",this.J);this.g.addEventListener("error",
+this.handleError)},stop:function(){this.g&&(this.g.removeEventListener("message",this.J),this.g.removeEventListener("error",this.handleError),this.g.terminate(),this.g=!1,console.warn("Abtf.js() \u27a4 web worker terminated"))},J:function(a){a=a.data;var b=a[1];return void 0===n.w[b]?void console.error("Abtf.js() \u27a4 web worker script loader invalid response",a):1===parseInt(a[0])?void n.w[b].W(a[2]):2===parseInt(a[0])?(z++,a[2]instanceof Array&&200<parseInt(a[2][0])&&600>parseInt(a[2][0])?void console.error("Abtf.js() \u27a4 web worker \u27a4 "+
+a[2][0]+" "+a[2][1],n.w[b].url):void console.error("Abtf.js() \u27a4 web worker script loader error",a[2])):void 0},handleError:function(a){z++;console.error("Abtf.js() \u27a4 web worker script loader error",a)},K:function(a,b){this.load(h[28](a),b)},load:function(a,b){this.g||this.start();var d=parseInt(this.M);this.M++;this.w[d]={url:a,W:b};this.g.postMessage({url:a,v:d,A:c.a&&c.a.H?c.a.H:0})}};if(n.start(),c.l(),l.addEventListener("beforeunload",function(){if(n.stop(),0<p.length)for(var a=p.length,
+b=0;b<a;b++)try{URL.revokeObjectURL(p[b])}catch(d){console.error("Abtf.js() \u27a4 failed to revoke script url",p[b],d)}}),h[16])h[16](function(){c.clear(!0)},{timeout:3E3});else{var E;x=function(){E&&clearTimeout(E);E=setTimeout(function(){c.clear(!0)},2E3)};x();h[20](x)}c.j(c.V,5E3);var F=function(a,b){return function(d){if(!d)return void console.error("Abtf.js() \u27a4 web worker script loader no data",h[29](a));d instanceof Array?console.info("Abtf.js() \u27a4 web worker \u27a4 "+c.storage+" saved chunked",
+"("+d.length+" chunks)",h[29](a)):console.info("Abtf.js() \u27a4 web worker \u27a4 "+c.storage+" saved","("+d.length+")",h[29](a));c.X(a,d,!1,b)}};if(h[23]=function(a,b,d){L(function(){c.u(a,function(c){if(h[30]("js:cache",{url:a,hit:!!c}),c)return t++,d(c),void h[21](c,b);u++;d(!1);h[21](a,function(c,d){b(c,d);c||d||n.K(a,F(a))})})})},h[25]=function(a,b){L(function(){b?c.u(a,function(a){a||b()}):c.L(a)})},h[24]=function(a){var b=c.b[a]||!1;return!b&&c.index&&c.a&&c.a.sync&&!C(a)&&c.u(a,function(a){b=
+a}),b?(t++,b):(c.m(function(){c.B(a)||(u++,n.K(a,F(a,"proxy")))}),a)},N){var Q=function(a,b){function c(a){if(!(a=a.trim())||/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(a))return a;try{return(new URL(a,f)).href}catch(k){return a}}var g=document.createElement("a");g.href=b;var f=g.href;return a.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi,function(a,b,d){return"url("+b+c(d)+b+")"}).replace(/@import\s+(['"])([^'"]+)\1/gi,function(a,b,d){return"@import "+b+c(d)+b})},y=[],P=function(){for(var a=y.splice(0,
+y.length),b=a.length,c=0;c<b;c++)n.load(a[c],F(a[c],"css"))};l.addEventListener("load",function(){c.j(P,3E3)});h[50]=function(a,b){c.getData(a,function(d){if(h[30]("css:cache",{url:a,hit:!!d}),d)return t++,d="/* @source "+a+" */\n"+Q(d,a),"blob"===N?(d=D(d,"text/css"),p.push(d),b(["blob",d])):b(["style",d]);u++;b(!1);-1===y.indexOf(a)&&(y.push(a),"complete"===document.readyState&&c.j(P,3E3))})}}h[47]=function(){var a={storage:c.storage,entries:0,size:0,c:0,ba:t,da:u,Z:G,aa:H,ca:I,integrity:J,fa:z,
+ea:K},b;for(b in c.index)c.index.hasOwnProperty(b)&&(a.entries++,a.size+=c.index[b].size||0,a.c+=c.index[b].c||0);return a};h[48]=function(a,b){c.m(function(){var d=a?[a]:Object.keys(c.index),g=d.length;if(0===g)return b();for(var f=d.length,e=0;e<f;e++)c.remove(d[e],function(){0==--g&&(console.info("Abtf.js() \u27a4 script cache \u27a4 purged",f,"scripts"),b())})})};h[33]=function(){var a,b,d=[];for(a in c.index)c.index.hasOwnProperty(a)&&(b=c.index[a],d.push({url:a,storage:c.storage,size:b.size||
+0,h:Math.round(b.h),f:Math.round(b.f),c:b.c||0,hash:b.hash||!1,type:b.type||"js"}));return d}}},"loadscript");
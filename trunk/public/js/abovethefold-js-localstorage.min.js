@@ -1,11 +1,24 @@
-Abtf[0](function(l,h){if(l.localStorage&&l.Worker){var n=[],r=function(a){"Promise"in l?new Promise(function(b){b(a())}):"undefined"!==l.setImmediate?l.setImmediate(a):setTimeout(a,0)},d={prefix:"abtf-",G:86400,a:{},now:function(){return+new Date/1E3},h:function(a,b){h[16]?h[16](a,{timeout:b}):a()},B:function(a,b,c){d.h(function(){var g={},e=d.now();if(g.v=e,g.i=e+(c||d.G),b instanceof Array){g.g=!0;g.u=b.length;for(var e=[],f=b.length,k=0;k<f;k++)e.push(b[k])}else e=!1,g.data=b;if(d.add(a,g),e)for(f=
-e.length,k=0;k<f;k++)d.add("chunk:"+k+":"+a,e[k])},3E3)},j:function(a){if(void 0!==d.a[a]&&!1!==d.a[a])return d.a[a];d.a[a]=!1;var b=d.get(a);if(!b||"object"!=typeof b||void 0!==b.i&&0>b.i-d.now())return!1;if(void 0!==b.g&&!0===b.g){for(var c,g=[],e=0;e<b.u;e++){if(!1===(c=d.get("chunk:"+e+":"+a))||void 0===c)return!1;g.push(c)}b.data=g.join("")}else if(!b.data)return!1;var f;c="/* @source "+a+" */\n";g=!1;if(h[16]&&void 0!==h[1][2]&&h[1][2])for(var k=h[1][2].length,e=0;e<k;e++)if("object"==typeof h[1][2][e]&&
--1!==a.indexOf(h[1][2][e][0])){g=!0;h[1][2][e][1]&&(f=h[1][2][e][1]);break}return g?(c+="window.requestIdleCallback(function(){",c+=b.data,c+=f?"},{timeout:"+f+"});":"});"):c+=b.data,d.a[a]=t(c),n.push(d.a[a]),d.a[a]},I:function(a){void 0===d.a[a]&&d.h(function(){void 0===d.a[a]&&(d.a[a]=d.j(a))},100)},add:function(a,b,c){if(!(void 0!==c&&10<parseInt(c))){"object"==typeof b&&(b=JSON.stringify(b));try{return localStorage.setItem(d.prefix+a,b),!0}catch(u){if(0<=u.name.toUpperCase().indexOf("QUOTA")){var g,
-e,f,k=[];for(g in localStorage)0===g.indexOf(d.prefix)&&-1===g.indexOf("chunk:")&&(f=g.split(d.prefix)[1],(e=d.get(f))&&k.push([f,e]));return k.length?(k.sort(function(a,b){return a[1].v-b[1].v}),d.remove(k[0][0]),void d.h(function(){void 0===c&&(c=0);d.add(a,b,++c)},1E3)):void 0}}}},remove:function(a){var b=d.get(a);if(b){if(b.g)for(var b=parseInt(b.u),c=0;c<b;c++)localStorage.removeItem(d.prefix+"chunk:"+c+":"+a);localStorage.removeItem(d.prefix+a)}},get:function(a){var b=localStorage.getItem(d.prefix+
-a);try{return-1!==a.indexOf("chunk:")?b||!1:JSON.parse(b||"false")}catch(c){return!1}},clear:function(a){var b,c,g,e=this.now();for(b in localStorage)(c=b.split(d.prefix)[1])&&-1===c.indexOf("chunk:")&&(g=d.get(c))&&(!a||g.i<=e)&&d.remove(c)}},t=function(a){var b;try{b=new Blob([a],{type:"application/javascript"})}catch(c){l.BlobBuilder=l.BlobBuilder||l.WebKitBlobBuilder||l.K,(b=new BlobBuilder).append(a),b=b.getBlob("application/javascript")}return URL.createObjectURL(b)},p=function(){self.m=self.fetch||
-!1;self.c=5E3;self.s=1E5;self.D=function(a){for(var b=self.s,c,d=Math.ceil(a.length/b),e=Array(d),f=0;f<d;f++)c=f*b,e[f]=a.substring(c,c+b);return e};self.o=function(a){function b(b,e){c||(c=!0,d&&(clearTimeout(d),d=!1),!b&&e&&e.length>self.s&&(e=self.D(e)),self.F(a,b,e))}var c=!1,d=!1;if(self.m){var e=function(a){c||("object"==typeof a&&a.status&&(a=[a.status,a.statusText]),b(a))};self.m(a.url,{method:"GET",mode:"cors",cache:"default"}).then(function(a){c||(a.ok?a.text().then(function(a){b(!1,a)}):
-b([a.status,a.statusText]))},e)["catch"](e);e=a.timeout||self.c;isNaN(e)&&(e=self.c);d=setTimeout(function(){c||b("timeout")},e)}else{var f=new XMLHttpRequest;f.open("GET",a.url,!0);f.responseType="text";f.onreadystatechange=function(){c||4===f.readyState&&(200!==f.status?b(f.statusText):b(!1,f.responseText))};f.onerror=function(){c||b(f.statusText)};e=a.timeout||self.c;isNaN(e)&&(e=self.c);d=setTimeout(function(){if(!c){try{f.abort()}catch(k){}b("timeout")}},e);f.send(null)}};self.F=function(a,b,
-c){b?(b instanceof Array||"object"!=typeof b||(b=b.toString()),self.postMessage([2,a.f,b])):self.postMessage([1,a.f,c])};self.onmessage=function(a){a=a.data;if(a instanceof Array)for(var b=a.length,c=0;c<b;c++)"object"==typeof a[c]&&void 0!==a[c].url&&void 0!==a[c].f&&self.o(a[c]);else{if("object"!=typeof a||void 0===a.url||void 0===a.f)throw Error("Web Worker Script Loader: Invalid resource object");self.o(a)}}}.toString().replace(/^function\s*\(\s*\)\s*\{/,"").replace(/\}$/,""),m={J:t(p),b:!1,C:0,
-l:[],start:function(){this.b=new Worker(this.J);this.b.addEventListener("message",this.w);this.b.addEventListener("error",this.handleError)},stop:function(){this.b&&(this.b.removeEventListener("message",this.w),this.b.removeEventListener("error",this.handleError),this.b.terminate(),this.b=!1)},w:function(a){a=a.data;var b=a[1];void 0!==m.l[b]&&(1!==parseInt(a[0])?parseInt(a[0]):m.l[b].H(a[2]))},handleError:function(){},A:function(a,b){this.b||this.start();a=h[28](a);var c=parseInt(this.C);this.C++;
-this.l[c]={url:a,H:b};this.b.postMessage({url:a,f:c})}};if(m.start(),l.addEventListener("beforeunload",function(){if(m.stop(),0<n.length)for(var a=n.length,b=0;b<a;b++)try{URL.revokeObjectURL(n[b])}catch(c){}}),h[16])h[16](function(){d.clear(!0)},{timeout:3E3});else{var q,p=function(){q&&clearTimeout(q);q=setTimeout(function(){d.clear(!0)},2E3)};p();h[20](p)}h[23]=function(a,b){r(function(){var c=d.j(a);c?h[21](c,b):h[21](a,function(){b();m.A(a,function(b){b&&d.B(a,b)})})})};h[25]=function(a){r(function(){d.I(a)})};
-h[24]=function(a){return d.j(a)||(m.A(a,function(b){b&&d.B(a,b)}),a)}}});
+Abtf[31](function(l,h){if(l.Worker){var p=[],t=0,u=0,F=0,G=0,H=0,I=0,z=0,J=0,K=function(a){"Promise"in l?new Promise(function(b){b(a())}):"undefined"!==l.setImmediate?l.setImmediate(a):setTimeout(a,0)},L=!!(l.crypto&&l.crypto.subtle&&l.TextEncoder)&&l.crypto.subtle,A=!(!h[46]||!h[46][1]),M=h[46]&&h[46][2]?parseInt(h[46][2]):0,N=("style"===h[49]||"blob"===h[49])&&h[49],v=!1,w=function(a){if(!v){v={};var b=!(!h[46]||!h[46][3])&&h[46][3];if(b&&"object"==typeof b){var d=document.createElement("a"),g;
+for(g in b)b.hasOwnProperty(g)&&(d.href=g,v[d.href]=String(b[g]))}}return v[a]||!1},B=function(a){a=w(a);return!(!a||0!==a.indexOf("sha256-"))&&a},O=function(a,b){if(!L)return b(!1);a instanceof Array&&(a=a.join(""));L.digest("SHA-256",(new TextEncoder).encode(a)).then(function(a){a=new Uint8Array(a);for(var d="",c=a.length,e=0;e<c;e++)d+=String.fromCharCode(a[e]);b("sha256-"+l.btoa(d))},function(){b(!1)})},q=function(a){return a&&a.name&&0<=a.name.toUpperCase().indexOf("QUOTA")?"quota":a&&a.name?
+a.name:"error"},r={S:{name:"abtf-loadscript",db:!1,l:function(a){try{var b=l.indexedDB.open(this.name,1)}catch(d){return a(!1)}b.onupgradeneeded=function(){var a=b.result;a.objectStoreNames.contains("meta")||a.createObjectStore("meta");a.objectStoreNames.contains("data")||a.createObjectStore("data")};b.onsuccess=function(){r.S.db=b.result;a(!0)};b.onerror=function(b){b&&b.preventDefault&&b.preventDefault();a(!1)}},list:function(a){var b=[];try{var d=this.db.transaction("meta","readonly").objectStore("meta").openCursor()}catch(g){return a(b)}d.onsuccess=
+function(){var c=d.result;c?(b.push([c.key,c.value]),c.continue()):a(b)};d.onerror=function(){a(b)}},get:function(a,b){try{var d=this.db.transaction("data","readonly").objectStore("data").get(a)}catch(g){return b(!1)}d.onsuccess=function(){b(d.result||!1)};d.onerror=function(){b(!1)}},set:function(a,b,d,c){function g(a){e||(e=!0,c(a))}var e=!1;try{var k=this.db.transaction(["meta","data"],"readwrite");k.objectStore("meta").put(b,a);k.objectStore("data").put(d instanceof Array?d.join(""):d,a)}catch(m){return g(q(m))}k.oncomplete=
+function(){g(!1)};k.onerror=k.onabort=function(){g(q(k.error))}},remove:function(a,b){try{var d=this.db.transaction(["meta","data"],"readwrite");d.objectStore("meta").delete(a);d.objectStore("data").delete(a);d.oncomplete=d.onerror=function(){b()}}catch(g){b()}}},cache:{name:"abtf-loadscript",cache:!1,l:function(a){if(!(l.caches&&"Promise"in l))return a(!1);l.caches.open(this.name).then(function(b){r.cache.cache=b;a(!0)},function(){a(!1)})},list:function(a){var b=this.cache;b.keys().then(function(a){return Promise.all(a.map(function(a){return b.match(a).then(function(a){try{return JSON.parse(decodeURIComponent(a.headers.get("x-abtf-meta")))}catch(e){return!1}})}))}).then(function(b){a(b.filter(function(a){return a instanceof
+Array}))},function(){a([])})},get:function(a,b){this.cache.match(a).then(function(a){return!!a&&a.text()}).then(b,function(){b(!1)})},set:function(a,b,d,c){try{var g=new Response(d instanceof Array?d.join(""):d,{headers:{"Content-Type":"css"===b.type?"text/css":"application/javascript","x-abtf-meta":encodeURIComponent(JSON.stringify([a,b]))}})}catch(e){return c(q(e))}this.cache.put(a,g).then(function(){c(!1)},function(a){c(q(a))})},remove:function(a,b){this.cache.delete(a).then(function(){b()},function(){b()})}},
+U:{prefix:"abtf-",sync:!0,H:1E5,l:function(a){try{a(!!l.localStorage)}catch(b){a(!1)}},list:function(a){var b,d,c,f,e=[];for(b in localStorage)if(0===b.indexOf(this.prefix)&&(d=b.substr(this.prefix.length))&&0!==d.indexOf("chunk:")&&(c=this.B(d))){if(f={i:c.i,g:c.g,size:c.size},c.o&&(f.c=c.c),c.hash&&(f.hash=c.hash),c.version&&(f.version=c.version),c.h&&(f.h=c.h),c.type&&(f.type=c.type),void 0===f.size)if(f.size=0,c.o)for(var k=0;k<c.c;k++)f.size+=(localStorage.getItem(this.prefix+"chunk:"+k+":"+
+d)||"").length;else c.data&&(f.size=c.data.length);e.push([d,f])}a(e)},B:function(a){try{return JSON.parse(localStorage.getItem(this.prefix+a)||"false")}catch(b){return!1}},get:function(a,b){var d=this.B(a);if(!d||"object"!=typeof d)return b(!1);if(!0===d.o){for(var c,f=[],e=0;e<d.c;e++){if(!(c=localStorage.getItem(this.prefix+"chunk:"+e+":"+a)))return b(!1);f.push(c)}return b(f.join(""))}b(d.data||!1)},set:function(a,b,d,c){var f={i:b.i,g:b.g,size:b.size};b.hash&&(f.hash=b.hash);b.version&&(f.version=
+b.version);b.h&&(f.h=b.h);b.type&&(f.type=b.type);b=!1;d instanceof Array?(f.o=!0,f.c=d.length,b=d):f.data=d;try{if(b){var e=b.length;for(d=0;d<e;d++)localStorage.setItem(this.prefix+"chunk:"+d+":"+a,b[d])}localStorage.setItem(this.prefix+a,JSON.stringify(f))}catch(k){return this.remove(a,function(){},f),c(q(k))}c(!1)},remove:function(a,b,d){if((d=d||this.B(a))&&d.o){d=parseInt(d.c);for(var c=0;c<d;c++)localStorage.removeItem(this.prefix+"chunk:"+c+":"+a)}localStorage.removeItem(this.prefix+a);b()}}},
+c={O:86400,b:{},a:!1,storage:!1,index:!1,C:[],now:function(){return+new Date/1E3},j:function(a,b){h[16]?h[16](a,{timeout:b}):a()},l:function(){function a(){var d=b.shift();if(!d)return void c.ready({});r[d].l(function(b){if(!b)return a();c.a=r[d];c.storage=d;c.a.list(function(a){for(var b={},d=a.length,e=0;e<d;e++)a[e][1]&&"object"==typeof a[e][1]&&(b[a[e][0]]=a[e][1]);c.ready(b)})})}var b=["indexeddb","cache","localstorage"],d=!!h[46]&&h[46][0];d&&0<b.indexOf(d)&&(b.splice(b.indexOf(d),1),b.unshift(d));
+a()},ready:function(a){c.index=a;c.T();for(var b in a)a.hasOwnProperty(b)&&"proxy"===a[b].type&&w(b)&&c.A(b)&&c.L(b);a=c.C;c.C=[];b=a.length;for(var d=0;d<b;d++)a[d]()},v:function(a){c.index?a():c.C.push(a)},A:function(a){return!(!c.index||!c.index[a])&&!(void 0!==c.index[a].g&&0>c.index[a].g-c.now())&&!c.F(a,c.index[a])&&c.index[a]},F:function(a,b){if((b.h||0)!==M)return!0;a=w(a);return!(!a||b.version===a||b.hash===a)},T:function(){var a=[];for(b in c.index)c.index.hasOwnProperty(b)&&c.F(b,c.index[b])&&
+a.push(b);var b=a.length;for(var d=0;d<b;d++)c.remove(a[d]);H+=b},verify:function(a,b,d,c){var f=B(a);if(!f)return c(!A,"no hash");O(d,function(a){if(!a)return c(!A,"SubtleCrypto not available");c(a===f,"hash mismatch")})},X:function(a,b,d,g){O(b,function(f){var e=B(a);e&&f!==e||A&&!e||c.save(a,b,d,f,g)})},save:function(a,b,d,g,f){c.j(function(){var e=c.now();e={i:e,g:e+(d||c.O),size:0,h:M};g&&(e.hash=g);f&&(e.type=f);var k=w(a);if(k&&(e.version=k),b instanceof Array){k=e.c=b.length;for(var h=0;h<
+k;h++)e.size+=b[h].length}else e.size=b.length;c.add(a,e,b)},3E3)},s:function(a,b){if(void 0!==c.b[a]&&!1!==c.b[a])return b(c.b[a]);c.b[a]=!1;c.getData(a,function(d){if(!d)return b(!1);c.N(a,d,b)})},getData:function(a,b){c.v(function(){var d=c.A(a);if(!c.a||!d)return b(!1);c.a.get(a,function(g){if(!g)return b(!1);c.verify(a,d,g,function(d,e){if(!d)return I++,h[30]("js:integrity",{url:a,reason:e}),c.remove(a),b(!1);b(g)})})})},N:function(a,b,d){if(c.b[a])return d(c.b[a]);var g,f="/* @source "+a+" */\n",
+e=!1;if(h[16]&&void 0!==h[1][2]&&h[1][2])for(var k=h[1][2].length,m=0;m<k;m++)if("object"==typeof h[1][2][m]&&-1!==a.indexOf(h[1][2][m][0])){e=!0;h[1][2][m][1]&&(g=h[1][2][m][1]);break}e?(f+="window.requestIdleCallback(function(){",f+=b,f+=g?"},{timeout:"+g+"});":"});"):f+=b;c.b[a]=C(f,"application/javascript");p.push(c.b[a]);d(c.b[a])},L:function(a){void 0===c.b[a]&&c.j(function(){void 0===c.b[a]&&c.s(a,function(){})},100)},add:function(a,b,d,g){c.a&&(void 0!==g&&10<parseInt(g)||c.a.set(a,b,d,function(f){if(!f)return void(c.index[a]=
+b);if("quota"===f){f=!1;for(var e in c.index)c.index.hasOwnProperty(e)&&e!==a&&(!1===f||c.index[e].i<c.index[f].i)&&(f=e);return!1===f?void 0:(F++,void c.remove(f,function(){c.j(function(){void 0===g&&(g=0);c.add(a,b,d,++g)},1E3)}))}J++}))},remove:function(a,b){if(c.index&&delete c.index[a],c.b[a]&&delete c.b[a],!c.a)return b?b():null;c.a.remove(a,b||function(){})},clear:function(a){c.v(function(){var b=c.now(),d=[],g;for(g in c.index)c.index.hasOwnProperty(g)&&(!a||c.index[g].g<=b)&&d.push(g);b=
+d.length;for(g=0;g<b;g++)c.remove(d[g]);a&&(G+=b)})},V:function(){c.v(function(){if(c.a&&"localstorage"!==c.storage){var a=r.U;a.l(function(b){b&&a.list(function(b){for(var d=c.now(),f=b.length,e=0;e<f;e++)!function(b,e){!c.index[b]&&e.g>d&&!c.F(b,e)&&a.get(b,function(a){a&&c.add(b,e,a)});a.remove(b,function(){})}(b[e][0],b[e][1])})})}})}},C=h[41],x=function(){self.G=self.fetch||!1;self.m=5E3;self.P=function(a,b){for(var d,c=Math.ceil(a.length/b),f=Array(c),e=0;e<c;e++)d=e*b,f[e]=a.substring(d,d+
+b);return f};self.I=function(a){function b(b,d){c||((c=!0,g&&(clearTimeout(g),g=!1),!b&&d&&a.w)&&d.length>a.w&&(d=self.P(d,a.w)),self.R(a,b,d))}var c=!1,g=!1;if(self.G){var f=function(a){c||("object"==typeof a&&a.status&&(a=[a.status,a.statusText]),b(a))};self.G(a.url,{method:"GET",mode:"cors",cache:"default"}).then(function(a){c||(a.ok?a.text().then(function(a){b(!1,a)}):b([a.status,a.statusText]))},f).catch(f);f=a.timeout||self.m;isNaN(f)&&(f=self.m);g=setTimeout(function(){c||b("timeout")},f)}else{var e=
+new XMLHttpRequest;e.open("GET",a.url,!0);e.responseType="text";e.onreadystatechange=function(){c||4===e.readyState&&(200!==e.status?b(e.statusText):b(!1,e.responseText))};e.onerror=function(){c||b(e.statusText)};f=a.timeout||self.m;isNaN(f)&&(f=self.m);g=setTimeout(function(){if(!c){try{e.abort()}catch(k){}b("timeout")}},f);e.send(null)}};self.R=function(a,b,c){b?(b instanceof Array||"object"!=typeof b||(b=b.toString()),self.postMessage([2,a.u,b])):self.postMessage([1,a.u,c])};self.onmessage=function(a){a=
+a.data;if(a instanceof Array)for(var b=a.length,c=0;c<b;c++)"object"==typeof a[c]&&void 0!==a[c].url&&void 0!==a[c].u&&self.I(a[c]);else{if("object"!=typeof a||void 0===a.url||void 0===a.u)throw Error("Web Worker Script Loader: Invalid resource object");self.I(a)}}}.toString().replace(/^function\s*\(\s*\)\s*\{/,"").replace(/\}$/,""),n={Y:C(x,"application/javascript"),f:!1,M:0,D:[],start:function(){this.f=new Worker(this.Y);this.f.addEventListener("message",this.J);this.f.addEventListener("error",
+this.handleError)},stop:function(){this.f&&(this.f.removeEventListener("message",this.J),this.f.removeEventListener("error",this.handleError),this.f.terminate(),this.f=!1)},J:function(a){a=a.data;var b=a[1];if(void 0!==n.D[b])return 1===parseInt(a[0])?void n.D[b].W(a[2]):2===parseInt(a[0])?void z++:void 0},handleError:function(){z++},K:function(a,b){this.load(h[28](a),b)},load:function(a,b){this.f||this.start();var d=parseInt(this.M);this.M++;this.D[d]={url:a,W:b};this.f.postMessage({url:a,u:d,w:c.a&&
+c.a.H?c.a.H:0})}};if(n.start(),c.l(),l.addEventListener("beforeunload",function(){if(n.stop(),0<p.length)for(var a=p.length,b=0;b<a;b++)try{URL.revokeObjectURL(p[b])}catch(d){}}),h[16])h[16](function(){c.clear(!0)},{timeout:3E3});else{var D;x=function(){D&&clearTimeout(D);D=setTimeout(function(){c.clear(!0)},2E3)};x();h[20](x)}c.j(c.V,5E3);var E=function(a,b){return function(d){d&&c.X(a,d,!1,b)}};if(h[23]=function(a,b,d){K(function(){c.s(a,function(c){if(h[30]("js:cache",{url:a,hit:!!c}),c)return t++,
+d(c),void h[21](c,b);u++;d(!1);h[21](a,function(c,d){b(c,d);c||d||n.K(a,E(a))})})})},h[25]=function(a,b){K(function(){b?c.s(a,function(a){a||b()}):c.L(a)})},h[24]=function(a){var b=c.b[a]||!1;return!b&&c.index&&c.a&&c.a.sync&&!B(a)&&c.s(a,function(a){b=a}),b?(t++,b):(c.v(function(){c.A(a)||(u++,n.K(a,E(a,"proxy")))}),a)},N){var Q=function(a,b){function c(a){if(!(a=a.trim())||/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(a))return a;try{return(new URL(a,f)).href}catch(k){return a}}var g=document.createElement("a");
+g.href=b;var f=g.href;return a.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi,function(a,b,d){return"url("+b+c(d)+b+")"}).replace(/@import\s+(['"])([^'"]+)\1/gi,function(a,b,d){return"@import "+b+c(d)+b})},y=[],P=function(){for(var a=y.splice(0,y.length),b=a.length,c=0;c<b;c++)n.load(a[c],E(a[c],"css"))};l.addEventListener("load",function(){c.j(P,3E3)});h[50]=function(a,b){c.getData(a,function(d){if(h[30]("css:cache",{url:a,hit:!!d}),d)return t++,d="/* @source "+a+" */\n"+Q(d,a),"blob"===N?(d=C(d,"text/css"),
+p.push(d),b(["blob",d])):b(["style",d]);u++;b(!1);-1===y.indexOf(a)&&(y.push(a),"complete"===document.readyState&&c.j(P,3E3))})}}h[47]=function(){var a={storage:c.storage,entries:0,size:0,c:0,ba:t,da:u,Z:F,aa:G,ca:H,integrity:I,fa:z,ea:J},b;for(b in c.index)c.index.hasOwnProperty(b)&&(a.entries++,a.size+=c.index[b].size||0,a.c+=c.index[b].c||0);return a}}},"loadscript");
@@ -0,0 +1,21 @@
+Abtf[31](function(h,l){var m=h.document,q=l[42];if(q&&q[0]){var x=q[0];q=q[1]||[];var F=!!(h.Worker&&h.URL&&l[41]),G="srcdoc"in m.createElement("iframe")&&h.postMessage,D=function(b){function a(a,g){a=a.split(".");for(var f=a.pop(),e=b,r=a.length,k=0;k<r;k++)void 0===e[a[k]]&&(e[a[k]]=k===r-1&&"push"===f?[]:{}),e=e[a[k]];a=!(!e||"function"!=typeof e[f])&&[e,e[f]];if(!a)return!1;f=[];e=g.length;for(r=0;r<e;r++)f.push(1===g[r][0]?d(g[r][1]):g[r][1]);return a[1].apply(a[0],f),!0}function d(a){return function(){return arguments}.apply(null,
+a)}var f=[];return{call:function(b,d){!f.length&&a(b,d)||f.push([b,d])},flush:function(){for(;f.length&&a(f[0][0],f[0][1]);)f.shift()}}},H=function(b){function a(){for(var c=new URL(n.href),a={href:c.href,protocol:c.protocol,host:c.host,hostname:c.hostname,port:c.port,pathname:c.pathname,search:c.search,hash:c.hash,origin:c.origin,assign:k,replace:k,reload:k,toString:function(){return c.href}},b=n.cookie?n.cookie.split(/;\s*/):[],f=b.length,A=0;A<f;A++)r(b[A]);t.location=a;t.URL=c.href;t.domain=c.hostname;
+t.referrer=n.referrer;t.title=n.title;w.setAttribute("lang",n.lang);e("window",self);e("parent",self);e("top",self);e("frames",self);e("opener",null);e("document",t);e("location",a);e("innerWidth",n.width);e("innerHeight",n.height);e("outerWidth",n.width);e("outerHeight",n.height);e("devicePixelRatio",n.i);e("scrollX",0);e("scrollY",0);e("pageXOffset",0);e("pageYOffset",0);e("screen",{width:n.screen[0],height:n.screen[1],availWidth:n.screen[0],availHeight:n.screen[1],colorDepth:24,pixelDepth:24});
+e("history",{length:1,state:null,pushState:k,replaceState:k,back:k,forward:k,go:k});e("localStorage",g());e("sessionStorage",g());e("Image",function(){return d("img")});e("getComputedStyle",function(){return{getPropertyValue:function(){return""}}});e("matchMedia",function(c){return{matches:!1,media:c,addListener:k,removeListener:k,addEventListener:k,removeEventListener:k}});e("scrollTo",k);e("scrollBy",k);self.requestAnimationFrame||(e("requestAnimationFrame",function(c){return setTimeout(function(){c(Date.now())},
+16)}),e("cancelAnimationFrame",clearTimeout));try{self.navigator.sendBeacon=function(c,a){try{l([4,m(c),a])}catch(N){return!1}return!0},void 0===self.navigator.cookieEnabled&&(self.navigator.cookieEnabled=!0)}catch(M){}}function d(c){c=String(c).toUpperCase();var a={},b={tagName:c,nodeName:c,nodeType:1,style:{},dataset:{},childNodes:[],children:[],parentNode:null,parentElement:null,text:"",textContent:"",innerHTML:"",setAttribute:function(c,d){c=String(c).toLowerCase();a[c]=String(d);"src"===c&&(b.src=
+d)},getAttribute:function(c){return c=String(c).toLowerCase(),a.hasOwnProperty(c)?a[c]:null},hasAttribute:function(c){return a.hasOwnProperty(String(c).toLowerCase())},removeAttribute:function(c){delete a[String(c).toLowerCase()]},addEventListener:function(c,a){(b.c[c]=b.c[c]||[]).push(a)},removeEventListener:function(c,a){c=b.c[c]||[];a=c.indexOf(a);-1!==a&&c.splice(a,1)},appendChild:function(c){return b.insertBefore(c,null)},insertBefore:function(c,a){c.parentNode&&c.parentNode.removeChild(c);a=
+b.childNodes.indexOf(a);return b.childNodes.splice(-1===a?b.childNodes.length:a,0,c),c.parentNode=c.parentElement=b,"SCRIPT"===c.tagName&&f(c),c},removeChild:function(c){var a=b.childNodes.indexOf(c);return-1!==a&&b.childNodes.splice(a,1),c.parentNode=c.parentElement=null,c},remove:function(){b.parentNode&&b.parentNode.removeChild(b)},cloneNode:function(){return d(c)},contains:function(){return!1},getBoundingClientRect:function(){return{top:0,left:0,right:0,bottom:0,width:0,height:0}},getElementsByTagName:function(c){return c=
+String(c).toUpperCase(),b.childNodes.filter(function(a){return"*"===c||a.tagName===c})},getElementsByClassName:function(){return[]},querySelector:function(){return null},querySelectorAll:function(){return[]},dispatchEvent:function(){return!0}};if(b.c={},"IMG"===c||"SCRIPT"===c){var e="";Object.defineProperty(b,"src",{get:function(){return e},set:function(d){e=m(String(d));a.src=e;"IMG"===c&&(l([3,e]),h(b,"load"))}})}return b}function f(c){if(c.src){var a=!1;t.currentScript=c;try{importScripts(m(c.src))}catch(z){a=
+z}t.currentScript=null;q.flush();c.error=a;h(c,a&&"NetworkError"===a.name?"error":"load")}else if(c.text||c.textContent){try{(0,eval)(c.text||c.textContent)}catch(z){}q.flush()}}function r(c){c=String(c);var a=c.split(";")[0],b=a.indexOf("=");if(-1!==b){var d=a.substr(0,b).trim(),e=/expires=([^;]+)/i.exec(c);/max-age=\s*(0|-\d+)/i.test(c)||e&&Date.parse(e[1])<Date.now()?delete p[d]:p[d]=a.substr(b+1)}}function g(){var c={};return{getItem:function(a){return c.hasOwnProperty(a)?c[a]:null},setItem:function(a,
+b){c[a]=String(b)},removeItem:function(a){delete c[a]},clear:function(){c={}},key:function(a){return Object.keys(c)[a]||null}}}function h(c,a){setTimeout(function(){var b={type:a,target:c,currentTarget:c,preventDefault:k,stopPropagation:k};"function"==typeof c["on"+a]&&c["on"+a](b);for(var d=c.c[a]||[],e=d.length,f=0;f<e;f++)d[f](b)},0)}function e(c,a){try{Object.defineProperty(self,c,{value:a,writable:!0,configurable:!0})}catch(z){}}function m(c){try{return(new URL(c,n.href)).href}catch(L){return c}}
+function k(){}var n,l=self.postMessage.bind(self),q=b(self),p={},w=d("html"),v=w.appendChild(d("head")),u=w.appendChild(d("body"));v.childNodes.push(d("script"));v.childNodes[0].parentNode=v.childNodes[0].parentElement=v;var t={nodeType:9,readyState:"complete",visibilityState:"visible",hidden:!1,characterSet:"UTF-8",compatMode:"CSS1Compat",currentScript:null,documentElement:w,head:v,body:u,createElement:d,createElementNS:function(c,a){return d(a)},createTextNode:function(a){return{nodeType:3,textContent:String(a)}},
+createEvent:function(){return{initEvent:k}},getElementById:function(){return null},getElementsByTagName:function(a){return a=String(a).toUpperCase(),"HTML"===a?[w]:w.getElementsByTagName(a).concat(v.getElementsByTagName(a),u.getElementsByTagName(a))},getElementsByClassName:function(){return[]},getElementsByName:function(){return[]},querySelector:function(a){return t.querySelectorAll(a)[0]||null},querySelectorAll:function(a){return a=String(a).trim(),/^(html|head|body|script)$/i.test(a)?t.getElementsByTagName(a):
+[]},addEventListener:k,removeEventListener:k,dispatchEvent:function(){return!0},hasFocus:function(){return!0}};Object.defineProperty(t,"cookie",{get:function(){var a=[],b;for(b in p)p.hasOwnProperty(b)&&a.push(b+"="+p[b]);return a.join("; ")},set:function(a){r(a);l([2,String(a)])}});self.addEventListener("message",function(c){var b=c.data;if(b instanceof Array){if(0===b[0])return n=b[1],void a();if(1===b[0]){var e=d("script");c=function(){var a=e.error;l([1,b[1],!(!a||"NetworkError"!==a.name),!(!a||
+"NetworkError"===a.name)&&[String(a.message||a),a.lineNumber||0,a.columnNumber||0]])};return e.addEventListener("load",c),e.addEventListener("error",c),e.src=b[2],void v.appendChild(e)}2===b[0]&&q.call(b[1],b[2])}})},I=function(b){var a=b(h),d=h.parent,f=!!document.currentScript&&(document.currentScript.nonce||document.currentScript.getAttribute("nonce"));h.addEventListener("message",function(b){var g=b.data;if(b.source===d&&g instanceof Array){if(1===g[0])return b=document.createElement("script"),
+f&&b.setAttribute("nonce",f),b.onload=function(){a.flush();d.postMessage([1,g[1],!1,!1],"*")},b.onerror=function(){d.postMessage([1,g[1],!0,!1],"*")},b.src=g[2],void document.head.appendChild(b);2===g[0]&&a.call(g[1],g[2])}});d.postMessage([0],"*")},y=[],B=[],E=function(b,a){for(var d=[],f=a.length,h=0;h<f;h++)d.push("[object Arguments]"===Object.prototype.toString.call(a[h])?[1,Array.prototype.slice.call(a[h])]:[0,a[h]]);try{var g=JSON.parse(JSON.stringify(d))}catch(K){g=!1}if(!(a=g))return void console.warn("Abtf.js() \u27a4 sandbox \u27a4 forward \u27a4 arguments not serializable",
+b);y.push([b,a]);g=B.length;for(d=0;d<g;d++)B[d].send([2,b,a])},J=q.length,C=0;for(;C<J;C++)!function(b){for(var a=b.split("."),d=a.pop(),f=h,l=a.length,g=0;g<l;g++)void 0===f[a[g]]&&(f[a[g]]=g===l-1&&"push"===d?[]:{}),f=f[a[g]];if(f){var m=f[d];if("push"===d&&f instanceof Array)for(a=f.length,g=0;g<a;g++)E(b,[f[g]]);f[d]=function(){if(E(b,arguments),"function"==typeof m)return m.apply(this,arguments)}}}(q[C]);var u=function(b){var a=this;(a.mode=b,a.index=0,a.f={},a.g=[],a.ready=!1,"worker"===b)?
+(a.uri=l[41]("("+H.toString()+")("+D.toString()+");","application/javascript"),a.b=new Worker(a.uri),a.b.addEventListener("message",function(b){a.h(b.data)}),a.b.addEventListener("error",function(a){console.error("Abtf.js() \u27a4 sandbox \u27a4 worker \u27a4 error",a.message);a.preventDefault()}),a.b.postMessage([0,{href:h.location.href,referrer:m.referrer,title:m.title,cookie:m.cookie,lang:m.documentElement.lang||"",width:h.innerWidth,height:h.innerHeight,i:h.devicePixelRatio||1,screen:[h.screen.width,
+h.screen.height]}]),a.ready=!0):(b=l[40](m.createElement("script")).getAttribute("nonce"),a.a=m.createElement("iframe"),a.a.setAttribute("sandbox","allow-scripts"),a.a.setAttribute("aria-hidden","true"),a.a.setAttribute("tabindex","-1"),a.a.title="sandbox",a.a.style.cssText="position:absolute;width:0;height:0;border:0;visibility:hidden;",a.a.srcdoc="<!DOCTYPE html><html><head><script"+(b?' nonce="'+b.replace(/"/g,"&quot;")+'"':"")+">"+("("+I.toString()+")("+D.toString()+");")+"\x3c/script></head><body></body></html>",
+h.addEventListener("message",function(b){b.source===a.a.contentWindow&&a.h(b.data)}),(m.body||m.documentElement).appendChild(a.a));b=y.length;for(var d=0;d<b;d++)a.send([2,y[d][0],y[d][1]]);B.push(a)};u.prototype.send=function(b){this.ready?this.b?this.b.postMessage(b):this.a.contentWindow.postMessage(b,"*"):this.g.push(b)};u.prototype.h=function(b){if(b instanceof Array)switch(b[0]){case 0:this.ready=!0;b=this.g.splice(0,this.g.length);for(var a=b.length,d=0;d<a;d++)this.send(b[d]);break;case 1:(a=
+this.f[b[1]])&&(delete this.f[b[1]],a(b[2],b[3]));break;case 2:"string"==typeof b[1]&&(m.cookie=b[1]);break;case 3:"string"==typeof b[1]&&/^https?:/i.test(b[1])&&((new Image).src=b[1]);break;case 4:"string"==typeof b[1]&&/^https?:/i.test(b[1])&&h.navigator.sendBeacon&&h.navigator.sendBeacon(b[1],b[2])}};u.prototype.load=function(b,a){var d=this.index++;this.f[d]=a;this.send([1,d,b])};u.prototype.stop=function(){this.b&&(this.b.terminate(),URL.revokeObjectURL(this.uri))};var p={};l[43]=function(b){for(var a=
+x.length,d=0;d<a;d++)if("object"==typeof x[d]&&-1!==b.indexOf(x[d][0]))return"iframe"===x[d][1]&&G?"iframe":!!F&&"worker";return!1};l[44]=function(b,a,d){p[a]||(p[a]=new u(a));console.info("Abtf.js() \u27a4 sandbox \u27a4 "+a,l[29](b));p[a].load(l[28]?l[28](b):b,d)};h.addEventListener("beforeunload",function(){for(var b in p)p.hasOwnProperty(b)&&p[b].stop()})}},"sandbox");
@@ -0,0 +1,21 @@
+Abtf[31](function(h,n){var l=h.document,q=n[42];if(q&&q[0]){var x=q[0];q=q[1]||[];var F=!!(h.Worker&&h.URL&&n[41]),G="srcdoc"in l.createElement("iframe")&&h.postMessage,D=function(c){function a(a,g){a=a.split(".");for(var f=a.pop(),e=c,r=a.length,k=0;k<r;k++)void 0===e[a[k]]&&(e[a[k]]=k===r-1&&"push"===f?[]:{}),e=e[a[k]];a=!(!e||"function"!=typeof e[f])&&[e,e[f]];if(!a)return!1;f=[];e=g.length;for(r=0;r<e;r++)f.push(1===g[r][0]?d(g[r][1]):g[r][1]);return a[1].apply(a[0],f),!0}function d(a){return function(){return arguments}.apply(null,
+a)}var f=[];return{call:function(c,d){!f.length&&a(c,d)||f.push([c,d])},flush:function(){for(;f.length&&a(f[0][0],f[0][1]);)f.shift()}}},H=function(c){function a(){for(var b=new URL(m.href),a={href:b.href,protocol:b.protocol,host:b.host,hostname:b.hostname,port:b.port,pathname:b.pathname,search:b.search,hash:b.hash,origin:b.origin,assign:k,replace:k,reload:k,toString:function(){return b.href}},c=m.cookie?m.cookie.split(/;\s*/):[],f=c.length,A=0;A<f;A++)r(c[A]);t.location=a;t.URL=b.href;t.domain=b.hostname;
+t.referrer=m.referrer;t.title=m.title;w.setAttribute("lang",m.lang);e("window",self);e("parent",self);e("top",self);e("frames",self);e("opener",null);e("document",t);e("location",a);e("innerWidth",m.width);e("innerHeight",m.height);e("outerWidth",m.width);e("outerHeight",m.height);e("devicePixelRatio",m.i);e("scrollX",0);e("scrollY",0);e("pageXOffset",0);e("pageYOffset",0);e("screen",{width:m.screen[0],height:m.screen[1],availWidth:m.screen[0],availHeight:m.screen[1],colorDepth:24,pixelDepth:24});
+e("history",{length:1,state:null,pushState:k,replaceState:k,back:k,forward:k,go:k});e("localStorage",g());e("sessionStorage",g());e("Image",function(){return d("img")});e("getComputedStyle",function(){return{getPropertyValue:function(){return""}}});e("matchMedia",function(b){return{matches:!1,media:b,addListener:k,removeListener:k,addEventListener:k,removeEventListener:k}});e("scrollTo",k);e("scrollBy",k);self.requestAnimationFrame||(e("requestAnimationFrame",function(b){return setTimeout(function(){b(Date.now())},
+16)}),e("cancelAnimationFrame",clearTimeout));try{self.navigator.sendBeacon=function(b,a){try{n([4,l(b),a])}catch(N){return!1}return!0},void 0===self.navigator.cookieEnabled&&(self.navigator.cookieEnabled=!0)}catch(M){}}function d(b){b=String(b).toUpperCase();var a={},c={tagName:b,nodeName:b,nodeType:1,style:{},dataset:{},childNodes:[],children:[],parentNode:null,parentElement:null,text:"",textContent:"",innerHTML:"",setAttribute:function(b,d){b=String(b).toLowerCase();a[b]=String(d);"src"===b&&(c.src=
+d)},getAttribute:function(b){return b=String(b).toLowerCase(),a.hasOwnProperty(b)?a[b]:null},hasAttribute:function(b){return a.hasOwnProperty(String(b).toLowerCase())},removeAttribute:function(b){delete a[String(b).toLowerCase()]},addEventListener:function(b,a){(c.c[b]=c.c[b]||[]).push(a)},removeEventListener:function(b,a){b=c.c[b]||[];a=b.indexOf(a);-1!==a&&b.splice(a,1)},appendChild:function(b){return c.insertBefore(b,null)},insertBefore:function(b,a){b.parentNode&&b.parentNode.removeChild(b);a=
+c.childNodes.indexOf(a);return c.childNodes.splice(-1===a?c.childNodes.length:a,0,b),b.parentNode=b.parentElement=c,"SCRIPT"===b.tagName&&f(b),b},removeChild:function(b){var a=c.childNodes.indexOf(b);return-1!==a&&c.childNodes.splice(a,1),b.parentNode=b.parentElement=null,b},remove:function(){c.parentNode&&c.parentNode.removeChild(c)},cloneNode:function(){return d(b)},contains:function(){return!1},getBoundingClientRect:function(){return{top:0,left:0,right:0,bottom:0,width:0,height:0}},getElementsByTagName:function(b){return b=
+String(b).toUpperCase(),c.childNodes.filter(function(a){return"*"===b||a.tagName===b})},getElementsByClassName:function(){return[]},querySelector:function(){return null},querySelectorAll:function(){return[]},dispatchEvent:function(){return!0}};if(c.c={},"IMG"===b||"SCRIPT"===b){var e="";Object.defineProperty(c,"src",{get:function(){return e},set:function(d){e=l(String(d));a.src=e;"IMG"===b&&(n([3,e]),h(c,"load"))}})}return c}function f(b){if(b.src){var a=!1;t.currentScript=b;try{importScripts(l(b.src))}catch(z){a=
+z}t.currentScript=null;q.flush();b.error=a;h(b,a&&"NetworkError"===a.name?"error":"load")}else if(b.text||b.textContent){try{(0,eval)(b.text||b.textContent)}catch(z){}q.flush()}}function r(b){b=String(b);var a=b.split(";")[0],c=a.indexOf("=");if(-1!==c){var d=a.substr(0,c).trim(),e=/expires=([^;]+)/i.exec(b);/max-age=\s*(0|-\d+)/i.test(b)||e&&Date.parse(e[1])<Date.now()?delete p[d]:p[d]=a.substr(c+1)}}function g(){var b={};return{getItem:function(a){return b.hasOwnProperty(a)?b[a]:null},setItem:function(a,
+c){b[a]=String(c)},removeItem:function(a){delete b[a]},clear:function(){b={}},key:function(a){return Object.keys(b)[a]||null}}}function h(b,a){setTimeout(function(){var c={type:a,target:b,currentTarget:b,preventDefault:k,stopPropagation:k};"function"==typeof b["on"+a]&&b["on"+a](c);for(var d=b.c[a]||[],e=d.length,f=0;f<e;f++)d[f](c)},0)}function e(b,a){try{Object.defineProperty(self,b,{value:a,writable:!0,configurable:!0})}catch(z){}}function l(b){try{return(new URL(b,m.href)).href}catch(L){return b}}
+function k(){}var m,n=self.postMessage.bind(self),q=c(self),p={},w=d("html"),v=w.appendChild(d("head")),u=w.appendChild(d("body"));v.childNodes.push(d("script"));v.childNodes[0].parentNode=v.childNodes[0].parentElement=v;var t={nodeType:9,readyState:"complete",visibilityState:"visible",hidden:!1,characterSet:"UTF-8",compatMode:"CSS1Compat",currentScript:null,documentElement:w,head:v,body:u,createElement:d,createElementNS:function(b,a){return d(a)},createTextNode:function(b){return{nodeType:3,textContent:String(b)}},
+createEvent:function(){return{initEvent:k}},getElementById:function(){return null},getElementsByTagName:function(b){return b=String(b).toUpperCase(),"HTML"===b?[w]:w.getElementsByTagName(b).concat(v.getElementsByTagName(b),u.getElementsByTagName(b))},getElementsByClassName:function(){return[]},getElementsByName:function(){return[]},querySelector:function(b){return t.querySelectorAll(b)[0]||null},querySelectorAll:function(b){return b=String(b).trim(),/^(html|head|body|script)$/i.test(b)?t.getElementsByTagName(b):
+[]},addEventListener:k,removeEventListener:k,dispatchEvent:function(){return!0},hasFocus:function(){return!0}};Object.defineProperty(t,"cookie",{get:function(){var b=[],a;for(a in p)p.hasOwnProperty(a)&&b.push(a+"="+p[a]);return b.join("; ")},set:function(a){r(a);n([2,String(a)])}});self.addEventListener("message",function(b){var c=b.data;if(c instanceof Array){if(0===c[0])return m=c[1],void a();if(1===c[0]){var e=d("script");b=function(){var a=e.error;n([1,c[1],!(!a||"NetworkError"!==a.name),!(!a||
+"NetworkError"===a.name)&&[String(a.message||a),a.lineNumber||0,a.columnNumber||0]])};return e.addEventListener("load",b),e.addEventListener("error",b),e.src=c[2],void v.appendChild(e)}2===c[0]&&q.call(c[1],c[2])}})},I=function(c){var a=c(h),d=h.parent,f=!!document.currentScript&&(document.currentScript.nonce||document.currentScript.getAttribute("nonce"));h.addEventListener("message",function(c){var g=c.data;if(c.source===d&&g instanceof Array){if(1===g[0])return c=document.createElement("script"),
+f&&c.setAttribute("nonce",f),c.onload=function(){a.flush();d.postMessage([1,g[1],!1,!1],"*")},c.onerror=function(){d.postMessage([1,g[1],!0,!1],"*")},c.src=g[2],void document.head.appendChild(c);2===g[0]&&a.call(g[1],g[2])}});d.postMessage([0],"*")},y=[],B=[],E=function(c,a){for(var d=[],f=a.length,h=0;h<f;h++)d.push("[object Arguments]"===Object.prototype.toString.call(a[h])?[1,Array.prototype.slice.call(a[h])]:[0,a[h]]);try{var g=JSON.parse(JSON.stringify(d))}catch(K){g=!1}if(a=g)for(y.push([c,
+a]),g=B.length,d=0;d<g;d++)B[d].send([2,c,a])},J=q.length,C=0;for(;C<J;C++)!function(c){for(var a=c.split("."),d=a.pop(),f=h,l=a.length,g=0;g<l;g++)void 0===f[a[g]]&&(f[a[g]]=g===l-1&&"push"===d?[]:{}),f=f[a[g]];if(f){var n=f[d];if("push"===d&&f instanceof Array)for(a=f.length,g=0;g<a;g++)E(c,[f[g]]);f[d]=function(){if(E(c,arguments),"function"==typeof n)return n.apply(this,arguments)}}}(q[C]);var u=function(c){var a=this;(a.mode=c,a.index=0,a.f={},a.g=[],a.ready=!1,"worker"===c)?(a.uri=n[41]("("+
+H.toString()+")("+D.toString()+");","application/javascript"),a.b=new Worker(a.uri),a.b.addEventListener("message",function(c){a.h(c.data)}),a.b.addEventListener("error",function(a){a.preventDefault()}),a.b.postMessage([0,{href:h.location.href,referrer:l.referrer,title:l.title,cookie:l.cookie,lang:l.documentElement.lang||"",width:h.innerWidth,height:h.innerHeight,i:h.devicePixelRatio||1,screen:[h.screen.width,h.screen.height]}]),a.ready=!0):(c=n[40](l.createElement("script")).getAttribute("nonce"),
+a.a=l.createElement("iframe"),a.a.setAttribute("sandbox","allow-scripts"),a.a.setAttribute("aria-hidden","true"),a.a.setAttribute("tabindex","-1"),a.a.title="sandbox",a.a.style.cssText="position:absolute;width:0;height:0;border:0;visibility:hidden;",a.a.srcdoc="<!DOCTYPE html><html><head><script"+(c?' nonce="'+c.replace(/"/g,"&quot;")+'"':"")+">"+("("+I.toString()+")("+D.toString()+");")+"\x3c/script></head><body></body></html>",h.addEventListener("message",function(c){c.source===a.a.contentWindow&&
+a.h(c.data)}),(l.body||l.documentElement).appendChild(a.a));c=y.length;for(var d=0;d<c;d++)a.send([2,y[d][0],y[d][1]]);B.push(a)};u.prototype.send=function(c){this.ready?this.b?this.b.postMessage(c):this.a.contentWindow.postMessage(c,"*"):this.g.push(c)};u.prototype.h=function(c){if(c instanceof Array)switch(c[0]){case 0:this.ready=!0;c=this.g.splice(0,this.g.length);for(var a=c.length,d=0;d<a;d++)this.send(c[d]);break;case 1:(a=this.f[c[1]])&&(delete this.f[c[1]],a(c[2],c[3]));break;case 2:"string"==
+typeof c[1]&&(l.cookie=c[1]);break;case 3:"string"==typeof c[1]&&/^https?:/i.test(c[1])&&((new Image).src=c[1]);break;case 4:"string"==typeof c[1]&&/^https?:/i.test(c[1])&&h.navigator.sendBeacon&&h.navigator.sendBeacon(c[1],c[2])}};u.prototype.load=function(c,a){var d=this.index++;this.f[d]=a;this.send([1,d,c])};u.prototype.stop=function(){this.b&&(this.b.terminate(),URL.revokeObjectURL(this.uri))};var p={};n[43]=function(c){for(var a=x.length,d=0;d<a;d++)if("object"==typeof x[d]&&-1!==c.indexOf(x[d][0]))return"iframe"===
+x[d][1]&&G?"iframe":!!F&&"worker";return!1};n[44]=function(c,a,d){p[a]||(p[a]=new u(a));p[a].load(n[28]?n[28](c):c,d)};h.addEventListener("beforeunload",function(){for(var c in p)p.hasOwnProperty(c)&&p[c].stop()})}},"sandbox");
@@ -1,7 +1,21 @@
-Abtf[0](function(y,f){function w(a,b,c){"function"!=typeof c&&(c=function(){});void 0!==f[23]?f[23](a,b,c):(f[21](a,b),c())}function x(a){var b=document.createElement("a");return b.href=a,b.href}function n(a,b,c){if(!1!==b&&b instanceof Array&&0!==b.length){for(var m=!0,l=!1,u=!1,v=b.length,d=0;d<v;d++)if(g&&g[b[d]]){for(var p=g[b[d]].length,e=0;e<p;e++)if(void 0===t[g[b[d]][e]]){m=!1;l=g[b[d]][e];u=b[d];break}if(!m)break}else if(void 0===t[b[d]]){m=!1;l=b[d];break}if(!1===m)if(0===q){m=[];v=b.length;
-for(d=0;d<v;d++)m.push(k[b[d]]||b[d]);console.error("Abtf.js() \u27a4 dependency unmet and no more scripts loading",(k[l]||l)+(k[u]?" ("+k[u]+")":""),a,m);c()}else{if(void 0===r[a+":"+l]){r[a+":"+l]=!0;m=[];v=b.length;for(d=0;d<v;d++)m.push(k[b[d]]||b[d]);console.info("Abtf.js() \u27a4 wait for dependency",(k[l]||l)+(k[u]?" ("+k[u]+")":""),a,m)}void 0!==f[25]&&f[25](x(a));h(n,[a,b,c])}else c()}else c()}function h(c,b){p.push([c,b])}var q=0,p=[],c=!1,k=[],g=[],t={},r={};f[18]=function(a){if("object"==
-typeof a&&void 0!==a[0]&&a[0]){void 0!==f[6]&&f[6][1]&&(f[22]=!0);var b=a[0];if(!1===a[1]?c=!1:(c=!0,g=a[1]&&"object"==typeof a[1]?a[1]:[]),k=a[2]&&a[2]instanceof Array?a[2]:[]){if(g){a=[];for(var h in g)g.hasOwnProperty(h)&&a.push(k[h])}else a=!1;console.log("Abtf.js() \u27a4 abide dependencies",k,a)}var m=function(a){if(void 0!==b[a])if("object"==typeof b[a]){var g=b[a],h=g[0],d=!!g[1],l=void 0!==g[2]&&g[2],e=!!g[3]&&g[3],r=function(a,c,b,d,g){var h=[];if(0<d.length)for(var l=d.length,e=0;e<l;e++)h.push(k[d[e]]||
-d[e]);q++;w(x(a),function(e){0<d.length?e?console.info("Abtf.js() \u27a4 localStorage loaded",f[29](a),k[b]||b,h,"\u27a4",e):console.info("Abtf.js() \u27a4 loaded",f[29](a),k[b]||b,h):e?console.info("Abtf.js() \u27a4 localStorage loaded",f[29](a),"\u27a4",e):console.info("Abtf.js() \u27a4 loaded",f[29](a));q--;!1!==b&&(t[b]=!0);e=p.splice(0,p.length);for(var l=e.length,n=0;n<l;n++)e[n][0].apply(null,e[n][1]);c||m(++g)},function(e){0<d.length?e?console.info("Abtf.js() \u27a4 localStorage "+(c?"async ":
-"")+"load start",f[29](a),"\u27a4",e,k[b]||b,h):console.info("Abtf.js() \u27a4 "+(c?"async ":"")+"download start",f[29](a),k[b]||b,h):e?console.info("Abtf.js() \u27a4 localStorage "+(c?"async ":"")+"load start",f[29](a),"\u27a4",e):console.info("Abtf.js() \u27a4 "+(c?"async ":"")+"download start",f[29](a))})};c&&e?n(h,e,function(){r(h,d,l,e,a)}):r(h,d,l,e,a);d&&m(++a)}else console.error("Abtf.js()","Invalid Javascript file configuration",a,b)};m(0)}};f[20]=h});
-Abtf[0](function(y,f){function w(f){var h=document.getElementsByTagName("script")[0];h.parentNode.insertBefore(f,h)}var x=0;f[22]=!1;f[21]=function(n,h){function q(){k=Error(n||"EMPTY");p()}function p(){t||(t=!0,g(),h&&h(k))}var c=document.createElement("script");f[22]&&c.setAttribute("data-abtf","");var k,g,t=!1;if(!c.readyState||"async"in c)g=function(){c.onload=c.onerror=null},c.onerror=q,c.onload=p,c.async=!0,c.charset="utf-8",c.src=n,w(c);else{x++;var r={loaded:!0,complete:!0},a=!1;g=function(){c.onreadystatechange=
-c.onerror=null};c.onreadystatechange=function(){var b=c.readyState;if(!k){if(!a&&r[b]&&(a=!0,w(c)),"loaded"===b&&(c.children,"loading"===c.readyState))return q();"complete"===c.readyState&&p()}};c.onerror=q;c.src=n}}});
+Abtf[31](function(l,d){function v(a){for(var b=a.length,c=0;c<b;c++)if("object"==typeof a[c]&&a[c][0]){var h=w(a[c][0]),m=!!a[c][4]&&a[c][4];g(a[c][0])||G(a[c][0],m)||m&&("module"===m.type&&!L||m.b&&L)||(void 0===d[25]||m&&("module"===m.type||m.integrity)?A(h,m):d[25](h,function(a,b){return function(){A(a,b)}}(h,m)))}}function A(a,b){var c=b&&"module"===b.type,h=c?"modulepreload":"preload",m=document.createElement("link");if(m.a&&m.a.supports&&m.a.supports(h)){m=d[40](document.createElement("link"));
+if(m.rel=h,c||m.setAttribute("as","script"),b){c=["integrity","crossorigin","referrerpolicy"];for(var k=c.length,f=0;f<k;f++)"string"==typeof b[c[f]]&&m.setAttribute(c[f],b[c[f]])}m.href=a;console.info("Abtf.js() \u27a4 parallel download",h,d[29](a));(document.head||document.getElementsByTagName("head")[0]).appendChild(m)}}function V(a,b,c,h){"function"!=typeof c&&(c=function(){});void 0===d[23]||h&&("module"===h.type||h.integrity)?(c(!1),d[21](a,b,h)):d[23](a,b,c)}function x(a){return a=a.replace(/\s+/g,
+" ").trim(),80<a.length?a.substr(0,80)+"...":a}function G(a,b){return!(!d[43]||!1===a||b&&"module"===b.type)&&d[43](a)}function n(a,b){for(var c=a;c&&1===c.nodeType;){if("A"===c.nodeName&&c.hasAttribute("href")||-1!==["INPUT","SELECT","TEXTAREA","LABEL"].indexOf(c.nodeName)||"BUTTON"===c.nodeName&&c.form)return;c=c.parentNode}if(a&&b.length&&document.documentElement.contains(a)){console.info("Abtf.js() \u27a4 interaction \u27a4 replay click",a,b.length+" listeners");var d=[];for(c=a;c;)d.push(c),
+c=c.parentNode;if(d.push(l),l.Proxy&&l.MouseEvent){try{var f=new MouseEvent("click",{bubbles:!0,cancelable:!0,view:l})}catch(aa){return}var k=!1,g=null,q=0,M={target:a,srcElement:a,stopPropagation:function(){k=!0;f.stopPropagation()},stopImmediatePropagation:function(){k=!0;f.stopImmediatePropagation()},composedPath:function(){return d.slice(0)}},r=new Proxy(f,{get:function(a,b){if("currentTarget"===b)return g;if("eventPhase"===b)return q;if(M.hasOwnProperty(b))return M[b];b=a[b];return"function"==
+typeof b?b.bind(a):b}});c=function(a,c){for(var d=b.length,e=0;e<d;e++)if(b[e][0]===a&&b[e][2]===c){g=a;try{"function"==typeof b[e][1]?b[e][1].call(a,r):b[e][1]&&"function"==typeof b[e][1].handleEvent&&b[e][1].handleEvent(r)}catch(H){setTimeout(function(){throw H;})}}};var e=d.length;for(q=1;1<e--&&!k;)c(d[e],!0);q=2;k||c(a,!0);k||c(a,!1);q=3;a=d.length;for(e=1;e<a&&!k;e++)c(d[e],!1)}}}function p(a){if(Q!==a){Q=a;var b=!!l.EventTarget&&l.EventTarget.prototype;if(b&&b.addEventListener){if(!a)return b.addEventListener=
+p.add,void(b.removeEventListener=p.a);var c=p.add=b.addEventListener,d=p.a=b.removeEventListener,f=function(a,b,c){for(var d=E.length,f=0;f<d;f++)if(E[f][0]===a&&E[f][1]===b&&E[f][2]===(c&&"object"==typeof c?!!c.capture:!!c))return f;return-1};b.addEventListener=function(a,b,d){var h;if(h="click"===a&&b)h=(h=document.currentScript)&&h.src&&-1!==W.indexOf(h.src);return h&&-1===f(this,b,d)&&E.push([this,b,d&&"object"==typeof d?!!d.capture:!!d]),c.apply(this,arguments)};b.removeEventListener=function(a,
+b,c){if("click"===a){var h=f(this,b,c);-1!==h&&E.splice(h,1)}return d.apply(this,arguments)}}}}function ea(a,b,c){function f(b){if(!k){k=!0;l&&clearTimeout(l);var h=B.indexOf(f);-1!==h&&B.splice(h,1);console.info("Abtf.js() \u27a4 interaction \u27a4 "+b,d[29](a),"waited "+(+new Date-g)+"ms");d[30]("js:interaction",{url:a,type:b});R++;p(!0);c()}}var g=+new Date;console.info("Abtf.js() \u27a4 wait for interaction",d[29](a),b?"max "+b+"ms":"");var k=!1;B.push(f);N||O(!0);var l=setTimeout(function(){f("timeout");
+0===B.length&&O(!1)},parseInt(b)||1E4)}function O(a){for(var b=F.length,c=0;c<b;c++)"click"===F[c]&&!a&&(0<R||0<B.length)||(a?l.addEventListener(F[c],C,!0):l.removeEventListener(F[c],C,!0));N=a}function C(a){"click"===a.type&&!1!==a.isTrusted&&X.push(a.target);for(var b=B.splice(0,B.length),c=b.length,d=0;d<c;d++)b[d](a.type);O(!1)}function g(a){var b=!(!d[1]||!d[1][3])&&d[1][3];if(!b||!1===a)return!1;for(var c=b.length,f=0;f<c;f++)if("object"==typeof b[f]&&-1!==a.indexOf(b[f][0]))return b[f];return!1}
+function S(){ba||!ca||0<R||0<B.length||(ba=!0,d[30]("js:interaction:loaded",W.length))}function w(a){var b=document.createElement("a");return b.href=a,b.href}function I(a,b,c,h){function g(a){if(void 0!==Y[a])return!0;if(void 0!==T[a]){if("load"===P(a))return!0;l=a}return!1}if(!1===b||!(b instanceof Array)||0===b.length)return void c();for(var k=!0,l=!1,q=!1,p=!1,r=b.length,e=0;e<r;e++)if(u&&u[b[e]]){for(var aa=u[b[e]].length,n=0;n<aa;n++)if(!g(u[b[e]][n])){k=!1;q=u[b[e]][n];p=b[e];break}if(!k)break}else if(!g(b[e])){k=
+!1;q=b[e];break}if(!1!==l)h(l);else if(!1===k)if(0===J){k=[];r=b.length;for(e=0;e<r;e++)k.push(f[b[e]]||b[e]);console.error("Abtf.js() \u27a4 dependency unmet and no more scripts loading",(f[q]||q)+(f[p]?" ("+f[p]+")":""),a,k);c()}else{if(void 0===da[a+":"+q]){da[a+":"+q]=!0;k=[];r=b.length;for(e=0;e<r;e++)k.push(f[b[e]]||b[e]);console.info("Abtf.js() \u27a4 wait for dependency",(f[q]||q)+(f[p]?" ("+f[p]+")":""),a,k)}void 0!==d[25]&&d[25](w(a));y(I,[a,b,c,h])}else c()}function P(a){var b=d[38]||[],
+c=b[1];a=f[a]||a;return c&&"string"==typeof c[a]?c[a]:b[2]||"skip"}function D(){for(var a=z.splice(0,z.length),b=a.length,c=0;c<b;c++)a[c][0].apply(null,a[c][1])}function y(a,b){z.push([a,b])}var J=0,z=[],Z=!1,f=[],u=[],Y={},T={},da={},fa=0,L="noModule"in document.createElement("script"),F=["scroll","click","touchstart","keydown"],B=[],R=0,X=[],N=!1,E=[],Q=!1,W=[],ca=!1,ba=!1;d.on("js:loaded",function(){ca=!0;S()});d[18]=function(a){function b(a){if(void 0!==h[a]){if("object"!=typeof h[a])return void console.error("Abtf.js()",
+"Invalid Javascript file configuration",a,h);var e=h[a],k=e[0],r=!!e[1],t=void 0!==e[2]&&e[2],u=!!e[3]&&e[3],H=!!e[4]&&e[4],A=a,y=function(){if(F&&!(0<--R)){0===B.length&&O(!1);p(!1);for(var f=E.splice(0,E.length),e=X.splice(0,X.length),g=e.length,l=0;l<g;l++)n(e[l],f);S()}v||(v=!0,C[A]=!0,c(),m--,0===m&&d[30]("js:loaded",h.length),r||!1===k||b(++a))};if(!1===k){var K=function(){console.info("Abtf.js() \u27a4 inline"+(r?" data":""),x(e[5]));var a=e[5],b=d[40](document.createElement("script"));b.text=
+a;a=document.getElementsByTagName("script")[0];a.parentNode.insertBefore(b,a);y()};return r?K():(q.push([A,K]),c()),void b(++a)}K=g(k);var F=!1,v=!1;K&&(r=!0);var U=G(k,H);if(U&&(r=!0),!r&&q.length)return void z.push(function(){b(A)});d[30]("js:queue",{url:k,handle:!1!==t&&(f[t]||t)});var M=function(a,b,c,e){function k(b,e){var h;if(h=e)console.error("Abtf.js() \u27a4 execution error",d[29](a),f[c]||c,e[0],"line "+e[1]+":"+e[2]),d[30]("js:exception",{url:a,handle:!1!==c&&(f[c]||c),message:e[0]}),
+h=(d[38]||[])[4],!h||!l.navigator.sendBeacon||10<=fa++||l.navigator.sendBeacon(h,JSON.stringify({page:document.location.pathname,url:a,handle:!1!==c&&(f[c]||c),message:e[0],line:e[1],f:e[2]})),h="fail"===q[3];if(h)return void g(!0,"exec");g(b,"error")}function g(b,g){if(n)return void(b||console.warn("Abtf.js() \u27a4 loaded after timeout",d[29](a),f[c]||c));n=!0;m&&clearTimeout(m);J--;b?(console.error("Abtf.js() \u27a4 "+g,d[29](a),f[c]||c,!1!==c?"dependants: "+P(c):""),d[30]("js:error",{url:a,handle:!1!==
+c&&(f[c]||c),reason:g}),!1!==t&&(T[t]=g),D()):(0<e.length?console.info("Abtf.js() \u27a4 loaded",d[29](a),f[c]||c,h):console.info("Abtf.js() \u27a4 loaded",d[29](a)),!1!==c&&(Y[c]=!0),D(),d[30]("js:file",{url:a,handle:!1!==c&&(f[c]||c)}));y()}var h=[];if(0<e.length)for(var r=e.length,p=0;p<r;p++)h.push(f[e[p]]||e[p]);J++;d[30]("js:start",{url:a,handle:!1!==c&&(f[c]||c)});var m,n=!1,q=d[38]||[];"number"==typeof q[0]&&0<q[0]&&(m=setTimeout(function(){g(!0,"timeout")},q[0]));if(U)return d[30]("js:sandbox",
+{url:a,type:U}),void d[44](w(a),U,k);V(w(a),k,function(g){F&&W.push(g||w(a));0<e.length?g?console.info("Abtf.js() \u27a4 localStorage "+(b?"async ":"")+"load start",d[29](a),"\u27a4",g,f[c]||c,h):console.info("Abtf.js() \u27a4 "+(b?"async ":"")+"download start",d[29](a),f[c]||c,h):g?console.info("Abtf.js() \u27a4 localStorage "+(b?"async ":"")+"load start",d[29](a),"\u27a4",g):console.info("Abtf.js() \u27a4 "+(b?"async ":"")+"download start",d[29](a))},H)},Q=function(a){console.error("Abtf.js() \u27a4 skipped, dependency failed",
+d[29](k),f[t]||t,(f[a]||a)+" ("+T[a]+")");d[30]("js:skip",{url:k,handle:!1!==t&&(f[t]||t),dependency:f[a]||a});!1!==t&&(T[t]="dependency");D();y()};if(H&&("module"===H.type&&!L||H.b&&L))console.info("Abtf.js() \u27a4 "+(L?"nomodule":"module")+" not executed",d[29](k)),!1!==t&&(Y[t]=!0),D(),y();else{var N=function(){Z&&u?I(k,u,function(){M(k,r,t,u)},Q):M(k,r,t,u)};K?(J++,ea(k,K[1],function(){J--;F=!0;N()}),y()):N()}r&&b(++a)}}function c(){for(;q.length;){for(var a=0;a<q[0][0];a++)if(!C[a])return;q.shift()[1]()}var b=
+z.splice(0,z.length),c=b.length;for(a=0;a<c;a++)b[a]()}if("object"!=typeof a||void 0===a[0]||!a[0])return void d[30]("js:loaded",0);void 0!==d[6]&&d[6][1]&&(d[22]=!0);var h=a[0],m=h.length;if(0===m&&d[30]("js:loaded",0),!1===a[1]?Z=!1:(Z=!0,u=a[1]&&"object"==typeof a[1]?a[1]:[]),f=a[2]&&a[2]instanceof Array?a[2]:[],d[39]&&v(h),f){if(u){a=[];for(var k in u)u.hasOwnProperty(k)&&a.push(f[k])}else a=!1;console.log("Abtf.js() \u27a4 abide dependencies",f,a)}var C=[],q=[],z=[];b(0)};d[20]=y},"js");
+Abtf[31](function(l,d){function v(d){for(var p=document.currentScript,l=x.length,n=0;n<l;n++)if(p&&x[n][0]===p||d.filename&&x[n][0].src===d.filename)return void(x[n][1]||(x[n][1]=[d.message||"Script error.",d.lineno||0,d.colno||0]))}function A(d){var l=document.getElementsByTagName("script")[0];l.parentNode.insertBefore(d,l)}var V=0;d[22]=!1;var x=[];l.addEventListener&&l.addEventListener("error",v);d[41]=function(d,p){try{var n=new Blob([d],{type:p})}catch(O){l.BlobBuilder=l.BlobBuilder||l.WebKitBlobBuilder||
+l.c,n=new BlobBuilder,n.append(d),n=n.getBlob(p)}return URL.createObjectURL(n)};var G=["integrity","crossorigin","referrerpolicy"];d[21]=function(l,p,v){function n(){I=Error(l||"EMPTY");C()}function C(){if(!P){P=!0;y();for(var d=x.length;d--;)x[d]===D&&x.splice(d,1);p&&p(I,!(I||!D[1])&&D[1])}}var g=d[40](document.createElement("script"));if(d[22]&&g.setAttribute("data-abtf",""),v){"module"===v.type&&(g.type="module");for(var S=G.length,w=0;w<S;w++)"string"==typeof v[G[w]]&&g.setAttribute(G[w],v[G[w]])}var I,
+P=!1,D=[g,!1];x.push(D);if(!g.readyState||"async"in g){var y=function(){g.onload=g.onerror=null};g.onerror=n;g.onload=C;g.async=!0;g.charset="utf-8";g.src=l;A(g)}else{V++;var J={loaded:!0,complete:!0},z=!1;y=function(){g.onreadystatechange=g.onerror=null};g.onreadystatechange=function(){var d=g.readyState;if(!I){if(!z&&J[d]&&(z=!0,A(g)),"loaded"===d&&(g.children,"loading"===g.readyState))return n();"complete"===g.readyState&&C()}};g.onerror=n;g.src=l}}},"loadscript");
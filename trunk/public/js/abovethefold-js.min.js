@@ -1,5 +1,17 @@
-Abtf[0](function(u,b){function q(a,c,g){void 0!==b[23]?b[23](a,c,g):b[21](a,c)}function r(a){var c=document.createElement("a");return c.href=a,c.href}function p(a,c,g){if(!1!==c&&c instanceof Array&&0!==c.length){for(var l=!0,d=c.length,h=0;h<d;h++)if(f&&f[c[h]]){for(var k=f[c[h]].length,t=0;t<k;t++)if(void 0===m[f[c[h]][t]]){l=!1;break}if(!l)break}else if(void 0===m[c[h]]){l=!1;break}!1===l?0===n?g():(void 0!==b[25]&&b[25](r(a)),e(p,[a,c,g])):g()}else g()}function e(a,c){k.push([a,c])}var n=0,k=
-[],a=!1,f=[],m={};b[18]=function(d){if("object"==typeof d&&void 0!==d[0]&&d[0]){void 0!==b[6]&&b[6][1]&&(b[22]=!0);var c=d[0];!1===d[1]?a=!1:(a=!0,f=d[1]&&"object"==typeof d[1]?d[1]:[]);var g=function(b){if(void 0!==c[b]&&"object"==typeof c[b]){var d=c[b],h=d[0],f=!!d[1],e=void 0!==d[2]&&d[2],d=!!d[3]&&d[3],l=function(a,d,c,b){n++;q(r(a),function(){n--;!1!==c&&(m[c]=!0);for(var a=k.splice(0,k.length),f=a.length,e=0;e<f;e++)a[e][0].apply(null,a[e][1]);d||g(++b)},function(){})};a&&d?p(h,d,function(){l(h,
-f,e,b)}):l(h,f,e,b);f&&g(++b)}};g(0)}};b[20]=e});
-Abtf[0](function(u,b){function q(b){var e=document.getElementsByTagName("script")[0];e.parentNode.insertBefore(b,e)}var r=0;b[22]=!1;b[21]=function(p,e){function n(){f=Error(p||"EMPTY");k()}function k(){d||(d=!0,m(),e&&e(f))}var a=document.createElement("script");b[22]&&a.setAttribute("data-abtf","");var f,m,d=!1;if(!a.readyState||"async"in a)m=function(){a.onload=a.onerror=null},a.onerror=n,a.onload=k,a.async=!0,a.charset="utf-8",a.src=p,q(a);else{r++;var c={loaded:!0,complete:!0},g=!1;m=function(){a.onreadystatechange=
-a.onerror=null};a.onreadystatechange=function(){var b=a.readyState;if(!f){if(!g&&c[b]&&(g=!0,q(a)),"loaded"===b&&(a.children,"loading"===a.readyState))return n();"complete"===a.readyState&&k()}};a.onerror=n;a.src=p}}});
+Abtf[31](function(l,e){function x(a){for(var c=a.length,b=0;b<c;b++)if("object"==typeof a[b]&&a[b][0]){var d=H(a[b][0]),k=!!a[b][4]&&a[b][4];X(a[b][0])||r(a[b][0],k)||k&&("module"===k.type&&!O||k.b&&O)||(void 0===e[25]||k&&("module"===k.type||k.integrity)?v(d,k):e[25](d,function(b,a){return function(){v(b,a)}}(d,k)))}}function v(a,c){var b=c&&"module"===c.type,d=b?"modulepreload":"preload",k=document.createElement("link");if(k.a&&k.a.supports&&k.a.supports(d)){k=e[40](document.createElement("link"));
+if(k.rel=d,b||k.setAttribute("as","script"),c){b=["integrity","crossorigin","referrerpolicy"];d=b.length;for(var m=0;m<d;m++)"string"==typeof c[b[m]]&&k.setAttribute(b[m],c[b[m]])}k.href=a;(document.head||document.getElementsByTagName("head")[0]).appendChild(k)}}function S(a,c,b,d){"function"!=typeof b&&(b=function(){});void 0===e[23]||d&&("module"===d.type||d.integrity)?(b(!1),e[21](a,c,d)):e[23](a,c,b)}function r(a,c){return!(!e[43]||!1===a||c&&"module"===c.type)&&e[43](a)}function I(a,c){for(var b=
+a;b&&1===b.nodeType;){if("A"===b.nodeName&&b.hasAttribute("href")||-1!==["INPUT","SELECT","TEXTAREA","LABEL"].indexOf(b.nodeName)||"BUTTON"===b.nodeName&&b.form)return;b=b.parentNode}if(a&&c.length&&document.documentElement.contains(a)){var d=[];for(b=a;b;)d.push(b),b=b.parentNode;if(d.push(l),l.Proxy&&l.MouseEvent){try{var e=new MouseEvent("click",{bubbles:!0,cancelable:!0,view:l})}catch(da){return}var m=!1,f=null,D=0,g={target:a,srcElement:a,stopPropagation:function(){m=!0;e.stopPropagation()},
+stopImmediatePropagation:function(){m=!0;e.stopImmediatePropagation()},composedPath:function(){return d.slice(0)}},Y=new Proxy(e,{get:function(b,a){if("currentTarget"===a)return f;if("eventPhase"===a)return D;if(g.hasOwnProperty(a))return g[a];a=b[a];return"function"==typeof a?a.bind(b):a}});b=function(a,b){for(var e=c.length,d=0;d<e;d++)if(c[d][0]===a&&c[d][2]===b){f=a;try{"function"==typeof c[d][1]?c[d][1].call(a,Y):c[d][1]&&"function"==typeof c[d][1].handleEvent&&c[d][1].handleEvent(Y)}catch(aa){setTimeout(function(){throw aa;
+})}}};var p=d.length;for(D=1;1<p--&&!m;)b(d[p],!0);D=2;m||b(a,!0);m||b(a,!1);D=3;a=d.length;for(p=1;p<a&&!m;p++)b(d[p],!1)}}}function h(a){if(K!==a){K=a;var c=!!l.EventTarget&&l.EventTarget.prototype;if(c&&c.addEventListener){if(!a)return c.addEventListener=h.add,void(c.removeEventListener=h.a);var b=h.add=c.addEventListener,d=h.a=c.removeEventListener,e=function(a,b,c){for(var d=E.length,e=0;e<d;e++)if(E[e][0]===a&&E[e][1]===b&&E[e][2]===(c&&"object"==typeof c?!!c.capture:!!c))return e;return-1};
+c.addEventListener=function(a,c,d){var g;if(g="click"===a&&c)g=(g=document.currentScript)&&g.src&&-1!==T.indexOf(g.src);return g&&-1===e(this,c,d)&&E.push([this,c,d&&"object"==typeof d?!!d.capture:!!d]),b.apply(this,arguments)};c.removeEventListener=function(a,b,c){if("click"===a){var g=e(this,b,c);-1!==g&&E.splice(g,1)}return d.apply(this,arguments)}}}}function ba(a,c,b){function d(c){if(!f){f=!0;m&&clearTimeout(m);var k=z.indexOf(d);-1!==k&&z.splice(k,1);e[30]("js:interaction",{url:a,type:c});P++;
+h(!0);b()}}var f=!1;z.push(d);Q||w(!0);var m=setTimeout(function(){d("timeout");0===z.length&&w(!1)},parseInt(c)||1E4)}function w(a){for(var c=F.length,b=0;b<c;b++)"click"===F[b]&&!a&&(0<P||0<z.length)||(a?l.addEventListener(F[b],n,!0):l.removeEventListener(F[b],n,!0));Q=a}function n(a){"click"===a.type&&!1!==a.isTrusted&&U.push(a.target);for(var c=z.splice(0,z.length),b=c.length,d=0;d<b;d++)c[d](a.type);w(!1)}function X(a){var c=!(!e[1]||!e[1][3])&&e[1][3];if(!c||!1===a)return!1;for(var b=c.length,
+d=0;d<b;d++)if("object"==typeof c[d]&&-1!==a.indexOf(c[d][0]))return c[d];return!1}function f(){L||!Z||0<P||0<z.length||(L=!0,e[30]("js:interaction:loaded",T.length))}function H(a){var c=document.createElement("a");return c.href=a,c.href}function G(a,c,b,d){function f(a){if(void 0!==V[a])return!0;if(void 0!==W[a]){var c=e[38]||[],b=c[1],d=t[a]||a;if("load"===(b&&"string"==typeof b[d]?b[d]:c[2]||"skip"))return!0;h=a}return!1}if(!1===c||!(c instanceof Array)||0===c.length)return void b();for(var m=
+!0,h=!1,l=c.length,g=0;g<l;g++)if(u&&u[c[g]]){for(var w=u[c[g]].length,p=0;p<w;p++)if(!f(u[c[g]][p])){m=!1;break}if(!m)break}else if(!f(c[g])){m=!1;break}!1!==h?d(h):!1===m?0===y?b():(void 0!==e[25]&&e[25](H(a)),A(G,[a,c,b,d])):b()}function B(){for(var a=C.splice(0,C.length),c=a.length,b=0;b<c;b++)a[b][0].apply(null,a[b][1])}function A(a,c){C.push([a,c])}var y=0,C=[],M=!1,t=[],u=[],V={},W={},ca=0,O="noModule"in document.createElement("script"),F=["scroll","click","touchstart","keydown"],z=[],P=0,
+U=[],Q=!1,E=[],K=!1,T=[],Z=!1,L=!1;e.on("js:loaded",function(){Z=!0;f()});e[18]=function(a){function c(a){if(void 0!==d[a]&&"object"==typeof d[a]){var g=d[a],p=g[0],u=!!g[1],q=void 0!==g[2]&&g[2],C=!!g[3]&&g[3],v=!!g[4]&&g[4],A=a,N=function(){if(F&&!(0<--P)){0===z.length&&w(!1);h(!1);for(var g=E.splice(0,E.length),n=U.splice(0,U.length),l=n.length,q=0;q<l;q++)I(n[q],g);f()}x||(x=!0,m[A]=!0,b(),k--,0===k&&e[30]("js:loaded",d.length),u||!1===p||c(++a))};if(!1===p){var J=function(){var a=g[5],c=e[40](document.createElement("script"));
+c.text=a;a=document.getElementsByTagName("script")[0];a.parentNode.insertBefore(c,a);N()};return u?J():(n.push([A,J]),b()),void c(++a)}J=X(p);var F=!1,x=!1;J&&(u=!0);var R=r(p,v);if(R&&(u=!0),!u&&n.length)return void D.push(function(){c(A)});e[30]("js:queue",{url:p,handle:!1!==q&&(t[q]||q)});var K=function(a,c,b){function d(c,d){var f;if(f=d)e[30]("js:exception",{url:a,handle:!1!==b&&(t[b]||b),message:d[0]}),f=(e[38]||[])[4],!f||!l.navigator.sendBeacon||10<=ca++||l.navigator.sendBeacon(f,JSON.stringify({page:document.location.pathname,
+url:a,handle:!1!==b&&(t[b]||b),message:d[0],line:d[1],f:d[2]})),f="fail"===h[3];if(f)return void g(!0,"exec");g(c,"error")}function g(c,d){k||(k=!0,f&&clearTimeout(f),y--,c?(e[30]("js:error",{url:a,handle:!1!==b&&(t[b]||b),reason:d}),!1!==q&&(W[q]=d),B()):(!1!==b&&(V[b]=!0),B(),e[30]("js:file",{url:a,handle:!1!==b&&(t[b]||b)})),N())}y++;e[30]("js:start",{url:a,handle:!1!==b&&(t[b]||b)});var f,k=!1,h=e[38]||[];"number"==typeof h[0]&&0<h[0]&&(f=setTimeout(function(){g(!0,"timeout")},h[0]));if(R)return e[30]("js:sandbox",
+{url:a,type:R}),void e[44](H(a),R,d);S(H(a),d,function(b){F&&T.push(b||H(a))},v)},Q=function(a){e[30]("js:skip",{url:p,handle:!1!==q&&(t[q]||q),dependency:t[a]||a});!1!==q&&(W[q]="dependency");B();N()};if(v&&("module"===v.type&&!O||v.b&&O))!1!==q&&(V[q]=!0),B(),N();else{var L=function(){M&&C?G(p,C,function(){K(p,0,q)},Q):K(p,0,q)};J?(y++,ba(p,J[1],function(){y--;F=!0;L()}),N()):L()}u&&c(++a)}}function b(){for(;n.length;){for(var a=0;a<n[0][0];a++)if(!m[a])return;n.shift()[1]()}var b=D.splice(0,D.length),
+c=b.length;for(a=0;a<c;a++)b[a]()}if("object"!=typeof a||void 0===a[0]||!a[0])return void e[30]("js:loaded",0);void 0!==e[6]&&e[6][1]&&(e[22]=!0);var d=a[0],k=d.length;0===k&&e[30]("js:loaded",0);!1===a[1]?M=!1:(M=!0,u=a[1]&&"object"==typeof a[1]?a[1]:[]);t=a[2]&&a[2]instanceof Array?a[2]:[];e[39]&&x(d);var m=[],n=[],D=[];c(0)};e[20]=A},"js");
+Abtf[31](function(l,e){function x(e){for(var h=document.currentScript,l=r.length,n=0;n<l;n++)if(h&&r[n][0]===h||e.filename&&r[n][0].src===e.filename)return void(r[n][1]||(r[n][1]=[e.message||"Script error.",e.lineno||0,e.colno||0]))}function v(e){var h=document.getElementsByTagName("script")[0];h.parentNode.insertBefore(e,h)}var S=0;e[22]=!1;var r=[];l.addEventListener&&l.addEventListener("error",x);e[41]=function(e,r){try{var h=new Blob([e],{type:r})}catch(n){l.BlobBuilder=l.BlobBuilder||l.WebKitBlobBuilder||
+l.c,h=new BlobBuilder,h.append(e),h=h.getBlob(r)}return URL.createObjectURL(h)};var I=["integrity","crossorigin","referrerpolicy"];e[21]=function(h,l,w){function n(){B=Error(h||"EMPTY");x()}function x(){if(!A){A=!0;C();for(var e=r.length;e--;)r[e]===y&&r.splice(e,1);l&&l(B,!(B||!y[1])&&y[1])}}var f=e[40](document.createElement("script"));if(e[22]&&f.setAttribute("data-abtf",""),w){"module"===w.type&&(f.type="module");for(var H=I.length,G=0;G<H;G++)"string"==typeof w[I[G]]&&f.setAttribute(I[G],w[I[G]])}var B,
+A=!1,y=[f,!1];r.push(y);if(!f.readyState||"async"in f){var C=function(){f.onload=f.onerror=null};f.onerror=n;f.onload=x;f.async=!0;f.charset="utf-8";f.src=h;v(f)}else{S++;var M={loaded:!0,complete:!0},t=!1;C=function(){f.onreadystatechange=f.onerror=null};f.onreadystatechange=function(){var e=f.readyState;if(!B){if(!t&&M[e]&&(t=!0,v(f)),"loaded"===e&&(f.children,"loading"===f.readyState))return n();"complete"===f.readyState&&x()}};f.onerror=n;f.src=h}}},"loadscript");
@@ -1,3 +0,0 @@
-Abtf[0](function(h,a){var c,d=h.document;a[19]=function(e,h,l){function m(a){if(!f){for(var c=b.href,d=n.length;d--&&!f;)if(n[d].href===c){a();return}setTimeout(function(){m(a)})}}function p(a){d.body?a():setTimeout(function(){p(a)})}function g(){function c(){a[15](function(){b.media=h||"all";console.info("Abtf.css() \u27a4 loadCSS()[RAF] render",a[29](e));l&&l()})}f||(f=!0,b.addEventListener&&b.removeEventListener("load",g),void 0!==a[5]&&0<parseInt(a[5])?(console.info("Abtf.css() \u27a4 loadCSS()[RAF] render delay",
-a[5],a[29](e)),setTimeout(c,a[5])):c())}console.info("Abtf.css() \u27a4 loadCSS()[RAF] async download start",a[29](e));var b=d.createElement("link");if(c||!1===c||(c=document.getElementById("AbtfCSS"))||(c=!1),c)var k=c;else var q=(d.body||d.getElementsByTagName("head")[0]).childNodes,k=q[q.length-1];var n=d.styleSheets;b.rel="stylesheet";b.href=e;b.media="only x";var f=!1;return b.addEventListener?b.addEventListener("load",g):b.onload=g,p(function(){k.parentNode.insertBefore(b,k.nextSibling);m(g)}),
-b}});
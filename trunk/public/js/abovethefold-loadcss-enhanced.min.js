@@ -1,2 +0,0 @@
-Abtf[0](function(g,c){var b,d=g.document;c[19]=function(g,r,k){function l(m){if(!e){for(var b=a.href,c=n.length;c--&&!e;)if(n[c].href===b){m();return}setTimeout(function(){l(m)})}}function p(a){d.body?a():setTimeout(function(){p(a)})}function f(){function b(){c[15](function(){a.media=r||"all";k&&k()})}e||(e=!0,a.addEventListener&&a.removeEventListener("load",f),void 0!==c[5]&&0<parseInt(c[5])?setTimeout(b,c[5]):b())}var a=d.createElement("link");if(b||!1===b||(b=document.getElementById("AbtfCSS"))||
-(b=!1),b)var h=b;else var q=(d.body||d.getElementsByTagName("head")[0]).childNodes,h=q[q.length-1];var n=d.styleSheets;a.rel="stylesheet";a.href=g;a.media="only x";var e=!1;return a.addEventListener?a.addEventListener("load",f):a.onload=f,p(function(){h.parentNode.insertBefore(a,h.nextSibling);l(f)}),a}});
@@ -1,4 +1,8 @@
-!function(k){function d(d,l,p){function g(a){for(var m=b.href,c=h.length;c--;)if(h[c].href===m)return a();setTimeout(function(){g(a)})}function n(a){f.body?a():setTimeout(function(){n(a)})}function e(){b.addEventListener&&b.removeEventListener("load",e);b.media=p||"all"}var c,f=k.document,b=f.createElement("link");if(l)c=l;else{var a=(f.body||f.getElementsByTagName("head")[0]).childNodes;c=a[a.length-1]}var h=f.styleSheets;b.rel="stylesheet";b.href=d;b.media="only x";n(function(){c.parentNode.insertBefore(b,
-l?c:c.nextSibling)});return b.addEventListener&&b.addEventListener("load",e),b.a=g,g(e),b}"undefined"!=typeof exports?exports.loadCSS=d:k.loadCSS=d}("undefined"!=typeof global?global:this);
-Abtf[0](function(k,d){function q(a,h,m){if(b)p(a,h,m);else if(document.getElementById("AbtfCSS"))e&&clearTimeout(e),0<c.length?(c.push([a,h,m]),l()):(p(a,h,m),b=!0);else if(c.push([a,h,m]),!e){var d=function(){100<f?console.error("Abtf.fonts()",'async CSS reference <style id="AbtfCSS"> not found'):(f++,document.getElementById("AbtfCSS")?l():e=setTimeout(d,0))};e=setTimeout(d,0)}}function l(){if(!n){n=!0;for(var a=c.shift();a;)p.apply(k,a),a=c.shift();n=!1;b=!0}}function p(a,b,c){g=k.loadCSS(a,g?g.nextSibling:
-document.getElementById("AbtfCSS").nextSibling,b,function(){console.info("Abtf.css() \u27a4 loadCSS() render",d[29](a));c&&c()})}var g,n,e,c=[],f=0,b=!1;d[19]=void 0!==k.loadCSS?function(a,b,c){console.info("Abtf.css() \u27a4 loadCSS() async download start",d[29](a));q(a,b,c)}:function(){}});
+Abtf[31](function(f,c){function B(a){if(h&&h.parentNode&&!k)h.parentNode.insertBefore(a,h.nextSibling);else{var b=l.getElementById("AbtfCSS");b&&!k?b.parentNode.insertBefore(a,b.nextSibling):(k||(k=l.createDocumentFragment(),x()),k.appendChild(a))}h=a}function x(){var a=l.getElementById("AbtfCSS");if(!a&&100>C++)return void setTimeout(x,0);var b=k;k=!1;a?a.parentNode.insertBefore(b,a.nextSibling):(console.error("Abtf.css()",'async CSS reference <style id="AbtfCSS"> not found'),(l.head||l.getElementsByTagName("head")[0]).appendChild(b))}
+function y(a,b){function c(){var g=D[e++];g?g(c,a):b()}var e=0;c()}function E(a,b){var g=parseInt(c[37]),e=F();if(e<=g)return console.info("Abtf.css() \u27a4 loadCSS() render budget \u27a4 within budget",Math.round(e)+"ms","<=",g+"ms",c[29](b)),void a();var h=+new Date;if(console.info("Abtf.css() \u27a4 loadCSS() render budget \u27a4 exceeded, wait for idle or interaction",Math.round(e)+"ms",">",g+"ms",c[29](b)),w.push(function(){console.info("Abtf.css() \u27a4 loadCSS() render budget \u27a4 waited",
++new Date-h+"ms",c[29](b));a()}),!q){q=!0;g=m.length;for(e=0;e<g;e++)f.addEventListener(m[e],r,!0);c[16]?c[16](r,{timeout:2E3}):setTimeout(r,2E3)}}function r(){if(q){q=!1;for(var a=m.length,b=0;b<a;b++)f.removeEventListener(m[b],r,!0);var c=w.splice(0,w.length);console.info("Abtf.css() \u27a4 loadCSS() render budget \u27a4 apply",c.length,"waiting stylesheets");a=c.length;for(b=0;b<a;b++)c[b]()}}function F(){if(!n||!n.now||!n.getEntriesByType)return 0;var a=n.getEntriesByType("paint");return a.length?
+n.now()-a[0].startTime:0}function G(a){var b=z[A[0]];return(!b||b.c&&!b.c(a))&&(b=z.print),b}var h,k,l=f.document,A=c[35]||[],z={print:{create:function(a){a.rel="stylesheet";a.media="print"},apply:function(a,b){a.media=b||"all"},a:!0},preload:{c:function(a){return a.b&&a.b.supports&&a.b.supports("preload")},create:function(a){a.rel="preload";a.setAttribute("as","style")},apply:function(a,b){a.media=b||"all";a.rel="stylesheet"},a:!1}},n=f.performance,m=["mousedown","touchstart","keydown","scroll",
+"wheel"],q=!1,w=[],p=[],D=[function(a,b){void 0!==c[37]&&0<parseInt(c[37])?E(a,b):void 0!==c[5]&&0<parseInt(c[5])?(console.info("Abtf.css() \u27a4 loadCSS() render delay",c[5],c[29](b)),setTimeout(a,c[5])):a()},function(a){if(!(A[1]||0<parseInt(c[37])))return void a();p.push(a);1===p.length&&c[15](function(){for(var a=p.splice(0,p.length),c=a.length,e=0;e<c;e++)a[e]()})}],C=0;c[19]=function(a,b,g,e){function k(){if(!t&&!u){for(var a=d.href,b=r.length;b--;)if(r[b].href===a)return m();setTimeout(k)}}
+function f(){return t||u?!t:(u=!0,q(),console.warn("Abtf.css() \u27a4 loadCSS() aborted",c[29](a)),!0)}function n(){t||u||(u=!0,q(),e&&e())}function q(){d.removeEventListener?(d.removeEventListener("load",m),d.removeEventListener("error",n)):d.onload=d.onerror=null;h===d&&(h=d.previousSibling);d.parentNode&&d.parentNode.removeChild(d)}function m(){t||u||(t=!0,y(a,function(){v.apply(d,b);console.info("Abtf.css() \u27a4 loadCSS() render",c[29](a));g&&g()}))}console.info("Abtf.css() \u27a4 loadCSS() async download start",
+c[29](a));var d=c[40](l.createElement("link")),v=G(d),r=l.styleSheets,p=c[50];p||(d.href=a);v.create(d,b);var t=!1,u=!1;return d.addEventListener?(d.addEventListener("load",m),d.addEventListener("error",n)):(d.onload=m,d.onerror=n),B(d),p?(p(a,function(e){if(!u){if(!e)return d.href=a,void(v.a&&k());if(console.info("Abtf.css() \u27a4 loadCSS() from cache","("+e[0]+")",c[29](a)),"blob"===e[0])return d.href=e[1],void(v.a&&k());var f=c[40](l.createElement("style"));f.media="print";f.appendChild(l.createTextNode(e[1]));
+d.parentNode.replaceChild(f,d);h===d&&(h=f);t=!0;y(a,function(){f.media=b||"all";console.info("Abtf.css() \u27a4 loadCSS() render",c[29](a));g&&g()})}}),f):(v.a&&k(),f)};void 0===f.loadCSS&&(f.loadCSS=function(a,b,f,e){return c[19](a,f,e),h})},"loadcss");
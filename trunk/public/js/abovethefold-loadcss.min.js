@@ -1,4 +1,6 @@
-!function(h){function k(k,l,p){function d(a){for(var m=b.href,c=g.length;c--;)if(g[c].href===m)return a();setTimeout(function(){d(a)})}function n(a){f.body?a():setTimeout(function(){n(a)})}function e(){b.addEventListener&&b.removeEventListener("load",e);b.media=p||"all"}var c,f=h.document,b=f.createElement("link");if(l)c=l;else{var a=(f.body||f.getElementsByTagName("head")[0]).childNodes;c=a[a.length-1]}var g=f.styleSheets;b.rel="stylesheet";b.href=k;b.media="only x";n(function(){c.parentNode.insertBefore(b,
-l?c:c.nextSibling)});return b.addEventListener&&b.addEventListener("load",e),b.a=d,d(e),b}"undefined"!=typeof exports?exports.loadCSS=k:h.loadCSS=k}("undefined"!=typeof global?global:this);
-Abtf[0](function(h,k){function q(a,g,m){if(b)p(a,g,m);else if(document.getElementById("AbtfCSS"))e&&clearTimeout(e),0<c.length?(c.push([a,g,m]),l()):(p(a,g,m),b=!0);else if(c.push([a,g,m]),!e){var d=function(){100<f||(f++,document.getElementById("AbtfCSS")?l():e=setTimeout(d,0))};e=setTimeout(d,0)}}function l(){if(!n){n=!0;for(var a=c.shift();a;)p.apply(h,a),a=c.shift();n=!1;b=!0}}function p(a,b,c){d=h.loadCSS(a,d?d.nextSibling:document.getElementById("AbtfCSS").nextSibling,b,function(){c&&c()})}
-var d,n,e,c=[],f=0,b=!1;k[19]=void 0!==h.loadCSS?function(a,b,c){q(a,b,c)}:function(){}});
+Abtf[31](function(k,d){function A(a){if(h&&h.parentNode&&!f)h.parentNode.insertBefore(a,h.nextSibling);else{var b=l.getElementById("AbtfCSS");b&&!f?b.parentNode.insertBefore(a,b.nextSibling):(f||(f=l.createDocumentFragment(),w()),f.appendChild(a))}h=a}function w(){var a=l.getElementById("AbtfCSS");if(!a&&100>B++)return void setTimeout(w,0);var b=f;f=!1;a?a.parentNode.insertBefore(b,a.nextSibling):(l.head||l.getElementsByTagName("head")[0]).appendChild(b)}function x(a,b){function e(){var h=C[d++];
+h?h(e,a):b()}var d=0;e()}function m(){if(p){p=!1;for(var a=g.length,b=0;b<a;b++)k.removeEventListener(g[b],m,!0);var e=q.splice(0,q.length);a=e.length;for(b=0;b<a;b++)e[b]()}}function D(a){var b=y[z[0]];return(!b||b.c&&!b.c(a))&&(b=y.print),b}var h,f,l=k.document,z=d[35]||[],y={print:{create:function(a){a.rel="stylesheet";a.media="print"},apply:function(a,b){a.media=b||"all"},a:!0},preload:{c:function(a){return a.b&&a.b.supports&&a.b.supports("preload")},create:function(a){a.rel="preload";a.setAttribute("as",
+"style")},apply:function(a,b){a.media=b||"all";a.rel="stylesheet"},a:!1}},n=k.performance,g=["mousedown","touchstart","keydown","scroll","wheel"],p=!1,q=[],r=[],C=[function(a){if(void 0!==d[37]&&0<parseInt(d[37])){var b=parseInt(d[37]);if(n&&n.now&&n.getEntriesByType){var e=n.getEntriesByType("paint");e=e.length?n.now()-e[0].startTime:0}else e=0;if(e<=b)a();else if(q.push(a),!p){p=!0;a=g.length;for(b=0;b<a;b++)k.addEventListener(g[b],m,!0);d[16]?d[16](m,{timeout:2E3}):setTimeout(m,2E3)}}else void 0!==
+d[5]&&0<parseInt(d[5])?setTimeout(a,d[5]):a()},function(a){if(!(z[1]||0<parseInt(d[37])))return void a();r.push(a);1===r.length&&d[15](function(){for(var a=r.splice(0,r.length),e=a.length,d=0;d<e;d++)a[d]()})}],B=0;d[19]=function(a,b,e,f){function k(){if(!t&&!u){for(var a=c.href,b=r.length;b--;)if(r[b].href===a)return g();setTimeout(k)}}function n(){return t||u?!t:(u=!0,p(),!0)}function m(){t||u||(u=!0,p(),f&&f())}function p(){c.removeEventListener?(c.removeEventListener("load",g),c.removeEventListener("error",
+m)):c.onload=c.onerror=null;h===c&&(h=c.previousSibling);c.parentNode&&c.parentNode.removeChild(c)}function g(){t||u||(t=!0,x(a,function(){v.apply(c,b);e&&e()}))}var c=d[40](l.createElement("link")),v=D(c),r=l.styleSheets,q=d[50];q||(c.href=a);v.create(c,b);var t=!1,u=!1;return c.addEventListener?(c.addEventListener("load",g),c.addEventListener("error",m)):(c.onload=g,c.onerror=m),A(c),q?(q(a,function(f){if(!u){if(!f)return c.href=a,void(v.a&&k());if("blob"===f[0])return c.href=f[1],void(v.a&&k());
+var g=d[40](l.createElement("style"));g.media="print";g.appendChild(l.createTextNode(f[1]));c.parentNode.replaceChild(g,c);h===c&&(h=g);t=!0;x(a,function(){g.media=b||"all";e&&e()})}}),n):(v.a&&k(),n)};void 0===k.loadCSS&&(k.loadCSS=function(a,b,e,f){return d[19](a,e,f),h})},"loadcss");
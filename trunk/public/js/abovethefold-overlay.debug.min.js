@@ -0,0 +1,16 @@
+Abtf[31](function(m,h,n){function C(){var a=JSON.stringify(z(),null,2),c="abtf-debug-"+n.location.hostname+"-"+ +new Date+".json";if(m.Blob&&m.URL&&m.URL.createObjectURL){var d=m.URL.createObjectURL(new Blob([a],{type:"application/json"}));a=n.createElement("a");a.href=d;a.download=c;n.body.appendChild(a);a.click();n.body.removeChild(a);setTimeout(function(){m.URL.revokeObjectURL(d)},1E3)}else m.open("data:application/json;charset=utf-8,"+encodeURIComponent(a))}function x(a){var c,d=z(),f="",w=0;
+var e=d.a.length;for(c=0;c<e;c++)w=Math.max(w,d.a[c].f||0,d.a[c].start||0);e=d.c.length;for(c=0;c<e;c++)w=Math.max(w,d.c[c].g||0,d.c[c].start||0);var k="";e=d.a.length;for(c=0;c<e;c++){var b=d.a[c];k+='<tr><td title="'+g(b.url)+'">'+g(h[29](b.url))+(b.strategy?" <em>"+g(b.strategy)+"</em>":"")+"</td><td>"+g(b.media)+"</td><td>"+u(b.start)+"</td><td>"+u(b.f)+'</td><td class="abtf-waterfall">'+A(b.start,b.f,w)+"</td></tr>"}f+=r("CSS",e,"<table><tr><th>File</th><th>Media</th><th>Start</th><th>Applied</th><th></th></tr>"+
+k+"</table>");k="";e=d.c.length;for(c=0;c<e;c++){b=d.c[c];for(var m=[],n=b.i.length,l=0;l<n;l++)-1!==b.w.indexOf(b.i[l])?m.push('<span class="abtf-error" title="not in queue">'+g(b.i[l])+"</span>"):m.push(g(b.i[l]));k+="<tr><td>"+(c+1)+"</td><td>"+(!1!==b.handle?g(b.handle):"-")+'</td><td title="'+g(b.url||b.m)+'">'+(!1!==b.m?"<em>inline</em> "+g(b.m):g(h[29](b.url)))+(b.async?" <em>async</em>":"")+(b.module?" <em>"+b.module+"</em>":"")+(!0===b.cache?" <em>cached</em>":"")+(b.sandbox?" <em>sandbox "+
+b.sandbox+"</em>":"")+(b.b?' <span class="abtf-error">'+g(b.b)+"</span>":"")+"</td><td>"+(m.join(", ")||"-")+"</td><td>"+u(b.j)+"</td><td>"+u(b.start)+"</td><td>"+u(b.g)+'</td><td class="abtf-waterfall">'+A(b.start,b.g,w)+"</td></tr>"}f+=r("Scripts",e,"<table><tr><th>#</th><th>Handle</th><th>File</th><th>Dependencies</th><th>Queued</th><th>Start</th><th>Executed</th><th></th></tr>"+k+"</table>");k="";e=d.proxy.length;for(c=0;c<e;c++)b=d.proxy[c],k+="<tr><td>"+g(b.type)+'</td><td title="'+g(b.url)+
+'">'+g(h[29](b.url))+"</td><td>"+u(b.time)+"</td></tr>";f+=r("Proxy captures",e,"<table><tr><th>Type</th><th>File</th><th>Time</th></tr>"+k+"</table>");k="";e=d.h.length;for(c=0;c<e;c++)b=d.h[c],k+='<tr><td title="'+g(b.url)+'">'+g(h[29](b.url))+"</td><td>"+g(b.policy||"-")+"</td><td>"+g(b.strategy)+"</td></tr>";if(f+=r("Service Worker policy matches",e,"<table><tr><th>Request</th><th>Policy</th><th>Strategy</th></tr>"+k+"</table>"),!1!==d.cache){k="";e=d.cache.length;for(c=0;c<e;c++)b=d.cache[c],
+k+="<tr><td>"+g(b.type)+'</td><td title="'+g(b.url)+'">'+g(h[29](b.url))+"</td><td>"+Math.round(b.size/1024)+"kb</td><td>"+b.u+"</td><td>"+(b.v?(new Date(1E3*b.v)).toLocaleString():"-")+'</td><td><button class="abtf-purge" data-url="'+g(b.url)+'">Purge</button></td></tr>';f+=r("Script cache"+(e?" ("+d.cache[0].storage+")":""),e,'<table><tr><th>Type</th><th>File</th><th>Size</th><th>Chunks</th><th>Expire</th><th><button class="abtf-purge" data-url="">Purge all</button></th></tr>'+k+"</table>");(e=
+d.s)&&(f+="<p>"+e.entries+" entries, "+Math.round(e.size/1024)+"kb, "+e.u+" chunks &middot; "+e.l+" hits, "+e.o+" misses"+(0<e.l+e.o?" ("+Math.round(e.l/(e.l+e.o)*100)+"%)":"")+" &middot; "+e.D+" evictions, "+e.F+" expired, "+e.G+" invalidated &middot; <span"+(e.integrity||e.B||e.A?' class="abtf-error"':"")+">"+e.integrity+" integrity failures, "+e.B+" worker errors, "+e.A+" storage errors</span></p>")}a.innerHTML=f}function r(a,c,d){return"<h4>"+g(a)+" <span>("+c+")</span></h4>"+(c?d:"<p>-</p>")}
+function A(a,c,d){return!1!==a&&d?'<div class="abtf-bar'+(!1===c?" abtf-pending":"")+'" style="margin-left:'+Math.min(99,Math.round(a/d*100))+"%;width:"+Math.max(1,Math.round(((!1===c?d:c)-a)/d*100))+'%;"></div>':""}function u(a){return!1===a?"-":a+"ms"}function g(a){return String(a).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")}function z(){var a=n.location.href,c=(new Date).toISOString(),d=m.navigator.userAgent;var f=h[2],g=[];if(f&&"object"==typeof f)for(var e in f)if(f.hasOwnProperty(e)&&
+"object"==typeof f[e]){var k=p.a[f[e][1]]||{};g.push({url:f[e][1],media:f[e][0].join(","),strategy:f[e][2]instanceof Array&&f[e][2].join(":"),start:void 0!==k.start&&k.start,f:void 0!==k.f&&k.f})}return{url:a,C:c,userAgent:d,a:g,c:D(),proxy:p.proxy,h:p.h,cache:void 0!==h[33]&&h[33](),s:void 0!==h[47]&&h[47]()}}function B(a){var c=n.createElement("a");return c.href=a,c.href}function D(){function a(b){return e[b]||b}var c=[],d=!!h[1]&&h[1][0];if(!(d&&"object"==typeof d&&d[0]instanceof Array))return c;
+var f=d[0],g=d[1]&&"object"==typeof d[1]?d[1]:{},e=d[2]instanceof Array?d[2]:[];d={};for(var k=f.length,b=0;b<k;b++)void 0!==f[b][2]&&!1!==f[b][2]&&(d[a(f[b][2])]=!0);for(b=0;b<k;b++){for(var m=[],n=[],l=f[b][3]instanceof Array?f[b][3]:[],t=l.length,q=0;q<t;q++){var v=g[l[q]];v=v instanceof Array?v:[l[q]];for(var u=v.length,r=0;r<u;r++)m.push(a(v[r])),d[a(v[r])]||n.push(a(v[r]))}l=!1!==f[b][0]&&p.c[f[b][0]]||{};c.push({url:f[b][0],m:!1===f[b][0]&&f[b][5].replace(/\s+/g," ").substr(0,100),handle:void 0!==
+f[b][2]&&!1!==f[b][2]&&a(f[b][2]),async:!!f[b][1],module:!!f[b][4]&&("module"===f[b][4].type?"module":!!f[b][4].H&&"nomodule"),i:m,w:n,j:void 0!==l.j&&l.j,start:void 0!==l.start&&l.start,g:void 0!==l.g&&l.g,b:void 0!==l.b&&l.b,sandbox:void 0!==l.sandbox&&l.sandbox,cache:void 0!==p.cache[B(f[b][0])]?p.cache[B(f[b][0])]:null})}return c}function t(a,c){return p[a][c]||(p[a][c]={}),p[a][c]}function q(){return Math.round(y&&y.now?y.now():+new Date)}var y=m.performance,p={a:{},c:{},cache:{},proxy:[],h:[]};
+h.on("css:start",function(a){t("css",a.url).start=q()});h.on("css:file",function(a){t("css",a.url).f=q()});h.on("js:queue",function(a){t("js",a.url).j=q()});h.on("js:start",function(a){t("js",a.url).start=q()});h.on("js:file",function(a){t("js",a.url).g=q()});h.on("js:error",function(a){"exec"!==a.reason&&(t("js",a.url).b=a.reason)});h.on("js:exception",function(a){t("js",a.url).b="exception: "+a.message});h.on("js:sandbox",function(a){t("js",a.url).sandbox=a.type});h.on("js:skip",function(a){t("js",
+a.url).b="skipped, "+a.dependency+" failed"});h.on("js:cache",function(a){p.cache[a.url]=a.hit});h.on("proxy:capture",function(a){p.proxy.push({type:a.type,url:a.url,time:q()})});h.on("sw:policy",function(a){p.h.push({url:a.url,policy:a.title,strategy:a.strategy,time:q()})});h[14](function(){if(n.body){var a=h[40](n.createElement("style"));a.appendChild(n.createTextNode("#abtf-debug{position:fixed;z-index:2147483647;right:10px;bottom:10px;max-width:calc(100% - 20px);font:12px/1.4 monospace;color:#222;}#abtf-debug button{font:12px monospace;cursor:pointer;border:1px solid #999;background:#fff;color:#222;padding:3px 8px;margin-left:4px;}#abtf-debug .abtf-toggle{float:right;background:#222;color:#fff;}#abtf-debug .abtf-panel{clear:both;display:none;background:#fff;border:1px solid #999;box-shadow:0 0 10px rgba(0,0,0,.3);margin-top:4px;width:900px;max-width:100%;max-height:70vh;overflow:auto;padding:8px;}#abtf-debug.abtf-open .abtf-panel{display:block;}#abtf-debug h4{margin:10px 0 4px;font:bold 13px monospace;}#abtf-debug h4 span{font-weight:normal;color:#777;}#abtf-debug table{width:100%;border-collapse:collapse;}#abtf-debug th,#abtf-debug td{text-align:left;border-bottom:1px solid #eee;padding:2px 4px;vertical-align:top;word-break:break-all;}#abtf-debug .abtf-waterfall{width:20%;}#abtf-debug .abtf-bar{height:8px;margin-top:3px;background:#3da508;}#abtf-debug .abtf-pending{background:#f0ad4e;}#abtf-debug .abtf-error{color:#d00;font-weight:bold;}"));
+n.head.appendChild(a);var c=n.createElement("div");c.id="abtf-debug";c.innerHTML='<button class="abtf-toggle" title="Above The Fold Optimization debug">Abtf</button><div class="abtf-panel"><div><button class="abtf-refresh">Refresh</button><button class="abtf-export">Export JSON</button></div><div class="abtf-content"></div></div>';n.body.appendChild(c);var d=c.querySelector(".abtf-content"),f=function(a){c.className=a?"abtf-open":"";try{m.sessionStorage.setItem("abtf-debug-overlay",a?"1":"0")}catch(k){}a&&
+x(d)};c.querySelector(".abtf-toggle").addEventListener("click",function(){f("abtf-open"!==c.className)});c.querySelector(".abtf-refresh").addEventListener("click",function(){x(d)});c.querySelector(".abtf-export").addEventListener("click",C);d.addEventListener("click",function(a){a.target&&"abtf-purge"===a.target.className&&void 0!==h[48]&&((a=a.target.getAttribute("data-url"))||m.confirm("Purge all cached scripts?"))&&h[48](a||!1,function(){x(d)})});a=function(){"abtf-open"===c.className&&x(d)};h.on("css:loaded",
+a);h.on("js:loaded",a);try{var g=m.sessionStorage&&"1"===m.sessionStorage.getItem("abtf-debug-overlay")}catch(e){g=!1}f(g)}})},"overlay");
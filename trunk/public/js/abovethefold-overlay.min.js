@@ -0,0 +1 @@
+Abtf[31](function(){},"overlay");
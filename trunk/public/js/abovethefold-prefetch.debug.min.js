@@ -0,0 +1,6 @@
+Abtf[31](function(g,b){var h=b[45];if(h){var e=g.document,n=g.navigator,k="prerender"===h[0]?"prerender":"prefetch",p="viewport"===h[1]?"viewport":"hover",l=h[2]||[],u=function(){var a=n.connection;return!(!a||!a.g&&!/(^|-)2g$/.test(a.effectiveType||""))};if(u())return void console.info("Abtf.prefetch() \u27a4 disabled \u27a4 data saver or slow connection");var q,r={},t=function(a){if(!a||!a.href||"http:"!==a.protocol&&"https:"!==a.protocol||a.host!==g.location.host||a.pathname===g.location.pathname&&
+a.search===g.location.search||a.matches&&a.matches('[download],[rel~="nofollow"],[data-no-prefetch],[target="_blank"]'))return!1;a=a.href.split("#")[0];if(r[a])return!1;for(var c=l.length,b=0;b<c;b++)if(-1!==a.indexOf(l[b]))return!1;return a},A=g.HTMLScriptElement&&HTMLScriptElement.supports&&HTMLScriptElement.supports("speculationrules"),v=function(){return!!(b[8]&&n.serviceWorker&&n.serviceWorker.controller&&b.offline)},B=function(){var a=e.createElement("link");return a.a&&a.a.supports&&a.a.supports("prefetch")}(),
+m=function(a,c){if(!r[a]&&!u()){r[a]=!0;if(v()){var d="sw";b.offline(a)}else{if(!B)return;d="link";var f=b[40](e.createElement("link"));f.rel="prefetch";f.setAttribute("as","document");f.href=a;(e.head||e.getElementsByTagName("head")[0]).appendChild(f)}console.info("Abtf.prefetch() \u27a4 "+d+" \u27a4 "+c,b[29](a));b[30]("prefetch:link",{url:a,type:d})}},w=function(a){for(;a&&"A"!==a.nodeName;)a=a.parentNode;return a},x=function(a){var b=t(w(a.target));if(b){if("touchstart"===a.type)return void m(b,
+"touchstart");clearTimeout(q);q=setTimeout(function(){m(b,"hover")},65)}},C=function(a){w(a.target)&&clearTimeout(q)},y=0,D=function(){for(var a=new IntersectionObserver(function(c){for(var e=c.length,d=0;d<e;d++)if(c[d].isIntersecting){a.unobserve(c[d].target);var f=t(c[d].target);!f||20<=y||(y++,b[16]?b[16](function(a){return function(){m(a,"viewport")}}(f),{timeout:2E3}):m(f,"viewport"))}}),c=e.getElementsByTagName("a"),d=c.length,f=0;f<d;f++)t(c[f])&&a.observe(c[f])},z=function(){if(!A||"prerender"!==
+k&&v())"viewport"===p&&g.IntersectionObserver?D():(e.addEventListener("mouseover",x,!0),e.addEventListener("mouseout",C,!0),e.addEventListener("touchstart",x,{capture:!0,passive:!0}));else{for(var a=[{f:"/*"},{not:{b:'[download],[rel~="nofollow"],[data-no-prefetch],[target="_blank"]'}}],c=l.length,d=0;d<c;d++)a.push({not:{b:'a[href*="'+l[d].replace(/["\\]/g,"\\$&")+'"]'}});c={};c[k]=[{source:"document",h:{and:a},c:"viewport"===p?"eager":"moderate"}];a=b[40](e.createElement("script"));a.type="speculationrules";
+a.text=JSON.stringify(c);(e.head||e.getElementsByTagName("head")[0]).appendChild(a);console.info("Abtf.prefetch() \u27a4 speculation rules \u27a4 "+k,p,c);b[30]("prefetch:rules",{type:k})}};b[14](function(){b[16]?b[16](z,{timeout:2E3}):setTimeout(z,0)})}},"prefetch");
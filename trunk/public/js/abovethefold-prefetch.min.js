@@ -0,0 +1,5 @@
+Abtf[31](function(c,f){var g=f[45];if(g){var e=c.document,l=c.navigator,m="prerender"===g[0]?"prerender":"prefetch",r="viewport"===g[1]?"viewport":"hover",h=g[2]||[],t=function(){var a=l.connection;return!(!a||!a.g&&!/(^|-)2g$/.test(a.effectiveType||""))};if(!t()){var n,p={},q=function(a){if(!a||!a.href||"http:"!==a.protocol&&"https:"!==a.protocol||a.host!==c.location.host||a.pathname===c.location.pathname&&a.search===c.location.search||a.matches&&a.matches('[download],[rel~="nofollow"],[data-no-prefetch],[target="_blank"]'))return!1;
+a=a.href.split("#")[0];if(p[a])return!1;for(var b=h.length,d=0;d<b;d++)if(-1!==a.indexOf(h[d]))return!1;return a},z=c.HTMLScriptElement&&HTMLScriptElement.supports&&HTMLScriptElement.supports("speculationrules"),u=function(){return!!(f[8]&&l.serviceWorker&&l.serviceWorker.controller&&f.offline)},A=function(){var a=e.createElement("link");return a.a&&a.a.supports&&a.a.supports("prefetch")}(),k=function(a){if(!p[a]&&!t()){p[a]=!0;if(u()){var b="sw";f.offline(a)}else{if(!A)return;b="link";var d=f[40](e.createElement("link"));
+d.rel="prefetch";d.setAttribute("as","document");d.href=a;(e.head||e.getElementsByTagName("head")[0]).appendChild(d)}f[30]("prefetch:link",{url:a,type:b})}},v=function(a){for(;a&&"A"!==a.nodeName;)a=a.parentNode;return a},w=function(a){var b=q(v(a.target));if(b){if("touchstart"===a.type)return void k(b);clearTimeout(n);n=setTimeout(function(){k(b)},65)}},B=function(a){v(a.target)&&clearTimeout(n)},x=0,C=function(){for(var a=new IntersectionObserver(function(b){for(var d=b.length,c=0;c<d;c++)if(b[c].isIntersecting){a.unobserve(b[c].target);
+var e=q(b[c].target);!e||20<=x||(x++,f[16]?f[16](function(a){return function(){k(a)}}(e),{timeout:2E3}):k(e))}}),b=e.getElementsByTagName("a"),d=b.length,c=0;c<d;c++)q(b[c])&&a.observe(b[c])},y=function(){if(!z||"prerender"!==m&&u())"viewport"===r&&c.IntersectionObserver?C():(e.addEventListener("mouseover",w,!0),e.addEventListener("mouseout",B,!0),e.addEventListener("touchstart",w,{capture:!0,passive:!0}));else{for(var a=[{f:"/*"},{not:{b:'[download],[rel~="nofollow"],[data-no-prefetch],[target="_blank"]'}}],
+b=h.length,d=0;d<b;d++)a.push({not:{b:'a[href*="'+h[d].replace(/["\\]/g,"\\$&")+'"]'}});b={};b[m]=[{source:"document",h:{and:a},c:"viewport"===r?"eager":"moderate"}];a=f[40](e.createElement("script"));a.type="speculationrules";a.text=JSON.stringify(b);(e.head||e.getElementsByTagName("head")[0]).appendChild(a);f[30]("prefetch:rules",{type:m})}};f[14](function(){f[16]?f[16](y,{timeout:2E3}):setTimeout(y,0)})}}},"prefetch");
@@ -1,10 +1,10 @@
-Abtf[0](function(N,d){function y(a){var b=K(a);if(b){var c;a:{c=m("css"===b?a.href:a.src).href;var e,f=!1;if(z){var g=A.indexOf(c);if(-1<g)var h=B[g];else if(0<n.length)for(var l,k=n.length,p=0;p<k;p++){g=!1;try{l=new RegExp(n[p][0],n[p][1]||"")}catch(O){g=!0}if(!g&&l.test(c)){f=!0;e=c;n[p][2]?h=n[p][2]:n[p][3]&&(c=n[p][3]);break}}if(h){l=void 0!==t[c]?t[c]:C;l+=h.substr(0,2)+"/";l+=h.substr(2,2)+"/";l+=h.substr(4,2)+"/";l+=h;g=!1;if("js"===b){if(l+=".js",void 0!==d[24])k=m(l).href,(l=d[24](k))!==
-k&&(g=l)}else"css"===b&&(l+=".css");c=(g?f?console.log("Abtf.proxy()","localStorage regex capture",d[29](e),"\u27a4","cache:"+h,"\u27a4",g):console.log("Abtf.proxy()","localStorage capture",d[29](c),"\u27a4","cache:"+h,"\u27a4",g):f?console.log("Abtf.proxy()","regex capture",d[29](e),"\u27a4","cache:"+h):console.log("Abtf.proxy()","capture",d[29](c),"\u27a4","cache:"+h),l);break a}}if("js"===b&&void 0!==d[24]&&(h=m(c).href,(c=d[24](h))!==h)){c=(f?console.log("Abtf.proxy()","localStorage regex capture",
-d[29](e),"regex","\u27a4",d[29](h),"\u27a4",c):console.log("Abtf.proxy()","localStorage capture",d[29](h),"\u27a4",c),c);break a}c=(f?console.log("Abtf.proxy()","capture",d[29](e),"regex","\u27a4",c):console.log("Abtf.proxy()","capture",d[29](c)),D(c,b))}"css"===b?a.href=c:"js"===b&&(a.src=c)}}function K(a){if(a.nodeName)if("SCRIPT"===a.nodeName.toUpperCase()){if(!E||a.hasAttribute("data-abtf"))return!1;if(a.src){b=m(a.src);if(L(b))return!1;if(!F(b)){if(void 0!==d[24]){if("blob:"===b.protocol)return!1;
-url=d[24](b.href);url!==b.href?(console.log("Abtf.proxy()","localStorage local capture",d[29](b.href),"\u27a4",url),a.src=url):console.log("Abtf.proxy()","localStorage local capture",d[29](b.href),"\u27a4","bypass cache","\u27a4",url)}return!1}return"js"}}else if("LINK"===a.nodeName.toUpperCase()&&"stylesheet"===a.rel.toLowerCase()){if(!G||a.hasAttribute("data-abtf"))return!1;if(a.href){var b=m(a.href);if(a=!M(b)){a:if(b="object"==typeof b&&void 0!==b.href?b:m(b),"blob:"===b.protocol)b=!1;else{if(f){a=
-f.length;for(var c=0;c<a;c++)if(-1!==b.href.indexOf(f[c].href)){b=!1;break a}}b=b.host!==w.host}a=!!b&&"css"}return a}}return!1}function M(a){a="object"==typeof a&&void 0!==a.href?a:m(a);if("blob:"===a.protocol)return!0;if(u){for(var b=!1,c=u.length,e=0;e<c;e++)if(-1!==a.href.indexOf(u[e])){b=!0;break}if(!b)return console.log("Abtf.proxy()","ignore",d[29](a.href),"not on include list"),!0}if(q)for(c=q.length,e=0;e<c;e++)if(-1!==a.href.indexOf(q[e]))return console.log("Abtf.proxy()","ignore",d[29](a.href),
-"on exclude list:",q[e]),!0;return!1}function L(a){a="object"==typeof a&&void 0!==a.href?a:m(a);if("blob:"===a.protocol)return!0;if(v){for(var b=!1,c=v.length,e=0;e<c;e++)if(-1!==a.href.indexOf(v[e])){b=!0;break}if(!b)return console.log("Abtf.proxy()","ignore",d[29](a.href),"not on include list"),!0}if(r)for(c=r.length,e=0;e<c;e++)if(-1!==a.href.indexOf(r[e]))return console.log("Abtf.proxy()","ignore",d[29](a.href),"on exclude list:",r[e]),!0;return!1}function F(a,b){var c="object"==typeof a&&void 0!==
-a.href?a:m(a);if("blob:"===c.protocol)return!1;if(f&&!0!==b)for(var e=f.length,d=0;d<e;d++)if(-1!==c.href.indexOf(f[d].href))return!1;return c.host!==w.host}function D(a,b){return"css"===b?x.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):"js"===b?x.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):void 0}function m(a){var b=document.createElement("a");return b.href=a,b}var x,C,E=!1,G=!1,H=!1,v=!1,r=!1,u=!1,q=!1,z=!1,A=[],B=[],n=[],t={},f=[];d[27]=function(a){if(void 0===
-b)var b=!1;if((x=a[0]||b)||console.error("Abtf.proxy()","no proxy url",a),E=a[1]||!1,G=a[2]||!1,(H=a[9]||!1)&&f.push(H),v=a[5]||!1,r=a[6]||!1,u=a[7]||!1,q=a[8]||!1,a[3]){z=!0;for(b=0;b<a[3].length;b++)"regex"===a[3][b][0]?(n.push([a[3][b][2],a[3][b][3],a[3][b][1]]),a[3][b][4]&&(t[a[3][b][0]]=a[3][b][4],-1===f.indexOf(a[3][b][4])&&f.push(a[3][b][4]))):(A.push(a[3][b][0]),B.push(a[3][b][1]),a[3][b][4]&&(t[a[3][b][0]]=a[3][b][4],-1===f.indexOf(a[3][b][4])&&f.push(a[3][b][4])));C=a[4]||!1}if(0===f.length)f=
-!1;else for(a=f.length,b=0;b<a;b++)f[b]=m(f[b])};var k={Element:"undefined"!=typeof Element&&Element,Document:"undefined"!=typeof Document&&Document},I={},J={},g;for(g in k)k.hasOwnProperty(g)&&k[g]&&(I[g]=k[g].prototype.appendChild,J[g]=k[g].prototype.insertBefore);var w=document.createElement("a");w.href=document.location.href;for(g in k)k.hasOwnProperty(g)&&k[g]&&function(a){k[a].prototype.appendChild=function(b){return y(b),I[a].call(this,b)};k[a].prototype.insertBefore=function(b,c){return y(b),
-J[a].call(this,b,c)}}(g);d[28]=function(a){return F(a,!0)?D(a,"js"):a}});
+Abtf[31](function(N,e){function z(a){var b=K(a);if(!b)return!1;var d=m("css"===b?a.href:a.src).href;a:{var c=d;var f=!1;if(A){var g=B.indexOf(c);if(-1<g)var h=C[g];else if(0<p.length)for(var l,k=p.length,q=0;q<k;q++){g=!1;try{l=new RegExp(p[q][0],p[q][1]||"")}catch(O){g=!0}if(!g&&l.test(c)){f=!0;var n=c;p[q][2]?h=p[q][2]:p[q][3]&&(c=p[q][3]);break}}if(h){l=void 0!==t[c]?t[c]:D;l+=h.substr(0,2)+"/";l+=h.substr(2,2)+"/";l+=h.substr(4,2)+"/";l+=h;g=!1;if("js"===b){if(l+=".js",void 0!==e[24])k=m(l).href,
+l=e[24](k),l!==k&&(g=l)}else"css"===b&&(l+=".css");c=(g?f?console.log("Abtf.proxy()","localStorage regex capture",e[29](n),"\u27a4","cache:"+h,"\u27a4",g):console.log("Abtf.proxy()","localStorage capture",e[29](c),"\u27a4","cache:"+h,"\u27a4",g):f?console.log("Abtf.proxy()","regex capture",e[29](n),"\u27a4","cache:"+h):console.log("Abtf.proxy()","capture",e[29](c),"\u27a4","cache:"+h),l);break a}}if("js"===b&&void 0!==e[24]&&(h=m(c).href,(c=e[24](h))!==h)){c=(f?console.log("Abtf.proxy()","localStorage regex capture",
+e[29](n),"regex","\u27a4",e[29](h),"\u27a4",c):console.log("Abtf.proxy()","localStorage capture",e[29](h),"\u27a4",c),c);break a}c=(f?console.log("Abtf.proxy()","capture",e[29](n),"regex","\u27a4",c):console.log("Abtf.proxy()","capture",e[29](c)),E(c,b))}e[30]("proxy:capture",{url:d,type:b});"css"===b?a.href=c:"js"===b&&(a.src=c)}function K(a){if(a.nodeName)if("SCRIPT"===a.nodeName.toUpperCase()){if(!F||a.hasAttribute("data-abtf"))return!1;if(a.src){var b=m(a.src);if(L(b))return!1;if(!G(b)){if(void 0!==
+e[24]){if("blob:"===b.protocol)return!1;var d=e[24](b.href);d!==b.href?(console.log("Abtf.proxy()","localStorage local capture",e[29](b.href),"\u27a4",d),a.src=d):console.log("Abtf.proxy()","localStorage local capture",e[29](b.href),"\u27a4","bypass cache","\u27a4",d)}return!1}return"js"}}else if("LINK"===a.nodeName.toUpperCase()&&"stylesheet"===a.rel.toLowerCase()){if(!H||a.hasAttribute("data-abtf"))return!1;if(a.href){b=m(a.href);if(a=!M(b)){a:if(b="object"==typeof b&&void 0!==b.href?b:m(b),"blob:"===
+b.protocol)b=!1;else{if(f)for(a=f.length,d=0;d<a;d++)if(-1!==b.href.indexOf(f[d].href)){b=!1;break a}b=b.host!==x.host}a=!!b&&"css"}return a}}return!1}function M(a){a="object"==typeof a&&void 0!==a.href?a:m(a);if("blob:"===a.protocol)return!0;if(u){for(var b=!1,d=u.length,c=0;c<d;c++)if(-1!==a.href.indexOf(u[c])){b=!0;break}if(!b)return console.log("Abtf.proxy()","ignore",e[29](a.href),"not on include list"),!0}if(n)for(d=n.length,c=0;c<d;c++)if(-1!==a.href.indexOf(n[c]))return console.log("Abtf.proxy()",
+"ignore",e[29](a.href),"on exclude list:",n[c]),!0;return!1}function L(a){a="object"==typeof a&&void 0!==a.href?a:m(a);if("blob:"===a.protocol)return!0;if(v){for(var b=!1,d=v.length,c=0;c<d;c++)if(-1!==a.href.indexOf(v[c])){b=!0;break}if(!b)return console.log("Abtf.proxy()","ignore",e[29](a.href),"not on include list"),!0}if(r)for(d=r.length,c=0;c<d;c++)if(-1!==a.href.indexOf(r[c]))return console.log("Abtf.proxy()","ignore",e[29](a.href),"on exclude list:",r[c]),!0;return!1}function G(a,b){a="object"==
+typeof a&&void 0!==a.href?a:m(a);if("blob:"===a.protocol)return!1;if(f&&!0!==b){b=f.length;for(var d=0;d<b;d++)if(-1!==a.href.indexOf(f[d].href))return!1}return a.host!==x.host}function E(a,b){return"css"===b?w.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):"js"===b?w.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):void 0}function m(a){var b=document.createElement("a");return b.href=a,b}var w,D,F=!1,H=!1,y=!1,v=!1,r=!1,u=!1,n=!1,A=!1,B=[],C=[],p=[],t={},f=[];
+e[27]=function(a){if(void 0===b)var b=!1;if(w=a[0]||b,w||console.error("Abtf.proxy()","no proxy url",a),F=a[1]||!1,H=a[2]||!1,y=a[9]||!1,y&&f.push(y),v=a[5]||!1,r=a[6]||!1,u=a[7]||!1,n=a[8]||!1,a[3]){A=!0;for(b=0;b<a[3].length;b++)"regex"===a[3][b][0]?(p.push([a[3][b][2],a[3][b][3],a[3][b][1]]),a[3][b][4]&&(t[a[3][b][0]]=a[3][b][4],-1===f.indexOf(a[3][b][4])&&f.push(a[3][b][4]))):(B.push(a[3][b][0]),C.push(a[3][b][1]),a[3][b][4]&&(t[a[3][b][0]]=a[3][b][4],-1===f.indexOf(a[3][b][4])&&f.push(a[3][b][4])));
+D=a[4]||!1}if(0===f.length)f=!1;else for(a=f.length,b=0;b<a;b++)f[b]=m(f[b])};var k={Element:"undefined"!=typeof Element&&Element,Document:"undefined"!=typeof Document&&Document},I={},J={},g;for(g in k)k.hasOwnProperty(g)&&k[g]&&(I[g]=k[g].prototype.appendChild,J[g]=k[g].prototype.insertBefore);var x=document.createElement("a");x.href=document.location.href;for(g in k)k.hasOwnProperty(g)&&k[g]&&function(a){k[a].prototype.appendChild=function(b){return z(b),I[a].call(this,b)};k[a].prototype.insertBefore=
+function(b,d){return z(b),J[a].call(this,b,d)}}(g);e[28]=function(a){return G(a,!0)?E(a,"js"):a}},"proxy");
@@ -1,7 +1,7 @@
-Abtf[0](function(L,k){function w(a){var b=I(a);if(b){var d;a:{d=g("css"===b?a.href:a.src).href;if(x){var m=y.indexOf(d);if(-1<m)var c=z[m];else if(0<h.length)for(var f,e=h.length,l=0;l<e;l++){m=!1;try{f=new RegExp(h[l][0],h[l][1]||"")}catch(M){m=!0}if(!m&&f.test(d)){h[l][2]?c=h[l][2]:h[l][3]&&(d=h[l][3]);break}}if(c){d=void 0!==n[d]?n[d]:A;d+=c.substr(0,2)+"/";d+=c.substr(2,2)+"/";d+=c.substr(4,2)+"/";d+=c;if("js"===b){if(d+=".js",void 0!==k[24])d=g(d).href,d=k[24](d)}else"css"===b&&(d+=".css");break a}}if("js"===
-b&&void 0!==k[24]&&(c=g(d).href,(d=k[24](c))!==c))break a;d=B(d,b)}"css"===b?a.href=d:"js"===b&&(a.src=d)}}function I(a){if(a.nodeName)if("SCRIPT"===a.nodeName.toUpperCase()){if(!C||a.hasAttribute("data-abtf"))return!1;if(a.src){b=g(a.src);if(J(b))return!1;if(!D(b)){if(void 0!==k[24]){if("blob:"===b.protocol)return!1;url=k[24](b.href);url!==b.href&&(a.src=url)}return!1}return"js"}}else if("LINK"===a.nodeName.toUpperCase()&&"stylesheet"===a.rel.toLowerCase()){if(!E||a.hasAttribute("data-abtf"))return!1;
-if(a.href){var b=g(a.href);if(a=!K(b)){a:if(b="object"==typeof b&&void 0!==b.href?b:g(b),"blob:"===b.protocol)b=!1;else{if(c){a=c.length;for(var d=0;d<a;d++)if(-1!==b.href.indexOf(c[d].href)){b=!1;break a}}b=b.host!==u.host}a=!!b&&"css"}return a}}return!1}function K(a){a="object"==typeof a&&void 0!==a.href?a:g(a);if("blob:"===a.protocol)return!0;if(p){for(var b=!1,d=p.length,c=0;c<d;c++)if(-1!==a.href.indexOf(p[c])){b=!0;break}if(!b)return!0}if(q)for(d=q.length,c=0;c<d;c++)if(-1!==a.href.indexOf(q[c]))return!0;
-return!1}function J(a){a="object"==typeof a&&void 0!==a.href?a:g(a);if("blob:"===a.protocol)return!0;if(r){for(var b=!1,d=r.length,c=0;c<d;c++)if(-1!==a.href.indexOf(r[c])){b=!0;break}if(!b)return!0}if(t)for(d=t.length,c=0;c<d;c++)if(-1!==a.href.indexOf(t[c]))return!0;return!1}function D(a,b){var d="object"==typeof a&&void 0!==a.href?a:g(a);if("blob:"===d.protocol)return!1;if(c&&!0!==b)for(var f=c.length,e=0;e<f;e++)if(-1!==d.href.indexOf(c[e].href))return!1;return d.host!==u.host}function B(a,b){return"css"===
-b?v.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):"js"===b?v.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):void 0}function g(a){var b=document.createElement("a");return b.href=a,b}var v,A,C=!1,E=!1,F=!1,r=!1,t=!1,p=!1,q=!1,x=!1,y=[],z=[],h=[],n={},c=[];k[27]=function(a){if(void 0===b)var b=!1;if(v=a[0]||b,C=a[1]||!1,E=a[2]||!1,(F=a[9]||!1)&&c.push(F),r=a[5]||!1,t=a[6]||!1,p=a[7]||!1,q=a[8]||!1,a[3]){x=!0;for(b=0;b<a[3].length;b++)"regex"===a[3][b][0]?(h.push([a[3][b][2],
-a[3][b][3],a[3][b][1]]),a[3][b][4]&&(n[a[3][b][0]]=a[3][b][4],-1===c.indexOf(a[3][b][4])&&c.push(a[3][b][4]))):(y.push(a[3][b][0]),z.push(a[3][b][1]),a[3][b][4]&&(n[a[3][b][0]]=a[3][b][4],-1===c.indexOf(a[3][b][4])&&c.push(a[3][b][4])));A=a[4]||!1}if(0===c.length)c=!1;else for(a=c.length,b=0;b<a;b++)c[b]=g(c[b])};var e={Element:"undefined"!=typeof Element&&Element,Document:"undefined"!=typeof Document&&Document},G={},H={},f;for(f in e)e.hasOwnProperty(f)&&e[f]&&(G[f]=e[f].prototype.appendChild,H[f]=
-e[f].prototype.insertBefore);var u=document.createElement("a");u.href=document.location.href;for(f in e)e.hasOwnProperty(f)&&e[f]&&function(a){e[a].prototype.appendChild=function(b){return w(b),G[a].call(this,b)};e[a].prototype.insertBefore=function(b,c){return w(b),H[a].call(this,b,c)}}(f);k[28]=function(a){return D(a,!0)?B(a,"js"):a}});
+Abtf[31](function(L,k){function x(a){var b=I(a);if(!b)return!1;var d=h("css"===b?a.href:a.src).href;a:{var c=d;if(y){var e=z.indexOf(c);if(-1<e)var f=A[e];else if(0<l.length)for(var g,n=l.length,m=0;m<n;m++){e=!1;try{g=new RegExp(l[m][0],l[m][1]||"")}catch(M){e=!0}if(!e&&g.test(c)){l[m][2]?f=l[m][2]:l[m][3]&&(c=l[m][3]);break}}if(f){c=void 0!==p[c]?p[c]:B;c+=f.substr(0,2)+"/";c+=f.substr(2,2)+"/";c+=f.substr(4,2)+"/";c+=f;if("js"===b){if(c+=".js",void 0!==k[24])c=h(c).href,c=k[24](c)}else"css"===
+b&&(c+=".css");break a}}if("js"===b&&void 0!==k[24]&&(f=h(c).href,(c=k[24](f))!==f))break a;c=C(c,b)}k[30]("proxy:capture",{url:d,type:b});"css"===b?a.href=c:"js"===b&&(a.src=c)}function I(a){if(a.nodeName)if("SCRIPT"===a.nodeName.toUpperCase()){if(!D||a.hasAttribute("data-abtf"))return!1;if(a.src){var b=h(a.src);if(J(b))return!1;if(!E(b)){if(void 0!==k[24]){if("blob:"===b.protocol)return!1;var d=k[24](b.href);d!==b.href&&(a.src=d)}return!1}return"js"}}else if("LINK"===a.nodeName.toUpperCase()&&"stylesheet"===
+a.rel.toLowerCase()){if(!F||a.hasAttribute("data-abtf"))return!1;if(a.href){b=h(a.href);if(a=!K(b)){a:if(b="object"==typeof b&&void 0!==b.href?b:h(b),"blob:"===b.protocol)b=!1;else{if(e)for(a=e.length,d=0;d<a;d++)if(-1!==b.href.indexOf(e[d].href)){b=!1;break a}b=b.host!==u.host}a=!!b&&"css"}return a}}return!1}function K(a){a="object"==typeof a&&void 0!==a.href?a:h(a);if("blob:"===a.protocol)return!0;if(n){for(var b=!1,d=n.length,c=0;c<d;c++)if(-1!==a.href.indexOf(n[c])){b=!0;break}if(!b)return!0}if(q)for(d=
+q.length,c=0;c<d;c++)if(-1!==a.href.indexOf(q[c]))return!0;return!1}function J(a){a="object"==typeof a&&void 0!==a.href?a:h(a);if("blob:"===a.protocol)return!0;if(r){for(var b=!1,d=r.length,c=0;c<d;c++)if(-1!==a.href.indexOf(r[c])){b=!0;break}if(!b)return!0}if(t)for(d=t.length,c=0;c<d;c++)if(-1!==a.href.indexOf(t[c]))return!0;return!1}function E(a,b){a="object"==typeof a&&void 0!==a.href?a:h(a);if("blob:"===a.protocol)return!1;if(e&&!0!==b){b=e.length;for(var d=0;d<b;d++)if(-1!==a.href.indexOf(e[d].href))return!1}return a.host!==
+u.host}function C(a,b){return"css"===b?v.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):"js"===b?v.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):void 0}function h(a){var b=document.createElement("a");return b.href=a,b}var v,B,D=!1,F=!1,w=!1,r=!1,t=!1,n=!1,q=!1,y=!1,z=[],A=[],l=[],p={},e=[];k[27]=function(a){if(void 0===b)var b=!1;if(v=a[0]||b,D=a[1]||!1,F=a[2]||!1,w=a[9]||!1,w&&e.push(w),r=a[5]||!1,t=a[6]||!1,n=a[7]||!1,q=a[8]||!1,a[3]){y=!0;for(b=0;b<a[3].length;b++)"regex"===
+a[3][b][0]?(l.push([a[3][b][2],a[3][b][3],a[3][b][1]]),a[3][b][4]&&(p[a[3][b][0]]=a[3][b][4],-1===e.indexOf(a[3][b][4])&&e.push(a[3][b][4]))):(z.push(a[3][b][0]),A.push(a[3][b][1]),a[3][b][4]&&(p[a[3][b][0]]=a[3][b][4],-1===e.indexOf(a[3][b][4])&&e.push(a[3][b][4])));B=a[4]||!1}if(0===e.length)e=!1;else for(a=e.length,b=0;b<a;b++)e[b]=h(e[b])};var g={Element:"undefined"!=typeof Element&&Element,Document:"undefined"!=typeof Document&&Document},G={},H={},f;for(f in g)g.hasOwnProperty(f)&&g[f]&&(G[f]=
+g[f].prototype.appendChild,H[f]=g[f].prototype.insertBefore);var u=document.createElement("a");u.href=document.location.href;for(f in g)g.hasOwnProperty(f)&&g[f]&&function(a){g[a].prototype.appendChild=function(b){return x(b),G[a].call(this,b)};g[a].prototype.insertBefore=function(b,d){return x(b),H[a].call(this,b,d)}}(f);k[28]=function(a){return E(a,!0)?C(a,"js"):a}},"proxy");
@@ -1 +1 @@
-Abtf[0](function(d,c){if("serviceWorker"in d.navigator&&c[13]){var e=function(){try{navigator.serviceWorker.getRegistrations().then(function(b){console.warn(b);b&&b.forEach(function(a){"function"!=typeof a.unregister||a.active&&a.active.scriptURL&&!a.active.scriptURL.match(/abtf-pwa/)||(console.warn("Abtf.pwa() \u27a4 unregister Service Worker",a),a.unregister())})})}catch(b){}};d.addEventListener("load",function(){c[16]?c[16](e):e()})}});
+Abtf[31](function(d,c){if("serviceWorker"in d.navigator&&c[13]){var e=function(){try{navigator.serviceWorker.getRegistrations().then(function(b){console.warn(b);b&&b.forEach(function(a){"function"!=typeof a.unregister||a.active&&a.active.scriptURL&&!a.active.scriptURL.match(/abtf-pwa/)||(console.warn("Abtf.pwa() \u27a4 unregister Service Worker",a),a.unregister())})})}catch(b){}};d.addEventListener("load",function(){c[16]?c[16](e):e()})}},"pwa-unregister");
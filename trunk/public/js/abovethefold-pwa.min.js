@@ -1,4 +1,4 @@
-Abtf[0](function(d,e){if(e.offline=function(){return{then:function(){}}},"serviceWorker"in d.navigator&&e[8]&&e[8][0]){var g=d.document,f=e[8];if(f[3]){var h,k=function(){e[15](function(){if(h!==navigator.onLine&&g.body){if(navigator.onLine){if(void 0===h)return;g.body.classList.remove("offline")}else g.body.classList.add("offline");h=!!navigator.onLine}})};d.addEventListener("online",k);d.addEventListener("offline",k);k()}var l=function(){navigator.serviceWorker.controller.postMessage([1,f[2],f[4],
-f[5]])};navigator.serviceWorker.ready.then(function(){navigator.serviceWorker.controller?l():navigator.serviceWorker.addEventListener("controllerchange",function(){l()})});f[6]&&navigator.serviceWorker.register(f[0],{scope:f[1]}).then(function(a){return new Promise(function(b,c){a.installing?a.installing.addEventListener("statechange",function(a){"installed"==a.target.state?b():"redundant"==a.target.state&&c()}):b()})})["catch"](function(a){throw a;});navigator.serviceWorker.addEventListener("message",
-function(a){a&&a.data&&a.data instanceof Array&&2===a.data[0]&&g.body&&(a=new CustomEvent("sw-update",{detail:{url:a.data[1]}}),d.dispatchEvent(a))});var m=function(a,b){navigator.serviceWorker.controller?a.apply(d,b):navigator.serviceWorker.ready.then(function(){a.apply(d,b)})},n=function(a){return new Promise(function(b){var c=new MessageChannel;c.port1.onmessage=function(a){a.data&&a.data.error||b(a.data)};navigator.serviceWorker.controller.postMessage(a,[c.port2])})},p=function(a,b){m(function(a){n([2,
-a]).then(function(a){b(a.status)})},[a,b])},q=function(a,b,c){m(function(a,b){n([3,a,b]).then(function(a){c(a.status)})},[a,b])};e.offline=function(a){return(new Promise(function(b){p(a,b)}))["catch"](function(){})};e.push=function(a,b){return(new Promise(function(c){q(a,b,c)}))["catch"](function(){})}}});
+Abtf[31](function(c,d){if(d.offline=function(){return{then:function(){}}},"serviceWorker"in c.navigator&&d[8]&&d[8][0]){var f=c.document,e=d[8];if(e[3]){var g,h=function(){d[15](function(){if(g!==navigator.onLine&&f.body){if(navigator.onLine){if(void 0===g)return;f.body.classList.remove("offline")}else f.body.classList.add("offline");g=!!navigator.onLine}})};c.addEventListener("online",h);c.addEventListener("offline",h);h()}var k=function(){navigator.serviceWorker.controller.postMessage([1,e[2],e[4],
+e[5]])};navigator.serviceWorker.ready.then(function(){navigator.serviceWorker.controller?k():navigator.serviceWorker.addEventListener("controllerchange",function(){k()})});e[6]&&navigator.serviceWorker.register(e[0],{scope:e[1]}).then(function(a){return new Promise(function(b,n){a.installing?a.installing.addEventListener("statechange",function(a){"installed"==a.target.state?b():"redundant"==a.target.state&&n()}):b()})}).catch(function(a){throw a;});navigator.serviceWorker.addEventListener("message",
+function(a){a&&a.data&&a.data instanceof Array&&2===a.data[0]&&f.body&&(a=new CustomEvent("sw-update",{detail:{url:a.data[1]}}),c.dispatchEvent(a))});var l=function(a,b){navigator.serviceWorker.controller?a.apply(c,b):navigator.serviceWorker.ready.then(function(){a.apply(c,b)})},m=function(a,b){return new Promise(function(a){var c=new MessageChannel;c.port1.onmessage=function(b){b.data&&b.data.error||a(b.data)};navigator.serviceWorker.controller.postMessage(b,[c.port2])})},p=function(a,b){l(function(a){m(0,
+[2,a]).then(function(a){b(a.status)})},[a,b])},q=function(a,b,c){l(function(a,b){m(0,[3,a,b]).then(function(a){c(a.status)})},[a,b])};d.offline=function(a){return(new Promise(function(b){p(a,b)})).catch(function(){})};d.push=function(a,b){return(new Promise(function(c){q(a,b,c)})).catch(function(){})}}},"pwa");
@@ -0,0 +1,4 @@
+Abtf[31](function(g,b){var h=b[32];if(h&&h[0]&&g.navigator.sendBeacon){var k="number"==typeof h[1]?h[1]:5;if(100*Math.random()>=k)return void console.info("Abtf.telemetry() \u27a4 not sampled",k+"%");var m=g.document,e=g.performance,r=e&&e.timing?e.timing.navigationStart:+new Date,d=function(){return Math.round(e&&e.now?e.now():+new Date-r)},c={url:m.location.pathname,a:{},h:{},l:{},cache:[0,0],proxy:0,fonts:!1,f:!1},l=function(a,f){return c[a][f]||(c[a][f]={}),c[a][f]};b.on("css:start",function(a){l("css",
+a.url).start=d()});b.on("css:file",function(a){l("css",a.url).g=d()});b.on("js:queue",function(a){var f=l("js",a.url);f.handle=a.handle;f.b=d()});b.on("js:start",function(a){a=l("js",a.url);a.start=d();void 0!==a.b&&(a.wait=a.start-a.b)});b.on("js:file",function(a){l("js",a.url).i=d()});b.on("js:cache",function(a){c.cache[a.hit?0:1]++});b.on("proxy:capture",function(){c.proxy++});b.on("fonts:loaded",function(a){c.fonts=[a,d()]});var n=function(a){"largest-contentful-paint"===a.entryType?c.a.m=Math.round(a.startTime):
+"first-paint"===a.name?c.a.j=Math.round(a.startTime):"first-contentful-paint"===a.name&&(c.a.c=Math.round(a.startTime))};g.PerformanceObserver&&(k=function(a){try{(new PerformanceObserver(function(a){a=a.getEntries();for(var c=a.length,b=0;b<c;b++)n(a[b])})).observe({type:a,buffered:!0})}catch(f){console.warn("Abtf.telemetry()","performance observer not supported",a)}},k("paint"),k("largest-contentful-paint"));var p=!1,q=function(){if(!p){if(p=!0,!c.a.c&&e&&e.getEntriesByType)for(var a=e.getEntriesByType("paint"),
+f=a.length,d=0;d<f;d++)n(a[d]);void 0!==b[47]&&(c.f=b[47]());console.info("Abtf.telemetry() \u27a4 beacon",h[0],c);g.navigator.sendBeacon(h[0],JSON.stringify(c))}};m.addEventListener("visibilitychange",function(){"hidden"===m.visibilityState&&q()});g.addEventListener("pagehide",q)}},"telemetry");
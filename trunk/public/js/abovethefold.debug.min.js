@@ -1,6 +1,14 @@
-!function(e,d){function k(b){if((b=b.getAttribute("data-abtf"))&&"string"==typeof b)try{b=JSON.parse(b)}catch(n){console.error("Abtf","failed to parse config",b,n)}if(!(b&&b instanceof Array))throw console.error("Abtf","invalid config",b),Error("invalid config");for(var a=b.length,c=0;c<a;c++)void 0===e.Abtf[c]&&(e.Abtf[c]=-1===b[c]?void 0:b[c]);d[0](p,!0)}function p(b,a){function c(){f[2]?(a[17](f[3],"webfont"),console.log("Abtf.fonts()","async",b.WebFontConfig)):void 0!==b.WebFont&&(b.WebFont.load(b.WebFontConfig),
-console.log("Abtf.fonts()",b.WebFontConfig))}var d=b.requestAnimationFrame||b.webkitRequestAnimationFrame||b.mozRequestAnimationFrame||b.msRequestAnimationFrame||function(a){b.setTimeout(a,1E3/60)};a[15]=function(){d.apply(b,arguments)};var e=!!b.requestIdleCallback&&b.requestIdleCallback;if(a[16]=!!e&&function(){e.apply(b,arguments)},a[7])var f=a[7];a[10]=function(){if(a[6]&&a[27](a[6]),a[1]&&!a[1][1]&&a[18](a[1][0]),a[7]){if(void 0===b.WebFontConfig&&(b.WebFontConfig={}),f[0]){b.WebFontConfig.google||
-(b.WebFontConfig.google={});b.WebFontConfig.google.families||(b.WebFontConfig.google.families=[]);for(var e=f[0].length,d=0;d<e;d++)b.WebFontConfig.google.families.push(f[0][d])}f[1]||c()}a[12]&&!a[4]&&a[12]()};a[11]=function(){a[12]&&a[4]&&(console.log("Abtf.css()","footer start"),a[12]());a[1]&&a[1][1]&&(console.log("Abtf.js()","footer start"),a[18](a[1][0]));a[7]&&f[1]&&(console.log("Abtf.fonts()","footer start"),c())};a[14](a[11]);a[17]=function(b,a){var c=document.createElement("script");c.src=
-b;a&&(c.id=a);c.async=!0;var d=document.getElementsByTagName("script")[0];d?d.parentNode.insertBefore(c,d):(document.head||document.getElementsByTagName("head")[0]).appendChild(c);!0};var g=document.createElement("a");g.href=document.location.href;var h=new RegExp("^(https?:)?//"+g.host.replace(/[-\/\\^$*+?.()|[\]{}]/g,"\\$&"),"i");a[29]=function(a){return a.replace(h,"")}}console.warn("Abtf","debug notices visible to admin only");d[14]=function(b,a,c){(a=document)[c="addEventListener"]?a[c]("DOMContentLoaded",
-b):e.attachEvent("onload",b)};var l,g=[];d[0]=function(b,a){if(l||a){if(b(e,e.Abtf,e.document,Object),!0===a){if(0<g.length)for(var c=g.shift();c;)d[0](c,1),c=g.shift();l=!0;m&&d[10]()}}else g.push(b)};if(document.currentScript&&document.currentScript.hasAttribute("data-abtf"))k(document.currentScript);else{var h=document.querySelector("script[data-abtf]");h?k(h):(e.console&&void 0!==console.error&&console.error("<script data-abtf> client missing"),d[14](function(){if(!(h=document.querySelector("script[data-abtf]")))throw console.warn("Abtf",
-"client script <script data-abtf> detected on domready. Make sure that the script tag is included in the header unmodified."),Error("<script data-abtf> client missing");k(h)}))}var m;d[9]=function(){l?d[10]():m=!0}}(window,Abtf);
+!function(g,c){function r(a){var b=a.getAttribute("data-abtf");if(b&&"string"==typeof b)try{b=JSON.parse(b)}catch(B){console.error("Abtf","failed to parse config",b,B)}if(!(b&&b instanceof Array))throw console.error("Abtf","invalid config",b),c[30]("config:failed","invalid"),Error("invalid config");if("7250412f"===b[0]){for(var e=b.length,d=0;d<e;d++)void 0===g.Abtf[d]&&-1!==b[d]&&(!m[d]||m[d][1](b[d])?g.Abtf[d]=b[d]:(console.error("Abtf","invalid config section",m[d][0],b[d]),c[30]("config:invalid",
+m[d][0])));t=a.nonce||a.getAttribute("nonce")||!1;c[31](C,"core")}else(g.console&&void 0!==console.warn&&console.warn("Abtf","config schema mismatch",b[0],"7250412f"),c[30]("config:mismatch",b[0]),c[30]("config:failed","schema"),/[?&]noabtf(=|&|$)/.test(g.location.search))||(a=g.location.href.split("#"),a[0]+=(-1===a[0].indexOf("?")?"?":"&")+"noabtf",g.location.replace(a.join("#")))}function f(a){return null!==a&&"object"==typeof a}function C(a,b){function e(){k[2]?(b[17](k[3],"webfont"),console.log("Abtf.fonts()",
+"async",a.WebFontConfig)):void 0!==a.WebFont&&(a.WebFont.load(a.WebFontConfig),console.log("Abtf.fonts()",a.WebFontConfig))}function d(a,d){return function(){"function"==typeof d&&d.apply(this,arguments);f||(f=!0,b[30]("fonts:"+a),b[30]("fonts:loaded",a))}}var c=a.requestAnimationFrame||a.webkitRequestAnimationFrame||a.mozRequestAnimationFrame||a.msRequestAnimationFrame||function(b){a.setTimeout(b,1E3/60)};b[15]=function(){c.apply(a,arguments)};b[40]=function(a){return t&&a.setAttribute("nonce",t),
+a};var h=!!a.requestIdleCallback&&a.requestIdleCallback;if(b[16]=!!h&&function(){h.apply(a,arguments)},b[7])var k=b[7];var f=!1;b[10]=function(){if(b[6]&&b[27](b[6]),b[1]&&!b[1][1]&&b[18](b[1][0]),b[7]){if(void 0===a.WebFontConfig&&(a.WebFontConfig={}),k[0]){a.WebFontConfig.google||(a.WebFontConfig.google={});a.WebFontConfig.google.families||(a.WebFontConfig.google.families=[]);for(var c=k[0].length,h=0;h<c;h++)a.WebFontConfig.google.families.push(k[0][h])}a.WebFontConfig.active=d("active",a.WebFontConfig.active);
+a.WebFontConfig.inactive=d("inactive",a.WebFontConfig.inactive);k[1]||e()}b[12]&&!b[4]&&b[12]()};b[11]=function(){b[12]&&b[4]&&(console.log("Abtf.css()","footer start"),b[12]());b[1]&&b[1][1]&&(console.log("Abtf.js()","footer start"),b[18](b[1][0]));b[7]&&k[1]&&(console.log("Abtf.fonts()","footer start"),e())};b[14](b[11]);b[17]=function(a,d){var e=b[40](document.createElement("script"));e.src=a;d&&(e.id=d);e.async=!0;(a=document.getElementsByTagName("script")[0])?a.parentNode.insertBefore(e,a):(document.head||
+document.getElementsByTagName("head")[0]).appendChild(e);!0};var g=document.createElement("a");g.href=document.location.href;var l=new RegExp("^(https?:)?//"+g.host.replace(/[-\/\\^$*+?.()|[\]{}]/g,"\\$&"),"i");b[29]=function(a){return a.replace(l,"")}}function u(){for(var a=n.length,b=0;b<a;b++){for(var e=n[b][1],d=!0,f=e.length,h=0;h<f;h++)if(!v[e[h]]){d=!1;break}if(d)return a=n.splice(b,1)[0],c[31](a[2],a[0]),void u()}}function z(a,b){try{a(b)}catch(e){console.error("Abtf.on()","event listener error",
+e),setTimeout(function(){throw e;})}}function w(a){if("Promise"in g)return new Promise(a);var b,e=!1,d=[];return a(function(a){if(!e){e=!0;b=a;a=d.length;for(var c=0;c<a;c++)d[c](b)}}),{then:function(a){return w(function(c){function f(b){(b=a?a(b):b)&&"function"==typeof b.then?b.then(c):c(b)}e?f(b):d.push(f)})}}}console.warn("Abtf","debug notices visible to admin only");c[14]=function(a,b,e){b=document;e="addEventListener";b[e]?b[e]("DOMContentLoaded",a):g.attachEvent("onload",a)};var p={},l={};c[30]=
+function(a,b){console.info("Abtf.on() \u27a4 "+a,void 0!==b?b:"");l[a]||(l[a]=[]);l[a].push(b);if(a=p[a])for(var e=a.length,d=0;d<e;d++)z(a[d],b)};c.on=function(a,b){if("function"==typeof b&&(p[a]||(p[a]=[]),p[a].push(b),l[a])){a=l[a].slice(0);for(var e=a.length,d=0;d<e;d++)z(b,a[d])}};c.ready=function(a){return w(function(b){c.on(a+":loaded",b);c.on("config:failed",function(){b(!1)})})};c.whenAll=function(a){return a instanceof Array||(a=[],c[2]&&a.push("css"),c[1]&&a.push("js"),c[7]&&a.push("fonts")),
+w(function(b){var e=a.length,d={};if(0===e)return void b(d);for(var f=a.length,h=0;h<f;h++)!function(a){c.ready(a).then(function(c){d[a]=c;0===--e&&b(d)})}(a[h])})};var x,y=[],v={},n=[];c[31]=function(a,b){if(!x&&"core"!==b)return void y.push([a,b]);if(a(g,g.Abtf,g.document,Object),"core"===b&&(x=!0),b&&(v[b]=!0,c[30]("module:loaded",b),u()),"core"===b){for(a=y.shift();a;)c[31](a[0],a[1]),a=y.shift();A&&c[10]()}};c.module=function(a,b,e){return"function"==typeof b&&(e=b,b=[]),"string"==typeof a&&
+"function"==typeof e&&b instanceof Array?v[a]?void console.error("Abtf.module()","module already loaded",a):(console.info("Abtf.module() \u27a4 "+a,b.length?b:""),n.push([a,b,function(b,c,f){try{e(b,c,f)}catch(k){console.error("Abtf.module()","module error",a,k),setTimeout(function(){throw k;})}}]),void u()):void console.error("Abtf.module()","invalid module",a)};var m={1:["js",function(a){return f(a)&&(f(a[0])||"string"==typeof a[0])&&"boolean"==typeof a[1]}],2:["css",function(a){if("string"==typeof a)return!0;
+if(!(a instanceof Array))return!1;for(var b=a.length,c=0;c<b;c++)if(!(a[c]instanceof Array)||"string"!=typeof a[c][1])return!1;return!0}],4:["css_footer",function(a){return"boolean"==typeof a}],5:["css_delay",function(a){return"number"==typeof a}],37:["css_budget",function(a){return"number"==typeof a}],6:["proxy",function(a){return f(a)&&"string"==typeof a[0]}],7:["gwf",function(a){return f(a)&&"boolean"==typeof a[1]}],8:["pwa",function(a){return f(a)&&"string"==typeof a[0]&&"string"==typeof a[1]}],
+13:["pwa_unregister",function(a){return"boolean"==typeof a}],32:["telemetry",function(a){return f(a)&&"string"==typeof a[0]}],34:["css_retry",function(a){return f(a)&&"number"==typeof a[0]}],35:["loadcss_config",function(a){return f(a)&&"string"==typeof a[0]}],36:["critical_cleanup",function(a){return f(a)&&"string"==typeof a[0]}],38:["js_failure",function(a){return f(a)&&"number"==typeof a[0]}],39:["js_parallel",function(a){return"boolean"==typeof a}],42:["js_sandbox",function(a){return f(a)&&f(a[0])}],
+45:["prefetch",function(a){return f(a)&&"string"==typeof a[0]&&f(a[2])}]},t=!1;if(document.currentScript&&document.currentScript.hasAttribute("data-abtf"))r(document.currentScript);else{var q=document.querySelector("script[data-abtf]");q?r(q):(g.console&&void 0!==console.error&&console.error("<script data-abtf> client missing"),c[14](function(){if(!(q=document.querySelector("script[data-abtf]")))throw console.warn("Abtf","client script <script data-abtf> detected on domready. Make sure that the script tag is included in the header unmodified."),
+Error("<script data-abtf> client missing");r(q)}))}var A;c[9]=function(){x?c[10]():A=!0}}(window,Abtf);
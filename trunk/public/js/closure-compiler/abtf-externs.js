@@ -1,9 +1,15 @@
 // above the fold object
+var Abtf;
 window.Abtf;
 window.Abtf.offline;
 window.Abtf.push;
+window.Abtf.on;
+window.Abtf.ready;
+window.Abtf.whenAll;
+window.Abtf.module;
 CustomEvent;
 window.document;
+var localStorage;
 
 // config
 window.loadCSS;
@@ -11,11 +17,14 @@ window.WebFont;
 window.WebFontConfig;
 window.WebFontConfig.google;
 window.WebFontConfig.google.families;
+window.WebFontConfig.active;
+window.WebFontConfig.inactive;
 
 window.watch;
 window.unwatch;
 window.$;
 window.jQuery;
+var jQuery;
 window.$.noConflict;
 window.jQuery.noConflict;
 jQuery.noConflict;
@@ -29,13 +38,31 @@ jQuery.trigger;
 jQuery.addClass;
 jQuery.removeClass;
 
+// event data
+var abtfEvent;
+abtfEvent.url;
+abtfEvent.media;
+abtfEvent.handle;
+abtfEvent.hit;
+abtfEvent.type;
+abtfEvent.title;
+abtfEvent.strategy;
+abtfEvent.attempt;
+abtfEvent.reason;
+abtfEvent.status;
+abtfEvent.dependency;
+abtfEvent.message;
+
 // debug related
 window.Abtf.localUrl;
 
+var pwaConfig;
 pwaConfig.policy;
 pwaConfig.preload;
 pwaConfig.start_url;
 
+var policyMatch;
+policyMatch.title;
 policyMatch.strategy;
 policyMatch.offline;
 policyMatch.match;
@@ -45,6 +72,7 @@ policyMatch.cache.head_update;
 policyMatch.cache.max_age;
 policyMatch.cache.conditions;
 
+var rule;
 rule.name;
 rule.regex;
 rule.not;
@@ -52,4 +80,9 @@ rule.pattern;
 rule.pattern.operator;
 rule.pattern.value;
 
-policy.offline;
\ No newline at end of file
+var policy;
+policy.offline;
+
+// service worker
+var caches;
+var clients;
@@ -1 +1 @@
-Abtf[0](function(o,t){t[12]=function(){var o,e=t[2];if(e)if("object"==typeof e){console.log("Abtf.css()",e);!!document.getElementById("AbtfCSS")&&document.getElementById("AbtfCSS").nextSibling;for(i in e)e.hasOwnProperty(i)&&"object"==typeof e[i]?(o=e[i][0].join(","),t[19](e[i][1],o)):console.error("Abtf.css()","Invalid CSS file configuration",i,e)}else console.error("Abtf.css()","output buffer failed to apply CSS optimization")}});
\ No newline at end of file
+Abtf[31](function(a,b){var c=["mousemove","mousedown","touchstart","keydown","scroll","wheel"],d=function(a,c,d,e){var f,g=b[34]||[],h="number"==typeof g[0]?g[0]:2,i="number"==typeof g[1]?g[1]:1e3,j="number"==typeof g[2]?g[2]:1e4,k=a,l=0,m=!1,n=function(){l++;var g,o=!1,p=function(j){o||m||(o=!0,clearTimeout(g),console.warn("Abtf.css() ➤ load failed",j,b[29](k),"attempt "+l),b[30]("css:error",{url:k,media:c,attempt:l,reason:j}),k!==d&&l<=h?f=setTimeout(n,i*Math.pow(2,l-1)):d&&k!==d?(console.warn("Abtf.css() ➤ fallback to original url",b[29](d)),k=d,n()):(m=!0,b[30]("css:failed",{url:a,media:c}),e(!1)))},q=b[19](k,c,function(){clearTimeout(g),m||(m=!0,clearTimeout(f),e(!0))},function(){p("error")});j>0&&(g=setTimeout(function(){q()&&p("timeout")},j))};n()},e={interaction:[!0,function(b){for(var d=!1,e=c.length,f=function(){if(!d){d=!0;for(var g=0;g<e;g++)a.removeEventListener(c[g],f,!0);b()}},g=0;g<e;g++)a.addEventListener(c[g],f,!0)}],inview:[!0,function(c,d){b[14](function(){var b;try{b=d?document.querySelectorAll(d):[]}catch(a){b=[]}if(!b.length)return console.warn("Abtf.css() ➤ inview ➤ no element matches selector, load in idle time",d),void e.idle[1](c);if(!("IntersectionObserver"in a))return void c();for(var f=new IntersectionObserver(function(a){for(var b=a.length,d=0;d<b;d++)if(a[d].isIntersecting||a[d].intersectionRatio>0)return f.disconnect(),void c()},{rootMargin:"200px 0px"}),g=b.length,h=0;h<g;h++)f.observe(b[h])})}],idle:[!1,function(a,c){b[16]?b[16](a,c?{timeout:c}:void 0):setTimeout(a,c?Math.min(c,1e3):1)}],media:[!0,function(b,c){var d=!(!c||!a.matchMedia)&&a.matchMedia(c);if(!d||d.matches)return void b();var e=function(){d.matches&&(d.removeEventListener?d.removeEventListener("change",e):d.removeListener(e),b())};d.addEventListener?d.addEventListener("change",e):d.addListener(e)}],preload:[!1,function(a,c,d){var e=document.createElement("link");if(!e.relList||!e.relList.supports||!e.relList.supports("preload"))return void a();var f=!1,g=function(){f||(f=!0,a())};b[40](e),e.rel="preload",e.setAttribute("as","style"),e.href=d,e.onload=g,e.onerror=g,document.head.appendChild(e)}]},f=function(){var c=b[36],d=document.getElementById("AbtfCSS");if(d&&d.sheet){for(var e=[],f=c[1]instanceof Array?c[1]:[],g=f.length,h=0;h<g;h++){try{var i=document.querySelector(f[h])}catch(a){console.error("Abtf.css() ➤ critical CSS cleanup ➤ invalid sentinel selector",f[h]);continue}i&&e.push([f[h],i])}var j,k=function(){for(var a=[],b=e.length,c=0;c<b;c++){var d=e[c][1].getBoundingClientRect();a.push([Math.round(d.left),Math.round(d.top),Math.round(d.width),Math.round(d.height)].join(","))}return a},l=[];try{j=d.sheet.cssRules||[]}catch(a){j=[]}for(var m=Math.min(j.length,500),n=0;n<m;n++)if(j[n].selectorText&&j[n].style){try{var o=document.querySelector(j[n].selectorText)}catch(a){continue}if(o)for(var p=a.getComputedStyle(o),q=j[n].style.length,r=0;r<q;r++){var s=j[n].style[r];l.push([j[n].selectorText,s,p.getPropertyValue(s),o])}}var t=k();d.sheet.disabled=!0;for(var u=k(),g=t.length,h=0;h<g;h++)if(t[h]!==u[h])return d.sheet.disabled=!1,console.warn("Abtf.css() ➤ critical CSS cleanup ➤ layout shift, critical CSS kept",e[h][0],t[h],"➤",u[h]),void b[30]("css:critical",{status:"kept"});for(var v=[],w=l.length,x=0;x<w;x++){var y=a.getComputedStyle(l[x][3]).getPropertyValue(l[x][1]);y!==l[x][2]&&v.push({selector:l[x][0],property:l[x][1],critical:l[x][2],full:y})}v.length?(console.warn("Abtf.css() ➤ critical CSS cleanup ➤ "+v.length+" critical CSS overrides"),console.table&&console.table(v)):console.info("Abtf.css() ➤ critical CSS cleanup ➤ no critical CSS overrides"),"remove"===c[0]&&d.parentNode.removeChild(d),console.info("Abtf.css() ➤ critical CSS "+("remove"===c[0]?"removed":"disabled")),b[30]("css:critical",{status:"remove"===c[0]?"removed":"disabled"})}};b[12]=function(){var a,c,g=b[2];if(!g)return void b[30]("css:loaded",0);if("object"!=typeof g)return console.error("Abtf.css()","output buffer failed to apply CSS optimization"),void b[30]("css:loaded",0);console.log("Abtf.css()",g);var h,i=(!!document.getElementById("AbtfCSS")&&document.getElementById("AbtfCSS").nextSibling,0),j=0,k=!1,l=function(a){return"print"!==a},m=function(a,c){l(c)&&(a||(k=!0),0===--j&&b[36]&&(k?console.warn("Abtf.css() ➤ critical CSS cleanup ➤ stylesheet failed, critical CSS kept"):b[15](f)))},n=function(a,c){return function(d){d&&b[30]("css:file",{url:a,media:c}),m(d,c),0===--i&&b[30]("css:loaded",h)}},o=function(a){return!!(a[2]instanceof Array&&e[a[2][0]])&&e[a[2][0]]},p=function(a,c,e,f){return function(){f&&console.info("Abtf.css() ➤ deferred load",b[29](a)),b[30]("css:start",{url:a,media:c}),d(a,c,e,f?function(d){d&&b[30]("css:file",{url:a,media:c}),m(d,c)}:n(a,c))}};for(c in g)g.hasOwnProperty(c)&&"object"==typeof g[c]?(l(g[c][0].join(","))&&j++,o(g[c])&&o(g[c])[0]||i++):console.error("Abtf.css()","Invalid CSS file configuration",c,g);h=i;for(c in g)if(g.hasOwnProperty(c)&&"object"==typeof g[c]){a=g[c][0].join(",");var q=o(g[c]);q?(console.info("Abtf.css() ➤ "+g[c][2][0],b[29](g[c][1]),void 0!==g[c][2][1]?g[c][2][1]:""),q[1](p(g[c][1],a,g[c][3],q[0]),g[c][2][1],g[c][1])):(g[c][2]&&console.error("Abtf.css()","Invalid CSS load strategy",g[c][1],g[c][2]),p(g[c][1],a,g[c][3])())}0===h&&b[30]("css:loaded",0)}},"css");
\ No newline at end of file
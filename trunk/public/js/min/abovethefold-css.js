@@ -1 +1 @@
-Abtf[0](function(t,e){e[12]=function(){var t,n=e[2];if(n&&"object"==typeof n){!!document.getElementById("AbtfCSS")&&document.getElementById("AbtfCSS").nextSibling;for(i in n)n.hasOwnProperty(i)&&"object"==typeof n[i]&&(t=n[i][0].join(","),e[19](n[i][1],t))}}});
\ No newline at end of file
+Abtf[31](function(a,b){var c=["mousemove","mousedown","touchstart","keydown","scroll","wheel"],d=function(a,c,d,e){var f,g=b[34]||[],h="number"==typeof g[0]?g[0]:2,i="number"==typeof g[1]?g[1]:1e3,j="number"==typeof g[2]?g[2]:1e4,k=a,l=0,m=!1,n=function(){l++;var g,o=!1,p=function(j){o||m||(o=!0,clearTimeout(g),b[30]("css:error",{url:k,media:c,attempt:l,reason:j}),k!==d&&l<=h?f=setTimeout(n,i*Math.pow(2,l-1)):d&&k!==d?(k=d,n()):(m=!0,b[30]("css:failed",{url:a,media:c}),e(!1)))},q=b[19](k,c,function(){clearTimeout(g),m||(m=!0,clearTimeout(f),e(!0))},function(){p("error")});j>0&&(g=setTimeout(function(){q()&&p("timeout")},j))};n()},e={interaction:[!0,function(b){for(var d=!1,e=c.length,f=function(){if(!d){d=!0;for(var g=0;g<e;g++)a.removeEventListener(c[g],f,!0);b()}},g=0;g<e;g++)a.addEventListener(c[g],f,!0)}],inview:[!0,function(c,d){b[14](function(){var b;try{b=d?document.querySelectorAll(d):[]}catch(a){b=[]}if(!b.length)return void e.idle[1](c);if(!("IntersectionObserver"in a))return void c();for(var f=new IntersectionObserver(function(a){for(var b=a.length,d=0;d<b;d++)if(a[d].isIntersecting||a[d].intersectionRatio>0)return f.disconnect(),void c()},{rootMargin:"200px 0px"}),g=b.length,h=0;h<g;h++)f.observe(b[h])})}],idle:[!1,function(a,c){b[16]?b[16](a,c?{timeout:c}:void 0):setTimeout(a,c?Math.min(c,1e3):1)}],media:[!0,function(b,c){var d=!(!c||!a.matchMedia)&&a.matchMedia(c);if(!d||d.matches)return void b();var e=function(){d.matches&&(d.removeEventListener?d.removeEventListener("change",e):d.removeListener(e),b())};d.addEventListener?d.addEventListener("change",e):d.addListener(e)}],preload:[!1,function(a,c,d){var e=document.createElement("link");if(!e.relList||!e.relList.supports||!e.relList.supports("preload"))return void a();var f=!1,g=function(){f||(f=!0,a())};b[40](e),e.rel="preload",e.setAttribute("as","style"),e.href=d,e.onload=g,e.onerror=g,document.head.appendChild(e)}]},f=function(){var a=b[36],c=document.getElementById("AbtfCSS");if(c&&c.sheet){for(var d=[],e=a[1]instanceof Array?a[1]:[],f=e.length,g=0;g<f;g++){try{var h=document.querySelector(e[g])}catch(a){continue}h&&d.push([e[g],h])}var i=function(){for(var a=[],b=d.length,c=0;c<b;c++){var e=d[c][1].getBoundingClientRect();a.push([Math.round(e.left),Math.round(e.top),Math.round(e.width),Math.round(e.height)].join(","))}return a},j=i();c.sheet.disabled=!0;for(var k=i(),f=j.length,g=0;g<f;g++)if(j[g]!==k[g])return c.sheet.disabled=!1,void b[30]("css:critical",{status:"kept"});"remove"===a[0]&&c.parentNode.removeChild(c),b[30]("css:critical",{status:"remove"===a[0]?"removed":"disabled"})}};b[12]=function(){var a,c,g=b[2];if(!g)return void b[30]("css:loaded",0);if("object"!=typeof g)return void b[30]("css:loaded",0);var h,i=(!!document.getElementById("AbtfCSS")&&document.getElementById("AbtfCSS").nextSibling,0),j=0,k=!1,l=function(a){return"print"!==a},m=function(a,c){l(c)&&(a||(k=!0),0===--j&&b[36]&&(k||b[15](f)))},n=function(a,c){return function(d){d&&b[30]("css:file",{url:a,media:c}),m(d,c),0===--i&&b[30]("css:loaded",h)}},o=function(a){return!!(a[2]instanceof Array&&e[a[2][0]])&&e[a[2][0]]},p=function(a,c,e,f){return function(){b[30]("css:start",{url:a,media:c}),d(a,c,e,f?function(d){d&&b[30]("css:file",{url:a,media:c}),m(d,c)}:n(a,c))}};for(c in g)g.hasOwnProperty(c)&&"object"==typeof g[c]&&(l(g[c][0].join(","))&&j++,o(g[c])&&o(g[c])[0]||i++);h=i;for(c in g)if(g.hasOwnProperty(c)&&"object"==typeof g[c]){a=g[c][0].join(",");var q=o(g[c]);q?q[1](p(g[c][1],a,g[c][3],q[0]),g[c][2][1],g[c][1]):p(g[c][1],a,g[c][3])()}0===h&&b[30]("css:loaded",0)}},"css");
\ No newline at end of file
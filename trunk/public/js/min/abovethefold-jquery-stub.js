@@ -1 +1 @@
-Abtf[0](function(e,t,n,r){if(!e.jQuery){var i=[],u=[],o=!1,c=function(e,t){"ready"===e?u.push(t):i.push(e)},f={ready:c,bind:c};e.$=e.jQuery=function(e){if(e===n||void 0===e)return f;c(e)},e.$.noConflict=e.jQuery.noConflict=function(){o=!0},e.$.isStub=e.jQuery.isStub=!0,r.prototype.watch||r.defineProperty(r.prototype,"watch",{enumerable:!1,configurable:!0,writable:!1,value:function(e,t){var n=this[e],i=n;delete this[e]&&r.defineProperty(this,e,{get:function(){return i},set:function(r){return n=i,i=t.call(this,e,n,r)},enumerable:!0,configurable:!0})}}),r.prototype.unwatch||r.defineProperty(r.prototype,"unwatch",{enumerable:!1,configurable:!0,writable:!1,value:function(e){var t=this[e];delete this[e],this[e]=t}}),e.watch("jQuery",function(t,r,c){if("function"!=typeof c||void 0===c.fn||void 0!==c.isStub)return c;o&&c.noConflict();var f=0;return c.each(i,function(e,t){c(t),f++}),c.each(u,function(e,t){c(n).bind("ready",t),f++}),e.unwatch("jQuery"),e.jQuery=c,c})}});
\ No newline at end of file
+Abtf[31](function(a,b,c,d){if(!a.jQuery){var e=[],f=[],g=!1,h=function(a,b){"ready"===a?f.push(b):e.push(a)},i=function(){g=!0},j={ready:h,bind:h};a.$=a.jQuery=function(a){if(a===c||void 0===a)return j;h(a)},a.$.noConflict=a.jQuery.noConflict=i,a.$.isStub=a.jQuery.isStub=!0,d.prototype.watch||d.defineProperty(d.prototype,"watch",{enumerable:!1,configurable:!0,writable:!1,value:function(a,b){var c=this[a],e=c,f=function(){return e},g=function(d){return c=e,e=b.call(this,a,c,d)};delete this[a]&&d.defineProperty(this,a,{get:f,set:g,enumerable:!0,configurable:!0})}}),d.prototype.unwatch||d.defineProperty(d.prototype,"unwatch",{enumerable:!1,configurable:!0,writable:!1,value:function(a){var b=this[a];delete this[a],this[a]=b}}),a.watch("jQuery",function(b,d,h){if("function"!=typeof h||void 0===h.fn||void 0!==h.isStub)return h;g&&h.noConflict();var i=0;return h.each(e,function(a,b){h(b),i++}),h.each(f,function(a,b){h(c).bind("ready",b),i++}),a.unwatch("jQuery"),a.jQuery=h,h})}},"jquery-stub");
\ No newline at end of file
@@ -1 +1 @@
-Abtf[0](function(e,r){if(e.localStorage&&e.Worker){var t=[],o=function(r){"Promise"in e?new Promise(function(e,t){e(r())}):"undefined"!==e.setImmediate?e.setImmediate(r):setTimeout(r,0)},n={prefix:"abtf-",default_expire:86400,preloaded:{},now:function(){return+new Date/1e3},execWhenIdle:function(e,t){r[16]?r[16](e,{timeout:t}):e()},saveScript:function(e,r,t){n.execWhenIdle(function(){var o={},i=n.now();if(o.date=i,o.expire=i+(t||n.default_expire),r instanceof Array){o.chunked=!0,o.chunks=r.length;for(var a=[],s=r.length,c=0;c<s;c++)a.push(r[c])}else{a=!1;o.data=r}if(n.add(e,o),a)for(var s=a.length,c=0;c<s;c++)n.add("chunk:"+c+":"+e,a[c])},3e3)},getScript:function(e){if(void 0!==n.preloaded[e]&&!1!==n.preloaded[e])return n.preloaded[e];n.preloaded[e]=!1;var o=n.get(e);if(!o||"object"!=typeof o)return!1;if(void 0!==o.expire&&o.expire-n.now()<0)return!1;if(void 0!==o.chunked&&!0===o.chunked){for(var a,s=[],c=0;c<o.chunks;c++){if(!1===(a=n.get("chunk:"+c+":"+e))||void 0===a)return!1;s.push(a)}o.data=s.join("")}else if(!o.data)return!1;var l,f="/* @source "+e+" */\n",u=!1;if(r[16]&&void 0!==r[1][2]&&r[1][2])for(var d=r[1][2].length,c=0;c<d;c++)if("object"==typeof r[1][2][c]&&-1!==e.indexOf(r[1][2][c][0])){u=!0,r[1][2][c][1]&&(l=r[1][2][c][1]);break}return u?(f+="window.requestIdleCallback(function(){",f+=o.data,f+=l?"},{timeout:"+l+"});":"});"):f+=o.data,n.preloaded[e]=i(f,"application/javascript"),t.push(n.preloaded[e]),n.preloaded[e]},preloadScript:function(e){void 0===n.preloaded[e]&&n.execWhenIdle(function(){void 0===n.preloaded[e]&&(n.preloaded[e]=n.getScript(e))},100)},add:function(e,r,t){if(void 0!==t&&parseInt(t)>10)console.error("Abtf.js() ➤ localStorage quota reached","retry limit reached, abort saving...",e);else{"object"==typeof r&&(r=JSON.stringify(r));try{return localStorage.setItem(n.prefix+e,r),!0}catch(c){if(c.name.toUpperCase().indexOf("QUOTA")>=0){var o,i,a,s=[];for(o in localStorage)0===o.indexOf(n.prefix)&&-1===o.indexOf("chunk:")&&(a=o.split(n.prefix)[1],(i=n.get(a))&&s.push([a,i]));return s.length?(s.sort(function(e,r){return e[1].date-r[1].date}),console.error("Abtf.js() ➤ localStorage quota reached","removed",s[0][0],"for key",e),n.remove(s[0][0]),void n.execWhenIdle(function(){void 0===t&&(t=0),n.add(e,r,++t)},1e3)):void console.error("Abtf.js() ➤ localStorage quota reached","no files to remove")}return void console.error("Abtf.js() ➤ localStorage error",c.name,c)}}},remove:function(e){var r=n.get(e);if(r){if(r.chunked)for(var t=parseInt(r.chunks),o=0;o<t;o++)localStorage.removeItem(n.prefix+"chunk:"+o+":"+e);localStorage.removeItem(n.prefix+e)}},get:function(e){var r=localStorage.getItem(n.prefix+e);try{return-1!==e.indexOf("chunk:")?r||!1:JSON.parse(r||"false")}catch(e){return!1}},clear:function(e){var r,t,o,i=this.now(),a=[];for(r in localStorage)if(t=r.split(n.prefix)[1]){if(-1!==t.indexOf("chunk:"))continue;if(!(o=n.get(t)))continue;(!e||o.expire<=i)&&(n.remove(t),a.push(t))}a.length>0&&console.warn("Abtf.js() ➤ localStorage cleared",a.length,"expired scripts")}},i=function(r,t){var o;try{o=new Blob([r],{type:t})}catch(n){e.BlobBuilder=e.BlobBuilder||e.WebKitBlobBuilder||e.MozBlobBuilder,(o=new BlobBuilder).append(r),o=o.getBlob(t)}return URL.createObjectURL(o)},a=function(){self.FETCH=self.fetch||!1,self.DEFAULT_TIMEOUT=5e3,self.MAX_CHUNK_SIZE=1e5,self.CHUNK_DATA=function(e,r){for(var t,o=Math.ceil(e.length/r),n=new Array(o),i=0;i<o;i++)t=i*r,n[i]=e.substring(t,t+r);return n},self.LOAD_RESOURCE=function(e){var r=!1,t=!1,o=function(o,n){r||(r=!0,t&&(clearTimeout(t),t=!1),!o&&n&&n.length>self.MAX_CHUNK_SIZE&&(n=self.CHUNK_DATA(n,self.MAX_CHUNK_SIZE)),self.RESOURCE_LOAD_COMPLETED(e,o,n))};if(self.FETCH){var n={method:"GET",mode:"cors",cache:"default"},i=function(e){r||("object"==typeof e&&e.status&&(e=[e.status,e.statusText]),o(e))};self.FETCH(e.url,n).then(function(e){r||(e.ok?e.text().then(function(e){o(!1,e)}):o([e.status,e.statusText]))},i).catch(i);s=e.timeout||self.DEFAULT_TIMEOUT;isNaN(s)&&(s=self.DEFAULT_TIMEOUT),t=setTimeout(function(){r||o("timeout")},s)}else{var a=new XMLHttpRequest;a.open("GET",e.url,!0),a.responseType="text",a.onreadystatechange=function(){r||4===a.readyState&&(200!==a.status?o(a.statusText):o(!1,a.responseText))},a.onerror=function(){r||o(a.statusText)};var s=e.timeout||self.DEFAULT_TIMEOUT;isNaN(s)&&(s=self.DEFAULT_TIMEOUT),t=setTimeout(function(){if(!r){try{a.abort()}catch(e){}o("timeout")}},s),a.send(null)}},self.RESOURCE_LOAD_COMPLETED=function(e,r,t){r?(r instanceof Array||"object"!=typeof r||(r=r.toString()),self.postMessage([2,e.i,r])):self.postMessage([1,e.i,t])},self.onmessage=function(e){var r=e.data;if(r instanceof Array)for(var t=r.length,o=0;o<t;o++)"object"==typeof r[o]&&void 0!==r[o].url&&void 0!==r[o].i&&self.LOAD_RESOURCE(r[o]);else{if("object"!=typeof r||void 0===r.url||void 0===r.i)throw new Error("Web Worker Script Loader: Invalid resource object");self.LOAD_RESOURCE(r)}}}.toString().replace(/^function\s*\(\s*\)\s*\{/,"").replace(/\}$/,""),s={workerUri:i(a,"application/javascript"),worker:!1,scriptIndex:0,scriptQueue:[],start:function(){this.worker=new Worker(this.workerUri),this.worker.addEventListener("message",this.handleMessage),this.worker.addEventListener("error",this.handleError)},stop:function(){this.worker&&(this.worker.removeEventListener("message",this.handleMessage),this.worker.removeEventListener("error",this.handleError),this.worker.terminate(),this.worker=!1,console.warn("Abtf.js() ➤ web worker terminated"))},handleMessage:function(e){var r=e.data,t=r[1];if(void 0!==s.scriptQueue[t]){if(1!==parseInt(r[0]))return 2===parseInt(r[0])?r[2]instanceof Array&&parseInt(r[2][0])>200&&parseInt(r[2][0])<600?void console.error("Abtf.js() ➤ web worker ➤ "+r[2][0]+" "+r[2][1],s.scriptQueue[t].url):void console.error("Abtf.js() ➤ web worker script loader error",r[2]):void 0;s.scriptQueue[t].onData(r[2])}else console.error("Abtf.js() ➤ web worker script loader invalid response",r)},handleError:function(e){console.error("Abtf.js() ➤ web worker script loader error",e)},loadScript:function(e,t){this.worker||this.start(),e=r[28](e);var o=parseInt(this.scriptIndex);this.scriptIndex++,this.scriptQueue[o]={url:e,onData:t},this.worker.postMessage({url:e,i:o})}};if(s.start(),e.addEventListener("beforeunload",function(e){if(s.stop(),t.length>0)for(var r=t.length,o=0;o<r;o++)try{URL.revokeObjectURL(t[o])}catch(e){console.error("Abtf.js() ➤ failed to revoke script url",t[o],e)}}),r[16])r[16](function(){n.clear(!0)},{timeout:3e3});else{var c,l=function(){c&&clearTimeout(c),c=setTimeout(function(){n.clear(!0)},2e3)};l(),r[20](l)}r[23]=function(e,t,i){o(function(){var o=n.getScript(e);if(o)return i(o),void r[21](o,t);i(!1),r[21](e,function(){t(),s.loadScript(e,function(t){t?(t instanceof Array?console.info("Abtf.js() ➤ web worker ➤ localStorage saved chunked","("+t.length+" chunks)",r[29](e)):console.info("Abtf.js() ➤ web worker ➤ localStorage saved","("+t.length+")",r[29](e)),n.saveScript(e,t)):console.error("Abtf.js() ➤ web worker script loader no data",r[29](e))})})})},r[25]=function(e){o(function(){n.preloadScript(e)})},r[24]=function(e){var t=n.getScript(e);return t||(s.loadScript(e,function(t){t?(t instanceof Array?console.info("Abtf.js() ➤ web worker ➤ localStorage saved chunked","("+t.length+" chunks)",r[29](e)):console.info("Abtf.js() ➤ web worker ➤ localStorage saved","("+t.length+")",r[29](e)),n.saveScript(e,t)):console.error("Abtf.js() ➤ web worker script loader no data",r[29](e))}),e)}}});
\ No newline at end of file
+Abtf[31](function(a,b){if(a.Worker){var c=[],d={hits:0,misses:0,evictions:0,expired:0,invalidated:0,integrity:0,worker_errors:0,storage_errors:0},e=function(b){"Promise"in a?new Promise(function(a,c){a(b())}):"undefined"!==a.setImmediate?a.setImmediate(b):setTimeout(b,0)},f=!!(a.crypto&&a.crypto.subtle&&a.TextEncoder)&&a.crypto.subtle,g=!(!b[46]||!b[46][1]),h=b[46]&&b[46][2]?parseInt(b[46][2]):0,i=("style"===b[49]||"blob"===b[49])&&b[49],j=!1,k=function(a){if(!j){j={};var c=!(!b[46]||!b[46][3])&&b[46][3];if(c&&"object"==typeof c){var d=document.createElement("a");for(var e in c)c.hasOwnProperty(e)&&(d.href=e,j[d.href]=String(c[e]))}}return j[a]||!1},l=function(a){var b=k(a);return!(!b||0!==b.indexOf("sha256-"))&&b},m=function(b,c){if(!f)return c(!1);b instanceof Array&&(b=b.join("")),f.digest("SHA-256",(new TextEncoder).encode(b)).then(function(b){for(var d=new Uint8Array(b),e="",f=d.length,g=0;g<f;g++)e+=String.fromCharCode(d[g]);c("sha256-"+a.btoa(e))},function(){c(!1)})},n=function(a){return a&&a.name&&a.name.toUpperCase().indexOf("QUOTA")>=0?"quota":a&&a.name?a.name:"error"},o={indexeddb:{name:"abtf-loadscript",db:!1,init:function(b){var c;try{c=a.indexedDB.open(this.name,1)}catch(a){return b(!1)}c.onupgradeneeded=function(){var a=c.result;a.objectStoreNames.contains("meta")||a.createObjectStore("meta"),a.objectStoreNames.contains("data")||a.createObjectStore("data")},c.onsuccess=function(){o.indexeddb.db=c.result,b(!0)},c.onerror=function(a){a&&a.preventDefault&&a.preventDefault(),b(!1)}},list:function(a){var b,c=[];try{b=this.db.transaction("meta","readonly").objectStore("meta").openCursor()}catch(b){return a(c)}b.onsuccess=function(){var d=b.result;d?(c.push([d.key,d.value]),d.continue()):a(c)},b.onerror=function(){a(c)}},get:function(a,b){var c;try{c=this.db.transaction("data","readonly").objectStore("data").get(a)}catch(a){return b(!1)}c.onsuccess=function(){b(c.result||!1)},c.onerror=function(){b(!1)}},set:function(a,b,c,d){var e,f=!1,g=function(a){f||(f=!0,d(a))};try{e=this.db.transaction(["meta","data"],"readwrite"),e.objectStore("meta").put(b,a),e.objectStore("data").put(c instanceof Array?c.join(""):c,a)}catch(a){return g(n(a))}e.oncomplete=function(){g(!1)},e.onerror=e.onabort=function(){g(n(e.error))}},remove:function(a,b){try{var c=this.db.transaction(["meta","data"],"readwrite");c.objectStore("meta").delete(a),c.objectStore("data").delete(a),c.oncomplete=c.onerror=function(){b()}}catch(a){b()}}},cache:{name:"abtf-loadscript",cache:!1,init:function(b){if(!(a.caches&&"Promise"in a))return b(!1);a.caches.open(this.name).then(function(a){o.cache.cache=a,b(!0)},function(){b(!1)})},list:function(a){var b=this.cache;b.keys().then(function(a){return Promise.all(a.map(function(a){return b.match(a).then(function(a){try{return JSON.parse(decodeURIComponent(a.headers.get("x-abtf-meta")))}catch(a){return!1}})}))}).then(function(b){a(b.filter(function(a){return a instanceof Array}))},function(){a([])})},get:function(a,b){this.cache.match(a).then(function(a){return!!a&&a.text()}).then(b,function(){b(!1)})},set:function(a,b,c,d){try{var e=new Response(c instanceof Array?c.join(""):c,{headers:{"Content-Type":"css"===b.type?"text/css":"application/javascript","x-abtf-meta":encodeURIComponent(JSON.stringify([a,b]))}})}catch(a){return d(n(a))}this.cache.put(a,e).then(function(){d(!1)},function(a){d(n(a))})},remove:function(a,b){this.cache.delete(a).then(function(){b()},function(){b()})}},localstorage:{prefix:"abtf-",sync:!0,chunkSize:1e5,init:function(b){try{b(!!a.localStorage)}catch(a){b(!1)}},list:function(a){var b,c,d,e,f=[];for(b in localStorage)if(0===b.indexOf(this.prefix)&&(c=b.substr(this.prefix.length))&&0!==c.indexOf("chunk:")&&(d=this.entry(c))){if(e={date:d.date,expire:d.expire,size:d.size},d.chunked&&(e.chunks=d.chunks),d.hash&&(e.hash=d.hash),d.version&&(e.version=d.version),d.generation&&(e.generation=d.generation),d.type&&(e.type=d.type),void 0===e.size)if(e.size=0,d.chunked)for(var g=0;g<d.chunks;g++)e.size+=(localStorage.getItem(this.prefix+"chunk:"+g+":"+c)||"").length;else d.data&&(e.size=d.data.length);f.push([c,e])}a(f)},entry:function(a){try{return JSON.parse(localStorage.getItem(this.prefix+a)||"false")}catch(a){return!1}},get:function(a,b){var c=this.entry(a);if(!c||"object"!=typeof c)return b(!1);if(!0===c.chunked){for(var d,e=[],f=0;f<c.chunks;f++){if(!(d=localStorage.getItem(this.prefix+"chunk:"+f+":"+a)))return b(!1);e.push(d)}return b(e.join(""))}b(c.data||!1)},set:function(a,b,c,d){var e={date:b.date,expire:b.expire,size:b.size};b.hash&&(e.hash=b.hash),b.version&&(e.version=b.version),b.generation&&(e.generation=b.generation),b.type&&(e.type=b.type);var f=!1;c instanceof Array?(e.chunked=!0,e.chunks=c.length,f=c):e.data=c;try{if(f)for(var g=f.length,h=0;h<g;h++)localStorage.setItem(this.prefix+"chunk:"+h+":"+a,f[h]);localStorage.setItem(this.prefix+a,JSON.stringify(e))}catch(b){return this.remove(a,function(){},e),d(n(b))}d(!1)},remove:function(a,b,c){if((c=c||this.entry(a))&&c.chunked)for(var d=parseInt(c.chunks),e=0;e<d;e++)localStorage.removeItem(this.prefix+"chunk:"+e+":"+a);localStorage.removeItem(this.prefix+a),b()}}},p={default_expire:86400,preloaded:{},backend:!1,storage:!1,index:!1,readyQueue:[],now:function(){return+new Date/1e3},execWhenIdle:function(a,c){b[16]?b[16](a,{timeout:c}):a()},init:function(){var a=["indexeddb","cache","localstorage"],c=!!b[46]&&b[46][0];c&&a.indexOf(c)>0&&(a.splice(a.indexOf(c),1),a.unshift(c));var d=function(){var b=a.shift();if(!b)return console.error("Abtf.js() ➤ script cache ➤ no storage available"),void p.ready({});o[b].init(function(a){if(!a)return d();p.backend=o[b],p.storage=b,p.backend.list(function(a){for(var c={},d=a.length,e=0;e<d;e++)a[e][1]&&"object"==typeof a[e][1]&&(c[a[e][0]]=a[e][1]);console.info("Abtf.js() ➤ script cache ➤ "+b,"("+d+" entries)"),p.ready(c)})})};d()},ready:function(a){p.index=a,p.invalidate();for(var b in a)a.hasOwnProperty(b)&&"proxy"===a[b].type&&k(b)&&p.cached(b)&&p.preloadScript(b);var c=p.readyQueue;p.readyQueue=[];for(var d=c.length,e=0;e<d;e++)c[e]()},onReady:function(a){p.index?a():p.readyQueue.push(a)},cached:function(a){return!(!p.index||!p.index[a])&&(!(void 0!==p.index[a].expire&&p.index[a].expire-p.now()<0)&&(!p.stale(a,p.index[a])&&p.index[a]))},stale:function(a,b){if((b.generation||0)!==h)return!0;var c=k(a);return!(!c||b.version===c||b.hash===c)},invalidate:function(){var a=[];for(var b in p.index)p.index.hasOwnProperty(b)&&p.stale(b,p.index[b])&&a.push(b);for(var c=a.length,e=0;e<c;e++)p.remove(a[e]);d.invalidated+=c,c>0&&console.warn("Abtf.js() ➤ script cache ➤ invalidated",c,"stale scripts","(generation "+h+")")},verify:function(a,b,c,d){var e=l(a);if(!e)return d(!g,"no hash");m(c,function(a){if(!a)return d(!g,"SubtleCrypto not available");d(a===e,"hash mismatch")})},saveScript:function(a,c,d,e){m(c,function(f){var h=l(a);if(h&&f!==h||g&&!h)return void console.error("Abtf.js() ➤ script cache ➤ integrity",h?"hash mismatch":"no hash","not saved",b[29](a));p.save(a,c,d,f,e)})},save:function(a,b,c,d,e){p.execWhenIdle(function(){var f=p.now(),g={date:f,expire:f+(c||p.default_expire),size:0,generation:h};d&&(g.hash=d),e&&(g.type=e);var i=k(a);if(i&&(g.version=i),b instanceof Array){g.chunks=b.length;for(var j=b.length,l=0;l<j;l++)g.size+=b[l].length}else g.size=b.length;p.add(a,g,b)},3e3)},getScript:function(a,b){if(void 0!==p.preloaded[a]&&!1!==p.preloaded[a])return b(p.preloaded[a]);p.preloaded[a]=!1,p.getData(a,function(c){if(!c)return b(!1);p.blobUrl(a,c,b)})},getData:function(a,c){p.onReady(function(){var e=p.cached(a);if(!p.backend||!e)return c(!1);p.backend.get(a,function(f){if(!f)return c(!1);p.verify(a,e,f,function(e,g){if(!e)return console.error("Abtf.js() ➤ script cache ➤ integrity",g,"removed",b[29](a)),d.integrity++,b[30]("js:integrity",{url:a,reason:g}),p.remove(a),c(!1);c(f)})})})},blobUrl:function(a,d,e){if(p.preloaded[a])return e(p.preloaded[a]);var f,g="/* @source "+a+" */\n",h=!1;if(b[16]&&void 0!==b[1][2]&&b[1][2])for(var i=b[1][2].length,j=0;j<i;j++)if("object"==typeof b[1][2][j]&&-1!==a.indexOf(b[1][2][j][0])){h=!0,b[1][2][j][1]&&(f=b[1][2][j][1]);break}h?(g+="window.requestIdleCallback(function(){",g+=d,g+=f?"},{timeout:"+f+"});":"});"):g+=d,p.preloaded[a]=q(g,"application/javascript"),c.push(p.preloaded[a]),e(p.preloaded[a])},preloadScript:function(a){void 0===p.preloaded[a]&&p.execWhenIdle(function(){void 0===p.preloaded[a]&&p.getScript(a,function(){})},100)},add:function(a,b,c,e){if(p.backend)return void 0!==e&&parseInt(e)>10?void console.error("Abtf.js() ➤ "+p.storage+" quota reached","retry limit reached, abort saving...",a):void p.backend.set(a,b,c,function(f){if(!f)return void(p.index[a]=b);if("quota"===f){var g=!1;for(var h in p.index)p.index.hasOwnProperty(h)&&h!==a&&(!1===g||p.index[h].date<p.index[g].date)&&(g=h);return!1===g?void console.error("Abtf.js() ➤ "+p.storage+" quota reached","no files to remove"):(console.error("Abtf.js() ➤ "+p.storage+" quota reached","removed",g,"for key",a),d.evictions++,void p.remove(g,function(){p.execWhenIdle(function(){void 0===e&&(e=0),p.add(a,b,c,++e)},1e3)}))}d.storage_errors++,console.error("Abtf.js() ➤ "+p.storage+" error",f)})},remove:function(a,b){if(p.index&&delete p.index[a],p.preloaded[a]&&delete p.preloaded[a],!p.backend)return b?b():null;p.backend.remove(a,b||function(){})},clear:function(a){p.onReady(function(){var b=p.now(),c=[];for(var e in p.index)p.index.hasOwnProperty(e)&&(!a||p.index[e].expire<=b)&&c.push(e);for(var f=c.length,g=0;g<f;g++)p.remove(c[g]);a&&(d.expired+=f),c.length>0&&console.warn("Abtf.js() ➤ "+p.storage+" cleared",c.length,"expired scripts")})},migrate:function(){p.onReady(function(){if(p.backend&&"localstorage"!==p.storage){var a=o.localstorage;a.init(function(b){b&&a.list(function(b){for(var c=p.now(),d=b.length,e=0;e<d;e++)!function(b,d){!p.index[b]&&d.expire>c&&!p.stale(b,d)&&a.get(b,function(a){a&&p.add(b,d,a)}),a.remove(b,function(){})}(b[e][0],b[e][1]);d>0&&console.info("Abtf.js() ➤ script cache ➤ migrated",d,"localStorage entries to",p.storage)})})}})}},q=b[41],r=function(){self.FETCH=self.fetch||!1,self.DEFAULT_TIMEOUT=5e3,self.CHUNK_DATA=function(a,b){for(var c,d=Math.ceil(a.length/b),e=new Array(d),f=0;f<d;f++)c=f*b,e[f]=a.substring(c,c+b);return e},self.LOAD_RESOURCE=function(a){var b=!1,c=!1,d=function(d,e){if(!b){if(b=!0,c&&(clearTimeout(c),c=!1),!d&&e&&a.c){e.length>a.c&&(e=self.CHUNK_DATA(e,a.c))}self.RESOURCE_LOAD_COMPLETED(a,d,e)}};if(self.FETCH){var e={method:"GET",mode:"cors",cache:"default"},f=function(a){b||("object"==typeof a&&a.status&&(a=[a.status,a.statusText]),d(a))};self.FETCH(a.url,e).then(function(a){b||(a.ok?a.text().then(function(a){d(!1,a)}):d([a.status,a.statusText]))},f).catch(f);var g=a.timeout||self.DEFAULT_TIMEOUT;isNaN(g)&&(g=self.DEFAULT_TIMEOUT),c=setTimeout(function(){b||d("timeout")},g)}else{var h=new XMLHttpRequest;h.open("GET",a.url,!0),h.responseType="text",h.onreadystatechange=function(){b||4===h.readyState&&(200!==h.status?d(h.statusText):d(!1,h.responseText))},h.onerror=function(){b||d(h.statusText)};var g=a.timeout||self.DEFAULT_TIMEOUT;isNaN(g)&&(g=self.DEFAULT_TIMEOUT),c=setTimeout(function(){if(!b){try{h.abort()}catch(a){}d("timeout")}},g),h.send(null)}},self.RESOURCE_LOAD_COMPLETED=function(a,b,c){b?(b instanceof Array||"object"!=typeof b||(b=b.toString()),self.postMessage([2,a.i,b])):self.postMessage([1,a.i,c])},self.onmessage=function(a){var b=a.data;if(b instanceof Array)for(var c=b.length,d=0;d<c;d++)"object"==typeof b[d]&&void 0!==b[d].url&&void 0!==b[d].i&&self.LOAD_RESOURCE(b[d]);else{if("object"!=typeof b||void 0===b.url||void 0===b.i)throw new Error("Web Worker Script Loader: Invalid resource object");self.LOAD_RESOURCE(b)}}}.toString().replace(/^function\s*\(\s*\)\s*\{/,"").replace(/\}$/,""),s={workerUri:q(r,"application/javascript"),worker:!1,scriptIndex:0,scriptQueue:[],start:function(){this.worker=new Worker(this.workerUri),this.worker.addEventListener("message",this.handleMessage),this.worker.addEventListener("error",this.handleError)},stop:function(){this.worker&&(this.worker.removeEventListener("message",this.handleMessage),this.worker.removeEventListener("error",this.handleError),this.worker.terminate(),this.worker=!1,console.warn("Abtf.js() ➤ web worker terminated"))},handleMessage:function(a){var b=a.data,c=b[1];return void 0===s.scriptQueue[c]?void console.error("Abtf.js() ➤ web worker script loader invalid response",b):1===parseInt(b[0])?void s.scriptQueue[c].onData(b[2]):2===parseInt(b[0])?(d.worker_errors++,b[2]instanceof Array&&parseInt(b[2][0])>200&&parseInt(b[2][0])<600?void console.error("Abtf.js() ➤ web worker ➤ "+b[2][0]+" "+b[2][1],s.scriptQueue[c].url):void console.error("Abtf.js() ➤ web worker script loader error",b[2])):void 0},handleError:function(a){d.worker_errors++,console.error("Abtf.js() ➤ web worker script loader error",a)},loadScript:function(a,c){this.load(b[28](a),c)},load:function(a,b){this.worker||this.start();var c=parseInt(this.scriptIndex);this.scriptIndex++,this.scriptQueue[c]={url:a,onData:b},this.worker.postMessage({url:a,i:c,c:p.backend&&p.backend.chunkSize?p.backend.chunkSize:0})}};if(s.start(),p.init(),a.addEventListener("beforeunload",function(a){if(s.stop(),c.length>0)for(var b=c.length,d=0;d<b;d++)try{URL.revokeObjectURL(c[d])}catch(a){console.error("Abtf.js() ➤ failed to revoke script url",c[d],a)}}),b[16])b[16](function(){p.clear(!0)},{timeout:3e3});else{var t,u=function(){t&&clearTimeout(t),t=setTimeout(function(){p.clear(!0)},2e3)};u(),b[20](u)}p.execWhenIdle(p.migrate,5e3);var v=function(a,c){return function(d){if(!d)return void console.error("Abtf.js() ➤ web worker script loader no data",b[29](a));d instanceof Array?console.info("Abtf.js() ➤ web worker ➤ "+p.storage+" saved chunked","("+d.length+" chunks)",b[29](a)):console.info("Abtf.js() ➤ web worker ➤ "+p.storage+" saved","("+d.length+")",b[29](a)),p.saveScript(a,d,!1,c)}};if(b[23]=function(a,c,f){e(function(){p.getScript(a,function(e){if(b[30]("js:cache",{url:a,hit:!!e}),e)return d.hits++,f(e),void b[21](e,c);d.misses++,f(!1),b[21](a,function(b,d){c(b,d),b||d||s.loadScript(a,v(a))})})})},b[25]=function(a,b){e(function(){b?p.getScript(a,function(a){a||b()}):p.preloadScript(a)})},b[24]=function(a){var b=p.preloaded[a]||!1;return!b&&p.index&&p.backend&&p.backend.sync&&!l(a)&&p.getScript(a,function(a){b=a}),b?(d.hits++,b):(p.onReady(function(){p.cached(a)||(d.misses++,s.loadScript(a,v(a,"proxy")))}),a)},i){var w=function(a,b){var c=document.createElement("a");c.href=b;var d=c.href,e=function(a){if(!(a=a.trim())||/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(a))return a;try{return new URL(a,d).href}catch(b){return a}};return a.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi,function(a,b,c){return"url("+b+e(c)+b+")"}).replace(/@import\s+(['"])([^'"]+)\1/gi,function(a,b,c){return"@import "+b+e(c)+b})},x=[],y=function(){for(var a=x.splice(0,x.length),b=a.length,c=0;c<b;c++)s.load(a[c],v(a[c],"css"))};a.addEventListener("load",function(){p.execWhenIdle(y,3e3)}),b[50]=function(a,e){p.getData(a,function(f){if(b[30]("css:cache",{url:a,hit:!!f}),f){d.hits++;var g="/* @source "+a+" */\n"+w(f,a);if("blob"===i){var h=q(g,"text/css");return c.push(h),e(["blob",h])}return e(["style",g])}d.misses++,e(!1),-1===x.indexOf(a)&&(x.push(a),"complete"===document.readyState&&p.execWhenIdle(y,3e3))})}}b[47]=function(){var a={storage:p.storage,entries:0,size:0,chunks:0,hits:d.hits,misses:d.misses,evictions:d.evictions,expired:d.expired,invalidated:d.invalidated,integrity:d.integrity,worker_errors:d.worker_errors,storage_errors:d.storage_errors};for(var b in p.index)p.index.hasOwnProperty(b)&&(a.entries++,a.size+=p.index[b].size||0,a.chunks+=p.index[b].chunks||0);return a},b[48]=function(a,b){p.onReady(function(){var c=a?[a]:Object.keys(p.index),d=c.length;if(0===d)return b();for(var e=c.length,f=0;f<e;f++)p.remove(c[f],function(){0==--d&&(console.info("Abtf.js() ➤ script cache ➤ purged",e,"scripts"),b())})})},b[33]=function(){var a,b,c=[];for(a in p.index)p.index.hasOwnProperty(a)&&(b=p.index[a],c.push({url:a,storage:p.storage,size:b.size||0,date:Math.round(b.date),expire:Math.round(b.expire),chunks:b.chunks||0,hash:b.hash||!1,type:b.type||"js"}));return c}}},"loadscript");
\ No newline at end of file
@@ -0,0 +1 @@
+Abtf[31](function(a,b){var c=a.document,d=b[42];if(d&&d[0]){for(var e=d[0],f=d[1]||[],g=!!(a.Worker&&a.URL&&b[41]),h=("srcdoc"in c.createElement("iframe")&&a.postMessage),i=function(a){var b=[],c=function(a){return function(){return arguments}.apply(null,a)},d=function(b){for(var c=b.split("."),d=c.pop(),e=a,f=c.length,g=0;g<f;g++)void 0===e[c[g]]&&(e[c[g]]=g===f-1&&"push"===d?[]:{}),e=e[c[g]];return!(!e||"function"!=typeof e[d])&&[e,e[d]]},e=function(a,b){var e=d(a);if(!e)return!1;for(var f=[],g=b.length,h=0;h<g;h++)f.push(1===b[h][0]?c(b[h][1]):b[h][1]);return e[1].apply(e[0],f),!0};return{call:function(a,c){!b.length&&e(a,c)||b.push([a,c])},flush:function(){for(;b.length&&e(b[0][0],b[0][1]);)b.shift()}}},j=function(a){var b,c=self.postMessage.bind(self),d=function(){},e=a(self),f=function(a){try{return new URL(a,b.href).href}catch(b){return a}},g=function(a,b){try{Object.defineProperty(self,a,{value:b,writable:!0,configurable:!0})}catch(a){}},h=function(a,b){setTimeout(function(){var c={type:b,target:a,currentTarget:a,preventDefault:d,stopPropagation:d};"function"==typeof a["on"+b]&&a["on"+b](c);for(var e=a.listeners[b]||[],f=e.length,g=0;g<f;g++)e[g](c)},0)},i=function(){var a={};return{getItem:function(b){return a.hasOwnProperty(b)?a[b]:null},setItem:function(b,c){a[b]=String(c)},removeItem:function(b){delete a[b]},clear:function(){a={}},key:function(b){return Object.keys(a)[b]||null}}},j={},k=function(a){a=String(a);var b=a.split(";")[0],c=b.indexOf("=");if(-1!==c){var d=b.substr(0,c).trim(),e=/expires=([^;]+)/i.exec(a);/max-age=\s*(0|-\d+)/i.test(a)||e&&Date.parse(e[1])<Date.now()?delete j[d]:j[d]=b.substr(c+1)}},l=function(a){if(a.src){var b=!1;q.currentScript=a;try{importScripts(f(a.src))}catch(a){b=a}q.currentScript=null,e.flush(),a.error=b,h(a,b&&"NetworkError"===b.name?"error":"load")}else if(a.text||a.textContent){try{(0,eval)(a.text||a.textContent)}catch(a){}e.flush()}},m=function(a){a=String(a).toUpperCase();var b={},d={tagName:a,nodeName:a,nodeType:1,style:{},dataset:{},childNodes:[],children:[],parentNode:null,parentElement:null,text:"",textContent:"",innerHTML:"",setAttribute:function(a,c){a=String(a).toLowerCase(),b[a]=String(c),"src"===a&&(d.src=c)},getAttribute:function(a){return a=String(a).toLowerCase(),b.hasOwnProperty(a)?b[a]:null},hasAttribute:function(a){return b.hasOwnProperty(String(a).toLowerCase())},removeAttribute:function(a){delete b[String(a).toLowerCase()]},addEventListener:function(a,b){(d.listeners[a]=d.listeners[a]||[]).push(b)},removeEventListener:function(a,b){var c=d.listeners[a]||[],e=c.indexOf(b);-1!==e&&c.splice(e,1)},appendChild:function(a){return d.insertBefore(a,null)},insertBefore:function(a,b){a.parentNode&&a.parentNode.removeChild(a);var c=d.childNodes.indexOf(b);return d.childNodes.splice(-1===c?d.childNodes.length:c,0,a),a.parentNode=a.parentElement=d,"SCRIPT"===a.tagName&&l(a),a},removeChild:function(a){var b=d.childNodes.indexOf(a);return-1!==b&&d.childNodes.splice(b,1),a.parentNode=a.parentElement=null,a},remove:function(){d.parentNode&&d.parentNode.removeChild(d)},cloneNode:function(){return m(a)},contains:function(){return!1},getBoundingClientRect:function(){return{top:0,left:0,right:0,bottom:0,width:0,height:0}},getElementsByTagName:function(a){return a=String(a).toUpperCase(),d.childNodes.filter(function(b){return"*"===a||b.tagName===a})},getElementsByClassName:function(){return[]},querySelector:function(){return null},querySelectorAll:function(){return[]},dispatchEvent:function(){return!0}};if(d.listeners={},"IMG"===a||"SCRIPT"===a){var e="";Object.defineProperty(d,"src",{get:function(){return e},set:function(g){e=f(String(g)),b.src=e,"IMG"===a&&(c([3,e]),h(d,"load"))}})}return d},n=m("html"),o=n.appendChild(m("head")),p=n.appendChild(m("body"));o.childNodes.push(m("script")),o.childNodes[0].parentNode=o.childNodes[0].parentElement=o;var q={nodeType:9,readyState:"complete",visibilityState:"visible",hidden:!1,characterSet:"UTF-8",compatMode:"CSS1Compat",currentScript:null,documentElement:n,head:o,body:p,createElement:m,createElementNS:function(a,b){return m(b)},createTextNode:function(a){return{nodeType:3,textContent:String(a)}},createEvent:function(){return{initEvent:d}},getElementById:function(){return null},getElementsByTagName:function(a){return a=String(a).toUpperCase(),"HTML"===a?[n]:n.getElementsByTagName(a).concat(o.getElementsByTagName(a),p.getElementsByTagName(a))},getElementsByClassName:function(){return[]},getElementsByName:function(){return[]},querySelector:function(a){return q.querySelectorAll(a)[0]||null},querySelectorAll:function(a){return a=String(a).trim(),/^(html|head|body|script)$/i.test(a)?q.getElementsByTagName(a):[]},addEventListener:d,removeEventListener:d,dispatchEvent:function(){return!0},hasFocus:function(){return!0}};Object.defineProperty(q,"cookie",{get:function(){var a=[];for(var b in j)j.hasOwnProperty(b)&&a.push(b+"="+j[b]);return a.join("; ")},set:function(a){k(a),c([2,String(a)])}});var r=function(){for(var a=new URL(b.href),e={href:a.href,protocol:a.protocol,host:a.host,hostname:a.hostname,port:a.port,pathname:a.pathname,search:a.search,hash:a.hash,origin:a.origin,assign:d,replace:d,reload:d,toString:function(){return a.href}},h=b.cookie?b.cookie.split(/;\s*/):[],j=h.length,l=0;l<j;l++)k(h[l]);q.location=e,q.URL=a.href,q.domain=a.hostname,q.referrer=b.referrer,q.title=b.title,n.setAttribute("lang",b.lang),g("window",self),g("parent",self),g("top",self),g("frames",self),g("opener",null),g("document",q),g("location",e),g("innerWidth",b.width),g("innerHeight",b.height),g("outerWidth",b.width),g("outerHeight",b.height),g("devicePixelRatio",b.dpr),g("scrollX",0),g("scrollY",0),g("pageXOffset",0),g("pageYOffset",0),g("screen",{width:b.screen[0],height:b.screen[1],availWidth:b.screen[0],availHeight:b.screen[1],colorDepth:24,pixelDepth:24}),g("history",{length:1,state:null,pushState:d,replaceState:d,back:d,forward:d,go:d}),g("localStorage",i()),g("sessionStorage",i()),g("Image",function(){return m("img")}),g("getComputedStyle",function(){return{getPropertyValue:function(){return""}}}),g("matchMedia",function(a){return{matches:!1,media:a,addListener:d,removeListener:d,addEventListener:d,removeEventListener:d}}),g("scrollTo",d),g("scrollBy",d),self.requestAnimationFrame||(g("requestAnimationFrame",function(a){return setTimeout(function(){a(Date.now())},16)}),g("cancelAnimationFrame",clearTimeout));try{self.navigator.sendBeacon=function(a,b){try{c([4,f(a),b])}catch(a){return!1}return!0},void 0===self.navigator.cookieEnabled&&(self.navigator.cookieEnabled=!0)}catch(a){}};self.addEventListener("message",function(a){var d=a.data;if(d instanceof Array){if(0===d[0])return b=d[1],void r();if(1===d[0]){var f=m("script"),g=function(){var a=f.error;c([1,d[1],!(!a||"NetworkError"!==a.name),!(!a||"NetworkError"===a.name)&&[String(a.message||a),a.lineNumber||0,a.columnNumber||0]])};return f.addEventListener("load",g),f.addEventListener("error",g),f.src=d[2],void o.appendChild(f)}2===d[0]&&e.call(d[1],d[2])}})},k=function(b){var c=b(a),d=a.parent,e=!!document.currentScript&&(document.currentScript.nonce||document.currentScript.getAttribute("nonce")),f=function(a){d.postMessage(a,"*")};a.addEventListener("message",function(a){var b=a.data;if(a.source===d&&b instanceof Array){if(1===b[0]){var g=document.createElement("script");return e&&g.setAttribute("nonce",e),g.onload=function(){c.flush(),f([1,b[1],!1,!1])},g.onerror=function(){f([1,b[1],!0,!1])},g.src=b[2],void document.head.appendChild(g)}2===b[0]&&c.call(b[1],b[2])}}),f([0])},l=function(a){return"("+a.toString()+")("+i.toString()+");"},m=[],n=[],o=function(a){for(var b=[],c=a.length,d=0;d<c;d++)b.push("[object Arguments]"===Object.prototype.toString.call(a[d])?[1,Array.prototype.slice.call(a[d])]:[0,a[d]]);try{return JSON.parse(JSON.stringify(b))}catch(a){return!1}},p=function(a,b){if(!(b=o(b)))return void console.warn("Abtf.js() ➤ sandbox ➤ forward ➤ arguments not serializable",a);m.push([a,b]);for(var c=n.length,d=0;d<c;d++)n[d].send([2,a,b])},q=f.length,r=0;r<q;r++)!function(b){for(var c=b.split("."),d=c.pop(),e=a,f=c.length,g=0;g<f;g++)void 0===e[c[g]]&&(e[c[g]]=g===f-1&&"push"===d?[]:{}),e=e[c[g]];if(e){var h=e[d];if("push"===d&&e instanceof Array)for(var i=e.length,g=0;g<i;g++)p(b,[e[g]]);e[d]=function(){if(p(b,arguments),"function"==typeof h)return h.apply(this,arguments)}}}(f[r]);var s=function(d){var e=this;if(e.mode=d,e.index=0,e.callbacks={},e.queue=[],e.ready=!1,"worker"===d)e.uri=b[41](l(j),"application/javascript"),e.worker=new Worker(e.uri),e.worker.addEventListener("message",function(a){e.receive(a.data)}),e.worker.addEventListener("error",function(a){console.error("Abtf.js() ➤ sandbox ➤ worker ➤ error",a.message),a.preventDefault()}),e.worker.postMessage([0,{href:a.location.href,referrer:c.referrer,title:c.title,cookie:c.cookie,lang:c.documentElement.lang||"",width:a.innerWidth,height:a.innerHeight,dpr:a.devicePixelRatio||1,screen:[a.screen.width,a.screen.height]}]),e.ready=!0;else{var f=b[40](c.createElement("script")).getAttribute("nonce");e.iframe=c.createElement("iframe"),e.iframe.setAttribute("sandbox","allow-scripts"),e.iframe.setAttribute("aria-hidden","true"),e.iframe.setAttribute("tabindex","-1"),e.iframe.title="sandbox",e.iframe.style.cssText="position:absolute;width:0;height:0;border:0;visibility:hidden;",e.iframe.srcdoc="<!DOCTYPE html><html><head><script"+(f?' nonce="'+f.replace(/"/g,"&quot;")+'"':"")+">"+l(k)+"<\/script></head><body></body></html>",a.addEventListener("message",function(a){a.source===e.iframe.contentWindow&&e.receive(a.data)}),(c.body||c.documentElement).appendChild(e.iframe)}for(var g=m.length,h=0;h<g;h++)e.send([2,m[h][0],m[h][1]]);n.push(e)};s.prototype.send=function(a){this.ready?this.worker?this.worker.postMessage(a):this.iframe.contentWindow.postMessage(a,"*"):this.queue.push(a)},s.prototype.receive=function(b){if(b instanceof Array)switch(b[0]){case 0:this.ready=!0;for(var d=this.queue.splice(0,this.queue.length),e=d.length,f=0;f<e;f++)this.send(d[f]);break;case 1:var g=this.callbacks[b[1]];g&&(delete this.callbacks[b[1]],g(b[2],b[3]));break;case 2:"string"==typeof b[1]&&(c.cookie=b[1]);break;case 3:"string"==typeof b[1]&&/^https?:/i.test(b[1])&&((new Image).src=b[1]);break;case 4:"string"==typeof b[1]&&/^https?:/i.test(b[1])&&a.navigator.sendBeacon&&a.navigator.sendBeacon(b[1],b[2])}},s.prototype.load=function(a,b){var c=this.index++;this.callbacks[c]=b,this.send([1,c,a])},s.prototype.stop=function(){this.worker&&(this.worker.terminate(),URL.revokeObjectURL(this.uri))};var t={};b[43]=function(a){for(var b=e.length,c=0;c<b;c++)if("object"==typeof e[c]&&-1!==a.indexOf(e[c][0]))return"iframe"===e[c][1]&&h?"iframe":!!g&&"worker";return!1},b[44]=function(a,c,d){t[c]||(t[c]=new s(c)),console.info("Abtf.js() ➤ sandbox ➤ "+c,b[29](a)),t[c].load(b[28]?b[28](a):a,d)},a.addEventListener("beforeunload",function(){for(var a in t)t.hasOwnProperty(a)&&t[a].stop()})}},"sandbox");
\ No newline at end of file
@@ -1 +1 @@
-Abtf[0](function(o,n){var e=0,t=[],r=function(o,n){t.push([o,n])},a=function(){for(var o=t.splice(0,t.length),n=o.length,e=0;e<n;e++)o[e][0].apply(null,o[e][1])},f=!1,i=[],c=[],l={},s={},d=function(o,t,a){if(!1!==t&&t instanceof Array&&0!==t.length){for(var f=!0,v=!1,b=!1,g=t.length,h=0;h<g;h++)if(c&&c[t[h]]){for(var p=c[t[h]].length,y=0;y<p;y++)if(void 0===l[c[t[h]][y]]){f=!1,v=c[t[h]][y],b=t[h];break}if(!f)break}else if(void 0===l[t[h]]){f=!1,v=t[h];break}if(!1===f)if(0===e){for(var A=[],g=t.length,h=0;h<g;h++)A.push(i[t[h]]||t[h]);console.error("Abtf.js() ➤ dependency unmet and no more scripts loading",(i[v]||v)+(i[b]?" ("+i[b]+")":""),o,A),a()}else{if(void 0===s[o+":"+v]){s[o+":"+v]=!0;for(var A=[],g=t.length,h=0;h<g;h++)A.push(i[t[h]]||t[h]);console.info("Abtf.js() ➤ wait for dependency",(i[v]||v)+(i[b]?" ("+i[b]+")":""),o,A)}void 0!==n[25]&&n[25](u(o)),r(d,[o,t,a])}else a()}else a()},u=function(o){var n=document.createElement("a");return n.href=o,n.href},v=function(o,e,t){"function"!=typeof t&&(t=function(){}),void 0!==n[23]?n[23](o,e,t):(n[21](o,e),t())};n[18]=function(o){if("object"==typeof o&&void 0!==o[0]&&o[0]){void 0!==n[6]&&n[6][1]&&(n[22]=!0);var t=o[0];if(!1===o[1]?f=!1:(f=!0,c=o[1]&&"object"==typeof o[1]?o[1]:[]),i=o[2]&&o[2]instanceof Array?o[2]:[]){if(c){var r=[];for(var s in c)c.hasOwnProperty(s)&&r.push(i[s])}else r=!1;console.log("Abtf.js() ➤ abide dependencies",i,r)}var b=function(o){if(void 0!==t[o])if("object"==typeof t[o]){var r=t[o],c=r[0],s=!!r[1],g=void 0!==r[2]&&r[2],h=!!r[3]&&r[3],p=function(o,t,r,f,c){var s=[];if(f.length>0)for(var d=f.length,g=0;g<d;g++)s.push(i[f[g]]||f[g]);e++,v(u(o),function(d){f.length>0?d?console.info("Abtf.js() ➤ localStorage loaded",n[29](o),i[r]||r,s,"➤",d):console.info("Abtf.js() ➤ loaded",n[29](o),i[r]||r,s):d?console.info("Abtf.js() ➤ localStorage loaded",n[29](o),"➤",d):console.info("Abtf.js() ➤ loaded",n[29](o)),e--,!1!==r&&(l[r]=!0),a(),t||b(++c)},function(e){f.length>0?e?console.info("Abtf.js() ➤ localStorage "+(t?"async ":"")+"load start",n[29](o),"➤",e,i[r]||r,s):console.info("Abtf.js() ➤ "+(t?"async ":"")+"download start",n[29](o),i[r]||r,s):e?console.info("Abtf.js() ➤ localStorage "+(t?"async ":"")+"load start",n[29](o),"➤",e):console.info("Abtf.js() ➤ "+(t?"async ":"")+"download start",n[29](o))})};f&&h?d(c,h,function(){p(c,s,g,h,o)}):p(c,s,g,h,o),s&&b(++o)}else console.error("Abtf.js()","Invalid Javascript file configuration",o,t)};b(0)}},n[20]=r}),Abtf[0](function(o,n){var e={},t=0,r=function(o){var n=document.getElementsByTagName("script")[0];n.parentNode.insertBefore(o,n)};n[22]=!1,n[21]=function(o,a){var f=document.createElement("script");n[22]&&f.setAttribute("data-abtf","");var i,c,l=!1,s=function(){l||(l=!0,c(),a&&a(i))},d=function(){i=new Error(o||"EMPTY"),s()};if(!f.readyState||"async"in f)c=function(){f.onload=f.onerror=null},f.onerror=d,f.onload=s,f.async=!0,f.charset="utf-8",f.src=o,r(f);else{var u=t++,v={loaded:!0,complete:!0},b=!1;c=function(){f.onreadystatechange=f.onerror=null,e[u]=void 0},f.onreadystatechange=function(){var o=f.readyState;if(!i){if(!b&&v[o]&&(b=!0,r(f)),"loaded"===o&&(f.children,"loading"===f.readyState))return d();"complete"===f.readyState&&s()}},f.onerror=d,e[u]=f,f.src=o}}});
\ No newline at end of file
+Abtf[31](function(a,b){var c=0,d=[],e=function(a,b){d.push([a,b])},f=function(){for(var a=d.splice(0,d.length),b=a.length,c=0;c<b;c++)a[c][0].apply(null,a[c][1])},g=!1,h=[],i=[],j={},k={},l=function(a){var c=b[38]||[],d=c[1],e=h[a]||a;return d&&"string"==typeof d[e]?d[e]:c[2]||"skip"},m={},n=function(a,d,f,g){if(!1===d||!(d instanceof Array)||0===d.length)return void f();for(var o=!0,p=!1,r=function(a){if(void 0!==j[a])return!0;if(void 0!==k[a]){if("load"===l(a))return!0;p=a}return!1},s=!1,t=!1,u=d.length,v=0;v<u;v++)if(i&&i[d[v]]){for(var w=i[d[v]].length,x=0;x<w;x++)if(!r(i[d[v]][x])){o=!1,s=i[d[v]][x],t=d[v];break}if(!o)break}else if(!r(d[v])){o=!1,s=d[v];break}if(!1!==p)g(p);else if(!1===o)if(0===c){for(var y=[],u=d.length,v=0;v<u;v++)y.push(h[d[v]]||d[v]);console.error("Abtf.js() ➤ dependency unmet and no more scripts loading",(h[s]||s)+(h[t]?" ("+h[t]+")":""),a,y),f()}else{if(void 0===m[a+":"+s]){m[a+":"+s]=!0;for(var y=[],u=d.length,v=0;v<u;v++)y.push(h[d[v]]||d[v]);console.info("Abtf.js() ➤ wait for dependency",(h[s]||s)+(h[t]?" ("+h[t]+")":""),a,y)}void 0!==b[25]&&b[25](q(a)),e(n,[a,d,f,g])}else f()},o=0,p=function(c,d,e){var f=b[38]||[],g=f[4];!g||!a.navigator.sendBeacon||o++>=10||a.navigator.sendBeacon(g,JSON.stringify({page:document.location.pathname,url:c,handle:!1!==d&&(h[d]||d),message:e[0],line:e[1],column:e[2]}))},q=function(a){var b=document.createElement("a");return b.href=a,b.href},r="noModule"in document.createElement("script"),s=["scroll","click","touchstart","keydown"],t=[],u=0,v=[],w=!1,x=[],y=!1,z=[],A=!1,B=!1,C=function(){B||!A||u>0||t.length>0||(B=!0,b[30]("js:interaction:loaded",z.length))};b.on("js:loaded",function(){A=!0,C()});var D=function(a){var c=!(!b[1]||!b[1][3])&&b[1][3];if(!c||!1===a)return!1;for(var d=c.length,e=0;e<d;e++)if("object"==typeof c[e]&&-1!==a.indexOf(c[e][0]))return c[e];return!1},E=function(a){"click"===a.type&&!1!==a.isTrusted&&v.push(a.target);for(var b=t.splice(0,t.length),c=b.length,d=0;d<c;d++)b[d](a.type);F(!1)},F=function(b){for(var c=s.length,d=0;d<c;d++)"click"===s[d]&&!b&&(u>0||t.length>0)||(b?a.addEventListener(s[d],E,!0):a.removeEventListener(s[d],E,!0));w=b},G=function(a,c,d){var e=+new Date;console.info("Abtf.js() ➤ wait for interaction",b[29](a),c?"max "+c+"ms":"");var f,g=!1,h=function(c){if(!g){g=!0,f&&clearTimeout(f);var i=t.indexOf(h);-1!==i&&t.splice(i,1),console.info("Abtf.js() ➤ interaction ➤ "+c,b[29](a),"waited "+(+new Date-e)+"ms"),b[30]("js:interaction",{url:a,type:c}),u++,H(!0),d()}};t.push(h),w||F(!0),f=setTimeout(function(){h("timeout"),0===t.length&&F(!1)},parseInt(c)||1e4)},H=function(b){if(y!==b){y=b;var c=!!a.EventTarget&&a.EventTarget.prototype;if(c&&c.addEventListener){if(!b)return c.addEventListener=H.add,void(c.removeEventListener=H.remove);var d=H.add=c.addEventListener,e=H.remove=c.removeEventListener,f=function(a){return a&&"object"==typeof a?!!a.capture:!!a},g=function(a,b,c){for(var d=x.length,e=0;e<d;e++)if(x[e][0]===a&&x[e][1]===b&&x[e][2]===f(c))return e;return-1},h=function(){var a=document.currentScript;return a&&a.src&&-1!==z.indexOf(a.src)};c.addEventListener=function(a,b,c){return"click"===a&&b&&h()&&-1===g(this,b,c)&&x.push([this,b,f(c)]),d.apply(this,arguments)},c.removeEventListener=function(a,b,c){if("click"===a){var d=g(this,b,c);-1!==d&&x.splice(d,1)}return e.apply(this,arguments)}}}},I=function(){if(!(--u>0)){0===t.length&&F(!1),H(!1);for(var a=x.splice(0,x.length),b=v.splice(0,v.length),c=b.length,d=0;d<c;d++)J(b[d],a);C()}},J=function(b,c){for(var d=b;d&&1===d.nodeType;){if("A"===d.nodeName&&d.hasAttribute("href")||-1!==["INPUT","SELECT","TEXTAREA","LABEL"].indexOf(d.nodeName)||"BUTTON"===d.nodeName&&d.form)return;d=d.parentNode}if(b&&c.length&&document.documentElement.contains(b)){console.info("Abtf.js() ➤ interaction ➤ replay click",b,c.length+" listeners");var e=[];for(d=b;d;)e.push(d),d=d.parentNode;if(e.push(a),a.Proxy&&a.MouseEvent){var f;try{f=new MouseEvent("click",{bubbles:!0,cancelable:!0,view:a})}catch(a){return}var g=!1,h=null,i=0,j={target:b,srcElement:b,stopPropagation:function(){g=!0,f.stopPropagation()},stopImmediatePropagation:function(){g=!0,f.stopImmediatePropagation()},composedPath:function(){return e.slice(0)}},k=new Proxy(f,{get:function(a,b){if("currentTarget"===b)return h;if("eventPhase"===b)return i;if(j.hasOwnProperty(b))return j[b];var c=a[b];return"function"==typeof c?c.bind(a):c}}),l=function(a,b){for(var d=c.length,e=0;e<d;e++)if(c[e][0]===a&&c[e][2]===b){h=a;try{"function"==typeof c[e][1]?c[e][1].call(a,k):c[e][1]&&"function"==typeof c[e][1].handleEvent&&c[e][1].handleEvent(k)}catch(a){setTimeout(function(){throw a})}}},m=e.length;for(i=1;m-- >1&&!g;)l(e[m],!0);i=2,g||l(b,!0),g||l(b,!1),i=3;var n=e.length;for(m=1;m<n&&!g;m++)l(e[m],!1)}}},K=function(a,c){return!(!b[43]||!1===a||c&&"module"===c.type)&&b[43](a)},L=function(a){var c=b[40](document.createElement("script"));c.text=a;var d=document.getElementsByTagName("script")[0];d.parentNode.insertBefore(c,d)},M=function(a){return a=a.replace(/\s+/g," ").trim(),a.length>80?a.substr(0,80)+"...":a},N=function(a,c,d,e){"function"!=typeof d&&(d=function(){}),void 0===b[23]||e&&("module"===e.type||e.integrity)?(d(!1),b[21](a,c,e)):b[23](a,c,d)},O=function(a){var b=document.createElement("link");return b.relList&&b.relList.supports&&b.relList.supports(a)},P=function(a,c){var d=c&&"module"===c.type,e=d?"modulepreload":"preload";if(O(e)){var f=b[40](document.createElement("link"));if(f.rel=e,d||f.setAttribute("as","script"),c)for(var g=["integrity","crossorigin","referrerpolicy"],h=g.length,i=0;i<h;i++)"string"==typeof c[g[i]]&&f.setAttribute(g[i],c[g[i]]);f.href=a,console.info("Abtf.js() ➤ parallel download",e,b[29](a)),(document.head||document.getElementsByTagName("head")[0]).appendChild(f)}},Q=function(a){for(var c=a.length,d=0;d<c;d++)if("object"==typeof a[d]&&a[d][0]){var e=q(a[d][0]),f=!!a[d][4]&&a[d][4];D(a[d][0])||K(a[d][0],f)||f&&("module"===f.type&&!r||f.nomodule&&r)||(void 0===b[25]||f&&("module"===f.type||f.integrity)?P(e,f):b[25](e,function(a,b){return function(){P(a,b)}}(e,f)))}};b[18]=function(a){if("object"!=typeof a||void 0===a[0]||!a[0])return void b[30]("js:loaded",0);void 0!==b[6]&&b[6][1]&&(b[22]=!0);var d=a[0],e=d.length;if(0===e&&b[30]("js:loaded",0),!1===a[1]?g=!1:(g=!0,i=a[1]&&"object"==typeof a[1]?a[1]:[]),h=a[2]&&a[2]instanceof Array?a[2]:[],b[39]&&Q(d),h){if(i){var m=[];for(var o in i)i.hasOwnProperty(o)&&m.push(h[o])}else m=!1;console.log("Abtf.js() ➤ abide dependencies",h,m)}var s=[],t=[],u=[],v=function(){for(;t.length;){for(var a=0;a<t[0][0];a++)if(!s[a])return;t.shift()[1]()}for(var b=u.splice(0,u.length),c=b.length,a=0;a<c;a++)b[a]()},w=function(a){if(void 0!==d[a]){if("object"!=typeof d[a])return void console.error("Abtf.js()","Invalid Javascript file configuration",a,d);var i=d[a],m=i[0],o=!!i[1],x=void 0!==i[2]&&i[2],y=!!i[3]&&i[3],A=!!i[4]&&i[4],B=a,C=function(){H&&I(),J||(J=!0,s[B]=!0,v(),e--,0===e&&b[30]("js:loaded",d.length),o||!1===m||w(++a))};if(!1===m){var E=function(){console.info("Abtf.js() ➤ inline"+(o?" data":""),M(i[5])),L(i[5]),C()};return o?E():(t.push([B,E]),v()),void w(++a)}var F=D(m),H=!1,J=!1;F&&(o=!0);var O=K(m,A);if(O&&(o=!0),!o&&t.length)return void u.push(function(){w(B)});b[30]("js:queue",{url:m,handle:!1!==x&&(h[x]||x)});var P=function(a){!1!==x&&(k[x]=a),f()},Q=function(a,d,e,g,i){var k=[];if(g.length>0)for(var m=g.length,n=0;n<m;n++)k.push(h[g[n]]||g[n]);c++,b[30]("js:start",{url:a,handle:!1!==e&&(h[e]||e)});var o,r=!1,s=function(d,i){if(r)return void(d||console.warn("Abtf.js() ➤ loaded after timeout",b[29](a),h[e]||e));r=!0,o&&clearTimeout(o),c--,d?(console.error("Abtf.js() ➤ "+i,b[29](a),h[e]||e,!1!==e?"dependants: "+l(e):""),b[30]("js:error",{url:a,handle:!1!==e&&(h[e]||e),reason:i}),P(i)):(g.length>0?console.info("Abtf.js() ➤ loaded",b[29](a),h[e]||e,k):console.info("Abtf.js() ➤ loaded",b[29](a)),!1!==e&&(j[e]=!0),f(),b[30]("js:file",{url:a,handle:!1!==e&&(h[e]||e)})),C()},t=b[38]||[];"number"==typeof t[0]&&t[0]>0&&(o=setTimeout(function(){s(!0,"timeout")},t[0]));var u=function(c,d){if(d&&(console.error("Abtf.js() ➤ execution error",b[29](a),h[e]||e,d[0],"line "+d[1]+":"+d[2]),b[30]("js:exception",{url:a,handle:!1!==e&&(h[e]||e),message:d[0]}),p(a,e,d),"fail"===t[3]))return void s(!0,"exec");s(c,"error")};if(O)return b[30]("js:sandbox",{url:a,type:O}),void b[44](q(a),O,u);N(q(a),u,function(c){H&&z.push(c||q(a)),g.length>0?c?console.info("Abtf.js() ➤ localStorage "+(d?"async ":"")+"load start",b[29](a),"➤",c,h[e]||e,k):console.info("Abtf.js() ➤ "+(d?"async ":"")+"download start",b[29](a),h[e]||e,k):c?console.info("Abtf.js() ➤ localStorage "+(d?"async ":"")+"load start",b[29](a),"➤",c):console.info("Abtf.js() ➤ "+(d?"async ":"")+"download start",b[29](a))},A)},R=function(a){console.error("Abtf.js() ➤ skipped, dependency failed",b[29](m),h[x]||x,(h[a]||a)+" ("+k[a]+")"),b[30]("js:skip",{url:m,handle:!1!==x&&(h[x]||x),dependency:h[a]||a}),P("dependency"),C()};if(A&&("module"===A.type&&!r||A.nomodule&&r))console.info("Abtf.js() ➤ "+(r?"nomodule":"module")+" not executed",b[29](m)),!1!==x&&(j[x]=!0),f(),C();else{var S=function(){g&&y?n(m,y,function(){Q(m,o,x,y)},R):Q(m,o,x,y)};F?(c++,G(m,F[1],function(){c--,H=!0,S()}),C()):S()}o&&w(++a)}};w(0)},b[20]=e},"js"),Abtf[31](function(a,b){var c={},d=0,e=function(a){var b=document.getElementsByTagName("script")[0];b.parentNode.insertBefore(a,b)};b[22]=!1;var f=[],g=function(a){for(var b=document.currentScript,c=f.length,d=0;d<c;d++)if(b&&f[d][0]===b||a.filename&&f[d][0].src===a.filename)return void(f[d][1]||(f[d][1]=[a.message||"Script error.",a.lineno||0,a.colno||0]))};a.addEventListener&&a.addEventListener("error",g),b[41]=function(b,c){var d;try{d=new Blob([b],{type:c})}catch(e){a.BlobBuilder=a.BlobBuilder||a.WebKitBlobBuilder||a.MozBlobBuilder,d=new BlobBuilder,d.append(b),d=d.getBlob(c)}return URL.createObjectURL(d)};var h=["integrity","crossorigin","referrerpolicy"];b[21]=function(a,g,i){var j=b[40](document.createElement("script"));if(b[22]&&j.setAttribute("data-abtf",""),i){"module"===i.type&&(j.type="module");for(var k=h.length,l=0;l<k;l++)"string"==typeof i[h[l]]&&j.setAttribute(h[l],i[h[l]])}var m,n,o=!1,p=[j,!1];f.push(p);var q=function(){if(!o){o=!0,n();for(var a=f.length;a--;)f[a]===p&&f.splice(a,1);g&&g(m,!(m||!p[1])&&p[1])}},r=function(){m=new Error(a||"EMPTY"),q()};if(!j.readyState||"async"in j)n=function(){j.onload=j.onerror=null},j.onerror=r,j.onload=q,j.async=!0,j.charset="utf-8",j.src=a,e(j);else{var s=d++,t={loaded:!0,complete:!0},u=!1;n=function(){j.onreadystatechange=j.onerror=null,c[s]=void 0},j.onreadystatechange=function(){var a=j.readyState;if(!m){if(!u&&t[a]&&(u=!0,e(j)),"loaded"===a&&(j.children,"loading"===j.readyState))return r();"complete"===j.readyState&&q()}},j.onerror=r,c[s]=j,j.src=a}}},"loadscript");
\ No newline at end of file
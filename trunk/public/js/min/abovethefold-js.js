@@ -1 +1 @@
-Abtf[0](function(e,n){var t=0,o=[],r=function(e,n){o.push([e,n])},a=function(){for(var e=o.splice(0,o.length),n=e.length,t=0;t<n;t++)e[t][0].apply(null,e[t][1])},i=!1,f=[],c={},u=function(e,o,a){if(!1!==o&&o instanceof Array&&0!==o.length){for(var i=!0,d=o.length,v=0;v<d;v++)if(f&&f[o[v]]){for(var s=f[o[v]].length,y=0;y<s;y++)if(void 0===c[f[o[v]][y]]){i=!1;break}if(!i)break}else if(void 0===c[o[v]]){i=!1;break}if(!1===i)if(0===t){a()}else{void 0!==n[25]&&n[25](l(e)),r(u,[e,o,a])}else a()}else a()},l=function(e){var n=document.createElement("a");return n.href=e,n.href},d=function(e,t,o){void 0!==n[23]?n[23](e,t,o):n[21](e,t)};n[18]=function(e){if("object"==typeof e&&void 0!==e[0]&&e[0]){void 0!==n[6]&&n[6][1]&&(n[22]=!0);var o=e[0];!1===e[1]?i=!1:(i=!0,f=e[1]&&"object"==typeof e[1]?e[1]:[]);var r=function(e){if(void 0!==o[e]&&"object"==typeof o[e]){var n=o[e],f=n[0],v=!!n[1],s=void 0!==n[2]&&n[2],y=!!n[3]&&n[3],h=function(e,n,o,i,f){t++,d(l(e),function(e){t--,!1!==o&&(c[o]=!0),a(),n||r(++f)},function(e){})};i&&y?u(f,y,function(){h(f,v,s,0,e)}):h(f,v,s,0,e),v&&r(++e)}};r(0)}},n[20]=r}),Abtf[0](function(e,n){var t={},o=0,r=function(e){var n=document.getElementsByTagName("script")[0];n.parentNode.insertBefore(e,n)};n[22]=!1,n[21]=function(e,a){var i=document.createElement("script");n[22]&&i.setAttribute("data-abtf","");var f,c,u=!1,l=function(){u||(u=!0,c(),a&&a(f))},d=function(){f=new Error(e||"EMPTY"),l()};if(!i.readyState||"async"in i)c=function(){i.onload=i.onerror=null},i.onerror=d,i.onload=l,i.async=!0,i.charset="utf-8",i.src=e,r(i);else{var v=o++,s={loaded:!0,complete:!0},y=!1;c=function(){i.onreadystatechange=i.onerror=null,t[v]=void 0},i.onreadystatechange=function(){var e=i.readyState;if(!f){if(!y&&s[e]&&(y=!0,r(i)),"loaded"===e&&(i.children,"loading"===i.readyState))return d();"complete"===i.readyState&&l()}},i.onerror=d,t[v]=i,i.src=e}}});
\ No newline at end of file
+Abtf[31](function(a,b){var c=0,d=[],e=function(a,b){d.push([a,b])},f=function(){for(var a=d.splice(0,d.length),b=a.length,c=0;c<b;c++)a[c][0].apply(null,a[c][1])},g=!1,h=[],i=[],j={},k={},l=function(a){var c=b[38]||[],d=c[1],e=h[a]||a;return d&&"string"==typeof d[e]?d[e]:c[2]||"skip"},m=function(a,d,f,g){if(!1===d||!(d instanceof Array)||0===d.length)return void f();for(var h=!0,n=!1,o=function(a){if(void 0!==j[a])return!0;if(void 0!==k[a]){if("load"===l(a))return!0;n=a}return!1},q=d.length,r=0;r<q;r++)if(i&&i[d[r]]){for(var s=i[d[r]].length,t=0;t<s;t++)if(!o(i[d[r]][t])){h=!1;break}if(!h)break}else if(!o(d[r])){h=!1;break}if(!1!==n)g(n);else if(!1===h)if(0===c){var q,r;f()}else{var q,r;void 0!==b[25]&&b[25](p(a)),e(m,[a,d,f,g])}else f()},n=0,o=function(c,d,e){var f=b[38]||[],g=f[4];!g||!a.navigator.sendBeacon||n++>=10||a.navigator.sendBeacon(g,JSON.stringify({page:document.location.pathname,url:c,handle:!1!==d&&(h[d]||d),message:e[0],line:e[1],column:e[2]}))},p=function(a){var b=document.createElement("a");return b.href=a,b.href},q="noModule"in document.createElement("script"),r=["scroll","click","touchstart","keydown"],s=[],t=0,u=[],v=!1,w=[],x=!1,y=[],z=!1,A=!1,B=function(){A||!z||t>0||s.length>0||(A=!0,b[30]("js:interaction:loaded",y.length))};b.on("js:loaded",function(){z=!0,B()});var C=function(a){var c=!(!b[1]||!b[1][3])&&b[1][3];if(!c||!1===a)return!1;for(var d=c.length,e=0;e<d;e++)if("object"==typeof c[e]&&-1!==a.indexOf(c[e][0]))return c[e];return!1},D=function(a){"click"===a.type&&!1!==a.isTrusted&&u.push(a.target);for(var b=s.splice(0,s.length),c=b.length,d=0;d<c;d++)b[d](a.type);E(!1)},E=function(b){for(var c=r.length,d=0;d<c;d++)"click"===r[d]&&!b&&(t>0||s.length>0)||(b?a.addEventListener(r[d],D,!0):a.removeEventListener(r[d],D,!0));v=b},F=function(a,c,d){var e,f=!1,g=function(c){if(!f){f=!0,e&&clearTimeout(e);var h=s.indexOf(g);-1!==h&&s.splice(h,1),b[30]("js:interaction",{url:a,type:c}),t++,G(!0),d()}};s.push(g),v||E(!0),e=setTimeout(function(){g("timeout"),0===s.length&&E(!1)},parseInt(c)||1e4)},G=function(b){if(x!==b){x=b;var c=!!a.EventTarget&&a.EventTarget.prototype;if(c&&c.addEventListener){if(!b)return c.addEventListener=G.add,void(c.removeEventListener=G.remove);var d=G.add=c.addEventListener,e=G.remove=c.removeEventListener,f=function(a){return a&&"object"==typeof a?!!a.capture:!!a},g=function(a,b,c){for(var d=w.length,e=0;e<d;e++)if(w[e][0]===a&&w[e][1]===b&&w[e][2]===f(c))return e;return-1},h=function(){var a=document.currentScript;return a&&a.src&&-1!==y.indexOf(a.src)};c.addEventListener=function(a,b,c){return"click"===a&&b&&h()&&-1===g(this,b,c)&&w.push([this,b,f(c)]),d.apply(this,arguments)},c.removeEventListener=function(a,b,c){if("click"===a){var d=g(this,b,c);-1!==d&&w.splice(d,1)}return e.apply(this,arguments)}}}},H=function(){if(!(--t>0)){0===s.length&&E(!1),G(!1);for(var a=w.splice(0,w.length),b=u.splice(0,u.length),c=b.length,d=0;d<c;d++)I(b[d],a);B()}},I=function(b,c){for(var d=b;d&&1===d.nodeType;){if("A"===d.nodeName&&d.hasAttribute("href")||-1!==["INPUT","SELECT","TEXTAREA","LABEL"].indexOf(d.nodeName)||"BUTTON"===d.nodeName&&d.form)return;d=d.parentNode}if(b&&c.length&&document.documentElement.contains(b)){var e=[];for(d=b;d;)e.push(d),d=d.parentNode;if(e.push(a),a.Proxy&&a.MouseEvent){var f;try{f=new MouseEvent("click",{bubbles:!0,cancelable:!0,view:a})}catch(a){return}var g=!1,h=null,i=0,j={target:b,srcElement:b,stopPropagation:function(){g=!0,f.stopPropagation()},stopImmediatePropagation:function(){g=!0,f.stopImmediatePropagation()},composedPath:function(){return e.slice(0)}},k=new Proxy(f,{get:function(a,b){if("currentTarget"===b)return h;if("eventPhase"===b)return i;if(j.hasOwnProperty(b))return j[b];var c=a[b];return"function"==typeof c?c.bind(a):c}}),l=function(a,b){for(var d=c.length,e=0;e<d;e++)if(c[e][0]===a&&c[e][2]===b){h=a;try{"function"==typeof c[e][1]?c[e][1].call(a,k):c[e][1]&&"function"==typeof c[e][1].handleEvent&&c[e][1].handleEvent(k)}catch(a){setTimeout(function(){throw a})}}},m=e.length;for(i=1;m-- >1&&!g;)l(e[m],!0);i=2,g||l(b,!0),g||l(b,!1),i=3;var n=e.length;for(m=1;m<n&&!g;m++)l(e[m],!1)}}},J=function(a,c){return!(!b[43]||!1===a||c&&"module"===c.type)&&b[43](a)},K=function(a){var c=b[40](document.createElement("script"));c.text=a;var d=document.getElementsByTagName("script")[0];d.parentNode.insertBefore(c,d)},L=function(a,c,d,e){"function"!=typeof d&&(d=function(){}),void 0===b[23]||e&&("module"===e.type||e.integrity)?(d(!1),b[21](a,c,e)):b[23](a,c,d)},M=function(a){var b=document.createElement("link");return b.relList&&b.relList.supports&&b.relList.supports(a)},N=function(a,c){var d=c&&"module"===c.type,e=d?"modulepreload":"preload";if(M(e)){var f=b[40](document.createElement("link"));if(f.rel=e,d||f.setAttribute("as","script"),c)for(var g=["integrity","crossorigin","referrerpolicy"],h=g.length,i=0;i<h;i++)"string"==typeof c[g[i]]&&f.setAttribute(g[i],c[g[i]]);f.href=a,(document.head||document.getElementsByTagName("head")[0]).appendChild(f)}},O=function(a){for(var c=a.length,d=0;d<c;d++)if("object"==typeof a[d]&&a[d][0]){var e=p(a[d][0]),f=!!a[d][4]&&a[d][4];C(a[d][0])||J(a[d][0],f)||f&&("module"===f.type&&!q||f.nomodule&&q)||(void 0===b[25]||f&&("module"===f.type||f.integrity)?N(e,f):b[25](e,function(a,b){return function(){N(a,b)}}(e,f)))}};b[18]=function(a){if("object"!=typeof a||void 0===a[0]||!a[0])return void b[30]("js:loaded",0);void 0!==b[6]&&b[6][1]&&(b[22]=!0);var d=a[0],e=d.length;0===e&&b[30]("js:loaded",0),!1===a[1]?g=!1:(g=!0,i=a[1]&&"object"==typeof a[1]?a[1]:[]),h=a[2]&&a[2]instanceof Array?a[2]:[],b[39]&&O(d);var l=[],n=[],r=[],s=function(){for(;n.length;){for(var a=0;a<n[0][0];a++)if(!l[a])return;n.shift()[1]()}for(var b=r.splice(0,r.length),c=b.length,a=0;a<c;a++)b[a]()},t=function(a){if(void 0!==d[a]&&"object"==typeof d[a]){var i=d[a],u=i[0],v=!!i[1],w=void 0!==i[2]&&i[2],x=!!i[3]&&i[3],z=!!i[4]&&i[4],A=a,B=function(){G&&H(),I||(I=!0,l[A]=!0,s(),e--,0===e&&b[30]("js:loaded",d.length),v||!1===u||t(++a))};if(!1===u){var D=function(){K(i[5]),B()};return v?D():(n.push([A,D]),s()),void t(++a)}var E=C(u),G=!1,I=!1;E&&(v=!0);var M=J(u,z);if(M&&(v=!0),!v&&n.length)return void r.push(function(){t(A)});b[30]("js:queue",{url:u,handle:!1!==w&&(h[w]||w)});var N=function(a){!1!==w&&(k[w]=a),f()},O=function(a,d,e,g,i){c++,b[30]("js:start",{url:a,handle:!1!==e&&(h[e]||e)});var k,l=!1,m=function(d,g){l||(l=!0,k&&clearTimeout(k),c--,d?(b[30]("js:error",{url:a,handle:!1!==e&&(h[e]||e),reason:g}),N(g)):(!1!==e&&(j[e]=!0),f(),b[30]("js:file",{url:a,handle:!1!==e&&(h[e]||e)})),B())},n=b[38]||[];"number"==typeof n[0]&&n[0]>0&&(k=setTimeout(function(){m(!0,"timeout")},n[0]));var q=function(c,d){if(d&&(b[30]("js:exception",{url:a,handle:!1!==e&&(h[e]||e),message:d[0]}),o(a,e,d),"fail"===n[3]))return void m(!0,"exec");m(c,"error")};if(M)return b[30]("js:sandbox",{url:a,type:M}),void b[44](p(a),M,q);L(p(a),q,function(b){G&&y.push(b||p(a))},z)},P=function(a){b[30]("js:skip",{url:u,handle:!1!==w&&(h[w]||w),dependency:h[a]||a}),N("dependency"),B()};if(z&&("module"===z.type&&!q||z.nomodule&&q))!1!==w&&(j[w]=!0),f(),B();else{var Q=function(){g&&x?m(u,x,function(){O(u,0,w)},P):O(u,0,w)};E?(c++,F(u,E[1],function(){c--,G=!0,Q()}),B()):Q()}v&&t(++a)}};t(0)},b[20]=e},"js"),Abtf[31](function(a,b){var c={},d=0,e=function(a){var b=document.getElementsByTagName("script")[0];b.parentNode.insertBefore(a,b)};b[22]=!1;var f=[],g=function(a){for(var b=document.currentScript,c=f.length,d=0;d<c;d++)if(b&&f[d][0]===b||a.filename&&f[d][0].src===a.filename)return void(f[d][1]||(f[d][1]=[a.message||"Script error.",a.lineno||0,a.colno||0]))};a.addEventListener&&a.addEventListener("error",g),b[41]=function(b,c){var d;try{d=new Blob([b],{type:c})}catch(e){a.BlobBuilder=a.BlobBuilder||a.WebKitBlobBuilder||a.MozBlobBuilder,d=new BlobBuilder,d.append(b),d=d.getBlob(c)}return URL.createObjectURL(d)};var h=["integrity","crossorigin","referrerpolicy"];b[21]=function(a,g,i){var j=b[40](document.createElement("script"));if(b[22]&&j.setAttribute("data-abtf",""),i){"module"===i.type&&(j.type="module");for(var k=h.length,l=0;l<k;l++)"string"==typeof i[h[l]]&&j.setAttribute(h[l],i[h[l]])}var m,n,o=!1,p=[j,!1];f.push(p);var q=function(){if(!o){o=!0,n();for(var a=f.length;a--;)f[a]===p&&f.splice(a,1);g&&g(m,!(m||!p[1])&&p[1])}},r=function(){m=new Error(a||"EMPTY"),q()};if(!j.readyState||"async"in j)n=function(){j.onload=j.onerror=null},j.onerror=r,j.onload=q,j.async=!0,j.charset="utf-8",j.src=a,e(j);else{var s=d++,t={loaded:!0,complete:!0},u=!1;n=function(){j.onreadystatechange=j.onerror=null,c[s]=void 0},j.onreadystatechange=function(){var a=j.readyState;if(!m){if(!u&&t[a]&&(u=!0,e(j)),"loaded"===a&&(j.children,"loading"===j.readyState))return r();"complete"===j.readyState&&q()}},j.onerror=r,c[s]=j,j.src=a}}},"loadscript");
\ No newline at end of file
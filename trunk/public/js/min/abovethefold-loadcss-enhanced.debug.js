@@ -1 +0,0 @@
-Abtf[0](function(e,n){var t,o=e.document;n[19]=function(e,r,i){function a(e){if(o.body)return e();setTimeout(function(){a(e)})}function d(){function t(){n[15](function(){f.media=r||"all",console.info("Abtf.css() ➤ loadCSS()[RAF] render",n[29](e)),i&&i()})}u||(u=!0,f.addEventListener&&f.removeEventListener("load",d),void 0!==n[5]&&parseInt(n[5])>0?(console.info("Abtf.css() ➤ loadCSS()[RAF] render delay",n[5],n[29](e)),setTimeout(t,n[5])):t())}console.info("Abtf.css() ➤ loadCSS()[RAF] async download start",n[29](e));var f=o.createElement("link");if(t||!1===t||(t=document.getElementById("AbtfCSS"))||(t=!1),t)var s=t;else{var l=(o.body||o.getElementsByTagName("head")[0]).childNodes;s=l[l.length-1]}var c=o.styleSheets;f.rel="stylesheet",f.href=e,f.media="only x";var u=!1,v=function(e){if(!u){for(var n=f.href,t=c.length;t--&&!u;)if(c[t].href===n)return e();setTimeout(function(){v(e)})}};return f.addEventListener?f.addEventListener("load",d):f.onload=d,a(function(){s.parentNode.insertBefore(f,s.nextSibling),v(d)}),f}});
\ No newline at end of file
@@ -1 +0,0 @@
-Abtf[0](function(e,t){var n,i=e.document;t[19]=function(e,o,r){function a(e){if(i.body)return e();setTimeout(function(){a(e)})}function d(){function e(){t[15](function(){f.media=o||"all",r&&r()})}c||(c=!0,f.addEventListener&&f.removeEventListener("load",d),void 0!==t[5]&&parseInt(t[5])>0?setTimeout(e,t[5]):e())}var f=i.createElement("link");if(n||!1===n||(n=document.getElementById("AbtfCSS"))||(n=!1),n)var l=n;else{var u=(i.body||i.getElementsByTagName("head")[0]).childNodes;l=u[u.length-1]}var s=i.styleSheets;f.rel="stylesheet",f.href=e,f.media="only x";var c=!1,v=function(e){if(!c){for(var t=f.href,n=s.length;n--&&!c;)if(s[n].href===t)return e();setTimeout(function(){v(e)})}};return f.addEventListener?f.addEventListener("load",d):f.onload=d,a(function(){l.parentNode.insertBefore(f,l.nextSibling),v(d)}),f}});
\ No newline at end of file
@@ -1 +1 @@
-!function(e){"use strict";var n=function(n,t,o){function i(e){if(r.body)return e();setTimeout(function(){i(e)})}function f(){d.addEventListener&&d.removeEventListener("load",f),d.media=o||"all"}var l,r=e.document,d=r.createElement("link");if(t)l=t;else{var s=(r.body||r.getElementsByTagName("head")[0]).childNodes;l=s[s.length-1]}var a=r.styleSheets;d.rel="stylesheet",d.href=n,d.media="only x",i(function(){l.parentNode.insertBefore(d,t?l:l.nextSibling)});var u=function(e){for(var n=d.href,t=a.length;t--;)if(a[t].href===n)return e();setTimeout(function(){u(e)})};return d.addEventListener&&d.addEventListener("load",f),d.onloadcssdefined=u,u(f),d};"undefined"!=typeof exports?exports.loadCSS=n:e.loadCSS=n}("undefined"!=typeof global?global:this),Abtf[0](function(e,n){var t,o,i,f=function(o,i,f){if(t)l=t.nextSibling;else var l=document.getElementById("AbtfCSS").nextSibling;t=e.loadCSS(o,l,i,function(){console.info("Abtf.css() ➤ loadCSS() render",n[29](o)),f&&f()})},l=[],r=function(){if(!o){o=!0;for(var n=l.shift();n;)f.apply(e,n),n=l.shift();o=!1,s=!0}},d=0,s=!1,a=function(e,n,t){if(s)f(e,n,t);else if(document.getElementById("AbtfCSS"))i&&clearTimeout(i),l.length>0?(l.push([e,n,t]),r()):(f(e,n,t),s=!0);else if(l.push([e,n,t]),!i){var o=function(){d>100?console.error("Abtf.fonts()",'async CSS reference <style id="AbtfCSS"> not found'):(d++,document.getElementById("AbtfCSS")?r():i=setTimeout(o,0))};i=setTimeout(o,0)}};n[19]=void 0!==e.loadCSS?function(e,t,o){console.info("Abtf.css() ➤ loadCSS() async download start",n[29](e)),a(e,t,o)}:function(){}});
\ No newline at end of file
+Abtf[31](function(a,b){var c,d,e=a.document,f=b[35]||[],g={print:{create:function(a){a.rel="stylesheet",a.media="print"},apply:function(a,b){a.media=b||"all"},poll:!0},preload:{supported:function(a){return a.relList&&a.relList.supports&&a.relList.supports("preload")},create:function(a){a.rel="preload",a.setAttribute("as","style")},apply:function(a,b){a.media=b||"all",a.rel="stylesheet"},poll:!1}},h=function(a){var b=g[f[0]];return(!b||b.supported&&!b.supported(a))&&(b=g.print),b},i=a.performance,j=["mousedown","touchstart","keydown","scroll","wheel"],k=!1,l=[],m=function(){if(!i||!i.now||!i.getEntriesByType)return 0;var a=i.getEntriesByType("paint");return a.length?i.now()-a[0].startTime:0},n=function(){if(k){k=!1;for(var b=j.length,c=0;c<b;c++)a.removeEventListener(j[c],n,!0);var d=l.splice(0,l.length);console.info("Abtf.css() ➤ loadCSS() render budget ➤ apply",d.length,"waiting stylesheets");for(var b=d.length,c=0;c<b;c++)d[c]()}},o=function(c,d){var e=parseInt(b[37]),f=m();if(f<=e)return console.info("Abtf.css() ➤ loadCSS() render budget ➤ within budget",Math.round(f)+"ms","<=",e+"ms",b[29](d)),void c();var g=+new Date;if(console.info("Abtf.css() ➤ loadCSS() render budget ➤ exceeded, wait for idle or interaction",Math.round(f)+"ms",">",e+"ms",b[29](d)),l.push(function(){console.info("Abtf.css() ➤ loadCSS() render budget ➤ waited",+new Date-g+"ms",b[29](d)),c()}),!k){k=!0;for(var h=j.length,i=0;i<h;i++)a.addEventListener(j[i],n,!0);b[16]?b[16](n,{timeout:2e3}):setTimeout(n,2e3)}},p=[],q=[function(a,c){void 0!==b[37]&&parseInt(b[37])>0?o(a,c):void 0!==b[5]&&parseInt(b[5])>0?(console.info("Abtf.css() ➤ loadCSS() render delay",b[5],b[29](c)),setTimeout(a,b[5])):a()},function(a){if(!(f[1]||parseInt(b[37])>0))return void a();p.push(a),1===p.length&&b[15](function(){for(var a=p.splice(0,p.length),b=a.length,c=0;c<b;c++)a[c]()})}],r=function(a,b){var c=0,d=function(){var e=q[c++];e?e(d,a):b()};d()},s=0,t=function(){var a=e.getElementById("AbtfCSS");if(!a&&s++<100)return void setTimeout(t,0);var b=d;d=!1,a?a.parentNode.insertBefore(b,a.nextSibling):(console.error("Abtf.css()",'async CSS reference <style id="AbtfCSS"> not found'),(e.head||e.getElementsByTagName("head")[0]).appendChild(b))},u=function(a){if(c&&c.parentNode&&!d)c.parentNode.insertBefore(a,c.nextSibling);else{var b=e.getElementById("AbtfCSS");b&&!d?b.parentNode.insertBefore(a,b.nextSibling):(d||(d=e.createDocumentFragment(),t()),d.appendChild(a))}c=a};b[19]=function(a,d,f,g){console.info("Abtf.css() ➤ loadCSS() async download start",b[29](a));var i=b[40](e.createElement("link")),j=h(i),k=e.styleSheets,l=b[50];l||(i.href=a),j.create(i,d);var m=!1,n=!1,o=function(){m||n||(m=!0,r(a,function(){j.apply(i,d),console.info("Abtf.css() ➤ loadCSS() render",b[29](a)),f&&f()}))},p=function(){i.removeEventListener?(i.removeEventListener("load",o),i.removeEventListener("error",q)):i.onload=i.onerror=null,c===i&&(c=i.previousSibling),i.parentNode&&i.parentNode.removeChild(i)},q=function(){m||n||(n=!0,p(),g&&g())},s=function(){return m||n?!m:(n=!0,p(),console.warn("Abtf.css() ➤ loadCSS() aborted",b[29](a)),!0)},t=function(){if(!m&&!n){for(var a=i.href,b=k.length;b--;)if(k[b].href===a)return o();setTimeout(t)}};return i.addEventListener?(i.addEventListener("load",o),i.addEventListener("error",q)):(i.onload=o,i.onerror=q),u(i),l?(l(a,function(g){if(!n){if(!g)return i.href=a,void(j.poll&&t());if(console.info("Abtf.css() ➤ loadCSS() from cache","("+g[0]+")",b[29](a)),"blob"===g[0])return i.href=g[1],void(j.poll&&t());var h=b[40](e.createElement("style"));h.media="print",h.appendChild(e.createTextNode(g[1])),i.parentNode.replaceChild(h,i),c===i&&(c=h),m=!0,r(a,function(){h.media=d||"all",console.info("Abtf.css() ➤ loadCSS() render",b[29](a)),f&&f()})}}),s):(j.poll&&t(),s)},void 0===a.loadCSS&&(a.loadCSS=function(a,d,e,f){return b[19](a,e,f),c})},"loadcss");
\ No newline at end of file
@@ -1 +1 @@
-!function(e){"use strict";var t=function(t,n,i){function o(e){if(d.body)return e();setTimeout(function(){o(e)})}function f(){r.addEventListener&&r.removeEventListener("load",f),r.media=i||"all"}var l,d=e.document,r=d.createElement("link");if(n)l=n;else{var u=(d.body||d.getElementsByTagName("head")[0]).childNodes;l=u[u.length-1]}var a=d.styleSheets;r.rel="stylesheet",r.href=t,r.media="only x",o(function(){l.parentNode.insertBefore(r,n?l:l.nextSibling)});var s=function(e){for(var t=r.href,n=a.length;n--;)if(a[n].href===t)return e();setTimeout(function(){s(e)})};return r.addEventListener&&r.addEventListener("load",f),r.onloadcssdefined=s,s(f),r};"undefined"!=typeof exports?exports.loadCSS=t:e.loadCSS=t}("undefined"!=typeof global?global:this),Abtf[0](function(e,t){var n,i,o,f=function(t,i,o){if(n)f=n.nextSibling;else var f=document.getElementById("AbtfCSS").nextSibling;n=e.loadCSS(t,f,i,function(){o&&o()})},l=[],d=function(){if(!i){i=!0;for(var t=l.shift();t;)f.apply(e,t),t=l.shift();i=!1,u=!0}},r=0,u=!1,a=function(e,t,n){if(u)f(e,t,n);else if(document.getElementById("AbtfCSS"))o&&clearTimeout(o),l.length>0?(l.push([e,t,n]),d()):(f(e,t,n),u=!0);else if(l.push([e,t,n]),!o){var i=function(){r>100||(r++,document.getElementById("AbtfCSS")?d():o=setTimeout(i,0))};o=setTimeout(i,0)}};t[19]=void 0!==e.loadCSS?function(e,t,n){a(e,t,n)}:function(){}});
\ No newline at end of file
+Abtf[31](function(a,b){var c,d,e=a.document,f=b[35]||[],g={print:{create:function(a){a.rel="stylesheet",a.media="print"},apply:function(a,b){a.media=b||"all"},poll:!0},preload:{supported:function(a){return a.relList&&a.relList.supports&&a.relList.supports("preload")},create:function(a){a.rel="preload",a.setAttribute("as","style")},apply:function(a,b){a.media=b||"all",a.rel="stylesheet"},poll:!1}},h=function(a){var b=g[f[0]];return(!b||b.supported&&!b.supported(a))&&(b=g.print),b},i=a.performance,j=["mousedown","touchstart","keydown","scroll","wheel"],k=!1,l=[],m=function(){if(!i||!i.now||!i.getEntriesByType)return 0;var a=i.getEntriesByType("paint");return a.length?i.now()-a[0].startTime:0},n=function(){if(k){k=!1;for(var b=j.length,c=0;c<b;c++)a.removeEventListener(j[c],n,!0);for(var d=l.splice(0,l.length),b=d.length,c=0;c<b;c++)d[c]()}},o=function(c,d){var e=parseInt(b[37]),f=m();if(f<=e)return void c();if(l.push(c),!k){k=!0;for(var g=j.length,h=0;h<g;h++)a.addEventListener(j[h],n,!0);b[16]?b[16](n,{timeout:2e3}):setTimeout(n,2e3)}},p=[],q=[function(a,c){void 0!==b[37]&&parseInt(b[37])>0?o(a):void 0!==b[5]&&parseInt(b[5])>0?setTimeout(a,b[5]):a()},function(a){if(!(f[1]||parseInt(b[37])>0))return void a();p.push(a),1===p.length&&b[15](function(){for(var a=p.splice(0,p.length),b=a.length,c=0;c<b;c++)a[c]()})}],r=function(a,b){var c=0,d=function(){var e=q[c++];e?e(d,a):b()};d()},s=0,t=function(){var a=e.getElementById("AbtfCSS");if(!a&&s++<100)return void setTimeout(t,0);var b=d;d=!1,a?a.parentNode.insertBefore(b,a.nextSibling):(e.head||e.getElementsByTagName("head")[0]).appendChild(b)},u=function(a){if(c&&c.parentNode&&!d)c.parentNode.insertBefore(a,c.nextSibling);else{var b=e.getElementById("AbtfCSS");b&&!d?b.parentNode.insertBefore(a,b.nextSibling):(d||(d=e.createDocumentFragment(),t()),d.appendChild(a))}c=a};b[19]=function(a,d,f,g){var i=b[40](e.createElement("link")),j=h(i),k=e.styleSheets,l=b[50];l||(i.href=a),j.create(i,d);var m=!1,n=!1,o=function(){m||n||(m=!0,r(a,function(){j.apply(i,d),f&&f()}))},p=function(){i.removeEventListener?(i.removeEventListener("load",o),i.removeEventListener("error",q)):i.onload=i.onerror=null,c===i&&(c=i.previousSibling),i.parentNode&&i.parentNode.removeChild(i)},q=function(){m||n||(n=!0,p(),g&&g())},s=function(){return m||n?!m:(n=!0,p(),!0)},t=function(){if(!m&&!n){for(var a=i.href,b=k.length;b--;)if(k[b].href===a)return o();setTimeout(t)}};return i.addEventListener?(i.addEventListener("load",o),i.addEventListener("error",q)):(i.onload=o,i.onerror=q),u(i),l?(l(a,function(g){if(!n){if(!g)return i.href=a,void(j.poll&&t());if("blob"===g[0])return i.href=g[1],void(j.poll&&t());var h=b[40](e.createElement("style"));h.media="print",h.appendChild(e.createTextNode(g[1])),i.parentNode.replaceChild(h,i),c===i&&(c=h),m=!0,r(a,function(){h.media=d||"all",f&&f()})}}),s):(j.poll&&t(),s)},void 0===a.loadCSS&&(a.loadCSS=function(a,d,e,f){return b[19](a,e,f),c})},"loadcss");
\ No newline at end of file
@@ -0,0 +1 @@
+Abtf[31](function(a,b,c){var d=a.performance,e=function(){return Math.round(d&&d.now?d.now():+new Date)},f=function(){try{return a.sessionStorage&&"1"===a.sessionStorage.getItem("abtf-debug-overlay")}catch(a){return!1}},g=function(b){try{a.sessionStorage.setItem("abtf-debug-overlay",b?"1":"0")}catch(a){}},h={css:{},js:{},cache:{},proxy:[],sw:[]},i=function(a,b){return h[a][b]||(h[a][b]={}),h[a][b]};b.on("css:start",function(a){i("css",a.url).start=e()}),b.on("css:file",function(a){i("css",a.url).applied=e()}),b.on("js:queue",function(a){i("js",a.url).queued=e()}),b.on("js:start",function(a){i("js",a.url).start=e()}),b.on("js:file",function(a){i("js",a.url).executed=e()}),b.on("js:error",function(a){"exec"!==a.reason&&(i("js",a.url).failed=a.reason)}),b.on("js:exception",function(a){i("js",a.url).failed="exception: "+a.message}),b.on("js:sandbox",function(a){i("js",a.url).sandbox=a.type}),b.on("js:skip",function(a){i("js",a.url).failed="skipped, "+a.dependency+" failed"}),b.on("js:cache",function(a){h.cache[a.url]=a.hit}),b.on("proxy:capture",function(a){h.proxy.push({type:a.type,url:a.url,time:e()})}),b.on("sw:policy",function(a){h.sw.push({url:a.url,policy:a.title,strategy:a.strategy,time:e()})});var j=function(){var a=b[2],c=[];if(!a||"object"!=typeof a)return c;for(var d in a)if(a.hasOwnProperty(d)&&"object"==typeof a[d]){var e=h.css[a[d][1]]||{};c.push({url:a[d][1],media:a[d][0].join(","),strategy:a[d][2]instanceof Array&&a[d][2].join(":"),start:void 0!==e.start&&e.start,applied:void 0!==e.applied&&e.applied})}return c},k=function(){var a=[],c=!!b[1]&&b[1][0];if(!(c&&"object"==typeof c&&c[0]instanceof Array))return a;for(var d=c[0],e=c[1]&&"object"==typeof c[1]?c[1]:{},f=c[2]instanceof Array?c[2]:[],g=function(a){return f[a]||a},i={},j=d.length,k=0;k<j;k++)void 0!==d[k][2]&&!1!==d[k][2]&&(i[g(d[k][2])]=!0);for(var k=0;k<j;k++){for(var m=[],n=[],o=d[k][3]instanceof Array?d[k][3]:[],p=o.length,q=0;q<p;q++)for(var r=e[o[q]],s=r instanceof Array?r:[o[q]],t=s.length,u=0;u<t;u++)m.push(g(s[u])),i[g(s[u])]||n.push(g(s[u]));var v=!1!==d[k][0]&&h.js[d[k][0]]||{};a.push({url:d[k][0],inline:!1===d[k][0]&&d[k][5].replace(/\s+/g," ").substr(0,100),handle:void 0!==d[k][2]&&!1!==d[k][2]&&g(d[k][2]),async:!!d[k][1],module:!!d[k][4]&&("module"===d[k][4].type?"module":!!d[k][4].nomodule&&"nomodule"),deps:m,missing:n,queued:void 0!==v.queued&&v.queued,start:void 0!==v.start&&v.start,executed:void 0!==v.executed&&v.executed,failed:void 0!==v.failed&&v.failed,sandbox:void 0!==v.sandbox&&v.sandbox,cache:void 0!==h.cache[l(d[k][0])]?h.cache[l(d[k][0])]:null})}return a},l=function(a){var b=c.createElement("a");return b.href=a,b.href},m=function(){return void 0!==b[33]&&b[33]()},n=function(){return void 0!==b[47]&&b[47]()},o=function(){return{url:c.location.href,date:(new Date).toISOString(),userAgent:a.navigator.userAgent,css:j(),js:k(),proxy:h.proxy,sw:h.sw,cache:m(),cacheStats:n()}},p=function(a){return String(a).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")},q=function(a){return!1===a?"-":a+"ms"},r=function(a,b,c){if(!1===a||!c)return"";var d=Math.min(99,Math.round(a/c*100)),e=Math.max(1,Math.round(((!1===b?c:b)-a)/c*100));return'<div class="abtf-bar'+(!1===b?" abtf-pending":"")+'" style="margin-left:'+d+"%;width:"+e+'%;"></div>'},s=function(a,b,c){return"<h4>"+p(a)+" <span>("+b+")</span></h4>"+(b?c:"<p>-</p>")},t=function(a){var c,d,e,f=o(),g="",h=0;for(c=f.css.length,d=0;d<c;d++)h=Math.max(h,f.css[d].applied||0,f.css[d].start||0);for(c=f.js.length,d=0;d<c;d++)h=Math.max(h,f.js[d].executed||0,f.js[d].start||0);var i="";for(c=f.css.length,d=0;d<c;d++)e=f.css[d],i+='<tr><td title="'+p(e.url)+'">'+p(b[29](e.url))+(e.strategy?" <em>"+p(e.strategy)+"</em>":"")+"</td><td>"+p(e.media)+"</td><td>"+q(e.start)+"</td><td>"+q(e.applied)+'</td><td class="abtf-waterfall">'+r(e.start,e.applied,h)+"</td></tr>";for(g+=s("CSS",c,"<table><tr><th>File</th><th>Media</th><th>Start</th><th>Applied</th><th></th></tr>"+i+"</table>"),i="",c=f.js.length,d=0;d<c;d++){e=f.js[d];for(var j=[],k=e.deps.length,l=0;l<k;l++)-1!==e.missing.indexOf(e.deps[l])?j.push('<span class="abtf-error" title="not in queue">'+p(e.deps[l])+"</span>"):j.push(p(e.deps[l]));i+="<tr><td>"+(d+1)+"</td><td>"+(!1!==e.handle?p(e.handle):"-")+'</td><td title="'+p(e.url||e.inline)+'">'+(!1!==e.inline?"<em>inline</em> "+p(e.inline):p(b[29](e.url)))+(e.async?" <em>async</em>":"")+(e.module?" <em>"+e.module+"</em>":"")+(!0===e.cache?" <em>cached</em>":"")+(e.sandbox?" <em>sandbox "+e.sandbox+"</em>":"")+(e.failed?' <span class="abtf-error">'+p(e.failed)+"</span>":"")+"</td><td>"+(j.join(", ")||"-")+"</td><td>"+q(e.queued)+"</td><td>"+q(e.start)+"</td><td>"+q(e.executed)+'</td><td class="abtf-waterfall">'+r(e.start,e.executed,h)+"</td></tr>"}for(g+=s("Scripts",c,"<table><tr><th>#</th><th>Handle</th><th>File</th><th>Dependencies</th><th>Queued</th><th>Start</th><th>Executed</th><th></th></tr>"+i+"</table>"),i="",c=f.proxy.length,d=0;d<c;d++)e=f.proxy[d],i+="<tr><td>"+p(e.type)+'</td><td title="'+p(e.url)+'">'+p(b[29](e.url))+"</td><td>"+q(e.time)+"</td></tr>";for(g+=s("Proxy captures",c,"<table><tr><th>Type</th><th>File</th><th>Time</th></tr>"+i+"</table>"),i="",c=f.sw.length,d=0;d<c;d++)e=f.sw[d],i+='<tr><td title="'+p(e.url)+'">'+p(b[29](e.url))+"</td><td>"+p(e.policy||"-")+"</td><td>"+p(e.strategy)+"</td></tr>";if(g+=s("Service Worker policy matches",c,"<table><tr><th>Request</th><th>Policy</th><th>Strategy</th></tr>"+i+"</table>"),!1!==f.cache){for(i="",c=f.cache.length,d=0;d<c;d++)e=f.cache[d],i+="<tr><td>"+p(e.type)+'</td><td title="'+p(e.url)+'">'+p(b[29](e.url))+"</td><td>"+Math.round(e.size/1024)+"kb</td><td>"+e.chunks+"</td><td>"+(e.expire?new Date(1e3*e.expire).toLocaleString():"-")+'</td><td><button class="abtf-purge" data-url="'+p(e.url)+'">Purge</button></td></tr>';g+=s("Script cache"+(c?" ("+f.cache[0].storage+")":""),c,'<table><tr><th>Type</th><th>File</th><th>Size</th><th>Chunks</th><th>Expire</th><th><button class="abtf-purge" data-url="">Purge all</button></th></tr>'+i+"</table>");var m=f.cacheStats;m&&(g+="<p>"+m.entries+" entries, "+Math.round(m.size/1024)+"kb, "+m.chunks+" chunks &middot; "+m.hits+" hits, "+m.misses+" misses"+(m.hits+m.misses>0?" ("+Math.round(m.hits/(m.hits+m.misses)*100)+"%)":"")+" &middot; "+m.evictions+" evictions, "+m.expired+" expired, "+m.invalidated+" invalidated &middot; <span"+(m.integrity||m.worker_errors||m.storage_errors?' class="abtf-error"':"")+">"+m.integrity+" integrity failures, "+m.worker_errors+" worker errors, "+m.storage_errors+" storage errors</span></p>")}a.innerHTML=g},u=function(){var b=JSON.stringify(o(),null,2),d="abtf-debug-"+c.location.hostname+"-"+ +new Date+".json";if(a.Blob&&a.URL&&a.URL.createObjectURL){var e=a.URL.createObjectURL(new Blob([b],{type:"application/json"})),f=c.createElement("a");f.href=e,f.download=d,c.body.appendChild(f),f.click(),c.body.removeChild(f),setTimeout(function(){a.URL.revokeObjectURL(e)},1e3)}else a.open("data:application/json;charset=utf-8,"+encodeURIComponent(b))},v=function(){if(c.body){var d=b[40](c.createElement("style"));d.appendChild(c.createTextNode("#abtf-debug{position:fixed;z-index:2147483647;right:10px;bottom:10px;max-width:calc(100% - 20px);font:12px/1.4 monospace;color:#222;}#abtf-debug button{font:12px monospace;cursor:pointer;border:1px solid #999;background:#fff;color:#222;padding:3px 8px;margin-left:4px;}#abtf-debug .abtf-toggle{float:right;background:#222;color:#fff;}#abtf-debug .abtf-panel{clear:both;display:none;background:#fff;border:1px solid #999;box-shadow:0 0 10px rgba(0,0,0,.3);margin-top:4px;width:900px;max-width:100%;max-height:70vh;overflow:auto;padding:8px;}#abtf-debug.abtf-open .abtf-panel{display:block;}#abtf-debug h4{margin:10px 0 4px;font:bold 13px monospace;}#abtf-debug h4 span{font-weight:normal;color:#777;}#abtf-debug table{width:100%;border-collapse:collapse;}#abtf-debug th,#abtf-debug td{text-align:left;border-bottom:1px solid #eee;padding:2px 4px;vertical-align:top;word-break:break-all;}#abtf-debug .abtf-waterfall{width:20%;}#abtf-debug .abtf-bar{height:8px;margin-top:3px;background:#3da508;}#abtf-debug .abtf-pending{background:#f0ad4e;}#abtf-debug .abtf-error{color:#d00;font-weight:bold;}")),c.head.appendChild(d);var e=c.createElement("div");e.id="abtf-debug",e.innerHTML='<button class="abtf-toggle" title="Above The Fold Optimization debug">Abtf</button><div class="abtf-panel"><div><button class="abtf-refresh">Refresh</button><button class="abtf-export">Export JSON</button></div><div class="abtf-content"></div></div>',c.body.appendChild(e);var h=e.querySelector(".abtf-content"),i=function(a){e.className=a?"abtf-open":"",g(a),a&&t(h)};e.querySelector(".abtf-toggle").addEventListener("click",function(){i("abtf-open"!==e.className)}),e.querySelector(".abtf-refresh").addEventListener("click",function(){t(h)}),e.querySelector(".abtf-export").addEventListener("click",u),h.addEventListener("click",function(c){if(c.target&&"abtf-purge"===c.target.className&&void 0!==b[48]){var d=c.target.getAttribute("data-url");(d||a.confirm("Purge all cached scripts?"))&&b[48](d||!1,function(){t(h)})}});var j=function(){"abtf-open"===e.className&&t(h)};b.on("css:loaded",j),b.on("js:loaded",j),i(f())}};b[14](v)},"overlay");
\ No newline at end of file
@@ -0,0 +1 @@
+Abtf[31](function(a,b,c){return},"overlay");
\ No newline at end of file
@@ -0,0 +1 @@
+Abtf[31](function(a,b){var c=b[45];if(c){var d=a.document,e=a.navigator,f="prerender"===c[0]?"prerender":"prefetch",g="viewport"===c[1]?"viewport":"hover",h=c[2]||[],i='[download],[rel~="nofollow"],[data-no-prefetch],[target="_blank"]',j=function(){var a=e.connection;return!(!a||!a.saveData&&!/(^|-)2g$/.test(a.effectiveType||""))};if(j())return void console.info("Abtf.prefetch() ➤ disabled ➤ data saver or slow connection");var k,l={},m=function(b){if(!b||!b.href||"http:"!==b.protocol&&"https:"!==b.protocol)return!1;if(b.host!==a.location.host||b.pathname===a.location.pathname&&b.search===a.location.search)return!1;if(b.matches&&b.matches(i))return!1;var c=b.href.split("#")[0];if(l[c])return!1;for(var d=h.length,e=0;e<d;e++)if(-1!==c.indexOf(h[e]))return!1;return c},n=a.HTMLScriptElement&&HTMLScriptElement.supports&&HTMLScriptElement.supports("speculationrules"),o=function(){for(var a=[{href_matches:"/*"},{not:{selector_matches:i}}],c=h.length,e=0;e<c;e++)a.push({not:{selector_matches:'a[href*="'+h[e].replace(/["\\]/g,"\\$&")+'"]'}});var j={};j[f]=[{source:"document",where:{and:a},eagerness:"viewport"===g?"eager":"moderate"}];var k=b[40](d.createElement("script"));k.type="speculationrules",k.text=JSON.stringify(j),(d.head||d.getElementsByTagName("head")[0]).appendChild(k),console.info("Abtf.prefetch() ➤ speculation rules ➤ "+f,g,j),b[30]("prefetch:rules",{type:f})},p=function(){return!!(b[8]&&e.serviceWorker&&e.serviceWorker.controller&&b.offline)},q=function(){var a=d.createElement("link");return a.relList&&a.relList.supports&&a.relList.supports("prefetch")}(),r=function(a,c){if(!l[a]&&!j()){l[a]=!0;var e;if(p())e="sw",b.offline(a);else{if(!q)return;e="link";var f=b[40](d.createElement("link"));f.rel="prefetch",f.setAttribute("as","document"),f.href=a,(d.head||d.getElementsByTagName("head")[0]).appendChild(f)}console.info("Abtf.prefetch() ➤ "+e+" ➤ "+c,b[29](a)),b[30]("prefetch:link",{url:a,type:e})}},s=function(a){for(;a&&"A"!==a.nodeName;)a=a.parentNode;return a},t=function(a){var b=m(s(a.target));if(b){if("touchstart"===a.type)return void r(b,"touchstart");clearTimeout(k),k=setTimeout(function(){r(b,"hover")},65)}},u=function(a){s(a.target)&&clearTimeout(k)},v=0,w=function(){for(var a=new IntersectionObserver(function(c){for(var d=c.length,e=0;e<d;e++)if(c[e].isIntersecting){a.unobserve(c[e].target);var f=m(c[e].target);!f||v>=20||(v++,b[16]?b[16](function(a){return function(){r(a,"viewport")}}(f),{timeout:2e3}):r(f,"viewport"))}}),c=d.getElementsByTagName("a"),e=c.length,f=0;f<e;f++)m(c[f])&&a.observe(c[f])},x=function(){if(n&&("prerender"===f||!p()))return void o();"viewport"===g&&a.IntersectionObserver?w():(d.addEventListener("mouseover",t,!0),d.addEventListener("mouseout",u,!0),d.addEventListener("touchstart",t,{capture:!0,passive:!0}))};b[14](function(){b[16]?b[16](x,{timeout:2e3}):setTimeout(x,0)})}},"prefetch");
\ No newline at end of file
@@ -1 +1 @@
-Abtf[0](function(e,r){var o,t,n=!1,f=!1,i=!1,l=!1,c=!1,a=!1,s=!1,u=!1,p=[],h=[],d=[],g={},b=[];r[27]=function(e){if(void 0===r)var r=!1;if((o=e[0]||r)||console.error("Abtf.proxy()","no proxy url",e),n=e[1]||!1,f=e[2]||!1,(i=e[9]||!1)&&b.push(i),l=e[5]||!1,c=e[6]||!1,a=e[7]||!1,s=e[8]||!1,e[3]){u=!0;for(x=0;x<e[3].length;x++)"regex"===e[3][x][0]?(d.push([e[3][x][2],e[3][x][3],e[3][x][1]]),e[3][x][4]&&(g[e[3][x][0]]=e[3][x][4],-1===b.indexOf(e[3][x][4])&&b.push(e[3][x][4]))):(p.push(e[3][x][0]),h.push(e[3][x][1]),e[3][x][4]&&(g[e[3][x][0]]=e[3][x][4],-1===b.indexOf(e[3][x][4])&&b.push(e[3][x][4])));t=e[4]||!1}if(0===b.length)b=!1;else for(var v=b.length,x=0;x<v;x++)b[x]=O(b[x])};var v={Element:"undefined"!=typeof Element&&Element,Document:"undefined"!=typeof Document&&Document},x={append:{},insert:{}};for(var y in v)v.hasOwnProperty(y)&&v[y]&&(x.append[y]=v[y].prototype.appendChild,x.insert[y]=v[y].prototype.insertBefore);var A=document.createElement("a");A.href=document.location.href;var O=function(e){var r=document.createElement("a");return r.href=e,r},m=function(e,r){return"css"===r?o.replace("{PROXY:URL}",escape(e)).replace("{PROXY:TYPE}",escape(r)):"js"===r?o.replace("{PROXY:URL}",escape(e)).replace("{PROXY:TYPE}",escape(r)):void 0},j=function(e,o){var n,f=!1;if(u){var i=p.indexOf(e);if(i>-1)var l=h[i];else if(d.length>0)for(var c,a,s=d.length,b=0;b<s;b++){a=!1;try{c=new RegExp(d[b][0],d[b][1]||"")}catch(e){a=!0}if(!a&&c.test(e)){f=!0,n=e,d[b][2]?l=d[b][2]:d[b][3]&&(e=d[b][3]);break}}if(l){if(void 0!==g[e])v=g[e];else var v=t;v+=l.substr(0,2)+"/",v+=l.substr(2,2)+"/",v+=l.substr(4,2)+"/",v+=l;var x=!1;if("js"===o){if(v+=".js",void 0!==r[24]){var y=O(v).href;(v=r[24](y))!==y&&(x=v)}}else"css"===o&&(v+=".css");return x?f?console.log("Abtf.proxy()","localStorage regex capture",r[29](n),"➤","cache:"+l,"➤",x):console.log("Abtf.proxy()","localStorage capture",r[29](e),"➤","cache:"+l,"➤",x):f?console.log("Abtf.proxy()","regex capture",r[29](n),"➤","cache:"+l):console.log("Abtf.proxy()","capture",r[29](e),"➤","cache:"+l),v}}if("js"===o&&void 0!==r[24]){var A=O(e).href;if((e=r[24](A))!==A)return f?console.log("Abtf.proxy()","localStorage regex capture",r[29](n),"regex","➤",r[29](A),"➤",e):console.log("Abtf.proxy()","localStorage capture",r[29](A),"➤",e),e}return f?console.log("Abtf.proxy()","capture",r[29](n),"regex","➤",e):console.log("Abtf.proxy()","capture",r[29](e)),m(e,o)},P=function(e,r){var o="object"==typeof e&&void 0!==e.href?e:O(e);if("blob:"===o.protocol)return!1;if(b&&!0!==r)for(var t=b.length,n=0;n<t;n++)if(-1!==o.href.indexOf(b[n].href))return!1;return o.host!==A.host},C=function(e){var o="object"==typeof e&&void 0!==e.href?e:O(e);if("blob:"===o.protocol)return!0;if(l){for(var t=!1,n=l.length,f=0;f<n;f++)if(-1!==o.href.indexOf(l[f])){t=!0;break}if(!t)return console.log("Abtf.proxy()","ignore",r[29](o.href),"not on include list"),!0}if(c)for(var n=c.length,f=0;f<n;f++)if(-1!==o.href.indexOf(c[f]))return console.log("Abtf.proxy()","ignore",r[29](o.href),"on exclude list:",c[f]),!0;return!1},E=function(e){var r="object"==typeof e&&void 0!==e.href?e:O(e);if("blob:"===r.protocol)return!1;if(b)for(var o=b.length,t=0;t<o;t++)if(-1!==r.href.indexOf(b[t].href))return!1;return r.host!==A.host},R=function(e){var o="object"==typeof e&&void 0!==e.href?e:O(e);if("blob:"===o.protocol)return!0;if(a){for(var t=!1,n=a.length,f=0;f<n;f++)if(-1!==o.href.indexOf(a[f])){t=!0;break}if(!t)return console.log("Abtf.proxy()","ignore",r[29](o.href),"not on include list"),!0}if(s)for(var n=s.length,f=0;f<n;f++)if(-1!==o.href.indexOf(s[f]))return console.log("Abtf.proxy()","ignore",r[29](o.href),"on exclude list:",s[f]),!0;return!1},S=function(e){if(e.nodeName)if("SCRIPT"===e.nodeName.toUpperCase()){if(!n)return!1;if(e.hasAttribute("data-abtf"))return!1;if(e.src){o=O(e.src);if(C(o))return!1;if(!P(o)){if(void 0!==r[24]){if("blob:"===o.protocol)return!1;url=r[24](o.href),url!==o.href?(console.log("Abtf.proxy()","localStorage local capture",r[29](o.href),"➤",url),e.src=url):console.log("Abtf.proxy()","localStorage local capture",r[29](o.href),"➤","bypass cache","➤",url)}return!1}return"js"}}else if("LINK"===e.nodeName.toUpperCase()&&"stylesheet"===e.rel.toLowerCase()){if(!f)return!1;if(e.hasAttribute("data-abtf"))return!1;if(e.href){var o=O(e.href);return!R(o)&&(!!E(o)&&"css")}}return!1},Y=function(e){var r=S(e);if(!r)return!1;var o=O("css"===r?e.href:e.src).href,t=j(o,r);"css"===r?e.href=t:"js"===r&&(e.src=t)},w={appendChild:function(e,r){return Y(r),x.append[e].call(this,r)},insertBefore:function(e,r,o){return Y(r),x.insert[e].call(this,r,o)}};for(var y in v)v.hasOwnProperty(y)&&v[y]&&function(e){v[e].prototype.appendChild=function(r){return w.appendChild.call(this,e,r)},v[e].prototype.insertBefore=function(r,o){return w.insertBefore.call(this,e,r,o)}}(y);r[28]=function(e){return P(e,!0)?m(e,"js"):e}});
\ No newline at end of file
+Abtf[31](function(a,b){var c,d,e=!1,f=!1,g=!1,h=!1,i=!1,j=!1,k=!1,l=!1,m=[],n=[],o=[],p={},q=[];b[27]=function(a){if(void 0===b)var b=!1;if(c=a[0]||b,c||console.error("Abtf.proxy()","no proxy url",a),e=a[1]||!1,f=a[2]||!1,g=a[9]||!1,g&&q.push(g),h=a[5]||!1,i=a[6]||!1,j=a[7]||!1,k=a[8]||!1,a[3]){l=!0;for(var r=0;r<a[3].length;r++)"regex"===a[3][r][0]?(o.push([a[3][r][2],a[3][r][3],a[3][r][1]]),a[3][r][4]&&(p[a[3][r][0]]=a[3][r][4],-1===q.indexOf(a[3][r][4])&&q.push(a[3][r][4]))):(m.push(a[3][r][0]),n.push(a[3][r][1]),a[3][r][4]&&(p[a[3][r][0]]=a[3][r][4],-1===q.indexOf(a[3][r][4])&&q.push(a[3][r][4])));d=a[4]||!1}if(0===q.length)q=!1;else for(var s=q.length,r=0;r<s;r++)q[r]=v(q[r])};var r={Element:"undefined"!=typeof Element&&Element,Document:"undefined"!=typeof Document&&Document},s={append:{},insert:{}};for(var t in r)r.hasOwnProperty(t)&&r[t]&&(s.append[t]=r[t].prototype.appendChild,s.insert[t]=r[t].prototype.insertBefore);var u=document.createElement("a");u.href=document.location.href;var v=function(a){var b=document.createElement("a");return b.href=a,b},w=function(a,b){return"css"===b?c.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):"js"===b?c.replace("{PROXY:URL}",escape(a)).replace("{PROXY:TYPE}",escape(b)):void 0},x=function(a,c){var e,f=!1;if(l){var g=m.indexOf(a);if(g>-1)var h=n[g];else if(o.length>0)for(var i,j,k=o.length,q=0;q<k;q++){j=!1;try{i=new RegExp(o[q][0],o[q][1]||"")}catch(a){j=!0}if(!j&&i.test(a)){f=!0,e=a,o[q][2]?h=o[q][2]:o[q][3]&&(a=o[q][3]);break}}if(h){if(void 0!==p[a])var r=p[a];else var r=d;r+=h.substr(0,2)+"/",r+=h.substr(2,2)+"/",r+=h.substr(4,2)+"/",r+=h;var s=!1;if("js"===c){if(r+=".js",void 0!==b[24]){var t=v(r).href;r=b[24](t),r!==t&&(s=r)}}else"css"===c&&(r+=".css");return s?f?console.log("Abtf.proxy()","localStorage regex capture",b[29](e),"➤","cache:"+h,"➤",s):console.log("Abtf.proxy()","localStorage capture",b[29](a),"➤","cache:"+h,"➤",s):f?console.log("Abtf.proxy()","regex capture",b[29](e),"➤","cache:"+h):console.log("Abtf.proxy()","capture",b[29](a),"➤","cache:"+h),r}}if("js"===c&&void 0!==b[24]){var u=v(a).href;if((a=b[24](u))!==u)return f?console.log("Abtf.proxy()","localStorage regex capture",b[29](e),"regex","➤",b[29](u),"➤",a):console.log("Abtf.proxy()","localStorage capture",b[29](u),"➤",a),a}return f?console.log("Abtf.proxy()","capture",b[29](e),"regex","➤",a):console.log("Abtf.proxy()","capture",b[29](a)),w(a,c)},y=function(a,b){var c="object"==typeof a&&void 0!==a.href?a:v(a);if("blob:"===c.protocol)return!1;if(q&&!0!==b)for(var d=q.length,e=0;e<d;e++)if(-1!==c.href.indexOf(q[e].href))return!1;return c.host!==u.host},z=function(a){var c="object"==typeof a&&void 0!==a.href?a:v(a);if("blob:"===c.protocol)return!0;if(h){for(var d=!1,e=h.length,f=0;f<e;f++)if(-1!==c.href.indexOf(h[f])){d=!0;break}if(!d)return console.log("Abtf.proxy()","ignore",b[29](c.href),"not on include list"),!0}if(i)for(var e=i.length,f=0;f<e;f++)if(-1!==c.href.indexOf(i[f]))return console.log("Abtf.proxy()","ignore",b[29](c.href),"on exclude list:",i[f]),!0;return!1},A=function(a){var b="object"==typeof a&&void 0!==a.href?a:v(a);if("blob:"===b.protocol)return!1;if(q)for(var c=q.length,d=0;d<c;d++)if(-1!==b.href.indexOf(q[d].href))return!1;return b.host!==u.host},B=function(a){var c="object"==typeof a&&void 0!==a.href?a:v(a);if("blob:"===c.protocol)return!0;if(j){for(var d=!1,e=j.length,f=0;f<e;f++)if(-1!==c.href.indexOf(j[f])){d=!0;break}if(!d)return console.log("Abtf.proxy()","ignore",b[29](c.href),"not on include list"),!0}if(k)for(var e=k.length,f=0;f<e;f++)if(-1!==c.href.indexOf(k[f]))return console.log("Abtf.proxy()","ignore",b[29](c.href),"on exclude list:",k[f]),!0;return!1},C=function(a){if(a.nodeName)if("SCRIPT"===a.nodeName.toUpperCase()){if(!e)return!1;if(a.hasAttribute("data-abtf"))return!1;if(a.src){var c=v(a.src);if(z(c))return!1;if(!y(c)){if(void 0!==b[24]){if("blob:"===c.protocol)return!1;var d=b[24](c.href);d!==c.href?(console.log("Abtf.proxy()","localStorage local capture",b[29](c.href),"➤",d),a.src=d):console.log("Abtf.proxy()","localStorage local capture",b[29](c.href),"➤","bypass cache","➤",d)}return!1}return"js"}}else if("LINK"===a.nodeName.toUpperCase()&&"stylesheet"===a.rel.toLowerCase()){if(!f)return!1;if(a.hasAttribute("data-abtf"))return!1;if(a.href){var c=v(a.href);return!B(c)&&(!!A(c)&&"css")}}return!1},D=function(a){var c=C(a);if(!c)return!1;var d=v("css"===c?a.href:a.src).href,e=x(d,c);b[30]("proxy:capture",{url:d,type:c}),"css"===c?a.href=e:"js"===c&&(a.src=e)},E={appendChild:function(a,b){return D(b),s.append[a].call(this,b)},insertBefore:function(a,b,c){return D(b),s.insert[a].call(this,b,c)}};for(var t in r)r.hasOwnProperty(t)&&r[t]&&function(a){r[a].prototype.appendChild=function(b){return E.appendChild.call(this,a,b)},r[a].prototype.insertBefore=function(b,c){return E.insertBefore.call(this,a,b,c)}}(t);b[28]=function(a){return y(a,!0)?w(a,"js"):a}},"proxy");
\ No newline at end of file
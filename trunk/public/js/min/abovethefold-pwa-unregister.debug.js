@@ -1 +1 @@
-Abtf[0](function(t,e){if("serviceWorker"in t.navigator&&e[13]){var r=function(){try{navigator.serviceWorker.getRegistrations().then(function(t){console.warn(t),t&&t.forEach(function(t){if("function"==typeof t.unregister){if(t.active&&t.active.scriptURL&&!t.active.scriptURL.match(/abtf-pwa/))return;console.warn("Abtf.pwa() ➤ unregister Service Worker",t),t.unregister()}})})}catch(t){}};t.addEventListener("load",function(){e[16]?e[16](r):r()})}});
\ No newline at end of file
+Abtf[31](function(a,b){if("serviceWorker"in a.navigator&&b[13]){var c=function(){try{navigator.serviceWorker.getRegistrations().then(function(a){console.warn(a),a&&a.forEach(function(a){if("function"==typeof a.unregister){if(a.active&&a.active.scriptURL&&!a.active.scriptURL.match(/abtf-pwa/))return;console.warn("Abtf.pwa() ➤ unregister Service Worker",a),a.unregister()}})})}catch(a){}};a.addEventListener("load",function(){b[16]?b[16](c):c()})}},"pwa-unregister");
\ No newline at end of file
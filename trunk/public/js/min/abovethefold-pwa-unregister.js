@@ -1 +1 @@
-Abtf[0](function(t,i){if("serviceWorker"in t.navigator&&i[13]){var n=function(){try{navigator.serviceWorker.getRegistrations().then(function(t){console.warn(t),t&&t.forEach(function(t){if("function"==typeof t.unregister){if(t.active&&t.active.scriptURL&&!t.active.scriptURL.match(/abtf-pwa/))return;t.unregister()}})})}catch(t){}};t.addEventListener("load",function(){i[16]?i[16](n):n()})}});
\ No newline at end of file
+Abtf[31](function(a,b){if("serviceWorker"in a.navigator&&b[13]){var c=function(){try{navigator.serviceWorker.getRegistrations().then(function(a){console.warn(a),a&&a.forEach(function(a){if("function"==typeof a.unregister){if(a.active&&a.active.scriptURL&&!a.active.scriptURL.match(/abtf-pwa/))return;a.unregister()}})})}catch(a){}};a.addEventListener("load",function(){b[16]?b[16](c):c()})}},"pwa-unregister");
\ No newline at end of file
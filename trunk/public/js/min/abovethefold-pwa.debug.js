@@ -1 +1 @@
-Abtf[0](function(n,e){if(e.offline=function(){return{then:function(){}}},"serviceWorker"in n.navigator&&e[8]&&e[8][0]){var o=n.document,t=e[8];if(t[3]){var r,i=function(){e[15](function(){if(r!==navigator.onLine&&o.body){if(navigator.onLine){if(void 0===r)return;console.info("Abtf.offline() ➤ connection restored"),o.body.classList.remove("offline")}else console.warn("Abtf.offline() ➤ connection offline"),o.body.classList.add("offline");r=!!navigator.onLine}})};n.addEventListener("online",i),n.addEventListener("offline",i),i()}var a=function(){navigator.serviceWorker.controller.postMessage([1,t[2],t[4],t[5]])};navigator.serviceWorker.ready.then(function(){navigator.serviceWorker.controller?a():navigator.serviceWorker.addEventListener("controllerchange",function(){a()}),console.info("Abtf.pwa() ➤ service worker ready")}),t[6]&&navigator.serviceWorker.register(t[0],{scope:t[1]}).then(function(n){return new Promise(function(e,o){n.installing?n.installing.addEventListener("statechange",function(n){"installed"==n.target.state?(console.info("Abtf.pwa() ➤ service worker loaded"),e()):(console.warn("Abtf.pwa() ➤ service worker",n.target.state),"redundant"==n.target.state&&o())}):(console.info("Abtf.pwa() ➤ service worker loaded"),e())})}).catch(function(n){throw n}),navigator.serviceWorker.addEventListener("message",function(e){if(e&&e.data&&e.data instanceof Array&&2===e.data[0]){if(!o.body)return;var e=new CustomEvent("sw-update",{detail:{url:e.data[1]}});n.dispatchEvent(e)}});var c=function(e,o){navigator.serviceWorker.controller?e.apply(n,o):navigator.serviceWorker.ready.then(function(){e.apply(n,o)})},f=function(n,e){return new Promise(function(o,t){var r=new MessageChannel;r.port1.onmessage=function(e){e.data&&e.data.error?console.info("Abtf."+n+"() ➤ error",e.data.error):o(e.data)},navigator.serviceWorker.controller.postMessage(e,[r.port2])})},s=function(n,e){c(function(n){f("offline",[2,n]).then(function(n){e(n.status)})},[n,e])},u=function(n,e,o){c(function(n,e){f("push",[3,n,e]).then(function(n){o(n.status)})},[n,e])};e.offline=function(n){return new Promise(function(e){s(n,e)}).catch(function(e){console.info("Abtf.offline() ➤ error",e,n)})},e.push=function(n,e){return new Promise(function(o){u(n,e,o)}).catch(function(o){console.info("Abtf.push() ➤ error",o,n,e)})}}});
\ No newline at end of file
+Abtf[31](function(a,b){if(b.offline=function(){return{then:function(){}}},"serviceWorker"in a.navigator&&b[8]&&b[8][0]){var c=a.document,d=b[8];if(d[3]){var e,f=function(){b[15](function(){if(e!==navigator.onLine&&c.body){if(navigator.onLine){if(void 0===e)return;console.info("Abtf.offline() ➤ connection restored"),c.body.classList.remove("offline")}else console.warn("Abtf.offline() ➤ connection offline"),c.body.classList.add("offline");e=!!navigator.onLine}})};a.addEventListener("online",f),a.addEventListener("offline",f),f()}var g=function(){navigator.serviceWorker.controller.postMessage([1,d[2],d[4],d[5]])};navigator.serviceWorker.ready.then(function(){navigator.serviceWorker.controller?g():navigator.serviceWorker.addEventListener("controllerchange",function(){g()}),console.info("Abtf.pwa() ➤ service worker ready")}),d[6]&&navigator.serviceWorker.register(d[0],{scope:d[1]}).then(function(a){return new Promise(function(b,c){a.installing?a.installing.addEventListener("statechange",function(a){"installed"==a.target.state?(console.info("Abtf.pwa() ➤ service worker loaded"),b()):(console.warn("Abtf.pwa() ➤ service worker",a.target.state),"redundant"==a.target.state&&c())}):(console.info("Abtf.pwa() ➤ service worker loaded"),b())})}).catch(function(a){throw a}),navigator.serviceWorker.addEventListener("message",function(d){if(d&&d.data&&d.data instanceof Array&&(4===d.data[0]&&b[30]("sw:policy",{url:d.data[1],title:d.data[2],strategy:d.data[3]}),2===d.data[0])){if(!c.body)return;var d=new CustomEvent("sw-update",{detail:{url:d.data[1]}});a.dispatchEvent(d)}});var h=function(b,c){navigator.serviceWorker.controller?b.apply(a,c):navigator.serviceWorker.ready.then(function(){b.apply(a,c)})},i=function(a,b){return new Promise(function(c,d){var e=new MessageChannel;e.port1.onmessage=function(b){b.data&&b.data.error?console.info("Abtf."+a+"() ➤ error",b.data.error):c(b.data)},navigator.serviceWorker.controller.postMessage(b,[e.port2])})},j=function(a,b){h(function(a){i("offline",[2,a]).then(function(a){b(a.status)})},[a,b])},k=function(a,b,c){h(function(a,b){i("push",[3,a,b]).then(function(a){c(a.status)})},[a,b])};b.offline=function(a){return new Promise(function(b){j(a,b)}).catch(function(b){console.info("Abtf.offline() ➤ error",b,a)})},b.push=function(a,b){return new Promise(function(c){k(a,b,c)}).catch(function(c){console.info("Abtf.push() ➤ error",c,a,b)})}}},"pwa");
\ No newline at end of file
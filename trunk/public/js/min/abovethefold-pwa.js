@@ -1 +1 @@
-Abtf[0](function(n,e){if(e.offline=function(){return{then:function(){}}},"serviceWorker"in n.navigator&&e[8]&&e[8][0]){var t=n.document,r=e[8];if(r[3]){var o,i=function(){e[15](function(){if(o!==navigator.onLine&&t.body){if(navigator.onLine){if(void 0===o)return;t.body.classList.remove("offline")}else t.body.classList.add("offline");o=!!navigator.onLine}})};n.addEventListener("online",i),n.addEventListener("offline",i),i()}var a=function(){navigator.serviceWorker.controller.postMessage([1,r[2],r[4],r[5]])};navigator.serviceWorker.ready.then(function(){navigator.serviceWorker.controller?a():navigator.serviceWorker.addEventListener("controllerchange",function(){a()})}),r[6]&&navigator.serviceWorker.register(r[0],{scope:r[1]}).then(function(n){return new Promise(function(e,t){n.installing?n.installing.addEventListener("statechange",function(n){"installed"==n.target.state?e():"redundant"==n.target.state&&t()}):e()})}).catch(function(n){throw n}),navigator.serviceWorker.addEventListener("message",function(e){if(e&&e.data&&e.data instanceof Array&&2===e.data[0]){if(!t.body)return;var e=new CustomEvent("sw-update",{detail:{url:e.data[1]}});n.dispatchEvent(e)}});var c=function(e,t){navigator.serviceWorker.controller?e.apply(n,t):navigator.serviceWorker.ready.then(function(){e.apply(n,t)})},s=function(n,e){return new Promise(function(n,t){var r=new MessageChannel;r.port1.onmessage=function(e){e.data&&e.data.error||n(e.data)},navigator.serviceWorker.controller.postMessage(e,[r.port2])})},f=function(n,e){c(function(n){s(0,[2,n]).then(function(n){e(n.status)})},[n,e])},u=function(n,e,t){c(function(n,e){s(0,[3,n,e]).then(function(n){t(n.status)})},[n,e])};e.offline=function(n){return new Promise(function(e){f(n,e)}).catch(function(n){})},e.push=function(n,e){return new Promise(function(t){u(n,e,t)}).catch(function(n){})}}});
\ No newline at end of file
+Abtf[31](function(a,b){if(b.offline=function(){return{then:function(){}}},"serviceWorker"in a.navigator&&b[8]&&b[8][0]){var c=a.document,d=b[8];if(d[3]){var e,f=function(){b[15](function(){if(e!==navigator.onLine&&c.body){if(navigator.onLine){if(void 0===e)return;c.body.classList.remove("offline")}else c.body.classList.add("offline");e=!!navigator.onLine}})};a.addEventListener("online",f),a.addEventListener("offline",f),f()}var g=function(){navigator.serviceWorker.controller.postMessage([1,d[2],d[4],d[5]])};navigator.serviceWorker.ready.then(function(){navigator.serviceWorker.controller?g():navigator.serviceWorker.addEventListener("controllerchange",function(){g()})}),d[6]&&navigator.serviceWorker.register(d[0],{scope:d[1]}).then(function(a){return new Promise(function(b,c){a.installing?a.installing.addEventListener("statechange",function(a){"installed"==a.target.state?b():"redundant"==a.target.state&&c()}):b()})}).catch(function(a){throw a}),navigator.serviceWorker.addEventListener("message",function(b){if(b&&b.data&&b.data instanceof Array&&2===b.data[0]){if(!c.body)return;var b=new CustomEvent("sw-update",{detail:{url:b.data[1]}});a.dispatchEvent(b)}});var h=function(b,c){navigator.serviceWorker.controller?b.apply(a,c):navigator.serviceWorker.ready.then(function(){b.apply(a,c)})},i=function(a,b){return new Promise(function(a,c){var d=new MessageChannel;d.port1.onmessage=function(b){b.data&&b.data.error||a(b.data)},navigator.serviceWorker.controller.postMessage(b,[d.port2])})},j=function(a,b){h(function(a){i(0,[2,a]).then(function(a){b(a.status)})},[a,b])},k=function(a,b,c){h(function(a,b){i(0,[3,a,b]).then(function(a){c(a.status)})},[a,b])};b.offline=function(a){return new Promise(function(b){j(a,b)}).catch(function(a){})},b.push=function(a,b){return new Promise(function(c){k(a,b,c)}).catch(function(a){})}}},"pwa");
\ No newline at end of file
@@ -0,0 +1 @@
+Abtf[31](function(a,b){var c=b[32];if(c&&c[0]&&a.navigator.sendBeacon){var d="number"==typeof c[1]?c[1]:5;if(100*Math.random()>=d)return void console.info("Abtf.telemetry() ➤ not sampled",d+"%");var e=a.document,f=a.performance,g=f&&f.timing?f.timing.navigationStart:+new Date,h=function(){return Math.round(f&&f.now?f.now():+new Date-g)},i={url:e.location.pathname,paint:{},css:{},js:{},cache:[0,0],proxy:0,fonts:!1,jscache:!1},j=function(a,b){return i[a][b]||(i[a][b]={}),i[a][b]};b.on("css:start",function(a){j("css",a.url).start=h()}),b.on("css:file",function(a){j("css",a.url).applied=h()}),b.on("js:queue",function(a){var b=j("js",a.url);b.handle=a.handle,b.queued=h()}),b.on("js:start",function(a){var b=j("js",a.url);b.start=h(),void 0!==b.queued&&(b.wait=b.start-b.queued)}),b.on("js:file",function(a){j("js",a.url).executed=h()}),b.on("js:cache",function(a){i.cache[a.hit?0:1]++}),b.on("proxy:capture",function(){i.proxy++}),b.on("fonts:loaded",function(a){i.fonts=[a,h()]});var k=function(a){"largest-contentful-paint"===a.entryType?i.paint.lcp=Math.round(a.startTime):"first-paint"===a.name?i.paint.fp=Math.round(a.startTime):"first-contentful-paint"===a.name&&(i.paint.fcp=Math.round(a.startTime))};if(a.PerformanceObserver){var l=function(a){try{new PerformanceObserver(function(a){for(var b=a.getEntries(),c=b.length,d=0;d<c;d++)k(b[d])}).observe({type:a,buffered:!0})}catch(b){console.warn("Abtf.telemetry()","performance observer not supported",a)}};l("paint"),l("largest-contentful-paint")}var m=!1,n=function(){if(!m){if(m=!0,!i.paint.fcp&&f&&f.getEntriesByType)for(var d=f.getEntriesByType("paint"),e=d.length,g=0;g<e;g++)k(d[g]);void 0!==b[47]&&(i.jscache=b[47]()),console.info("Abtf.telemetry() ➤ beacon",c[0],i),a.navigator.sendBeacon(c[0],JSON.stringify(i))}};e.addEventListener("visibilitychange",function(){"hidden"===e.visibilityState&&n()}),a.addEventListener("pagehide",n)}},"telemetry");
\ No newline at end of file
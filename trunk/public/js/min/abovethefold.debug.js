@@ -1 +1 @@
-!function(t,e,o){console.warn("Abtf","debug notices visible to admin only"),e[14]=function(e,o,n){(o=document)[n="addEventListener"]?o[n]("DOMContentLoaded",e):t.attachEvent("onload",e)};var n,i=[];e[0]=function(o,r){if(n||r){if(o(t,t.Abtf,t.document,Object),!0===r){if(i.length>0)for(var a=i.shift();a;)e[0](a,1),a=i.shift();n=!0,s&&e[10]()}}else i.push(o)};var r=function(t,e){var o=t.requestAnimationFrame||t.webkitRequestAnimationFrame||t.mozRequestAnimationFrame||t.msRequestAnimationFrame||function(e){t.setTimeout(e,1e3/60)};e[15]=function(){o.apply(t,arguments)};var n=!!t.requestIdleCallback&&t.requestIdleCallback;if(e[16]=!!n&&function(){n.apply(t,arguments)},e[7])var i=e[7];var r=function(){i[2]?(e[17](i[3],"webfont"),console.log("Abtf.fonts()","async",t.WebFontConfig)):void 0!==t.WebFont&&(t.WebFont.load(t.WebFontConfig),console.log("Abtf.fonts()",t.WebFontConfig))};e[10]=function(){if(e[6]&&e[27](e[6]),e[1]&&!e[1][1]&&e[18](e[1][0]),e[7]){if(void 0===t.WebFontConfig&&(t.WebFontConfig={}),i[0]){t.WebFontConfig.google||(t.WebFontConfig.google={}),t.WebFontConfig.google.families||(t.WebFontConfig.google.families=[]);for(var o=i[0].length,n=0;n<o;n++)t.WebFontConfig.google.families.push(i[0][n])}i[1]||r()}e[12]&&!e[4]&&e[12]()},e[11]=function(){e[12]&&e[4]&&(console.log("Abtf.css()","footer start"),e[12]()),e[1]&&e[1][1]&&(console.log("Abtf.js()","footer start"),e[18](e[1][0])),e[7]&&i[1]&&(console.log("Abtf.fonts()","footer start"),r())},e[14](e[11]),e[17]=function(t,e){!function(o){var n=o.createElement("script");n.src=t,e&&(n.id=e),n.async=!0;var i=o.getElementsByTagName("script")[0];i?i.parentNode.insertBefore(n,i):(document.head||document.getElementsByTagName("head")[0]).appendChild(n)}(document)};var a=document.createElement("a");a.href=document.location.href;var f=new RegExp("^(https?:)?//"+a.host.replace(/[-\/\\^$*+?.()|[\]{}]/g,"\\$&"),"i");e[29]=function(t){return t.replace(f,"")}},a=function(o){var n=o.getAttribute("data-abtf");if(n&&"string"==typeof n)try{n=JSON.parse(n)}catch(t){console.error("Abtf","failed to parse config",n,t)}if(!(n&&n instanceof Array))throw console.error("Abtf","invalid config",n),new Error("invalid config");for(var i=n.length,a=0;a<i;a++)void 0===t.Abtf[a]&&(t.Abtf[a]=-1===n[a]?void 0:n[a]);e[0](r,!0)};if(document.currentScript&&document.currentScript.hasAttribute("data-abtf"))a(document.currentScript);else{var f=function(){return document.querySelector("script[data-abtf]")},c=f();if(c)a(c);else{t.console&&void 0!==console.error&&console.error("<script data-abtf> client missing"),e[14](function(){if(!(c=f()))throw console.warn("Abtf","client script <script data-abtf> detected on domready. Make sure that the script tag is included in the header unmodified."),new Error("<script data-abtf> client missing");a(c)})}}var s;e[9]=function(){n?e[10]():s=!0}}(window,Abtf);
\ No newline at end of file
+!function(a,b,c){console.warn("Abtf","debug notices visible to admin only"),b[14]=function(b,c,d){c=document,d="addEventListener",c[d]?c[d]("DOMContentLoaded",b):a.attachEvent("onload",b)};var d=function(b){if("Promise"in a)return new Promise(b);var c,e=!1,f=[];return b(function(a){if(!e){e=!0,c=a;for(var b=f.length,d=0;d<b;d++)f[d](c)}}),{then:function(a){return d(function(b){var d=function(c){c=a?a(c):c,c&&"function"==typeof c.then?c.then(b):b(c)};e?d(c):f.push(d)})}}},e={},f={},g=function(a,b){try{a(b)}catch(a){console.error("Abtf.on()","event listener error",a),setTimeout(function(){throw a})}};b[30]=function(a,b){console.info("Abtf.on() ➤ "+a,void 0!==b?b:""),f[a]||(f[a]=[]),f[a].push(b);var c=e[a];if(c)for(var d=c.length,h=0;h<d;h++)g(c[h],b)},b.on=function(a,b){if("function"==typeof b&&(e[a]||(e[a]=[]),e[a].push(b),f[a]))for(var c=f[a].slice(0),d=c.length,h=0;h<d;h++)g(b,c[h])},b.ready=function(a){return d(function(c){b.on(a+":loaded",c),b.on("config:failed",function(){c(!1)})})},b.whenAll=function(a){return a instanceof Array||(a=[],b[2]&&a.push("css"),b[1]&&a.push("js"),b[7]&&a.push("fonts")),d(function(c){var d=a.length,e={};if(0===d)return void c(e);for(var f=a.length,g=0;g<f;g++)!function(a){b.ready(a).then(function(b){e[a]=b,0===--d&&c(e)})}(a[g])})};var h,i=[],j={},k=[],l=function(){for(var a=k.length,c=0;c<a;c++){for(var d=k[c][1],e=!0,f=d.length,g=0;g<f;g++)if(!j[d[g]]){e=!1;break}if(e){var h=k.splice(c,1)[0];return b[31](h[2],h[0]),void l()}}};b[31]=function(c,d){if(!h&&"core"!==d)return void i.push([c,d]);if(c(a,a.Abtf,a.document,Object),"core"===d&&(h=!0),d&&(j[d]=!0,b[30]("module:loaded",d),l()),"core"===d){for(var e=i.shift();e;)b[31](e[0],e[1]),e=i.shift();t&&b[10]()}},b.module=function(a,b,c){return"function"==typeof b&&(c=b,b=[]),"string"==typeof a&&"function"==typeof c&&b instanceof Array?j[a]?void console.error("Abtf.module()","module already loaded",a):(console.info("Abtf.module() ➤ "+a,b.length?b:""),k.push([a,b,function(b,d,e){try{c(b,d,e)}catch(b){console.error("Abtf.module()","module error",a,b),setTimeout(function(){throw b})}}]),void l()):void console.error("Abtf.module()","invalid module",a)};var m=function(a,b){var c=a.requestAnimationFrame||a.webkitRequestAnimationFrame||a.mozRequestAnimationFrame||a.msRequestAnimationFrame||function(b){a.setTimeout(b,1e3/60)};b[15]=function(){c.apply(a,arguments)},b[40]=function(a){return p&&a.setAttribute("nonce",p),a};var d=!!a.requestIdleCallback&&a.requestIdleCallback;if(b[16]=!!d&&function(){d.apply(a,arguments)},b[7])var e=b[7];var f=!1,g=function(a,c){return function(){"function"==typeof c&&c.apply(this,arguments),f||(f=!0,b[30]("fonts:"+a),b[30]("fonts:loaded",a))}},h=function(){e[2]?(b[17](e[3],"webfont"),console.log("Abtf.fonts()","async",a.WebFontConfig)):void 0!==a.WebFont&&(a.WebFont.load(a.WebFontConfig),console.log("Abtf.fonts()",a.WebFontConfig))};b[10]=function(){if(b[6]&&b[27](b[6]),b[1]&&!b[1][1]&&b[18](b[1][0]),b[7]){if(void 0===a.WebFontConfig&&(a.WebFontConfig={}),e[0]){a.WebFontConfig.google||(a.WebFontConfig.google={}),a.WebFontConfig.google.families||(a.WebFontConfig.google.families=[]);for(var c=e[0].length,d=0;d<c;d++)a.WebFontConfig.google.families.push(e[0][d])}a.WebFontConfig.active=g("active",a.WebFontConfig.active),a.WebFontConfig.inactive=g("inactive",a.WebFontConfig.inactive),e[1]||h()}b[12]&&!b[4]&&b[12]()},b[11]=function(){b[12]&&b[4]&&(console.log("Abtf.css()","footer start"),b[12]()),b[1]&&b[1][1]&&(console.log("Abtf.js()","footer start"),b[18](b[1][0])),b[7]&&e[1]&&(console.log("Abtf.fonts()","footer start"),h())},b[14](b[11]),b[17]=function(a,c){!function(d){var e=b[40](d.createElement("script"));e.src=a,c&&(e.id=c),e.async=!0;var f=d.getElementsByTagName("script")[0];if(f)f.parentNode.insertBefore(e,f);else{(document.head||document.getElementsByTagName("head")[0]).appendChild(e)}}(document)};var i=document.createElement("a");i.href=document.location.href;var j=new RegExp("^(https?:)?//"+i.host.replace(/[-\/\\^$*+?.()|[\]{}]/g,"\\$&"),"i");b[29]=function(a){return a.replace(j,"")}},n=function(a){return null!==a&&"object"==typeof a},o={};o[1]=["js",function(a){return n(a)&&(n(a[0])||"string"==typeof a[0])&&"boolean"==typeof a[1]}],o[2]=["css",function(a){if("string"==typeof a)return!0;if(!(a instanceof Array))return!1;for(var b=a.length,c=0;c<b;c++)if(!(a[c]instanceof Array)||"string"!=typeof a[c][1])return!1;return!0}],o[4]=["css_footer",function(a){return"boolean"==typeof a}],o[5]=["css_delay",function(a){return"number"==typeof a}],o[37]=["css_budget",function(a){return"number"==typeof a}],o[6]=["proxy",function(a){return n(a)&&"string"==typeof a[0]}],o[7]=["gwf",function(a){return n(a)&&"boolean"==typeof a[1]}],o[8]=["pwa",function(a){return n(a)&&"string"==typeof a[0]&&"string"==typeof a[1]}],o[13]=["pwa_unregister",function(a){return"boolean"==typeof a}],o[32]=["telemetry",function(a){return n(a)&&"string"==typeof a[0]}],o[34]=["css_retry",function(a){return n(a)&&"number"==typeof a[0]}],o[35]=["loadcss_config",function(a){return n(a)&&"string"==typeof a[0]}],o[36]=["critical_cleanup",function(a){return n(a)&&"string"==typeof a[0]}],o[38]=["js_failure",function(a){return n(a)&&"number"==typeof a[0]}],o[39]=["js_parallel",function(a){return"boolean"==typeof a}],o[42]=["js_sandbox",function(a){return n(a)&&n(a[0])}],o[45]=["prefetch",function(a){return n(a)&&"string"==typeof a[0]&&n(a[2])}];var p=!1,q=function(c){var d=c.getAttribute("data-abtf");if(d&&"string"==typeof d)try{d=JSON.parse(d)}catch(a){console.error("Abtf","failed to parse config",d,a)}if(!(d&&d instanceof Array))throw console.error("Abtf","invalid config",d),b[30]("config:failed","invalid"),new Error("invalid config");if("7250412f"===d[0]){for(var e=d.length,f=0;f<e;f++)void 0===a.Abtf[f]&&-1!==d[f]&&(!o[f]||o[f][1](d[f])?a.Abtf[f]=d[f]:(console.error("Abtf","invalid config section",o[f][0],d[f]),b[30]("config:invalid",o[f][0])));p=c.nonce||c.getAttribute("nonce")||!1,b[31](m,"core")}else if(a.console&&void 0!==console.warn&&console.warn("Abtf","config schema mismatch",d[0],"7250412f"),b[30]("config:mismatch",d[0]),b[30]("config:failed","schema"),!/[?&]noabtf(=|&|$)/.test(a.location.search)){var g=a.location.href.split("#");g[0]+=(-1===g[0].indexOf("?")?"?":"&")+"noabtf",a.location.replace(g.join("#"))}};if(document.currentScript&&document.currentScript.hasAttribute("data-abtf"))q(document.currentScript);else{var r=function(){return document.querySelector("script[data-abtf]")},s=r();if(s)q(s);else{a.console&&void 0!==console.error&&console.error("<script data-abtf> client missing"),b[14](function(){if(!(s=r()))throw console.warn("Abtf","client script <script data-abtf> detected on domready. Make sure that the script tag is included in the header unmodified."),new Error("<script data-abtf> client missing");q(s)})}}var t;b[9]=function(){h?b[10]():t=!0}}(window,Abtf);
\ No newline at end of file
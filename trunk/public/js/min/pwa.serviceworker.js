@@ -1 +1 @@
-!function(e,t,n){var r,a=!1,o=!1,i=1e3;n.prototype.add||(n.prototype.add=function(e){return this.addAll([e])}),n.prototype.addAll||(n.prototype.addAll=function(e){function n(e){this.name="NetworkError",this.code=19,this.message=e}var r=this;return n.prototype=Object.create(Error.prototype),Promise.resolve().then(function(){if(arguments.length<1)throw new TypeError;return e=e.map(function(e){return e instanceof Request?e:String(e)}),Promise.all(e.map(function(e){"string"==typeof e&&(e=new Request(e));var r=new URL(e.url).protocol;if("http:"!==r&&"https:"!==r)throw new n("Invalid scheme");return t(e.clone()).catch(function(e){throw e})}))}).then(function(t){return Promise.all(t.map(function(t,n){return r.put(e[n],t)}))}).then(function(){})}),CacheStorage.prototype.match||(CacheStorage.prototype.match=function(e,t){var n=this;return this.keys().then(function(r){var a;return r.reduce(function(r,o){return r.then(function(){return a||n.open(o).then(function(n){return n.match(e,t)}).then(function(e){return a=e})})},Promise.resolve())})}),e.addEventListener("install",function(t){t.waitUntil(f().then(function(){e.skipWaiting()}).catch(function(){e.skipWaiting()}))}),e.addEventListener("activate",function(t){t.waitUntil(e.clients.claim())});var s,c,u=function(e){return new Promise(function(n,r){if(!a||!o||e&&e>o){var i=!a;f().then(function(){i&&n(a?a:!1)}).catch(function(){i&&n(!1)})}else if(!s&&o<h()-300){s=!0;var c=new Request("./abtf-pwa-config.json?"+Math.round(Date.now()/1e3),{method:"HEAD",mode:"no-cors"});t(c).then(function(e){s=!1;var t=!0;if(e&&e.ok){var n=l(e.headers.get("last-modified"));n&&n<=o&&(t=!1)}t&&f()}).catch(function(e){s=!1,f()})}else n(a)}).catch(function(e){setTimeout(function(){throw e})})},f=function(){return s?Promise.resolve():(s=!0,t("./abtf-pwa-config.json?"+Math.round(Date.now()/1e3),{mode:"no-cors"}).then(function(e){if(s=!1,e&&e.ok&&e.status<400)return e.json().then(function(e){if(e){e instanceof Array&&(e={policy:e}),e.policy&&(a=e.policy,o=h());var t=[];e.start_url&&t.push(e.start_url),e.policy&&e.policy.forEach(function(e){e.offline&&-1===t.indexOf(e.offline)&&t.push(e.offline)}),e.preload&&e.preload.forEach(function(e){-1===t.indexOf(e)&&t.push(e)}),preloadPromises=[],t.forEach(function(e){preloadPromises.push(b(e))})}});throw a=!1,new Error("service worker config not found: ./abtf-pwa-config.json")}).catch(function(e){s=!1,a=!1,setTimeout(function(){throw e})}))},h=function(){return Math.round(Date.now()/1e3)},l=function(e){if(e)return isNaN(parseInt(e))?(e=Date.parse(e),isNaN(e)?void 0:Math.round(e/1e3)):e},d=/^\/(.*)\/([gimuy]+)?$/,p=function(e){var t=e.match(d);if(t){try{var n=new RegExp(t[1],t[2])}catch(e){}return n||!1}},v=!1,m=!1,w=function(){if(c)try{clearTimeout(c)}catch(e){}c=setTimeout(g,500)},g=function(){m||(!v||v<h()-10)&&(m=!0,v=h(),caches.keys().then(function(e){return e&&0!==e.length?Promise.all(e.map(function(e){if(0!==e.indexOf(r))return caches.delete(e);caches.open(e).then(function(e){e.keys().then(function(t){if(!(t.length<i)){var n=[],r=[],a=[];return t.forEach(function(t){r.push(t),a.push(e.match(t))}),Promise.all(a).then(function(t){var a=h();t.forEach(function(t,o){if(t&&t.headers){var i=t.headers.get("x-abtf-sw");if(i){var s=t.headers.get("x-abtf-sw-expire");if(s&&i&&i<h()-s)return void e.delete(r[o])}else i=a;!1!==n&&n.push({t:i,r:r[o]})}}),n&&n.length>i&&(n.sort(function(e,t){return e.t>t.t?-1:e.t<t.t?1:0}),n.slice(i).forEach(function(t){e.delete(t.r)}))})}})})})).then(function(){m=!1}):Promise.resolve()}))},x=function(e,n,r){return t(e).then(function(t){if(t.ok&&t.status<400&&n){var r=!0;n.conditions&&n.conditions.forEach(function(n){if(r)switch(n.type){case"url":if(n.regex)if(o=p(n.pattern)){s=o.test(e.url);n.not?s&&(r=!1):s||(r=!1)}else r=!1;else{s=-1!==e.url.indexOf(n.pattern);n.not?s&&(r=!1):s||(r=!1)}break;case"header":var a=t.headers.get(n.name);if(a)if(n.regex){var o=p(n.pattern);if(o){s=o.test(a);n.not?s&&(r=!1):s||(r=!1)}else r=!1}else if("object"==typeof n.pattern)if(n.pattern.operator){a=parseFloat(a);var i=parseFloat(n.pattern.value);if(isNaN(a)||isNaN(i))r=!1;else{switch(n.pattern.operator){case"<":s=a<i;break;case">":s=a>i;break;case"=":var s=a===i;break;default:r=!1}r&&(n.not?s&&(r=!1):s||(r=!1))}}else r=!1;else-1===a.indexOf(n.pattern)&&(r=!1);else r=!1}}),r&&N(e,t.clone(),n)}return t}).catch(function(t){return r?r(e,null,t):null})},y=function(e,n,r,a){var o=r.headers.get("etag"),i=l(r.headers.get("last-modified"));if(!o&&!i){var s=x(e,n);return a&&(s=s.then(a)),s}var c=new Request(e.url,{method:"HEAD",headers:e.headers,mode:"no-cors"});t(c).then(function(t){var r=!1,s=t.headers.get("etag"),c=l(t.headers.get("last-modified"));if(s&&s!==o?r=!0:c&&c!==i&&(r=!0),r){var u=x(e,n);return a&&(u=u.then(a)),u}return null}).catch(function(t){var r=x(e,n);return a&&(r=r.then(a)),r})},E=function(e,n){return e=new Request(e),q(e).then(function(e){return e?e.blob().then(function(t){return new Response(t,{status:503,statusText:"Offline",headers:e.headers})}):t(n).catch(function(e){throw e})})},q=function(e){return caches.open(r).then(function(t){return t.match(e).then(function(e){if(e){var t=e.headers.get("x-abtf-sw-expire");if(t)var n=e.headers.get("x-abtf-sw");var r=e.headers.get("expire");r&&(r=l(r)),t&&n<h()-t?e=!1:r&&r<h()&&(e=!1)}return e})})},b=function(e){if(e)return"string"==typeof e&&(e=new Request(e,{mode:"no-cors"})),q(e).then(function(t){return t||x(e,{conditions:null})})},N=function(e,t,n){caches.open(r).then(function(r){var a={};t.headers.forEach(function(e,t){a[t]=e}),a["x-abtf-sw"]=h(),n&&n.max_age&&(a["x-abtf-sw-expire"]=n.max_age),t.blob().then(function(n){var o=new Response(n,{status:t.status,statusText:t.statusText,headers:a});r.put(e,o)})})};e.addEventListener("fetch",function(n){if("GET"===n.request.method){var o=!1;if(["wp-admin/","wp-login.php"].forEach(function(t){if(!o){var r=new RegExp("^([^/]+)?//"+e.location.host+"(:[0-9]+)?/"+t);(r.test(n.request.url)||n.request.referrer&&r.test(n.request.referrer))&&(o=!0)}}),!(o||n.request.url.match(/\&preview=true/)||n.request.url.match(/\&preview_nonce=/))&&(u(),a&&r)){var i=function(e,n){if(!n||0===n.length)return!1;w();var r=!1;if(n.forEach(function(t){if(!r&&t.match&&0!==t.match.length){var n=!0;t.match.forEach(function(t){if(n)switch(t.type){case"url":if(t.regex)(o=p(t.pattern))?(i=o.test(e.request.url),t.not?i&&(n=!1):i||(n=!1)):n=!1;else if(t.pattern instanceof Array){var r=!1;t.pattern.forEach(function(t){r||-1!==e.request.url.indexOf(t)&&(r=!0)}),t.not?r&&(n=!1):r||(n=!1)}else i=-1!==e.request.url.indexOf(t.pattern),t.not?i&&(n=!1):i||(n=!1);break;case"header":switch(t.name.toLowerCase()){case"referer":case"referrer":a=e.request.referrer;break;default:var a=e.request.headers.get(t.name)}if(a)if(t.regex){var o=p(t.pattern);o?(i=o.test(a),t.not?i&&(n=!1):i||(n=!1)):n=!1}else{var i=-1!==a.indexOf(t.pattern);t.not?i&&(n=!1):i||(n=!1)}else t.not||(n=!1)}}),n&&(r=t)}}),!r)return!1;switch(r.strategy){case"never":return!1;case"cache":return q(e.request).then(function(n){if(n){var a=!0;if(r.cache.update_interval)o=!isNaN(parseInt(r.cache.update_interval))&&parseInt(r.cache.update_interval);else var o=!1;if(o){var i=n.headers.get("x-abtf-sw");i&&parseInt(i)>h()-o&&(a=!1)}return a&&function(e,t){setTimeout(function(){var n;if(r.cache.head_update&&(n=function(){clients.matchAll().then(function(t){t.forEach(function(t){t.postMessage([2,e.url])})})}),r.cache.head_update)y(e,r.cache,t,n);else{var a=x(e,r.cache);n&&a.then(n)}},10)}(e.request.clone(),n.clone()),n}return x(e.request,r.cache,function(n,a,o){return r.offline?E(r.offline,n.clone()):a||t(e.request.clone()).catch(function(e){throw e})})});case"event":return q(e.request).then(function(n){return n||x(e.request,null,function(n,a,o){return r.offline?E(r.offline,n.clone()):a||t(e.request).catch(function(e){throw e})})});case"network":default:return x(e.request,r.cache,function(n,a,o){return q(n).then(function(o){return o||(r.offline?E(r.offline,n.clone()):a||t(e.request).catch(function(e){throw e}))})})}}(n,a);if(!1!==i)return n.respondWith(i)}}}),e.addEventListener("message",function(t){if(t&&t.data&&t.data instanceof Array){if(1===t.data[0]){t.data[1]&&!isNaN(parseInt(t.data[1]))&&u(parseInt(t.data[1])),t.data[3]&&!isNaN(parseInt(t.data[3]))&&(i=parseInt(t.data[3]));var n="abtf:"+(t.data[2]?t.data[2]+":":"");n!==r&&(r=n),g()}if(2===t.data[0]||3===t.data[0])if(t.ports[0])a=function(e,n){t.ports[0].postMessage({error:e,status:n})};else var a=!1;if(2===t.data[0])if(t.data[1]){var o;if("string"==typeof t.data[1]||t.data[1]instanceof Request?o=[t.data[1]]:t.data[1]instanceof Array&&(o=t.data[1]),o){var s=[];o.forEach(function(e){s.push(b(e))}),a&&Promise.all(s).then(function(e){var t=[];e.forEach(function(e){var n={url:e.url,status:e.status,statusText:e.statusText},r=e.headers.get("content-length");n.size=isNaN(parseInt(r))?-1:parseInt(r),t.push(n)}),a(null,t)}).catch(function(e){})}else a&&a("invalid-data")}else a&&a("no-urls");3===t.data[0]&&(e.registration.showNotification(t.data[1],t.data[2]),a&&a(null,"sent"))}})}(self,self.fetch,Cache);
\ No newline at end of file
+!function(a,b,c){var d,e=!1,f=!1,g=1e3;c.prototype.add||(c.prototype.add=function(a){return this.addAll([a])}),c.prototype.addAll||(c.prototype.addAll=function(a){function c(a){this.name="NetworkError",this.code=19,this.message=a}var d=this;return c.prototype=Object.create(Error.prototype),Promise.resolve().then(function(){if(arguments.length<1)throw new TypeError;return a=a.map(function(a){return a instanceof Request?a:String(a)}),Promise.all(a.map(function(a){"string"==typeof a&&(a=new Request(a));var d=new URL(a.url).protocol;if("http:"!==d&&"https:"!==d)throw new c("Invalid scheme");return b(a.clone()).catch(function(a){throw a})}))}).then(function(b){return Promise.all(b.map(function(b,c){return d.put(a[c],b)}))}).then(function(){})}),CacheStorage.prototype.match||(CacheStorage.prototype.match=function(a,b){var c=this;return this.keys().then(function(d){var e;return d.reduce(function(d,f){return d.then(function(){return e||c.open(f).then(function(c){return c.match(a,b)}).then(function(a){return e=a})})},Promise.resolve())})}),a.addEventListener("install",function(b){b.waitUntil(k().then(function(){a.skipWaiting()}).catch(function(){a.skipWaiting()}))}),a.addEventListener("activate",function(b){b.waitUntil(a.clients.claim())});var h,i,j=function(a){return new Promise(function(c,d){if(!e||!f||a&&a>f){var g=!e;k().then(function(){g&&c(e?e:!1)}).catch(function(){g&&c(!1)})}else if(!h&&f<l()-300){h=!0;var i=new Request("./abtf-pwa-config.json?"+Math.round(Date.now()/1e3),{method:"HEAD",mode:"no-cors"});b(i).then(function(a){h=!1;var b=!0;if(a&&a.ok){var c=m(a.headers.get("last-modified"));c&&c<=f&&(b=!1)}b&&k()}).catch(function(a){h=!1,k()})}else c(e)}).catch(function(a){setTimeout(function(){throw a})})},k=function(){return h?Promise.resolve():(h=!0,b("./abtf-pwa-config.json?"+Math.round(Date.now()/1e3),{mode:"no-cors"}).then(function(a){if(h=!1,a&&a.ok&&a.status<400)return a.json().then(function(a){if(a){a instanceof Array&&(a={policy:a}),a.policy&&(e=a.policy,f=l());var b=[];a.start_url&&b.push(a.start_url),a.policy&&a.policy.forEach(function(a){a.offline&&-1===b.indexOf(a.offline)&&b.push(a.offline)}),a.preload&&a.preload.forEach(function(a){-1===b.indexOf(a)&&b.push(a)});var c=[];b.forEach(function(a){c.push(x(a))})}});throw e=!1,new Error("service worker config not found: ./abtf-pwa-config.json")}).catch(function(a){h=!1,e=!1,setTimeout(function(){throw a})}))},l=function(){return Math.round(Date.now()/1e3)},m=function(a){if(a)return isNaN(parseInt(a))?(a=Date.parse(a),isNaN(a)?void 0:Math.round(a/1e3)):a},n=/^\/(.*)\/([gimuy]+)?$/,o=function(a){var b=a.match(n);if(b){try{var c=new RegExp(b[1],b[2])}catch(a){}return c||!1}},p=!1,q=!1,r=function(){if(i)try{clearTimeout(i)}catch(a){}i=setTimeout(s,500)},s=function(){q||(!p||p<l()-10)&&(q=!0,p=l(),caches.keys().then(function(a){return a&&0!==a.length?Promise.all(a.map(function(a){return"abtf-loadscript"===a?Promise.resolve():0!==a.indexOf(d)?caches.delete(a):void caches.open(a).then(function(a){a.keys().then(function(b){if(!(b.length<g)){var c=[],d=[],e=[];return b.forEach(function(b){d.push(b),e.push(a.match(b))}),Promise.all(e).then(function(b){var e=l();if(b.forEach(function(b,f){if(b&&b.headers){var g=b.headers.get("x-abtf-sw");if(g){var h=b.headers.get("x-abtf-sw-expire");if(h&&g&&g<l()-h)return void a.delete(d[f])}else g=e;!1!==c&&c.push({t:g,r:d[f]})}}),c&&c.length>g){c.sort(function(a,b){return a.t>b.t?-1:a.t<b.t?1:0});c.slice(g).forEach(function(b){a.delete(b.r)})}})}})})})).then(function(){q=!1}):Promise.resolve()}))},t=function(a,c,d){return b(a).then(function(b){if(b.ok&&b.status<400&&c){var d=!0;c.conditions&&c.conditions.forEach(function(c){if(d)switch(c.type){case"url":if(c.regex){var e=o(c.pattern);if(e){var f=e.test(a.url);c.not?f&&(d=!1):f||(d=!1)}else d=!1}else{var f=-1!==a.url.indexOf(c.pattern);c.not?f&&(d=!1):f||(d=!1)}break;case"header":var g=b.headers.get(c.name);if(g)if(c.regex){var e=o(c.pattern);if(e){var f=e.test(g);c.not?f&&(d=!1):f||(d=!1)}else d=!1}else if("object"==typeof c.pattern)if(c.pattern.operator){g=parseFloat(g);var h=parseFloat(c.pattern.value);if(isNaN(g)||isNaN(h))d=!1;else{switch(c.pattern.operator){case"<":var f=g<h;break;case">":var f=g>h;break;case"=":var f=g===h;break;default:d=!1}d&&(c.not?f&&(d=!1):f||(d=!1))}}else d=!1;else-1===g.indexOf(c.pattern)&&(d=!1);else d=!1}}),d&&y(a,b.clone(),c)}return b}).catch(function(b){return d?d(a,null,b):null})},u=function(a,c,d,e){var f=d.headers.get("etag"),g=m(d.headers.get("last-modified"));if(!f&&!g){var h=t(a,c);return e&&(h=h.then(e)),h}var i=new Request(a.url,{method:"HEAD",headers:a.headers,mode:"no-cors"});b(i).then(function(b){var d=!1,h=b.headers.get("etag"),i=m(b.headers.get("last-modified"));if(h&&h!==f?d=!0:i&&i!==g&&(d=!0),d){var j=t(a,c);return e&&(j=j.then(e)),j}return null}).catch(function(b){var d=t(a,c);return e&&(d=d.then(e)),d})},v=function(a,c){return a=new Request(a),w(a).then(function(a){return a?a.blob().then(function(b){return new Response(b,{status:503,statusText:"Offline",headers:a.headers})}):b(c).catch(function(a){throw a})})},w=function(a){return caches.open(d).then(function(b){return b.match(a).then(function(a){if(a){var b=a.headers.get("x-abtf-sw-expire");if(b)var c=a.headers.get("x-abtf-sw");var d=a.headers.get("expire");d&&(d=m(d)),b&&c<l()-b?a=!1:d&&d<l()&&(a=!1)}return a})})},x=function(a){if(a)return"string"==typeof a&&(a=new Request(a,{mode:"no-cors"})),w(a).then(function(b){return b||t(a,{conditions:null})})},y=function(a,b,c){caches.open(d).then(function(d){var e={};b.headers.forEach(function(a,b){e[b]=a}),e["x-abtf-sw"]=l(),c&&c.max_age&&(e["x-abtf-sw-expire"]=c.max_age),b.blob().then(function(c){var f=new Response(c,{status:b.status,statusText:b.statusText,headers:e});d.put(a,f)})})};a.addEventListener("fetch",function(c){if("GET"===c.request.method){var f=!1;if(["wp-admin/","wp-login.php"].forEach(function(b){if(!f){var d=new RegExp("^([^/]+)?//"+a.location.host+"(:[0-9]+)?/"+b);(d.test(c.request.url)||c.request.referrer&&d.test(c.request.referrer))&&(f=!0)}}),!(f||c.request.url.match(/\&preview=true/)||c.request.url.match(/\&preview_nonce=/))&&(j(),e&&d)){var g=function(a,c){if(!c||0===c.length)return!1;r();var d=!1;if(c.forEach(function(b){if(!d&&b.match&&0!==b.match.length){var c=!0;b.match.forEach(function(b){if(c)switch(b.type){case"url":if(b.regex){var d=o(b.pattern);if(d){var e=d.test(a.request.url);b.not?e&&(c=!1):e||(c=!1)}else c=!1}else if(b.pattern instanceof Array){var f=!1;b.pattern.forEach(function(b){if(!f){-1!==a.request.url.indexOf(b)&&(f=!0)}}),b.not?f&&(c=!1):f||(c=!1)}else{var e=-1!==a.request.url.indexOf(b.pattern);b.not?e&&(c=!1):e||(c=!1)}break;case"header":switch(b.name.toLowerCase()){case"referer":case"referrer":var g=a.request.referrer;break;default:var g=a.request.headers.get(b.name)}if(g)if(b.regex){var d=o(b.pattern);if(d){var e=d.test(g);b.not?e&&(c=!1):e||(c=!1)}else c=!1}else{var e=-1!==g.indexOf(b.pattern);b.not?e&&(c=!1):e||(c=!1)}else b.not||(c=!1)}}),c&&(d=b)}}),!d)return!1;switch(d.strategy){case"never":return!1;case"cache":return w(a.request).then(function(c){if(c){var e=!0;if(d.cache.update_interval)var f=!isNaN(parseInt(d.cache.update_interval))&&parseInt(d.cache.update_interval);else var f=!1;if(f){var g=c.headers.get("x-abtf-sw");g&&parseInt(g)>l()-f&&(e=!1)}return e&&function(a,b){setTimeout(function(){var c;if(d.cache.head_update&&(c=function(){clients.matchAll().then(function(b){b.forEach(function(b){b.postMessage([2,a.url])})})}),d.cache.head_update)u(a,d.cache,b,c);else{var e=t(a,d.cache);c&&e.then(c)}},10)}(a.request.clone(),c.clone()),c}return t(a.request,d.cache,function(c,e,f){return d.offline?v(d.offline,c.clone()):e||b(a.request.clone()).catch(function(a){throw a})})});case"event":return w(a.request).then(function(c){return c||t(a.request,null,function(c,e,f){return d.offline?v(d.offline,c.clone()):e||b(a.request).catch(function(a){throw a})})});case"network":default:return t(a.request,d.cache,function(c,e,f){return w(c).then(function(f){return f||(d.offline?v(d.offline,c.clone()):e||b(a.request).catch(function(a){throw a}))})})}}(c,e);if(!1!==g)return c.respondWith(g)}}}),a.addEventListener("message",function(b){if(b&&b.data&&b.data instanceof Array){if(1===b.data[0]){b.data[1]&&!isNaN(parseInt(b.data[1]))&&j(parseInt(b.data[1])),b.data[3]&&!isNaN(parseInt(b.data[3]))&&(g=parseInt(b.data[3]));var c="abtf:"+(b.data[2]?b.data[2]+":":"");c!==d&&(d=c),s()}if(2===b.data[0]||3===b.data[0])if(b.ports[0])var e=function(a,c){b.ports[0].postMessage({error:a,status:c})};else var e=!1;if(2===b.data[0])if(b.data[1]){var f;if("string"==typeof b.data[1]||b.data[1]instanceof Request?f=[b.data[1]]:b.data[1]instanceof Array&&(f=b.data[1]),f){var h=[];f.forEach(function(a){h.push(x(a))}),e&&Promise.all(h).then(function(a){var b=[];a.forEach(function(a){var c={url:a.url,status:a.status,statusText:a.statusText},d=a.headers.get("content-length");c.size=isNaN(parseInt(d))?-1:parseInt(d),b.push(c)}),e(null,b)}).catch(function(a){})}else e&&e("invalid-data")}else e&&e("no-urls");3===b.data[0]&&(a.registration.showNotification(b.data[1],b.data[2]),e&&e(null,"sent"))}})}(self,self.fetch,Cache);
\ No newline at end of file
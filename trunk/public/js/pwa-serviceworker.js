@@ -1,18 +1,18 @@
-!function(l,m,v){function I(a,d,c){caches.open(q).then(function(b){var f={};d.headers.forEach(function(a,b){f[b]=a});f["x-abtf-sw"]=h();c&&c.max_age&&(f["x-abtf-sw-expire"]=c.max_age);d.blob().then(function(e){e=new Response(e,{status:d.status,statusText:d.statusText,headers:f});b.put(a,e)})})}function F(a){if(a)return"string"==typeof a&&(a=new Request(a,{mode:"no-cors"})),r(a).then(function(d){return d||n(a,{conditions:null})})}function r(a){return caches.open(q).then(function(d){return d.match(a).then(function(a){if(a){var b=
-a.headers.get("x-abtf-sw-expire");if(b)var d=a.headers.get("x-abtf-sw");var e=a.headers.get("expire");e&&(e=w(e));b&&d<h()-b?a=!1:e&&e<h()&&(a=!1)}return a})})}function A(a,d){return a=new Request(a),r(a).then(function(a){return a?a.blob().then(function(b){return new Response(b,{status:503,statusText:"Offline",headers:a.headers})}):m(d)["catch"](function(a){throw a;})})}function J(a,d,c,b){var f=c.headers.get("etag"),e=w(c.headers.get("last-modified"));f||e?(c=new Request(a.url,{method:"HEAD",headers:a.headers,
-mode:"no-cors"}),m(c).then(function(c){var g=!1,t=c.headers.get("etag");c=w(c.headers.get("last-modified"));return(t&&t!==f?g=!0:c&&c!==e&&(g=!0),g)?(g=n(a,d),b&&(g=g.then(b)),g):null})["catch"](function(){var e=n(a,d);return b&&(e=e.then(b)),e})):(c=n(a,d),b&&(c=c.then(b)))}function n(a,d,c){return m(a).then(function(b){if(b.ok&&400>b.status&&d){var f=!0;d.conditions&&d.conditions.forEach(function(e){if(f)switch(e.type){case "url":e.regex?(g=x(e.pattern))?(c=g.test(a.url),e.not?c&&(f=!1):c||(f=!1)):
-f=!1:(c=-1!==a.url.indexOf(e.pattern),e.not?c&&(f=!1):c||(f=!1));break;case "header":var d=b.headers.get(e.name);if(d)if(e.regex){var g=x(e.pattern);g?(c=g.test(d),e.not?c&&(f=!1):c||(f=!1)):f=!1}else if("object"==typeof e.pattern)if(e.pattern.operator)if(d=parseFloat(d),g=parseFloat(e.pattern.value),isNaN(d)||isNaN(g))f=!1;else{switch(e.pattern.operator){case "<":c=d<g;break;case ">":c=d>g;break;case "=":var c=d===g;break;default:f=!1}f&&(e.not?c&&(f=!1):c||(f=!1))}else f=!1;else-1===d.indexOf(e.pattern)&&
-(f=!1);else f=!1}});f&&I(a,b.clone(),d)}return b})["catch"](function(b){return c?c(a,null,b):null})}function G(){B||(!C||C<h()-10)&&(B=!0,C=h(),caches.keys().then(function(a){return a&&0!==a.length?Promise.all(a.map(function(a){if(0!==a.indexOf(q))return caches["delete"](a);caches.open(a).then(function(a){a.keys().then(function(b){if(!(b.length<y)){var d=[],e=[],c=[];return b.forEach(function(b){e.push(b);c.push(a.match(b))}),Promise.all(c).then(function(b){var c=h();b.forEach(function(b,g){if(b&&
-b.headers){var f=b.headers.get("x-abtf-sw");if(f){var t=b.headers.get("x-abtf-sw-expire");if(t&&f&&f<h()-t)return void a["delete"](e[g])}else f=c;!1!==d&&d.push({t:f,r:e[g]})}});d&&d.length>y&&(d.sort(function(a,b){return a.t>b.t?-1:a.t<b.t?1:0}),d.slice(y).forEach(function(b){a["delete"](b.r)}))})}})})})).then(function(){B=!1}):Promise.resolve()}))}function x(a){if(a=a.match(K)){try{var d=new RegExp(a[1],a[2])}catch(c){}return d||!1}}function w(a){if(a)return isNaN(parseInt(a))?(a=Date.parse(a),
-isNaN(a)?void 0:Math.round(a/1E3)):a}function h(){return Math.round(Date.now()/1E3)}function z(){return p?Promise.resolve():(p=!0,m("./abtf-pwa-config.json?"+Math.round(Date.now()/1E3),{mode:"no-cors"}).then(function(a){if(p=!1,a&&a.ok&&400>a.status)return a.json().then(function(a){if(a){a instanceof Array&&(a={policy:a});a.policy&&(k=a.policy,u=h());var c=[];a.start_url&&c.push(a.start_url);a.policy&&a.policy.forEach(function(a){a.offline&&-1===c.indexOf(a.offline)&&c.push(a.offline)});a.preload&&
-a.preload.forEach(function(a){-1===c.indexOf(a)&&c.push(a)});preloadPromises=[];c.forEach(function(a){preloadPromises.push(F(a))})}});throw k=!1,Error("service worker config not found: ./abtf-pwa-config.json");})["catch"](function(a){k=p=!1;setTimeout(function(){throw a;})}))}function H(a){(new Promise(function(d){if(!k||!u||a&&a>u){var c=!k;z().then(function(){c&&d(k?k:!1)})["catch"](function(){c&&d(!1)})}else if(!p&&u<h()-300){p=!0;var b=new Request("./abtf-pwa-config.json?"+Math.round(Date.now()/
-1E3),{method:"HEAD",mode:"no-cors"});m(b).then(function(a){p=!1;var b=!0;a&&a.ok&&(a=w(a.headers.get("last-modified")))&&a<=u&&(b=!1);b&&z()})["catch"](function(){p=!1;z()})}else d(k)}))["catch"](function(a){setTimeout(function(){throw a;})})}var q,k=!1,u=!1,y=1E3;v.prototype.add||(v.prototype.add=function(a){return this.addAll([a])});v.prototype.addAll||(v.prototype.addAll=function(a){function d(a){this.name="NetworkError";this.code=19;this.message=a}var c=this;return d.prototype=Object.create(Error.prototype),
-Promise.resolve().then(function(){if(1>arguments.length)throw new TypeError;return a=a.map(function(a){return a instanceof Request?a:String(a)}),Promise.all(a.map(function(a){"string"==typeof a&&(a=new Request(a));var b=(new URL(a.url)).protocol;if("http:"!==b&&"https:"!==b)throw new d("Invalid scheme");return m(a.clone())["catch"](function(a){throw a;})}))}).then(function(b){return Promise.all(b.map(function(b,e){return c.put(a[e],b)}))}).then(function(){})});CacheStorage.prototype.match||(CacheStorage.prototype.match=
-function(a,d){var c=this;return this.keys().then(function(b){var f;return b.reduce(function(b,E){return b.then(function(){return f||c.open(E).then(function(b){return b.match(a,d)}).then(function(a){return f=a})})},Promise.resolve())})});l.addEventListener("install",function(a){a.waitUntil(z().then(function(){l.skipWaiting()})["catch"](function(){l.skipWaiting()}))});l.addEventListener("activate",function(a){a.waitUntil(l.clients.claim())});var p,D,K=/^\/(.*)\/([gimuy]+)?$/,C=!1,B=!1;l.addEventListener("fetch",
-function(a){if("GET"===a.request.method){var d=!1;if(["wp-admin/","wp-login.php"].forEach(function(b){d||(b=new RegExp("^([^/]+)?//"+l.location.host+"(:[0-9]+)?/"+b),(b.test(a.request.url)||a.request.referrer&&b.test(a.request.referrer))&&(d=!0))}),!(d||a.request.url.match(/\&preview=true/)||a.request.url.match(/\&preview_nonce=/))&&(H(),k&&q)){var c=function(a,c){if(!c||0===c.length)return!1;if(D)try{clearTimeout(D)}catch(E){}D=setTimeout(G,500);var b=!1;if(c.forEach(function(c){if(!b&&c.match&&
-0!==c.match.length){var d=!0;c.match.forEach(function(b){if(d)switch(b.type){case "url":if(b.regex)(f=x(b.pattern))?(g=f.test(a.request.url),b.not?g&&(d=!1):g||(d=!1)):d=!1;else if(b.pattern instanceof Array){var c=!1;b.pattern.forEach(function(b){c||-1!==a.request.url.indexOf(b)&&(c=!0)});b.not?c&&(d=!1):c||(d=!1)}else g=-1!==a.request.url.indexOf(b.pattern),b.not?g&&(d=!1):g||(d=!1);break;case "header":switch(b.name.toLowerCase()){case "referer":case "referrer":e=a.request.referrer;break;default:var e=
-a.request.headers.get(b.name)}if(e)if(b.regex){var f=x(b.pattern);f?(g=f.test(e),b.not?g&&(d=!1):g||(d=!1)):d=!1}else{var g=-1!==e.indexOf(b.pattern);b.not?g&&(d=!1):g||(d=!1)}else b.not||(d=!1)}});d&&(b=c)}}),!b)return!1;switch(b.strategy){case "never":return!1;case "cache":return r(a.request).then(function(c){if(c){var d=!0,e=b.cache.update_interval?!isNaN(parseInt(b.cache.update_interval))&&parseInt(b.cache.update_interval):!1;if(e){var f=c.headers.get("x-abtf-sw");f&&parseInt(f)>h()-e&&(d=!1)}return d&&
-function(a,c){setTimeout(function(){var d;if(b.cache.head_update&&(d=function(){clients.matchAll().then(function(b){b.forEach(function(b){b.postMessage([2,a.url])})})}),b.cache.head_update)J(a,b.cache,c,d);else{var e=n(a,b.cache);d&&e.then(d)}},10)}(a.request.clone(),c.clone()),c}return n(a.request,b.cache,function(c,d){return b.offline?A(b.offline,c.clone()):d||m(a.request.clone())["catch"](function(a){throw a;})})});case "event":return r(a.request).then(function(c){return c||n(a.request,null,function(c,
-d){return b.offline?A(b.offline,c.clone()):d||m(a.request)["catch"](function(a){throw a;})})});default:return n(a.request,b.cache,function(c,d){return r(c).then(function(e){return e||(b.offline?A(b.offline,c.clone()):d||m(a.request)["catch"](function(a){throw a;}))})})}}(a,k);if(!1!==c)return a.respondWith(c)}}});l.addEventListener("message",function(a){if(a&&a.data&&a.data instanceof Array){if(1===a.data[0]){a.data[1]&&!isNaN(parseInt(a.data[1]))&&H(parseInt(a.data[1]));a.data[3]&&!isNaN(parseInt(a.data[3]))&&
-(y=parseInt(a.data[3]));var d="abtf:"+(a.data[2]?a.data[2]+":":"");d!==q&&(q=d);G()}if(2===a.data[0]||3===a.data[0])var c=a.ports[0]?function(b,c){a.ports[0].postMessage({error:b,status:c})}:!1;if(2===a.data[0])if(a.data[1]){var b;if("string"==typeof a.data[1]||a.data[1]instanceof Request?b=[a.data[1]]:a.data[1]instanceof Array&&(b=a.data[1]),b){var f=[];b.forEach(function(a){f.push(F(a))});c&&Promise.all(f).then(function(a){var b=[];a.forEach(function(a){var c={url:a.url,status:a.status,statusText:a.statusText};
-a=a.headers.get("content-length");c.size=isNaN(parseInt(a))?-1:parseInt(a);b.push(c)});c(null,b)})["catch"](function(){})}else c&&c("invalid-data")}else c&&c("no-urls");3===a.data[0]&&(l.registration.showNotification(a.data[1],a.data[2]),c&&c(null,"sent"))}})}(self,self.fetch,Cache);
+!function(l,m,v){function H(a,b,e){caches.open(q).then(function(d){var f={};b.headers.forEach(function(a,d){f[d]=a});f["x-abtf-sw"]=h();e&&e.max_age&&(f["x-abtf-sw-expire"]=e.max_age);b.blob().then(function(c){c=new Response(c,{status:b.status,statusText:b.statusText,headers:f});d.put(a,c)})})}function E(a){if(a)return"string"==typeof a&&(a=new Request(a,{mode:"no-cors"})),t(a).then(function(b){return b||n(a,{conditions:null})})}function t(a){return caches.open(q).then(function(b){return b.match(a).then(function(a){if(a){var d=
+a.headers.get("x-abtf-sw-expire");if(d)var f=a.headers.get("x-abtf-sw");var c=a.headers.get("expire");c&&(c=w(c));d&&f<h()-d?a=!1:c&&c<h()&&(a=!1)}return a})})}function A(a,b){return a=new Request(a),t(a).then(function(a){return a?a.blob().then(function(d){return new Response(d,{status:503,statusText:"Offline",headers:a.headers})}):m(b).catch(function(a){throw a;})})}function I(a,b,e,d){var f=e.headers.get("etag"),c=w(e.headers.get("last-modified"));if(!f&&!c)return e=n(a,b),d&&(e=e.then(d)),e;e=
+new Request(a.url,{method:"HEAD",headers:a.headers,mode:"no-cors"});m(e).then(function(r){var g=!1,e=r.headers.get("etag");r=w(r.headers.get("last-modified"));return(e&&e!==f?g=!0:r&&r!==c&&(g=!0),g)?(g=n(a,b),d&&(g=g.then(d)),g):null}).catch(function(){var c=n(a,b);return d&&(c=c.then(d)),c})}function n(a,b,e){return m(a).then(function(d){if(d.ok&&400>d.status&&b){var f=!0;b.conditions&&b.conditions.forEach(function(c){if(f)switch(c.type){case "url":if(c.regex){var b=x(c.pattern);b?(b=b.test(a.url),
+c.not?b&&(f=!1):b||(f=!1)):f=!1}else b=-1!==a.url.indexOf(c.pattern),c.not?b&&(f=!1):b||(f=!1);break;case "header":var g=d.headers.get(c.name);if(g)if(c.regex)(b=x(c.pattern))?(b=b.test(g),c.not?b&&(f=!1):b||(f=!1)):f=!1;else if("object"==typeof c.pattern)if(c.pattern.operator){g=parseFloat(g);var e=parseFloat(c.pattern.value);if(isNaN(g)||isNaN(e))f=!1;else{switch(c.pattern.operator){case "<":b=g<e;break;case ">":b=g>e;break;case "=":b=g===e;break;default:f=!1}f&&(c.not?b&&(f=!1):b||(f=!1))}}else f=
+!1;else-1===g.indexOf(c.pattern)&&(f=!1);else f=!1}});f&&H(a,d.clone(),b)}return d}).catch(function(b){return e?e(a,null,b):null})}function F(){B||(!C||C<h()-10)&&(B=!0,C=h(),caches.keys().then(function(a){return a&&0!==a.length?Promise.all(a.map(function(a){return"abtf-loadscript"===a?Promise.resolve():0!==a.indexOf(q)?caches.delete(a):void caches.open(a).then(function(a){a.keys().then(function(b){if(!(b.length<y)){var d=[],c=[],e=[];return b.forEach(function(b){c.push(b);e.push(a.match(b))}),Promise.all(e).then(function(b){var f=
+h();if(b.forEach(function(b,e){if(b&&b.headers){var g=b.headers.get("x-abtf-sw");if(g){if((b=b.headers.get("x-abtf-sw-expire"))&&g&&g<h()-b)return void a.delete(c[e])}else g=f;!1!==d&&d.push({t:g,r:c[e]})}}),d&&d.length>y)d.sort(function(a,b){return a.t>b.t?-1:a.t<b.t?1:0}),d.slice(y).forEach(function(b){a.delete(b.r)})})}})})})).then(function(){B=!1}):Promise.resolve()}))}function x(a){if(a=a.match(J)){try{var b=new RegExp(a[1],a[2])}catch(e){}return b||!1}}function w(a){if(a)return isNaN(parseInt(a))?
+(a=Date.parse(a),isNaN(a)?void 0:Math.round(a/1E3)):a}function h(){return Math.round(Date.now()/1E3)}function z(){return p?Promise.resolve():(p=!0,m("./abtf-pwa-config.json?"+Math.round(Date.now()/1E3),{mode:"no-cors"}).then(function(a){if(p=!1,a&&a.ok&&400>a.status)return a.json().then(function(a){if(a){a instanceof Array&&(a={policy:a});a.policy&&(k=a.policy,u=h());var b=[];a.start_url&&b.push(a.start_url);a.policy&&a.policy.forEach(function(a){a.offline&&-1===b.indexOf(a.offline)&&b.push(a.offline)});
+a.preload&&a.preload.forEach(function(a){-1===b.indexOf(a)&&b.push(a)});var d=[];b.forEach(function(a){d.push(E(a))})}});throw k=!1,Error("service worker config not found: ./abtf-pwa-config.json");}).catch(function(a){k=p=!1;setTimeout(function(){throw a;})}))}function G(a){return(new Promise(function(b){if(!k||!u||a&&a>u){var e=!k;z().then(function(){e&&b(k?k:!1)}).catch(function(){e&&b(!1)})}else if(!p&&u<h()-300){p=!0;var d=new Request("./abtf-pwa-config.json?"+Math.round(Date.now()/1E3),{method:"HEAD",
+mode:"no-cors"});m(d).then(function(a){p=!1;var b=!0;a&&a.ok&&(a=w(a.headers.get("last-modified")))&&a<=u&&(b=!1);b&&z()}).catch(function(){p=!1;z()})}else b(k)})).catch(function(a){setTimeout(function(){throw a;})})}var q,k=!1,u=!1,y=1E3;v.prototype.add||(v.prototype.add=function(a){return this.addAll([a])});v.prototype.addAll||(v.prototype.addAll=function(a){function b(a){this.name="NetworkError";this.code=19;this.message=a}var e=this;return b.prototype=Object.create(Error.prototype),Promise.resolve().then(function(){if(1>
+arguments.length)throw new TypeError;return a=a.map(function(a){return a instanceof Request?a:String(a)}),Promise.all(a.map(function(a){"string"==typeof a&&(a=new Request(a));var d=(new URL(a.url)).protocol;if("http:"!==d&&"https:"!==d)throw new b("Invalid scheme");return m(a.clone()).catch(function(a){throw a;})}))}).then(function(b){return Promise.all(b.map(function(b,c){return e.put(a[c],b)}))}).then(function(){})});CacheStorage.prototype.match||(CacheStorage.prototype.match=function(a,b){var e=
+this;return this.keys().then(function(d){var f;return d.reduce(function(c,d){return c.then(function(){return f||e.open(d).then(function(c){return c.match(a,b)}).then(function(a){return f=a})})},Promise.resolve())})});l.addEventListener("install",function(a){a.waitUntil(z().then(function(){l.skipWaiting()}).catch(function(){l.skipWaiting()}))});l.addEventListener("activate",function(a){a.waitUntil(l.clients.claim())});var p,D,J=/^\/(.*)\/([gimuy]+)?$/,C=!1,B=!1;l.addEventListener("fetch",function(a){if("GET"===
+a.request.method){var b=!1;if(["wp-admin/","wp-login.php"].forEach(function(d){b||(d=new RegExp("^([^/]+)?//"+l.location.host+"(:[0-9]+)?/"+d),(d.test(a.request.url)||a.request.referrer&&d.test(a.request.referrer))&&(b=!0))}),!(b||a.request.url.match(/&preview=true/)||a.request.url.match(/&preview_nonce=/))&&(G(),k&&q)){var e=function(a,b){if(!b||0===b.length)return!1;if(D)try{clearTimeout(D)}catch(r){}D=setTimeout(F,500);var c=!1;if(b.forEach(function(b){if(!c&&b.match&&0!==b.match.length){var g=
+!0;b.match.forEach(function(b){if(g)switch(b.type){case "url":if(b.regex){var c=x(b.pattern);c?(c=c.test(a.request.url),b.not?c&&(g=!1):c||(g=!1)):g=!1}else if(b.pattern instanceof Array){var d=!1;b.pattern.forEach(function(b){d||-1!==a.request.url.indexOf(b)&&(d=!0)});b.not?d&&(g=!1):d||(g=!1)}else c=-1!==a.request.url.indexOf(b.pattern),b.not?c&&(g=!1):c||(g=!1);break;case "header":switch(b.name.toLowerCase()){case "referer":case "referrer":var e=a.request.referrer;break;default:e=a.request.headers.get(b.name)}e?
+b.regex?(c=x(b.pattern))?(c=c.test(e),b.not?c&&(g=!1):c||(g=!1)):g=!1:(c=-1!==e.indexOf(b.pattern),b.not?c&&(g=!1):c||(g=!1)):b.not||(g=!1)}});g&&(c=b)}}),!c)return!1;switch(c.strategy){case "never":return!1;case "cache":return t(a.request).then(function(b){if(b){var d=!0,e=c.cache.update_interval?!isNaN(parseInt(c.cache.update_interval))&&parseInt(c.cache.update_interval):!1;if(e){var f=b.headers.get("x-abtf-sw");f&&parseInt(f)>h()-e&&(d=!1)}return d&&function(a,b){setTimeout(function(){var d;if(c.cache.head_update&&
+(d=function(){clients.matchAll().then(function(b){b.forEach(function(b){b.postMessage([2,a.url])})})}),c.cache.head_update)I(a,c.cache,b,d);else{var e=n(a,c.cache);d&&e.then(d)}},10)}(a.request.clone(),b.clone()),b}return n(a.request,c.cache,function(b,d){return c.offline?A(c.offline,b.clone()):d||m(a.request.clone()).catch(function(a){throw a;})})});case "event":return t(a.request).then(function(b){return b||n(a.request,null,function(b,d){return c.offline?A(c.offline,b.clone()):d||m(a.request).catch(function(a){throw a;
+})})});default:return n(a.request,c.cache,function(b,d){return t(b).then(function(e){return e||(c.offline?A(c.offline,b.clone()):d||m(a.request).catch(function(a){throw a;}))})})}}(a,k);if(!1!==e)return a.respondWith(e)}}});l.addEventListener("message",function(a){if(a&&a.data&&a.data instanceof Array){if(1===a.data[0]){a.data[1]&&!isNaN(parseInt(a.data[1]))&&G(parseInt(a.data[1]));a.data[3]&&!isNaN(parseInt(a.data[3]))&&(y=parseInt(a.data[3]));var b="abtf:"+(a.data[2]?a.data[2]+":":"");b!==q&&(q=
+b);F()}if(2===a.data[0]||3===a.data[0])var e=a.ports[0]?function(b,d){a.ports[0].postMessage({error:b,status:d})}:!1;if(2===a.data[0])if(a.data[1]){var d;if("string"==typeof a.data[1]||a.data[1]instanceof Request?d=[a.data[1]]:a.data[1]instanceof Array&&(d=a.data[1]),d){var f=[];d.forEach(function(a){f.push(E(a))});e&&Promise.all(f).then(function(a){var b=[];a.forEach(function(a){var c={url:a.url,status:a.status,statusText:a.statusText};a=a.headers.get("content-length");c.size=isNaN(parseInt(a))?
+-1:parseInt(a);b.push(c)});e(null,b)}).catch(function(){})}else e&&e("invalid-data")}else e&&e("no-urls");3===a.data[0]&&(l.registration.showNotification(a.data[1],a.data[2]),e&&e(null,"sent"))}})}(self,self.fetch,Cache);
@@ -16,12 +16,373 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
     var timeset = false;
 
+    // first user interaction events
+    var INTERACTION_EVENTS = ['mousemove', 'mousedown', 'touchstart', 'keydown', 'scroll', 'wheel'];
+
+    /**
+     * Load stylesheet with failure detection and retry
+     *
+     * A failed or timed out stylesheet is retried with exponential backoff. When a proxy or CDN url keeps failing,
+     * the original url is loaded as a last attempt. The callback receives false when the stylesheet failed.
+     */
+    var LOADCSS_RETRY = function(href, media, fallback, callback) {
+
+        // [retries, delay, timeout]
+        var config = Abtf[CONFIG.CSS_RETRY] || [];
+        var retries = (typeof config[CONFIG.CSS_RETRY_RETRIES] === 'number') ? config[CONFIG.CSS_RETRY_RETRIES] : 2;
+        var delay = (typeof config[CONFIG.CSS_RETRY_DELAY] === 'number') ? config[CONFIG.CSS_RETRY_DELAY] : 1000;
+        var timeout = (typeof config[CONFIG.CSS_RETRY_TIMEOUT] === 'number') ? config[CONFIG.CSS_RETRY_TIMEOUT] : 10000;
+
+        var url = href;
+        var attempt = 0;
+        var done = false;
+        var retryTimeout;
+
+        var start = function() {
+            attempt++;
+
+            var failed = false;
+            var loadTimeout;
+
+            var fail = function(reason) {
+                if (failed || done) {
+                    return;
+                }
+                failed = true;
+                clearTimeout(loadTimeout);
+
+                if (ABTFDEBUG) {
+                    console.warn('Abtf.css() ➤ load failed', reason, Abtf[CONFIG.LOCALURL](url), 'attempt ' + attempt);
+                }
+
+                Abtf[CONFIG.EMIT]('css:error', {
+                    url: url,
+                    media: media,
+                    attempt: attempt,
+                    reason: reason
+                });
+
+                if (url !== fallback && attempt <= retries) {
+
+                    // retry with backoff
+                    retryTimeout = setTimeout(start, delay * Math.pow(2, attempt - 1));
+                } else if (fallback && url !== fallback) {
+
+                    // original url
+                    if (ABTFDEBUG) {
+                        console.warn('Abtf.css() ➤ fallback to original url', Abtf[CONFIG.LOCALURL](fallback));
+                    }
+                    url = fallback;
+                    start();
+                } else {
+                    done = true;
+                    Abtf[CONFIG.EMIT]('css:failed', {
+                        url: href,
+                        media: media
+                    });
+                    callback(false);
+                }
+            };
+
+            // a failed or timed out attempt is removed and does not complete
+            var abort = Abtf[CONFIG.LOADCSS](url, media, function() {
+                clearTimeout(loadTimeout);
+
+                if (done) {
+                    return;
+                }
+                done = true;
+                clearTimeout(retryTimeout);
+                callback(true);
+            }, function() {
+                fail('error');
+            });
+
+            // sheet presence timeout
+            if (timeout > 0) {
+                loadTimeout = setTimeout(function() {
+
+                    // downloaded, waiting for render plugins
+                    if (!abort()) {
+                        return;
+                    }
+                    fail('timeout');
+                }, timeout);
+            }
+        };
+
+        start();
+    };
+
+    /**
+     * Stylesheet load strategies
+     *
+     * Strategies that wait for the user or the viewport are deferred and are not included in css:loaded.
+     */
+    var STRATEGIES = {
+
+        // load on first user interaction
+        'interaction': [true, function(load) {
+            var loaded = false;
+            var l = INTERACTION_EVENTS.length;
+            var onInteraction = function() {
+                if (loaded) {
+                    return;
+                }
+                loaded = true;
+                for (var i = 0; i < l; i++) {
+                    window.removeEventListener(INTERACTION_EVENTS[i], onInteraction, true);
+                }
+                load();
+            };
+            for (var i = 0; i < l; i++) {
+                window.addEventListener(INTERACTION_EVENTS[i], onInteraction, true);
+            }
+        }],
+
+        // load when an element matching a selector enters the viewport, or in CPU idle time when no element matches
+        'inview': [true, function(load, selector) {
+            Abtf[CONFIG.DOMREADY](function() {
+                var elements;
+                try {
+                    elements = (selector) ? document.querySelectorAll(selector) : [];
+                } catch (err) {
+                    elements = [];
+                }
+                if (!elements.length) {
+                    if (ABTFDEBUG) {
+                        console.warn('Abtf.css() ➤ inview ➤ no element matches selector, load in idle time', selector);
+                    }
+                    STRATEGIES['idle'][1](load);
+                    return;
+                }
+
+                // IntersectionObserver not supported
+                if (!('IntersectionObserver' in window)) {
+                    load();
+                    return;
+                }
+
+                var observer = new IntersectionObserver(function(entries) {
+                    var l = entries.length;
+                    for (var i = 0; i < l; i++) {
+                        if (entries[i].isIntersecting || entries[i].intersectionRatio > 0) {
+                            observer.disconnect();
+                            load();
+                            return;
+                        }
+                    }
+                }, {
+                    'rootMargin': '200px 0px'
+                });
+                var l = elements.length;
+                for (var i = 0; i < l; i++) {
+                    observer.observe(elements[i]);
+                }
+            });
+        }],
+
+        // load in CPU idle time within an optional timeout
+        'idle': [false, function(load, timeout) {
+            if (Abtf[CONFIG.IDLE]) {
+                Abtf[CONFIG.IDLE](load, (timeout) ? {
+                    timeout: timeout
+                } : undefined);
+            } else {
+                setTimeout(load, (timeout) ? Math.min(timeout, 1000) : 1);
+            }
+        }],
+
+        // load when a media query matches
+        'media': [true, function(load, query) {
+            var mql = (query && window.matchMedia) ? window.matchMedia(query) : false;
+            if (!mql || mql.matches) {
+                load();
+                return;
+            }
+            var onChange = function() {
+                if (!mql.matches) {
+                    return;
+                }
+                if (mql.removeEventListener) {
+                    mql.removeEventListener('change', onChange);
+                } else {
+                    mql.removeListener(onChange);
+                }
+                load();
+            };
+            if (mql.addEventListener) {
+                mql.addEventListener('change', onChange);
+            } else {
+                mql.addListener(onChange);
+            }
+        }],
+
+        // download with high priority using <link rel=preload> and apply when downloaded
+        'preload': [false, function(load, param, href) {
+            var link = document.createElement('link');
+            if (!link.relList || !link.relList.supports || !link.relList.supports('preload')) {
+                load();
+                return;
+            }
+            var loaded = false;
+            var onload = function() {
+                if (loaded) {
+                    return;
+                }
+                loaded = true;
+                load();
+            };
+            Abtf[CONFIG.CSP_NONCE](link);
+            link.rel = 'preload';
+            link.setAttribute('as', 'style');
+            link.href = href;
+            link.onload = onload;
+            link.onerror = onload;
+            document.head.appendChild(link);
+        }]
+    };
+
+    /**
+     * Critical CSS cleanup
+     *
+     * Disables or removes the critical CSS when the full CSS is applied. The critical CSS is restored when the
+     * position or size of a sentinel element changes.
+     */
+    var CRITICAL_CSS_CLEANUP = function() {
+        var cleanup = Abtf[CONFIG.CRITICAL_CLEANUP];
+        var style = document.getElementById('AbtfCSS');
+        if (!style || !style.sheet) {
+            return;
+        }
+
+        // sentinel elements
+        var sentinels = [];
+        var selectors = (cleanup[CONFIG.CRITICAL_CLEANUP_SENTINELS] instanceof Array) ? cleanup[CONFIG.CRITICAL_CLEANUP_SENTINELS] : [];
+        var l = selectors.length;
+        for (var i = 0; i < l; i++) {
+            try {
+                var el = document.querySelector(selectors[i]);
+            } catch (err) {
+                if (ABTFDEBUG) {
+                    console.error('Abtf.css() ➤ critical CSS cleanup ➤ invalid sentinel selector', selectors[i]);
+                }
+                continue;
+            }
+            if (el) {
+                sentinels.push([selectors[i], el]);
+            }
+        }
+
+        // sentinel layout
+        var layout = function() {
+            var result = [];
+            var l = sentinels.length;
+            for (var i = 0; i < l; i++) {
+                var rect = sentinels[i][1].getBoundingClientRect();
+                result.push([Math.round(rect.left), Math.round(rect.top), Math.round(rect.width), Math.round(rect.height)].join(','));
+            }
+            return result;
+        };
+
+        if (ABTFDEBUG) {
+
+            // computed styles of elements targeted by critical CSS rules
+            var overrides = [];
+            var rules;
+            try {
+                rules = style.sheet.cssRules || [];
+            } catch (err) {
+                rules = [];
+            }
+            var rl = Math.min(rules.length, 500);
+            for (var ri = 0; ri < rl; ri++) {
+                if (!rules[ri].selectorText || !rules[ri].style) {
+                    continue;
+                }
+                try {
+                    var target = document.querySelector(rules[ri].selectorText);
+                } catch (err) {
+                    continue;
+                }
+                if (!target) {
+                    continue;
+                }
+                var computed = window.getComputedStyle(target);
+                var pl = rules[ri].style.length;
+                for (var pi = 0; pi < pl; pi++) {
+                    var prop = rules[ri].style[pi];
+                    overrides.push([rules[ri].selectorText, prop, computed.getPropertyValue(prop), target]);
+                }
+            }
+        }
+
+        var before = layout();
+        style.sheet.disabled = true;
+        var after = layout();
+
+        // layout shift, restore critical CSS
+        var l = before.length;
+        for (var i = 0; i < l; i++) {
+            if (before[i] !== after[i]) {
+                style.sheet.disabled = false;
+
+                if (ABTFDEBUG) {
+                    console.warn('Abtf.css() ➤ critical CSS cleanup ➤ layout shift, critical CSS kept', sentinels[i][0], before[i], '➤', after[i]);
+                }
+                Abtf[CONFIG.EMIT]('css:critical', {
+                    status: 'kept'
+                });
+                return;
+            }
+        }
+
+        if (ABTFDEBUG) {
+
+            // report critical CSS that overrides the full CSS
+            var report = [];
+            var ol = overrides.length;
+            for (var oi = 0; oi < ol; oi++) {
+                var value = window.getComputedStyle(overrides[oi][3]).getPropertyValue(overrides[oi][1]);
+                if (value !== overrides[oi][2]) {
+                    report.push({
+                        'selector': overrides[oi][0],
+                        'property': overrides[oi][1],
+                        'critical': overrides[oi][2],
+                        'full': value
+                    });
+                }
+            }
+            if (report.length) {
+                console.warn('Abtf.css() ➤ critical CSS cleanup ➤ ' + report.length + ' critical CSS overrides');
+                if (console.table) {
+                    console.table(report);
+                }
+            } else {
+                console.info('Abtf.css() ➤ critical CSS cleanup ➤ no critical CSS overrides');
+            }
+        }
+
+        if (cleanup[CONFIG.CRITICAL_CLEANUP_MODE] === 'remove') {
+            style.parentNode.removeChild(style);
+        }
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.css() ➤ critical CSS ' + ((cleanup[CONFIG.CRITICAL_CLEANUP_MODE] === 'remove') ? 'removed' : 'disabled'));
+        }
+
+        Abtf[CONFIG.EMIT]('css:critical', {
+            status: (cleanup[CONFIG.CRITICAL_CLEANUP_MODE] === 'remove') ? 'removed' : 'disabled'
+        });
+    };
+
     Abtf[CONFIG.LOAD_CSS] = function() {
 
-        var m;
+        var m, i;
         var files = Abtf[CONFIG.CSS];
 
         if (!files) {
+            Abtf[CONFIG.EMIT]('css:loaded', 0);
             return;
         }
 
@@ -29,6 +390,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
             if (ABTFDEBUG) {
                 console.error('Abtf.css()', 'output buffer failed to apply CSS optimization');
             }
+            Abtf[CONFIG.EMIT]('css:loaded', 0);
             return;
         }
 
@@ -39,6 +401,89 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         // target for inserting CSS
         var target = (document.getElementById('AbtfCSS')) ? document.getElementById('AbtfCSS').nextSibling : false;
 
+        // files pending render
+        var pending = 0;
+        var total;
+
+        // non-print files pending render for critical CSS cleanup, including deferred files
+        var screenPending = 0;
+        var screenFailed = false;
+        var isScreen = function(media) {
+            return (media !== 'print');
+        };
+
+        // all non-print stylesheets applied, cleanup critical CSS
+        var screenRendered = function(success, media) {
+            if (!isScreen(media)) {
+                return;
+            }
+            if (!success) {
+                screenFailed = true;
+            }
+            screenPending--;
+            if (screenPending === 0 && Abtf[CONFIG.CRITICAL_CLEANUP]) {
+                if (screenFailed) {
+                    if (ABTFDEBUG) {
+                        console.warn('Abtf.css() ➤ critical CSS cleanup ➤ stylesheet failed, critical CSS kept');
+                    }
+                } else {
+                    Abtf[CONFIG.RAF](CRITICAL_CSS_CLEANUP);
+                }
+            }
+        };
+
+        // stylesheet rendered, emit css:file and css:loaded events
+        var rendered = function(href, media) {
+            return function(success) {
+                if (success) {
+                    Abtf[CONFIG.EMIT]('css:file', {
+                        url: href,
+                        media: media
+                    });
+                }
+
+                screenRendered(success, media);
+
+                pending--;
+                if (pending === 0) {
+                    Abtf[CONFIG.EMIT]('css:loaded', total);
+                }
+            };
+        };
+
+        // return load strategy of file
+        var strategy = function(file) {
+            if (file[2] instanceof Array && STRATEGIES[file[2][0]]) {
+                return STRATEGIES[file[2][0]];
+            }
+            return false;
+        };
+
+        // load stylesheet
+        var load = function(href, media, fallback, deferred) {
+            return function() {
+                if (ABTFDEBUG) {
+                    if (deferred) {
+                        console.info('Abtf.css() ➤ deferred load', Abtf[CONFIG.LOCALURL](href));
+                    }
+                }
+                Abtf[CONFIG.EMIT]('css:start', {
+                    url: href,
+                    media: media
+                });
+                LOADCSS_RETRY(href, media, fallback, (deferred) ? function(success) {
+                    if (success) {
+                        Abtf[CONFIG.EMIT]('css:file', {
+                            url: href,
+                            media: media
+                        });
+                    }
+
+                    screenRendered(success, media);
+                } : rendered(href, media));
+            };
+        };
+
         for (i in files) {
             if (!files.hasOwnProperty(i) || typeof files[i] !== 'object') {
                 if (ABTFDEBUG) {
@@ -46,9 +491,45 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                 }
                 continue;
             }
+
+            // the critical CSS is kept until deferred stylesheets are applied
+            if (isScreen(files[i][0].join(','))) {
+                screenPending++;
+            }
+
+            // deferred strategies are not included in css:loaded
+            if (strategy(files[i]) && strategy(files[i])[0]) {
+                continue;
+            }
+            pending++;
+        }
+        total = pending;
+
+        for (i in files) {
+            if (!files.hasOwnProperty(i) || typeof files[i] !== 'object') {
+                continue;
+            }
             m = files[i][0].join(',');
-            Abtf[CONFIG.LOADCSS](files[i][1], m);
+
+            var fileStrategy = strategy(files[i]);
+            if (fileStrategy) {
+                if (ABTFDEBUG) {
+                    console.info('Abtf.css() ➤ ' + files[i][2][0], Abtf[CONFIG.LOCALURL](files[i][1]), (typeof files[i][2][1] !== 'undefined') ? files[i][2][1] : '');
+                }
+                fileStrategy[1](load(files[i][1], m, files[i][3], fileStrategy[0]), files[i][2][1], files[i][1]);
+            } else {
+                if (ABTFDEBUG) {
+                    if (files[i][2]) {
+                        console.error('Abtf.css()', 'Invalid CSS load strategy', files[i][1], files[i][2]);
+                    }
+                }
+                load(files[i][1], m, files[i][3])();
+            }
+        }
+
+        if (total === 0) {
+            Abtf[CONFIG.EMIT]('css:loaded', 0);
         }
     };
 
-});
\ No newline at end of file
+}, 'css');
\ No newline at end of file
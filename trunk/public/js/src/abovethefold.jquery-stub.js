@@ -162,4 +162,4 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf, document, Object) {
         return jQuery;
     });
 
-});
\ No newline at end of file
+}, 'jquery-stub');
\ No newline at end of file
@@ -22,32 +22,270 @@
         b[c] ? b[c]('DOMContentLoaded', a) : window.attachEvent('onload', a);
     };
 
+    /**
+     * Promise with fallback for browsers that do not support Promise
+     */
+    var PROMISE = function(executor) {
+        if ('Promise' in window) {
+            return new Promise(executor);
+        }
+
+        var resolved = false;
+        var value;
+        var callbacks = [];
+        executor(function(result) {
+            if (resolved) {
+                return;
+            }
+            resolved = true;
+            value = result;
+            var l = callbacks.length;
+            for (var i = 0; i < l; i++) {
+                callbacks[i](value);
+            }
+        });
+
+        return {
+
+            // returns a chained promise that resolves with the return value of fn
+            then: function(fn) {
+                return PROMISE(function(resolve) {
+                    var next = function(result) {
+                        result = (fn) ? fn(result) : result;
+                        if (result && typeof result.then === 'function') {
+                            result.then(resolve);
+                        } else {
+                            resolve(result);
+                        }
+                    };
+                    if (resolved) {
+                        next(value);
+                    } else {
+                        callbacks.push(next);
+                    }
+                });
+            }
+        };
+    };
+
+    /**
+     * Lifecycle events
+     *
+     * Emitted events are stored so that listeners that are added later receive past events.
+     */
+    var EVENT_LISTENERS = {};
+    var EVENT_HISTORY = {};
+
+    // call event listener without breaking the loader
+    var CALL_LISTENER = function(listener, data) {
+        try {
+            listener(data);
+        } catch (err) {
+            if (ABTFDEBUG) {
+                console.error('Abtf.on()', 'event listener error', err);
+            }
+            setTimeout(function() {
+                throw err;
+            });
+        }
+    };
+
+    // emit event
+    Abtf[CONFIG.EMIT] = function(event, data) {
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.on() ➤ ' + event, (typeof data !== 'undefined') ? data : '');
+        }
+
+        if (!EVENT_HISTORY[event]) {
+            EVENT_HISTORY[event] = [];
+        }
+        EVENT_HISTORY[event].push(data);
+
+        var listeners = EVENT_LISTENERS[event];
+        if (listeners) {
+            var l = listeners.length;
+            for (var i = 0; i < l; i++) {
+                CALL_LISTENER(listeners[i], data);
+            }
+        }
+    };
+
+    // public method: listen for event, e.g. css:loaded, js:file or fonts:active
+    Abtf.on = function(event, listener) {
+        if (typeof listener !== 'function') {
+            return;
+        }
+
+        if (!EVENT_LISTENERS[event]) {
+            EVENT_LISTENERS[event] = [];
+        }
+        EVENT_LISTENERS[event].push(listener);
+
+        // past events
+        if (EVENT_HISTORY[event]) {
+            var history = EVENT_HISTORY[event].slice(0);
+            var l = history.length;
+            for (var i = 0; i < l; i++) {
+                CALL_LISTENER(listener, history[i]);
+            }
+        }
+    };
+
+    // public method: promise that resolves when a loader (css, js or fonts) completes, or with false when the
+    // client config is not applied (config:failed)
+    Abtf.ready = function(type) {
+        return PROMISE(function(resolve) {
+            Abtf.on(type + ':loaded', resolve);
+            Abtf.on('config:failed', function() {
+                resolve(false);
+            });
+        });
+    };
+
+    // public method: promise that resolves when all active loaders complete
+    Abtf.whenAll = function(types) {
+
+        if (!(types instanceof Array)) {
+            types = [];
+            if (Abtf[CONFIG.CSS]) {
+                types.push('css');
+            }
+            if (Abtf[CONFIG.JS]) {
+                types.push('js');
+            }
+            if (Abtf[CONFIG.GWF]) {
+                types.push('fonts');
+            }
+        }
+
+        return PROMISE(function(resolve) {
+            var pending = types.length;
+            var results = {};
+            if (pending === 0) {
+                resolve(results);
+                return;
+            }
+            var l = types.length;
+            for (var i = 0; i < l; i++) {
+                (function(type) {
+                    Abtf.ready(type).then(function(data) {
+                        results[type] = data;
+                        pending--;
+                        if (pending === 0) {
+                            resolve(results);
+                        }
+                    });
+                })(types[i]);
+            }
+        });
+    };
+
     // init Above the fold optimization client
     var MODULE_QUEUE = [];
     var CORE_MODULE_LOADED;
-    Abtf[CONFIG.LOAD_MODULE] = function(factory, core) {
-        if (!CORE_MODULE_LOADED && !core) {
-            MODULE_QUEUE.push(factory);
-        } else {
-            factory(window, window.Abtf, window.document, Object);
-            if (core === true) {
-                if (MODULE_QUEUE.length > 0) {
-                    var module = MODULE_QUEUE.shift();
-                    while (module) {
-                        Abtf[CONFIG.LOAD_MODULE](module, 1);
-                        module = MODULE_QUEUE.shift();
-                    }
-                }
-                CORE_MODULE_LOADED = true;
 
-                // load queued header init
-                if (HEADER_LOAD_QUEUED) {
-                    Abtf[CONFIG.HEADER]();
+    // loaded named modules
+    var MODULES = {};
+
+    // named modules waiting for dependencies, [name, dependencies, factory]
+    var MODULE_DEPENDENCY_QUEUE = [];
+
+    // load named modules of which the dependencies have been loaded
+    var LOAD_DEPENDENCY_QUEUE = function() {
+        var l = MODULE_DEPENDENCY_QUEUE.length;
+        for (var i = 0; i < l; i++) {
+            var deps = MODULE_DEPENDENCY_QUEUE[i][1];
+            var ready = true;
+            var dl = deps.length;
+            for (var di = 0; di < dl; di++) {
+                if (!MODULES[deps[di]]) {
+                    ready = false;
+                    break;
                 }
             }
+            if (ready) {
+                var module = MODULE_DEPENDENCY_QUEUE.splice(i, 1)[0];
+                Abtf[CONFIG.LOAD_MODULE](module[2], module[0]);
+
+                // the queue is modified, restart
+                LOAD_DEPENDENCY_QUEUE();
+                return;
+            }
+        }
+    };
+
+    Abtf[CONFIG.LOAD_MODULE] = function(factory, name) {
+        if (!CORE_MODULE_LOADED && name !== 'core') {
+            MODULE_QUEUE.push([factory, name]);
+            return;
+        }
+
+        factory(window, window.Abtf, window.document, Object);
+
+        if (name === 'core') {
+            CORE_MODULE_LOADED = true;
+        }
+
+        if (name) {
+            MODULES[name] = true;
+            Abtf[CONFIG.EMIT]('module:loaded', name);
+            LOAD_DEPENDENCY_QUEUE();
+        }
+
+        if (name === 'core') {
+            var module = MODULE_QUEUE.shift();
+            while (module) {
+                Abtf[CONFIG.LOAD_MODULE](module[0], module[1]);
+                module = MODULE_QUEUE.shift();
+            }
+
+            // load queued header init
+            if (HEADER_LOAD_QUEUED) {
+                Abtf[CONFIG.HEADER]();
+            }
         }
     };
 
+    // public method: register a named module for themes and plugins, e.g. Abtf.module('my-module', ['css'], fn)
+    Abtf.module = function(name, dependencies, factory) {
+        if (typeof dependencies === 'function') {
+            factory = dependencies;
+            dependencies = [];
+        }
+        if (typeof name !== 'string' || typeof factory !== 'function' || !(dependencies instanceof Array)) {
+            if (ABTFDEBUG) {
+                console.error('Abtf.module()', 'invalid module', name);
+            }
+            return;
+        }
+        if (MODULES[name]) {
+            if (ABTFDEBUG) {
+                console.error('Abtf.module()', 'module already loaded', name);
+            }
+            return;
+        }
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.module() ➤ ' + name, (dependencies.length) ? dependencies : '');
+        }
+
+        // errors in the module do not break the loader
+        MODULE_DEPENDENCY_QUEUE.push([name, dependencies, function(window, Abtf, document) {
+            try {
+                factory(window, Abtf, document);
+            } catch (err) {
+                if (ABTFDEBUG) {
+                    console.error('Abtf.module()', 'module error', name, err);
+                }
+                setTimeout(function() {
+                    throw err;
+                });
+            }
+        }]);
+        LOAD_DEPENDENCY_QUEUE();
+    };
+
     // Core factory 
     var CoreModule = function(window, Abtf) {
 
@@ -63,6 +301,14 @@
             raf.apply(window, arguments);
         };
 
+        // Content Security Policy nonce for injected scripts and styles
+        Abtf[CONFIG.CSP_NONCE] = function(el) {
+            if (CSP_NONCE) {
+                el.setAttribute('nonce', CSP_NONCE);
+            }
+            return el;
+        };
+
         // requestIdleCallback, run tasks in CPU idle time
         var id = (window.requestIdleCallback) ? window.requestIdleCallback : false;
         Abtf[CONFIG.IDLE] = (id) ? function() {
@@ -73,6 +319,22 @@
             var GWF_CONFIG = Abtf[CONFIG.GWF];
         }
 
+        // wrap WebFontConfig callback to emit fonts:active / fonts:inactive and fonts:loaded
+        var FONTS_LOADED = false;
+        var FONT_EVENT = function(status, callback) {
+            return function() {
+                if (typeof callback === 'function') {
+                    callback.apply(this, arguments);
+                }
+                if (FONTS_LOADED) {
+                    return;
+                }
+                FONTS_LOADED = true;
+                Abtf[CONFIG.EMIT]('fonts:' + status);
+                Abtf[CONFIG.EMIT]('fonts:loaded', status);
+            };
+        };
+
         // load Google WebFonts
         var LOAD_GWF = function() {
             if (GWF_CONFIG[CONFIG.GWF_ASYNC]) {
@@ -127,6 +389,10 @@
                     }
                 }
 
+                // emit web font events
+                window.WebFontConfig.active = FONT_EVENT('active', window.WebFontConfig.active);
+                window.WebFontConfig.inactive = FONT_EVENT('inactive', window.WebFontConfig.inactive);
+
                 if (!GWF_CONFIG[CONFIG.GWF_FOOTER]) {
                     LOAD_GWF();
                 }
@@ -181,7 +447,7 @@
          */
         Abtf[CONFIG.ASYNC] = function(scriptFile, id) {
             (function(d) {
-                var wf = d.createElement('script');
+                var wf = Abtf[CONFIG.CSP_NONCE](d.createElement('script'));
                 wf.src = scriptFile;
                 if (id) {
                     wf.id = id;
@@ -212,6 +478,89 @@
         }
     }
 
+    /**
+     * Config schema
+     *
+     * Each section is validated before it is applied. When the server config was built from a different
+     * config index (schema version), only valid sections are applied.
+     */
+    var IS_OBJECT = function(value) {
+        return (value !== null && typeof value === 'object');
+    };
+    var CONFIG_SCHEMA = {};
+    CONFIG_SCHEMA[CONFIG.JS] = ['js', function(js) {
+
+        // [scripts, footer, idle, interaction]
+        return (IS_OBJECT(js) && (IS_OBJECT(js[0]) || typeof js[0] === 'string') && typeof js[1] === 'boolean');
+    }];
+    CONFIG_SCHEMA[CONFIG.CSS] = ['css', function(css) {
+
+        // output buffer replacement string
+        if (typeof css === 'string') {
+            return true;
+        }
+        if (!(css instanceof Array)) {
+            return false;
+        }
+
+        // [[media, href, strategy, fallback], ...]
+        var l = css.length;
+        for (var i = 0; i < l; i++) {
+            if (!(css[i] instanceof Array) || typeof css[i][1] !== 'string') {
+                return false;
+            }
+        }
+        return true;
+    }];
+    CONFIG_SCHEMA[CONFIG.CSS_FOOTER] = ['css_footer', function(footer) {
+        return (typeof footer === 'boolean');
+    }];
+    CONFIG_SCHEMA[CONFIG.CSS_DELAY] = ['css_delay', function(delay) {
+        return (typeof delay === 'number');
+    }];
+    CONFIG_SCHEMA[CONFIG.CSS_BUDGET] = ['css_budget', function(budget) {
+        return (typeof budget === 'number');
+    }];
+    CONFIG_SCHEMA[CONFIG.PROXY] = ['proxy', function(proxy) {
+        return (IS_OBJECT(proxy) && typeof proxy[CONFIG.PROXY_URL] === 'string');
+    }];
+    CONFIG_SCHEMA[CONFIG.GWF] = ['gwf', function(gwf) {
+        return (IS_OBJECT(gwf) && typeof gwf[CONFIG.GWF_FOOTER] === 'boolean');
+    }];
+    CONFIG_SCHEMA[CONFIG.PWA] = ['pwa', function(pwa) {
+        return (IS_OBJECT(pwa) && typeof pwa[CONFIG.PWA_PATH] === 'string' && typeof pwa[CONFIG.PWA_SCOPE] === 'string');
+    }];
+    CONFIG_SCHEMA[CONFIG.PWA_UNREGISTER] = ['pwa_unregister', function(unregister) {
+        return (typeof unregister === 'boolean');
+    }];
+    CONFIG_SCHEMA[CONFIG.TELEMETRY] = ['telemetry', function(telemetry) {
+        return (IS_OBJECT(telemetry) && typeof telemetry[CONFIG.TELEMETRY_URL] === 'string');
+    }];
+    CONFIG_SCHEMA[CONFIG.CSS_RETRY] = ['css_retry', function(retry) {
+        return (IS_OBJECT(retry) && typeof retry[CONFIG.CSS_RETRY_RETRIES] === 'number');
+    }];
+    CONFIG_SCHEMA[CONFIG.LOADCSS_CONFIG] = ['loadcss_config', function(loadcss) {
+        return (IS_OBJECT(loadcss) && typeof loadcss[CONFIG.LOADCSS_CONFIG_SWAP] === 'string');
+    }];
+    CONFIG_SCHEMA[CONFIG.CRITICAL_CLEANUP] = ['critical_cleanup', function(cleanup) {
+        return (IS_OBJECT(cleanup) && typeof cleanup[CONFIG.CRITICAL_CLEANUP_MODE] === 'string');
+    }];
+    CONFIG_SCHEMA[CONFIG.JS_FAILURE] = ['js_failure', function(failure) {
+        return (IS_OBJECT(failure) && typeof failure[CONFIG.JS_FAILURE_TIMEOUT] === 'number');
+    }];
+    CONFIG_SCHEMA[CONFIG.JS_PARALLEL] = ['js_parallel', function(parallel) {
+        return (typeof parallel === 'boolean');
+    }];
+    CONFIG_SCHEMA[CONFIG.JS_SANDBOX] = ['js_sandbox', function(sandbox) {
+        return (IS_OBJECT(sandbox) && IS_OBJECT(sandbox[CONFIG.JS_SANDBOX_SCRIPTS]));
+    }];
+    CONFIG_SCHEMA[CONFIG.PREFETCH] = ['prefetch', function(prefetch) {
+        return (IS_OBJECT(prefetch) && typeof prefetch[CONFIG.PREFETCH_MODE] === 'string' && IS_OBJECT(prefetch[CONFIG.PREFETCH_EXCLUDE]));
+    }];
+
+    // Content Security Policy nonce of the client script
+    var CSP_NONCE = false;
+
     // load config
     var configParam = 'data-abtf';
     var LOAD_CONFIG = function(script) {
@@ -229,18 +578,55 @@
             if (ABTFDEBUG) {
                 console.error('Abtf', 'invalid config', config);
             }
+            Abtf[CONFIG.EMIT]('config:failed', 'invalid');
             throw new Error('invalid config');
         }
+
+        // server config built from a different config index, e.g. a stale HTML page served by a CDN
+        if (config[CONFIG.SCHEMA] !== ABTFSCHEMA) {
+            if (window.console && typeof console.warn !== 'undefined') {
+                console.warn('Abtf', 'config schema mismatch', config[CONFIG.SCHEMA], ABTFSCHEMA);
+            }
+            Abtf[CONFIG.EMIT]('config:mismatch', config[CONFIG.SCHEMA]);
+
+            // loaders do not start, pending ready promises resolve with false
+            Abtf[CONFIG.EMIT]('config:failed', 'schema');
+
+            // fail safe: the config positions are unknown, reload once without optimization (?noabtf)
+            if (!/[?&]noabtf(=|&|$)/.test(window.location.search)) {
+                var url = window.location.href.split('#');
+                url[0] += ((url[0].indexOf('?') === -1) ? '?' : '&') + 'noabtf';
+                window.location.replace(url.join('#'));
+            }
+            return;
+        }
+
         var l = config.length;
         for (var i = 0; i < l; i++) {
-            if (typeof window.Abtf[i] !== 'undefined') {
+            if (typeof window.Abtf[i] !== 'undefined' || config[i] === -1) {
                 continue;
             }
-            window.Abtf[i] = (config[i] === -1) ? undefined : config[i];
+
+            if (CONFIG_SCHEMA[i]) {
+
+                // ignore invalid section
+                if (!CONFIG_SCHEMA[i][1](config[i])) {
+                    if (ABTFDEBUG) {
+                        console.error('Abtf', 'invalid config section', CONFIG_SCHEMA[i][0], config[i]);
+                    }
+                    Abtf[CONFIG.EMIT]('config:invalid', CONFIG_SCHEMA[i][0]);
+                    continue;
+                }
+            }
+
+            window.Abtf[i] = config[i];
         }
 
+        // the browser hides the nonce attribute, read the nonce property
+        CSP_NONCE = script.nonce || script.getAttribute('nonce') || false;
+
         // load core module
-        Abtf[CONFIG.LOAD_MODULE](CoreModule, true);
+        Abtf[CONFIG.LOAD_MODULE](CoreModule, 'core');
     }
 
     // detect script object
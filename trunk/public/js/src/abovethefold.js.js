@@ -43,12 +43,31 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     // dependency loaded state
     var DEPENDENCY_LOADED = {};
 
+    // dependency failed state (reason)
+    var DEPENDENCY_FAILED = {};
+
+    /**
+     * Failure policy for dependants of a failed handle
+     *
+     * skip: dependants are not loaded
+     * load: dependants are loaded without the failed dependency
+     */
+    var FAILURE_POLICY = function(handle) {
+        var config = Abtf[CONFIG.JS_FAILURE] || [];
+        var policy = config[CONFIG.JS_FAILURE_POLICY];
+        var name = DEPENDENCIES[handle] || handle;
+        if (policy && typeof policy[name] === 'string') {
+            return policy[name];
+        }
+        return config[CONFIG.JS_FAILURE_DEFAULT] || 'skip';
+    };
+
     if (ABTFDEBUG) {
         var DEPENDENCY_WAIT_NOTICE = {};
     }
 
-    // wait for dependencies to execute callback
-    var WAIT_FOR_DEPENDENCIES = function(script, deps, callback) {
+    // wait for dependencies to execute callback, or to execute onskip when a dependency failed
+    var WAIT_FOR_DEPENDENCIES = function(script, deps, callback, onskip) {
 
         // no dependencies
         if (deps === false || !(deps instanceof Array) || deps.length === 0) {
@@ -57,6 +76,21 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         }
 
         var dependencies_ready = true;
+        var failed_dependency = false;
+
+        // dependency state: true = ready, false = wait
+        var DEPENDENCY_READY = function(dep) {
+            if (typeof DEPENDENCY_LOADED[dep] !== 'undefined') {
+                return true;
+            }
+            if (typeof DEPENDENCY_FAILED[dep] !== 'undefined') {
+                if (FAILURE_POLICY(dep) === 'load') {
+                    return true;
+                }
+                failed_dependency = dep;
+            }
+            return false;
+        };
 
         if (ABTFDEBUG) {
             var wait_for = false;
@@ -71,7 +105,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
                 var gl = DEPENDENCY_GROUPS[deps[i]].length;
                 for (var gi = 0; gi < gl; gi++) {
-                    if (typeof DEPENDENCY_LOADED[DEPENDENCY_GROUPS[deps[i]][gi]] === 'undefined') {
+                    if (!DEPENDENCY_READY(DEPENDENCY_GROUPS[deps[i]][gi])) {
                         dependencies_ready = false;
 
                         if (ABTFDEBUG) {
@@ -88,7 +122,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                 }
 
             } else {
-                if (typeof DEPENDENCY_LOADED[deps[i]] === 'undefined') {
+                if (!DEPENDENCY_READY(deps[i])) {
                     dependencies_ready = false;
 
                     if (ABTFDEBUG) {
@@ -101,7 +135,12 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
         }
 
-        if (dependencies_ready === false) {
+        if (failed_dependency !== false) {
+
+            // dependency failed, skip script
+            onskip(failed_dependency);
+
+        } else if (dependencies_ready === false) {
 
             if (LOADING_SCRIPTS_COUNT === 0) {
 
@@ -144,13 +183,34 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                 }
 
                 // try again once a script is loaded
-                ON_SCRIPT_LOAD(WAIT_FOR_DEPENDENCIES, [script, deps, callback]);
+                ON_SCRIPT_LOAD(WAIT_FOR_DEPENDENCIES, [script, deps, callback, onskip]);
             }
         } else {
             callback();
         }
     }
 
+    /**
+     * Report script execution error to the reporting endpoint (max 10 per page)
+     */
+    var ERRORS_REPORTED = 0;
+    var REPORT_EXEC_ERROR = function(url, handle, execError) {
+        var config = Abtf[CONFIG.JS_FAILURE] || [];
+        var endpoint = config[CONFIG.JS_FAILURE_REPORT];
+        if (!endpoint || !window.navigator.sendBeacon || ERRORS_REPORTED++ >= 10) {
+            return;
+        }
+
+        window.navigator.sendBeacon(endpoint, JSON.stringify({
+            'page': document.location.pathname,
+            'url': url,
+            'handle': (handle !== false) ? (DEPENDENCIES[handle] || handle) : false,
+            'message': execError[0],
+            'line': execError[1],
+            'column': execError[2]
+        }));
+    };
+
     /**
      * Parse URL (e.g. protocol relative URL)
      */
@@ -161,22 +221,468 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     };
 
     /**
-     * Load script
+     * ES module support
      */
-    var LOADSCRIPT = function(src, onLoad, onStart) {
+    var MODULE_SUPPORT = ('noModule' in document.createElement('script'));
+
+    /**
+     * Load on interaction
+     *
+     * Scripts are held until the first scroll, click, touch or keydown or until the maximum wait time (default 10
+     * seconds). Held scripts are removed from the ordered queue and js:interaction:loaded is emitted when they have
+     * executed. Clicks during the wait are replayed to the click listeners that the released scripts added while
+     * they were executed.
+     */
+    var INTERACTION_EVENTS = ['scroll', 'click', 'touchstart', 'keydown'];
+    var INTERACTION_MAX_WAIT = 10000;
+    var INTERACTION_HELD = [];
+    var INTERACTION_PENDING = 0;
+    var INTERACTION_CLICKS = [];
+    var INTERACTION_LISTENING = false;
+
+    // click listeners added by released scripts: [target, listener, capture]
+    var INTERACTION_LISTENERS = [];
+    var INTERACTION_RECORDING = false;
+
+    // script urls of released scripts (network or cache blob url)
+    var INTERACTION_SOURCES = [];
+
+    // ordered queue completed (js:loaded)
+    var INTERACTION_QUEUE_LOADED = false;
+    var INTERACTION_LOADED_EMITTED = false;
+
+    // emit js:interaction:loaded when the queue completed and all held scripts have executed
+    var INTERACTION_LOADED = function() {
+        if (INTERACTION_LOADED_EMITTED || !INTERACTION_QUEUE_LOADED || INTERACTION_PENDING > 0 || INTERACTION_HELD.length > 0) {
+            return;
+        }
+        INTERACTION_LOADED_EMITTED = true;
+        Abtf[CONFIG.EMIT]('js:interaction:loaded', INTERACTION_SOURCES.length);
+    };
+    Abtf.on('js:loaded', function() {
+        INTERACTION_QUEUE_LOADED = true;
+        INTERACTION_LOADED();
+    });
+
+    // return [match, max wait] for script
+    var INTERACTION_MATCH = function(url) {
+        var list = (Abtf[CONFIG.JS] && Abtf[CONFIG.JS][3]) ? Abtf[CONFIG.JS][3] : false;
+        if (!list || url === false) {
+            return false;
+        }
+        var l = list.length;
+        for (var i = 0; i < l; i++) {
+            if (typeof list[i] === 'object' && url.indexOf(list[i][0]) !== -1) {
+                return list[i];
+            }
+        }
+        return false;
+    };
+
+    // release held scripts on first interaction
+    var ON_INTERACTION = function(event) {
+        if (event.type === 'click' && event.isTrusted !== false) {
+            INTERACTION_CLICKS.push(event.target);
+        }
+
+        var held = INTERACTION_HELD.splice(0, INTERACTION_HELD.length);
+        var l = held.length;
+        for (var i = 0; i < l; i++) {
+            held[i](event.type);
+        }
+        INTERACTION_LISTEN(false);
+    };
+
+    // add or remove interaction listeners (click listener remains until clicks are replayed)
+    var INTERACTION_LISTEN = function(listen) {
+        var l = INTERACTION_EVENTS.length;
+        for (var i = 0; i < l; i++) {
+            if (INTERACTION_EVENTS[i] === 'click' && !listen && (INTERACTION_PENDING > 0 || INTERACTION_HELD.length > 0)) {
+                continue;
+            }
+            if (listen) {
+                window.addEventListener(INTERACTION_EVENTS[i], ON_INTERACTION, true);
+            } else {
+                window.removeEventListener(INTERACTION_EVENTS[i], ON_INTERACTION, true);
+            }
+        }
+        INTERACTION_LISTENING = listen;
+    };
+
+    var INTERACTION_HOLD = function(script, maxWait, release) {
+
         if (ABTFDEBUG) {
-            if (typeof onStart !== 'function') {
-                onStart = function() {};
+            var held = +new Date();
+            console.info('Abtf.js() ➤ wait for interaction', Abtf[CONFIG.LOCALURL](script), (maxWait) ? 'max ' + maxWait + 'ms' : '');
+        }
+
+        var released = false;
+        var timeout;
+        var start = function(trigger) {
+            if (released) {
+                return;
+            }
+            released = true;
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+
+            var index = INTERACTION_HELD.indexOf(start);
+            if (index !== -1) {
+                INTERACTION_HELD.splice(index, 1);
+            }
+
+            if (ABTFDEBUG) {
+                console.info('Abtf.js() ➤ interaction ➤ ' + trigger, Abtf[CONFIG.LOCALURL](script), 'waited ' + (+new Date() - held) + 'ms');
+            }
+
+            Abtf[CONFIG.EMIT]('js:interaction', {
+                url: script,
+                type: trigger
+            });
+
+            INTERACTION_PENDING++;
+            INTERACTION_RECORD(true);
+            release();
+        };
+
+        INTERACTION_HELD.push(start);
+        if (!INTERACTION_LISTENING) {
+            INTERACTION_LISTEN(true);
+        }
+
+        timeout = setTimeout(function() {
+            start('timeout');
+            if (INTERACTION_HELD.length === 0) {
+                INTERACTION_LISTEN(false);
             }
+        }, parseInt(maxWait) || INTERACTION_MAX_WAIT);
+    };
+
+    /**
+     * Record click listeners added by released scripts
+     *
+     * Listeners are recorded only during the execution of a released script (document.currentScript), listeners of
+     * other scripts are passed through.
+     */
+    var INTERACTION_RECORD = function(record) {
+        if (INTERACTION_RECORDING === record) {
+            return;
         }
+        INTERACTION_RECORDING = record;
+
+        var proto = (window.EventTarget) ? window.EventTarget.prototype : false;
+        if (!proto || !proto.addEventListener) {
+            return;
+        }
+
+        if (!record) {
+            proto.addEventListener = INTERACTION_RECORD.add;
+            proto.removeEventListener = INTERACTION_RECORD.remove;
+            return;
+        }
+
+        var add = INTERACTION_RECORD.add = proto.addEventListener;
+        var remove = INTERACTION_RECORD.remove = proto.removeEventListener;
+
+        var capture = function(options) {
+            return (options && typeof options === 'object') ? !!options.capture : !!options;
+        };
+        var index = function(target, listener, options) {
+            var l = INTERACTION_LISTENERS.length;
+            for (var i = 0; i < l; i++) {
+                if (INTERACTION_LISTENERS[i][0] === target && INTERACTION_LISTENERS[i][1] === listener && INTERACTION_LISTENERS[i][2] === capture(options)) {
+                    return i;
+                }
+            }
+            return -1;
+        };
+
+        // executed by a released script
+        var released = function() {
+            var current = document.currentScript;
+            return (current && current.src && INTERACTION_SOURCES.indexOf(current.src) !== -1);
+        };
+
+        proto.addEventListener = function(type, listener, options) {
+            if (type === 'click' && listener && released() && index(this, listener, options) === -1) {
+                INTERACTION_LISTENERS.push([this, listener, capture(options)]);
+            }
+            return add.apply(this, arguments);
+        };
+        proto.removeEventListener = function(type, listener, options) {
+            if (type === 'click') {
+                var i = index(this, listener, options);
+                if (i !== -1) {
+                    INTERACTION_LISTENERS.splice(i, 1);
+                }
+            }
+            return remove.apply(this, arguments);
+        };
+    };
+
+    // released script completed, replay clicks when all released scripts completed
+    var INTERACTION_COMPLETED = function() {
+        INTERACTION_PENDING--;
+        if (INTERACTION_PENDING > 0) {
+            return;
+        }
+
+        if (INTERACTION_HELD.length === 0) {
+            INTERACTION_LISTEN(false);
+        }
+
+        INTERACTION_RECORD(false);
+        var listeners = INTERACTION_LISTENERS.splice(0, INTERACTION_LISTENERS.length);
+
+        var clicks = INTERACTION_CLICKS.splice(0, INTERACTION_CLICKS.length);
+        var l = clicks.length;
+        for (var i = 0; i < l; i++) {
+            INTERACTION_REPLAY(clicks[i], listeners);
+        }
+
+        INTERACTION_LOADED();
+    };
+
+    /**
+     * Replay click to the listeners added by released scripts
+     *
+     * The listeners that received the original click are not called again. Links and form controls performed
+     * their default action.
+     */
+    var INTERACTION_REPLAY = function(target, listeners) {
+        var el = target;
+        while (el && el.nodeType === 1) {
+            if ((el.nodeName === 'A' && el.hasAttribute('href')) || ['INPUT', 'SELECT', 'TEXTAREA', 'LABEL'].indexOf(el.nodeName) !== -1 || (el.nodeName === 'BUTTON' && el.form)) {
+                return;
+            }
+            el = el.parentNode;
+        }
+        if (!target || !listeners.length || !document.documentElement.contains(target)) {
+            return;
+        }
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.js() ➤ interaction ➤ replay click', target, listeners.length + ' listeners');
+        }
+
+        // event path: target, ancestors, document and window
+        var path = [];
+        el = target;
+        while (el) {
+            path.push(el);
+            el = el.parentNode;
+        }
+        path.push(window);
+
+        // real click event, target and phase of the replayed path are provided by a proxy
+        if (!window.Proxy || !window.MouseEvent) {
+            return;
+        }
+        var click;
+        try {
+            click = new MouseEvent('click', {
+                'bubbles': true,
+                'cancelable': true,
+                'view': window
+            });
+        } catch (e) {
+            return;
+        }
+
+        var stopped = false;
+        var currentTarget = null;
+        var eventPhase = 0;
+        var overrides = {
+            'target': target,
+            'srcElement': target,
+            'stopPropagation': function() {
+                stopped = true;
+                click.stopPropagation();
+            },
+            'stopImmediatePropagation': function() {
+                stopped = true;
+                click.stopImmediatePropagation();
+            },
+            'composedPath': function() {
+                return path.slice(0);
+            }
+        };
+        var event = new Proxy(click, {
+            get: function(obj, key) {
+                if (key === 'currentTarget') {
+                    return currentTarget;
+                }
+                if (key === 'eventPhase') {
+                    return eventPhase;
+                }
+                if (overrides.hasOwnProperty(key)) {
+                    return overrides[key];
+                }
+                var value = obj[key];
+                return (typeof value === 'function') ? value.bind(obj) : value;
+            }
+        });
+
+        var dispatch = function(node, capture) {
+            var l = listeners.length;
+            for (var i = 0; i < l; i++) {
+                if (listeners[i][0] !== node || listeners[i][2] !== capture) {
+                    continue;
+                }
+                currentTarget = node;
+                try {
+                    if (typeof listeners[i][1] === 'function') {
+                        listeners[i][1].call(node, event);
+                    } else if (listeners[i][1] && typeof listeners[i][1].handleEvent === 'function') {
+                        listeners[i][1].handleEvent(event);
+                    }
+                } catch (err) {
+                    setTimeout(function() {
+                        throw err;
+                    });
+                }
+            }
+        };
+
+        // capture phase
+        var i = path.length;
+        eventPhase = 1;
+        while (i-- > 1 && !stopped) {
+            dispatch(path[i], true);
+        }
+
+        // target phase
+        eventPhase = 2;
+        if (!stopped) {
+            dispatch(target, true);
+        }
+        if (!stopped) {
+            dispatch(target, false);
+        }
+
+        // bubble phase
+        eventPhase = 3;
+        var l = path.length;
+        for (i = 1; i < l && !stopped; i++) {
+            dispatch(path[i], false);
+        }
+    };
+
+    /**
+     * Return sandbox mode (worker or iframe) for script, module scripts are not sandboxed
+     */
+    var SANDBOX_MATCH = function(url, attrs) {
+        if (!Abtf[CONFIG.SANDBOX_MATCH] || url === false || (attrs && attrs['type'] === 'module')) {
+            return false;
+        }
+        return Abtf[CONFIG.SANDBOX_MATCH](url);
+    };
+
+    /**
+     * Execute inline script
+     */
+    var EXEC_INLINE = function(code) {
+        var script = Abtf[CONFIG.CSP_NONCE](document.createElement('script'));
+        script.text = code;
+
+        var firstScript = document.getElementsByTagName('script')[0];
+        firstScript.parentNode.insertBefore(script, firstScript);
+    };
+
+    if (ABTFDEBUG) {
+        var INLINE_EXCERPT = function(code) {
+            code = code.replace(/\s+/g, ' ').trim();
+            return (code.length > 80) ? code.substr(0, 80) + '...' : code;
+        };
+    }
 
-        // HTML5 cached script loader
-        if (typeof Abtf[CONFIG.LOAD_CACHED_SCRIPT] !== 'undefined') {
+    /**
+     * Load script
+     */
+    var LOADSCRIPT = function(src, onLoad, onStart, attrs) {
+        if (typeof onStart !== 'function') {
+            onStart = function() {};
+        }
+
+        // HTML5 cached script loader (module scripts resolve imports relative to their url and
+        // integrity protected scripts are verified by the browser)
+        if (typeof Abtf[CONFIG.LOAD_CACHED_SCRIPT] !== 'undefined' && !(attrs && (attrs['type'] === 'module' || attrs['integrity']))) {
             Abtf[CONFIG.LOAD_CACHED_SCRIPT](src, onLoad, onStart);
         } else {
-            Abtf[CONFIG.LOAD_SCRIPT](src, onLoad);
-            if (ABTFDEBUG) {
-                onStart();
+            onStart(false);
+            Abtf[CONFIG.LOAD_SCRIPT](src, onLoad, attrs);
+        }
+    };
+
+    /**
+     * Parallel download
+     *
+     * Downloads of all scripts are started at once using <link rel=preload> (or localStorage for cached scripts)
+     * while scripts are executed in queue and dependency order.
+     */
+    var PRELOAD_SUPPORT = function(rel) {
+        var link = document.createElement('link');
+        return (link.relList && link.relList.supports && link.relList.supports(rel));
+    };
+
+    var PRELOAD_LINK = function(src, attrs) {
+        var module = (attrs && attrs['type'] === 'module');
+        var rel = (module) ? 'modulepreload' : 'preload';
+        if (!PRELOAD_SUPPORT(rel)) {
+            return;
+        }
+
+        var link = Abtf[CONFIG.CSP_NONCE](document.createElement('link'));
+        link.rel = rel;
+        if (!module) {
+            link.setAttribute('as', 'script');
+        }
+
+        // attributes must match the script element to reuse the download
+        if (attrs) {
+            var names = ['integrity', 'crossorigin', 'referrerpolicy'];
+            var l = names.length;
+            for (var i = 0; i < l; i++) {
+                if (typeof attrs[names[i]] === 'string') {
+                    link.setAttribute(names[i], attrs[names[i]]);
+                }
+            }
+        }
+        link.href = src;
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.js() ➤ parallel download', rel, Abtf[CONFIG.LOCALURL](src));
+        }
+
+        (document.head || document.getElementsByTagName('head')[0]).appendChild(link);
+    };
+
+    var PARALLEL_DOWNLOAD = function(files) {
+        var l = files.length;
+        for (var i = 0; i < l; i++) {
+            if (typeof files[i] !== 'object' || !files[i][0]) {
+                continue;
+            }
+
+            var src = PARSE_URL(files[i][0]);
+            var attrs = (files[i][4]) ? files[i][4] : false;
+
+            // scripts loaded on interaction or in a sandbox and module variants that are not executed
+            if (INTERACTION_MATCH(files[i][0]) || SANDBOX_MATCH(files[i][0], attrs) || (attrs && ((attrs['type'] === 'module' && !MODULE_SUPPORT) || (attrs['nomodule'] && MODULE_SUPPORT)))) {
+                continue;
+            }
+
+            if (typeof Abtf[CONFIG.PRELOAD_CACHED_SCRIPT] !== 'undefined' && !(attrs && (attrs['type'] === 'module' || attrs['integrity']))) {
+
+                // download when not in localStorage cache
+                Abtf[CONFIG.PRELOAD_CACHED_SCRIPT](src, (function(src, attrs) {
+                    return function() {
+                        PRELOAD_LINK(src, attrs);
+                    };
+                })(src, attrs));
+            } else {
+                PRELOAD_LINK(src, attrs);
             }
         }
     };
@@ -187,6 +693,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     Abtf[CONFIG.LOAD_JS] = function(config) {
 
         if (typeof config !== 'object' || typeof config[0] === 'undefined' || !config[0]) {
+            Abtf[CONFIG.EMIT]('js:loaded', 0);
             return;
         }
 
@@ -199,6 +706,12 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
         var files = config[0];
 
+        // scripts pending load
+        var pending = files.length;
+        if (pending === 0) {
+            Abtf[CONFIG.EMIT]('js:loaded', 0);
+        }
+
         // dependencies disabled
         if (config[1] === false) {
             ABIDE_DEPENDENCIES = false;
@@ -209,10 +722,15 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
             DEPENDENCY_GROUPS = (config[1] && typeof config[1] === 'object') ? config[1] : [];
         }
 
-        if (ABTFDEBUG) {
+        // set dependency references
+        DEPENDENCIES = (config[2] && config[2] instanceof Array) ? config[2] : [];
 
-            // set dependency references
-            DEPENDENCIES = (config[2] && config[2] instanceof Array) ? config[2] : [];
+        // start all downloads, execution order is unchanged
+        if (Abtf[CONFIG.JS_PARALLEL]) {
+            PARALLEL_DOWNLOAD(files);
+        }
+
+        if (ABTFDEBUG) {
 
             if (DEPENDENCIES) {
                 if (DEPENDENCY_GROUPS) {
@@ -234,6 +752,33 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         // target for inserting CSS
         //var target = (document.getElementById('AbtfCSS')) ? document.getElementById('AbtfCSS').nextSibling : false;
 
+        // completed queue positions
+        var finished = [];
+
+        // inline scripts waiting for preceding scripts: [position, execute]
+        var INLINE_QUEUE = [];
+
+        // blocking scripts waiting for preceding inline scripts
+        var INLINE_WAIT = [];
+
+        // execute inline scripts in order when preceding scripts have completed
+        var EXEC_INLINE_QUEUE = function() {
+            while (INLINE_QUEUE.length) {
+                for (var i = 0; i < INLINE_QUEUE[0][0]; i++) {
+                    if (!finished[i]) {
+                        return;
+                    }
+                }
+                INLINE_QUEUE.shift()[1]();
+            }
+
+            var wait = INLINE_WAIT.splice(0, INLINE_WAIT.length);
+            var l = wait.length;
+            for (var i = 0; i < l; i++) {
+                wait[i]();
+            }
+        };
+
         // load script
         var loadScript = function(scriptPos) {
             if (typeof files[scriptPos] === 'undefined') {
@@ -252,6 +797,98 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
             var async = ((scriptData[1]) ? true : false);
             var handle = ((typeof scriptData[2] !== 'undefined') ? scriptData[2] : false);
             var deps = ((scriptData[3]) ? scriptData[3] : false);
+            var attrs = ((scriptData[4]) ? scriptData[4] : false);
+            var position = scriptPos;
+
+            // script completed (loaded, failed or skipped)
+            var completed = function() {
+                if (held) {
+                    INTERACTION_COMPLETED();
+                }
+
+                // removed from the ordered queue (completed or held for interaction)
+                if (dequeued) {
+                    return;
+                }
+                dequeued = true;
+
+                finished[position] = true;
+                EXEC_INLINE_QUEUE();
+
+                pending--;
+                if (pending === 0) {
+                    Abtf[CONFIG.EMIT]('js:loaded', files.length);
+                }
+
+                // continue with next script (inline scripts do not block the queue)
+                if (!async && script !== false) {
+                    loadScript(++scriptPos);
+                }
+            };
+
+            /**
+             * Inline script
+             *
+             * Inline scripts do not block async scripts. Localized data (async) is executed immediately,
+             * other inline scripts are executed when all preceding scripts have completed.
+             */
+            if (script === false) {
+                var inline = function() {
+                    if (ABTFDEBUG) {
+                        console.info('Abtf.js() ➤ inline' + ((async) ? ' data' : ''), INLINE_EXCERPT(scriptData[5]));
+                    }
+                    EXEC_INLINE(scriptData[5]);
+                    completed();
+                };
+
+                if (async) {
+                    inline();
+                } else {
+                    INLINE_QUEUE.push([position, inline]);
+                    EXEC_INLINE_QUEUE();
+                }
+
+                // continue with next script
+                loadScript(++scriptPos);
+                return;
+            }
+
+            // load on interaction, the script does not block the queue
+            var interaction = INTERACTION_MATCH(script);
+            var held = false;
+            var dequeued = false;
+            if (interaction) {
+                async = true;
+            }
+
+            // run in sandbox (worker or iframe), the script does not block the queue
+            var sandbox = SANDBOX_MATCH(script, attrs);
+            if (sandbox) {
+                async = true;
+            }
+
+            // blocking script, wait for preceding inline scripts
+            if (!async && INLINE_QUEUE.length) {
+                INLINE_WAIT.push(function() {
+                    loadScript(position);
+                });
+                return;
+            }
+
+            Abtf[CONFIG.EMIT]('js:queue', {
+                url: script,
+                handle: (handle !== false) ? (DEPENDENCIES[handle] || handle) : false
+            });
+
+            // mark handle as failed
+            var failed = function(reason) {
+                if (handle !== false) {
+                    DEPENDENCY_FAILED[handle] = reason;
+                }
+
+                // trigger script loaded actions to resolve dependants
+                SCRIPT_LOADED();
+            };
 
             // load script
             var startLoad = function(script, async, handle, deps, scriptPos) {
@@ -268,42 +905,127 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
                 LOADING_SCRIPTS_COUNT++;
 
-                // load script
-                LOADSCRIPT(PARSE_URL(script), function scriptReady(cached) {
+                Abtf[CONFIG.EMIT]('js:start', {
+                    url: script,
+                    handle: (handle !== false) ? (DEPENDENCIES[handle] || handle) : false
+                });
 
-                    if (ABTFDEBUG) {
-                        if (deps.length > 0) {
-                            if (cached) {
-                                console.info('Abtf.js() ➤ localStorage loaded', Abtf[CONFIG.LOCALURL](script), (DEPENDENCIES[handle] || handle), depnames, '➤', cached);
-                            } else {
-                                console.info('Abtf.js() ➤ loaded', Abtf[CONFIG.LOCALURL](script), (DEPENDENCIES[handle] || handle), depnames);
+                var done = false;
+                var timeout;
+
+                // script loaded or failed
+                var scriptReady = function(err, reason) {
+
+                    if (done) {
+                        if (ABTFDEBUG) {
+                            if (!err) {
+                                console.warn('Abtf.js() ➤ loaded after timeout', Abtf[CONFIG.LOCALURL](script), (DEPENDENCIES[handle] || handle));
                             }
-                        } else {
-                            if (cached) {
-                                console.info('Abtf.js() ➤ localStorage loaded', Abtf[CONFIG.LOCALURL](script), '➤', cached);
+                        }
+                        return;
+                    }
+                    done = true;
+
+                    if (timeout) {
+                        clearTimeout(timeout);
+                    }
+
+                    LOADING_SCRIPTS_COUNT--;
+
+                    if (err) {
+
+                        if (ABTFDEBUG) {
+                            console.error('Abtf.js() ➤ ' + reason, Abtf[CONFIG.LOCALURL](script), (DEPENDENCIES[handle] || handle), (handle !== false) ? 'dependants: ' + FAILURE_POLICY(handle) : '');
+                        }
+
+                        Abtf[CONFIG.EMIT]('js:error', {
+                            url: script,
+                            handle: (handle !== false) ? (DEPENDENCIES[handle] || handle) : false,
+                            reason: reason
+                        });
+
+                        failed(reason);
+
+                    } else {
+
+                        if (ABTFDEBUG) {
+                            if (deps.length > 0) {
+                                console.info('Abtf.js() ➤ loaded', Abtf[CONFIG.LOCALURL](script), (DEPENDENCIES[handle] || handle), depnames);
                             } else {
                                 console.info('Abtf.js() ➤ loaded', Abtf[CONFIG.LOCALURL](script));
                             }
                         }
+
+                        // register dependency load state
+                        if (handle !== false) {
+                            DEPENDENCY_LOADED[handle] = true;
+                        }
+
+                        // trigger script loaded actions
+                        SCRIPT_LOADED();
+
+                        Abtf[CONFIG.EMIT]('js:file', {
+                            url: script,
+                            handle: (handle !== false) ? (DEPENDENCIES[handle] || handle) : false
+                        });
                     }
 
-                    LOADING_SCRIPTS_COUNT--;
+                    completed();
+                };
 
-                    // register dependency load state
-                    if (handle !== false) {
-                        DEPENDENCY_LOADED[handle] = true;
+                // global script timeout
+                var config = Abtf[CONFIG.JS_FAILURE] || [];
+                if (typeof config[CONFIG.JS_FAILURE_TIMEOUT] === 'number' && config[CONFIG.JS_FAILURE_TIMEOUT] > 0) {
+                    timeout = setTimeout(function() {
+                        scriptReady(true, 'timeout');
+                    }, config[CONFIG.JS_FAILURE_TIMEOUT]);
+                }
+
+                // script loaded or failed
+                var onLoad = function(err, execError) {
+
+                    // script threw while evaluated, mark as failed to stop dependants or continue
+                    if (execError) {
+
+                        if (ABTFDEBUG) {
+                            console.error('Abtf.js() ➤ execution error', Abtf[CONFIG.LOCALURL](script), (DEPENDENCIES[handle] || handle), execError[0], 'line ' + execError[1] + ':' + execError[2]);
+                        }
+
+                        Abtf[CONFIG.EMIT]('js:exception', {
+                            url: script,
+                            handle: (handle !== false) ? (DEPENDENCIES[handle] || handle) : false,
+                            message: execError[0]
+                        });
+
+                        REPORT_EXEC_ERROR(script, handle, execError);
+
+                        if (config[CONFIG.JS_FAILURE_EXEC] === 'fail') {
+                            scriptReady(true, 'exec');
+                            return;
+                        }
                     }
 
-                    // trigger script loaded actions
-                    SCRIPT_LOADED();
+                    scriptReady(err, 'error');
+                };
+
+                // load script in sandbox
+                if (sandbox) {
+                    Abtf[CONFIG.EMIT]('js:sandbox', {
+                        url: script,
+                        type: sandbox
+                    });
+                    Abtf[CONFIG.SANDBOX_SCRIPT](PARSE_URL(script), sandbox, onLoad);
+                    return;
+                }
 
-                    if (!async) {
+                // load script
+                LOADSCRIPT(PARSE_URL(script), onLoad, function onStart(cached) {
 
-                        // continue with next script
-                        loadScript(++scriptPos);
+                    // record click listeners added by the released script (cache blob url or network url)
+                    if (held) {
+                        INTERACTION_SOURCES.push(cached || PARSE_URL(script));
                     }
 
-                }, function onStart(cached) {
                     if (ABTFDEBUG) {
                         if (deps.length > 0) {
                             if (cached) {
@@ -319,15 +1041,66 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                             }
                         }
                     };
-                });
+                }, attrs);
             };
 
-            if (ABIDE_DEPENDENCIES && deps) {
-                WAIT_FOR_DEPENDENCIES(script, deps, function callback() {
-                    startLoad(script, async, handle, deps, scriptPos);
+            // dependency failed, skip script
+            var skipLoad = function(dependency) {
+
+                if (ABTFDEBUG) {
+                    console.error('Abtf.js() ➤ skipped, dependency failed', Abtf[CONFIG.LOCALURL](script), (DEPENDENCIES[handle] || handle), (DEPENDENCIES[dependency] || dependency) + ' (' + DEPENDENCY_FAILED[dependency] + ')');
+                }
+
+                Abtf[CONFIG.EMIT]('js:skip', {
+                    url: script,
+                    handle: (handle !== false) ? (DEPENDENCIES[handle] || handle) : false,
+                    dependency: DEPENDENCIES[dependency] || dependency
                 });
+
+                failed('dependency');
+                completed();
+            };
+
+            // module / nomodule pair, the browser executes one of the scripts
+            if (attrs && ((attrs['type'] === 'module' && !MODULE_SUPPORT) || (attrs['nomodule'] && MODULE_SUPPORT))) {
+
+                if (ABTFDEBUG) {
+                    console.info('Abtf.js() ➤ ' + ((MODULE_SUPPORT) ? 'nomodule' : 'module') + ' not executed', Abtf[CONFIG.LOCALURL](script));
+                }
+
+                if (handle !== false) {
+                    DEPENDENCY_LOADED[handle] = true;
+                }
+                SCRIPT_LOADED();
+                completed();
+
             } else {
-                startLoad(script, async, handle, deps, scriptPos);
+
+                var begin = function() {
+                    if (ABIDE_DEPENDENCIES && deps) {
+                        WAIT_FOR_DEPENDENCIES(script, deps, function callback() {
+                            startLoad(script, async, handle, deps, scriptPos);
+                        }, skipLoad);
+                    } else {
+                        startLoad(script, async, handle, deps, scriptPos);
+                    }
+                };
+
+                if (interaction) {
+
+                    // hold script until user interaction (dependants wait for the script)
+                    LOADING_SCRIPTS_COUNT++;
+                    INTERACTION_HOLD(script, interaction[1], function() {
+                        LOADING_SCRIPTS_COUNT--;
+                        held = true;
+                        begin();
+                    });
+
+                    // following inline and blocking scripts and js:loaded do not wait for the held script
+                    completed();
+                } else {
+                    begin();
+                }
             }
 
             if (async) {
@@ -347,4 +1120,4 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
      */
     Abtf[CONFIG.ON_SCRIPT_LOAD] = ON_SCRIPT_LOAD;
 
-});
\ No newline at end of file
+}, 'js');
\ No newline at end of file
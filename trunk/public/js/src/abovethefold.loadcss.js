@@ -1,7 +1,15 @@
 /**
- * loadCSS (installed from bower module)
+ * loadCSS with pluggable load strategies
+ *
+ * Stylesheets are inserted in order after the critical CSS and are downloaded without blocking rendering
+ * using a media=print swap or a rel=preload swap. Rendering passes through render plugins (fixed or adaptive
+ * render delay and requestAnimationFrame batching) before the stylesheet is applied.
+ *
+ * When stylesheet caching is enabled in the HTML5 script loader, repeat visits apply the cached stylesheet as
+ * inline <style> or blob url at the same position without a network request.
  *
  * @link https://github.com/filamentgroup/loadCSS/
+ * @link https://developers.google.com/speed/docs/insights/OptimizeCSSDelivery
  *
  * @package    abovethefold
  * @subpackage abovethefold/public
@@ -10,110 +18,448 @@
 
 Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
-    var lastSheet; // last inserted sheet
+    var doc = window.document;
 
-    // start loadCSS
-    var LOADCSS = function(href, media, callback) {
+    // [swap, raf]
+    var LOADCSS_CONFIG = Abtf[CONFIG.LOADCSS_CONFIG] || [];
 
-        // target for inserting CSS
-        if (lastSheet) {
-            var target = lastSheet.nextSibling;
-        } else {
-            var target = document.getElementById('AbtfCSS').nextSibling;
+    /**
+     * Swap strategies
+     *
+     * The stylesheet is downloaded in an inapplicable state and is applied when downloaded.
+     */
+    var SWAP_STRATEGIES = {
+
+        // media=print swap
+        'print': {
+            create: function(el) {
+                el.rel = 'stylesheet';
+                el.media = 'print';
+            },
+            apply: function(el, media) {
+                el.media = media || 'all';
+            },
+
+            // detect load by polling document.styleSheets for browsers without link onload
+            poll: true
+        },
+
+        // rel=preload swap
+        'preload': {
+            supported: function(el) {
+                return (el.relList && el.relList.supports && el.relList.supports('preload'));
+            },
+            create: function(el) {
+                el.rel = 'preload';
+                el.setAttribute('as', 'style');
+            },
+            apply: function(el, media) {
+                el.media = media || 'all';
+                el.rel = 'stylesheet';
+            },
+            poll: false
+        }
+    };
+
+    // selected swap strategy
+    var SWAP = function(el) {
+        var swap = SWAP_STRATEGIES[LOADCSS_CONFIG[CONFIG.LOADCSS_CONFIG_SWAP]];
+        if (!swap || (swap.supported && !swap.supported(el))) {
+            swap = SWAP_STRATEGIES['print'];
+        }
+        return swap;
+    };
+
+    /**
+     * Adaptive render delay
+     *
+     * Stylesheets that arrive within the budget after first paint are applied immediately. Later stylesheets are
+     * applied together in CPU idle time or on the first user interaction, whichever comes first.
+     */
+    var performance = window.performance;
+    var BUDGET_MAX_WAIT = 2000;
+    var BUDGET_EVENTS = ['mousedown', 'touchstart', 'keydown', 'scroll', 'wheel'];
+    var BUDGET_WAITING = false;
+    var BUDGET_QUEUE = [];
+
+    // time since first paint (0 when not yet painted)
+    var SINCE_FIRST_PAINT = function() {
+        if (!performance || !performance.now || !performance.getEntriesByType) {
+            return 0;
         }
+        var entries = performance.getEntriesByType('paint');
+        if (!entries.length) {
+            return 0;
+        }
+        return performance.now() - entries[0].startTime;
+    };
 
-        lastSheet = window.loadCSS(href, target, media, function() {
+    // apply waiting stylesheets
+    var FLUSH_BUDGET_QUEUE = function() {
+        if (!BUDGET_WAITING) {
+            return;
+        }
+        BUDGET_WAITING = false;
+        var l = BUDGET_EVENTS.length;
+        for (var i = 0; i < l; i++) {
+            window.removeEventListener(BUDGET_EVENTS[i], FLUSH_BUDGET_QUEUE, true);
+        }
+
+        var queue = BUDGET_QUEUE.splice(0, BUDGET_QUEUE.length);
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.css() ➤ loadCSS() render budget ➤ apply', queue.length, 'waiting stylesheets');
+        }
+
+        var l = queue.length;
+        for (var i = 0; i < l; i++) {
+            queue[i]();
+        }
+    };
+
+    var RENDER_BUDGET = function(next, href) {
+        var budget = parseInt(Abtf[CONFIG.CSS_BUDGET]);
+        var since = SINCE_FIRST_PAINT();
+
+        if (since <= budget) {
             if (ABTFDEBUG) {
-                console.info('Abtf.css() ➤ loadCSS() render', Abtf[CONFIG.LOCALURL](href));
+                console.info('Abtf.css() ➤ loadCSS() render budget ➤ within budget', Math.round(since) + 'ms', '<=', budget + 'ms', Abtf[CONFIG.LOCALURL](href));
             }
-            if (callback) {
-                callback();
-            }
-        });
-    }
-
-    // queue 
-    var LOADCSS_QUEUE = [];
-    var LOADCSS_QUEUE_RUNNING;
+            next();
+            return;
+        }
 
-    // process queue
-    var PROCESS_QUEUE = function() {
+        if (ABTFDEBUG) {
+            var queued = +new Date();
+            console.info('Abtf.css() ➤ loadCSS() render budget ➤ exceeded, wait for idle or interaction', Math.round(since) + 'ms', '>', budget + 'ms', Abtf[CONFIG.LOCALURL](href));
+            BUDGET_QUEUE.push(function() {
+                console.info('Abtf.css() ➤ loadCSS() render budget ➤ waited', (+new Date() - queued) + 'ms', Abtf[CONFIG.LOCALURL](href));
+                next();
+            });
+        } else {
+            BUDGET_QUEUE.push(next);
+        }
 
-        if (LOADCSS_QUEUE_RUNNING) {
+        if (BUDGET_WAITING) {
             return;
         }
-        LOADCSS_QUEUE_RUNNING = true;
+        BUDGET_WAITING = true;
 
-        var sheet = LOADCSS_QUEUE.shift();
-        while (sheet) {
-            LOADCSS.apply(window, sheet);
-            sheet = LOADCSS_QUEUE.shift();
+        var l = BUDGET_EVENTS.length;
+        for (var i = 0; i < l; i++) {
+            window.addEventListener(BUDGET_EVENTS[i], FLUSH_BUDGET_QUEUE, true);
+        }
+        if (Abtf[CONFIG.IDLE]) {
+            Abtf[CONFIG.IDLE](FLUSH_BUDGET_QUEUE, {
+                timeout: BUDGET_MAX_WAIT
+            });
+        } else {
+            setTimeout(FLUSH_BUDGET_QUEUE, BUDGET_MAX_WAIT);
         }
-        LOADCSS_QUEUE_RUNNING = false;
+    };
 
-        CRITICAL_CSS_READY = true;
-    }
+    /**
+     * Render plugins
+     *
+     * Each plugin calls next() to continue to the next plugin. The stylesheet is applied after the last plugin.
+     */
+    var RAF_QUEUE = [];
+    var RENDER_PLUGINS = [
+
+        // render delay
+        function(next, href) {
+            if (typeof Abtf[CONFIG.CSS_BUDGET] !== 'undefined' && parseInt(Abtf[CONFIG.CSS_BUDGET]) > 0) {
+                RENDER_BUDGET(next, href);
+            } else if (typeof Abtf[CONFIG.CSS_DELAY] !== 'undefined' && parseInt(Abtf[CONFIG.CSS_DELAY]) > 0) {
+                if (ABTFDEBUG) {
+                    console.info('Abtf.css() ➤ loadCSS() render delay', Abtf[CONFIG.CSS_DELAY], Abtf[CONFIG.LOCALURL](href));
+                }
+                setTimeout(next, Abtf[CONFIG.CSS_DELAY]);
+            } else {
+                next();
+            }
+        },
+
+        // paint stylesheets loaded within the same frame in a single requestAnimationFrame (always used by the render budget)
+        function(next) {
+            if (!LOADCSS_CONFIG[CONFIG.LOADCSS_CONFIG_RAF] && !(parseInt(Abtf[CONFIG.CSS_BUDGET]) > 0)) {
+                next();
+                return;
+            }
+            RAF_QUEUE.push(next);
+            if (RAF_QUEUE.length === 1) {
+                Abtf[CONFIG.RAF](function() {
+                    var queue = RAF_QUEUE.splice(0, RAF_QUEUE.length);
+                    var l = queue.length;
+                    for (var i = 0; i < l; i++) {
+                        queue[i]();
+                    }
+                });
+            }
+        }
+    ];
+
+    // pass stylesheet through render plugins
+    var RENDER = function(href, apply) {
+        var i = 0;
+        var next = function() {
+            var plugin = RENDER_PLUGINS[i++];
+            if (plugin) {
+                plugin(next, href);
+            } else {
+                apply();
+            }
+        };
+        next();
+    };
 
-    // wait for critical CSS element to be available
+    /**
+     * Ordered insertion after critical CSS
+     *
+     * Sheets are collected in a document fragment until <style id="AbtfCSS"> is available.
+     */
+    var lastSheet; // last inserted sheet
+    var sheetFragment;
     var RETRY_ATTEMPTS = 0;
-    var RETRY_TIMEOUT;
 
-    var CRITICAL_CSS_READY = false;
-    var WAIT_FOR_CRITICAL_CSS = function(href, media, callback) {
-        if (CRITICAL_CSS_READY) {
-            LOADCSS(href, media, callback);
+    var INSERT_FRAGMENT = function() {
+        var target = doc.getElementById('AbtfCSS');
+        if (!target && RETRY_ATTEMPTS++ < 100) {
+            setTimeout(INSERT_FRAGMENT, 0);
+            return;
+        }
+
+        var fragment = sheetFragment;
+        sheetFragment = false;
+
+        if (target) {
+            target.parentNode.insertBefore(fragment, target.nextSibling);
         } else {
+            if (ABTFDEBUG) {
+                console.error('Abtf.css()', 'async CSS reference <style id="AbtfCSS"> not found');
+            }
+            (doc.head || doc.getElementsByTagName('head')[0]).appendChild(fragment);
+        }
+    };
 
-            // critical CSS element not yet available, wait for it
-            if (!document.getElementById('AbtfCSS')) {
-
-                // add to queue
-                LOADCSS_QUEUE.push([href, media, callback]);
-                if (!RETRY_TIMEOUT) {
-
-                    // retry callback
-                    var retry = function() {
-                        if (RETRY_ATTEMPTS > 100) {
-                            if (ABTFDEBUG) {
-                                console.error('Abtf.fonts()', 'async CSS reference <style id="AbtfCSS"> not found');
-                            }
-                            return;
-                        }
-                        RETRY_ATTEMPTS++;
-                        if (!document.getElementById('AbtfCSS')) {
-                            RETRY_TIMEOUT = setTimeout(retry, 0);
-                        } else {
-                            PROCESS_QUEUE();
-                        }
-                    }
-                    RETRY_TIMEOUT = setTimeout(retry, 0);
-                }
+    var INSERT = function(el) {
+
+        // insert after last sheet
+        if (lastSheet && lastSheet.parentNode && !sheetFragment) {
+            lastSheet.parentNode.insertBefore(el, lastSheet.nextSibling);
+        } else {
+            var target = doc.getElementById('AbtfCSS');
+            if (target && !sheetFragment) {
+                target.parentNode.insertBefore(el, target.nextSibling);
             } else {
-                if (RETRY_TIMEOUT) {
-                    clearTimeout(RETRY_TIMEOUT);
-                }
 
-                // elements pending in queue
-                if (LOADCSS_QUEUE.length > 0) {
-                    LOADCSS_QUEUE.push([href, media, callback]);
-                    PROCESS_QUEUE();
-                } else {
-                    LOADCSS(href, media, callback);
-                    CRITICAL_CSS_READY = true;
+                // wait for critical CSS element
+                if (!sheetFragment) {
+                    sheetFragment = doc.createDocumentFragment();
+                    INSERT_FRAGMENT();
                 }
+                sheetFragment.appendChild(el);
             }
         }
-    }
+        lastSheet = el;
+    };
 
-    Abtf[CONFIG.LOADCSS] = (typeof window.loadCSS !== 'undefined') ? function(href, media, callback) {
+    /**
+     * Load stylesheet
+     *
+     * Returns a function that aborts the download. It removes the link and returns false when the stylesheet is
+     * already downloaded.
+     */
+    Abtf[CONFIG.LOADCSS] = function(href, media, callback, onerror) {
 
         if (ABTFDEBUG) {
             console.info('Abtf.css() ➤ loadCSS() async download start', Abtf[CONFIG.LOCALURL](href));
         }
 
-        // wait for <style id="AbtfCSS"> target (insert sheets after critical CSS)
-        WAIT_FOR_CRITICAL_CSS(href, media, callback);
+        var el = Abtf[CONFIG.CSP_NONCE](doc.createElement('link'));
+        var swap = SWAP(el);
+        var sheets = doc.styleSheets;
+
+        // HTML5 script loader stylesheet cache
+        var cache = Abtf[CONFIG.LOAD_CACHED_CSS];
+
+        if (!cache) {
+            el.href = href;
+        }
+        swap.create(el, media);
+
+        /**
+         * CSS loaded and failed flags
+         */
+        var CSSloaded = false;
+        var CSSfailed = false;
+
+        // stylesheet downloaded
+        var loaded = function() {
+            if (CSSloaded || CSSfailed) {
+                return;
+            }
+            CSSloaded = true;
+
+            RENDER(href, function() {
+                swap.apply(el, media);
+
+                if (ABTFDEBUG) {
+                    console.info('Abtf.css() ➤ loadCSS() render', Abtf[CONFIG.LOCALURL](href));
+                }
+
+                if (callback) {
+                    callback();
+                }
+            });
+        };
+
+        // remove link of a failed or aborted stylesheet, a late response is not applied
+        var remove = function() {
+            if (el.removeEventListener) {
+                el.removeEventListener('load', loaded);
+                el.removeEventListener('error', failed);
+            } else {
+                el.onload = el.onerror = null;
+            }
+            if (lastSheet === el) {
+                lastSheet = el.previousSibling;
+            }
+            if (el.parentNode) {
+                el.parentNode.removeChild(el);
+            }
+        };
+
+        // stylesheet failed
+        var failed = function() {
+            if (CSSloaded || CSSfailed) {
+                return;
+            }
+            CSSfailed = true;
+            remove();
+
+            if (onerror) {
+                onerror();
+            }
+        };
+
+        // abort download
+        var abort = function() {
+            if (CSSloaded || CSSfailed) {
+                return !CSSloaded;
+            }
+            CSSfailed = true;
+            remove();
+
+            if (ABTFDEBUG) {
+                console.warn('Abtf.css() ➤ loadCSS() aborted', Abtf[CONFIG.LOCALURL](href));
+            }
+
+            return true;
+        };
+
+        // mimic onload by polling document.styleSheets until it includes the new sheet
+        var poll = function() {
+            if (CSSloaded || CSSfailed) {
+                return;
+            }
+            var resolvedHref = el.href;
+            var i = sheets.length;
+            while (i--) {
+                if (sheets[i].href === resolvedHref) {
+                    return loaded();
+                }
+            }
+            setTimeout(poll);
+        };
+
+        if (el.addEventListener) {
+            el.addEventListener('load', loaded);
+            el.addEventListener('error', failed);
+        } else {
+            el.onload = loaded;
+            el.onerror = failed;
+        }
+
+        INSERT(el);
+
+        if (!cache) {
+            if (swap.poll) {
+                poll();
+            }
+            return abort;
+        }
+
+        /**
+         * The link without href holds the position of the stylesheet until the cache responds
+         */
+        cache(href, function(cached) {
+
+            // aborted
+            if (CSSfailed) {
+                return;
+            }
+
+            // not in cache, start regular request
+            if (!cached) {
+                el.href = href;
+                if (swap.poll) {
+                    poll();
+                }
+                return;
+            }
+
+            if (ABTFDEBUG) {
+                console.info('Abtf.css() ➤ loadCSS() from cache', '(' + cached[0] + ')', Abtf[CONFIG.LOCALURL](href));
+            }
+
+            // blob url
+            if (cached[0] === 'blob') {
+                el.href = cached[1];
+                if (swap.poll) {
+                    poll();
+                }
+                return;
+            }
+
+            // inline stylesheet, replaces the placeholder to preserve the order of later sheets
+            var style = Abtf[CONFIG.CSP_NONCE](doc.createElement('style'));
+            style.media = 'print';
+            style.appendChild(doc.createTextNode(cached[1]));
+            el.parentNode.replaceChild(style, el);
+            if (lastSheet === el) {
+                lastSheet = style;
+            }
+
+            CSSloaded = true;
+            RENDER(href, function() {
+                style.media = media || 'all';
 
-    } : function() {};
+                if (ABTFDEBUG) {
+                    console.info('Abtf.css() ➤ loadCSS() render', Abtf[CONFIG.LOCALURL](href));
+                }
+
+                if (callback) {
+                    callback();
+                }
+            });
+        });
+
+        return abort;
+    };
+
+    /**
+     * window.loadCSS compatibility
+     *
+     * Scripts that used window.loadCSS of the previous loader (loadCSS v1.2.0 with a render callback) are
+     * passed to the new loader. The before argument is ignored, sheets are inserted in order after the critical CSS.
+     * Returns the inserted link element.
+     */
+    if (typeof window['loadCSS'] === 'undefined') {
+        window['loadCSS'] = function(href, before, media, callback) {
+            Abtf[CONFIG.LOADCSS](href, media, callback);
+            return lastSheet;
+        };
+    }
 
-});
\ No newline at end of file
+}, 'loadcss');
\ No newline at end of file
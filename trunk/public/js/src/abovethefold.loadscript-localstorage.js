@@ -1,5 +1,8 @@
 /**
- * HTML5 Web Worker and Fetch API based script loader with localStorage cache
+ * HTML5 Web Worker and Fetch API based script loader with IndexedDB, Cache Storage or localStorage cache
+ *
+ * Stylesheets loaded by loadCSS are downloaded and stored by the same web worker pipeline when stylesheet caching
+ * is enabled.
  *
  * Inspired by basket.js
  * @link https://addyosmani.com/basket.js/
@@ -11,11 +14,6 @@
 
 Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
-    // test availability of localStorage
-    if (!window.localStorage) {
-        return;
-    }
-
     // test availability Web Workers
     if (!window.Worker) {
         return;
@@ -26,6 +24,20 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
      */
     var OBJECT_URLS = [];
 
+    /**
+     * Cache statistics of the page view
+     */
+    var STATS = {
+        hits: 0,
+        misses: 0,
+        evictions: 0,
+        expired: 0,
+        invalidated: 0,
+        integrity: 0,
+        worker_errors: 0,
+        storage_errors: 0
+    };
+
     // async
     var ASYNC = function(fn) {
         if ('Promise' in window) {
@@ -42,12 +54,483 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     };
 
     /**
-     * localStorage controller
+     * Integrity verification using SubtleCrypto (secure context)
      */
-    var LS = {
+    var SUBTLE = (window.crypto && window.crypto.subtle && window.TextEncoder) ? window.crypto.subtle : false;
+
+    // require server supplied hashes
+    var INTEGRITY_REQUIRED = (Abtf[CONFIG.JS_CACHE] && Abtf[CONFIG.JS_CACHE][CONFIG.JS_CACHE_INTEGRITY]) ? true : false;
+
+    // global cache generation, bumped on the server to invalidate all entries
+    var GENERATION = (Abtf[CONFIG.JS_CACHE] && Abtf[CONFIG.JS_CACHE][CONFIG.JS_CACHE_GENERATION]) ? parseInt(Abtf[CONFIG.JS_CACHE][CONFIG.JS_CACHE_GENERATION]) : 0;
+
+    // stylesheet cache mode (style or blob)
+    var CSS_CACHE = (Abtf[CONFIG.CSS_CACHE] === 'style' || Abtf[CONFIG.CSS_CACHE] === 'blob') ? Abtf[CONFIG.CSS_CACHE] : false;
+
+    // server supplied version manifest (url => sha256-base64 hash or version)
+    var MANIFEST = false;
+
+    /**
+     * Return server supplied version for url
+     */
+    var MANIFEST_VERSION = function(url) {
+        if (!MANIFEST) {
+            MANIFEST = {};
+
+            var manifest = (Abtf[CONFIG.JS_CACHE] && Abtf[CONFIG.JS_CACHE][CONFIG.JS_CACHE_MANIFEST]) ? Abtf[CONFIG.JS_CACHE][CONFIG.JS_CACHE_MANIFEST] : false;
+            if (manifest && typeof manifest === 'object') {
+                var parser = document.createElement('a');
+                for (var key in manifest) {
+                    if (manifest.hasOwnProperty(key)) {
+                        parser.href = key;
+                        MANIFEST[parser.href] = String(manifest[key]);
+                    }
+                }
+            }
+        }
+        return MANIFEST[url] || false;
+    };
+
+    /**
+     * Return server supplied integrity hash for url
+     */
+    var INTEGRITY_HASH = function(url) {
+        var version = MANIFEST_VERSION(url);
+        return (version && version.indexOf('sha256-') === 0) ? version : false;
+    };
+
+    /**
+     * Calculate sha256 hash of script data, callback is called with false when SubtleCrypto is not available
+     */
+    var DIGEST = function(data, callback) {
+        if (!SUBTLE) {
+            return callback(false);
+        }
+        if (data instanceof Array) {
+            data = data.join('');
+        }
+        SUBTLE.digest('SHA-256', new TextEncoder().encode(data)).then(function(buffer) {
+            var bytes = new Uint8Array(buffer);
+            var binary = '';
+            var l = bytes.length;
+            for (var i = 0; i < l; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+            callback('sha256-' + window.btoa(binary));
+        }, function() {
+            callback(false);
+        });
+    };
+
+    /**
+     * Storage error type: 'quota' or error name
+     */
+    var STORAGE_ERROR = function(e) {
+        if (e && e.name && e.name.toUpperCase().indexOf('QUOTA') >= 0) {
+            return 'quota';
+        }
+        return (e && e.name) ? e.name : 'error';
+    };
+
+    /**
+     * Storage backends
+     *
+     * Each backend stores the script data with a meta object (date, expire, size and chunks) and provides an
+     * async interface: init(callback), list(callback), get(url, callback), set(url, meta, data, callback) and
+     * remove(url, callback). Data is a string or an array of chunks when the backend defines a chunk size.
+     */
+    var BACKENDS = {
+
+        /**
+         * IndexedDB
+         */
+        'indexeddb': {
+
+            // database name
+            name: 'abtf-loadscript',
+
+            // database connection
+            db: false,
+
+            // open database
+            init: function(callback) {
+                var request;
+                try {
+                    request = window.indexedDB.open(this.name, 1);
+                } catch (e) {
+                    return callback(false);
+                }
+
+                request.onupgradeneeded = function() {
+                    var db = request.result;
+                    if (!db.objectStoreNames.contains('meta')) {
+                        db.createObjectStore('meta');
+                    }
+                    if (!db.objectStoreNames.contains('data')) {
+                        db.createObjectStore('data');
+                    }
+                };
+                request.onsuccess = function() {
+                    BACKENDS['indexeddb'].db = request.result;
+                    callback(true);
+                };
+                request.onerror = function(e) {
+
+                    // private mode
+                    if (e && e.preventDefault) {
+                        e.preventDefault();
+                    }
+                    callback(false);
+                };
+            },
+
+            // list meta of entries
+            list: function(callback) {
+                var entries = [];
+                var request;
+                try {
+                    request = this.db.transaction('meta', 'readonly').objectStore('meta').openCursor();
+                } catch (e) {
+                    return callback(entries);
+                }
+                request.onsuccess = function() {
+                    var cursor = request.result;
+                    if (cursor) {
+                        entries.push([cursor.key, cursor.value]);
+                        cursor['continue']();
+                    } else {
+                        callback(entries);
+                    }
+                };
+                request.onerror = function() {
+                    callback(entries);
+                };
+            },
+
+            // get data
+            get: function(url, callback) {
+                var request;
+                try {
+                    request = this.db.transaction('data', 'readonly').objectStore('data').get(url);
+                } catch (e) {
+                    return callback(false);
+                }
+                request.onsuccess = function() {
+                    callback(request.result || false);
+                };
+                request.onerror = function() {
+                    callback(false);
+                };
+            },
+
+            // save data
+            set: function(url, meta, data, callback) {
+                var tx, done = false;
+                var complete = function(error) {
+                    if (!done) {
+                        done = true;
+                        callback(error);
+                    }
+                };
+                try {
+                    tx = this.db.transaction(['meta', 'data'], 'readwrite');
+                    tx.objectStore('meta').put(meta, url);
+                    tx.objectStore('data').put((data instanceof Array) ? data.join('') : data, url);
+                } catch (e) {
+                    return complete(STORAGE_ERROR(e));
+                }
+                tx.oncomplete = function() {
+                    complete(false);
+                };
+                tx.onerror = tx.onabort = function() {
+                    complete(STORAGE_ERROR(tx.error));
+                };
+            },
+
+            // remove entry
+            remove: function(url, callback) {
+                try {
+                    var tx = this.db.transaction(['meta', 'data'], 'readwrite');
+                    tx.objectStore('meta')['delete'](url);
+                    tx.objectStore('data')['delete'](url);
+                    tx.oncomplete = tx.onerror = function() {
+                        callback();
+                    };
+                } catch (e) {
+                    callback();
+                }
+            }
+        },
+
+        /**
+         * Cache Storage
+         */
+        'cache': {
+
+            // cache name, kept by the service worker cache cleanup (pwa.serviceworker.js)
+            name: 'abtf-loadscript',
+
+            // opened cache
+            cache: false,
+
+            // open cache
+            init: function(callback) {
+                if (!window.caches || !('Promise' in window)) {
+                    return callback(false);
+                }
+                window.caches.open(this.name).then(function(cache) {
+                    BACKENDS['cache'].cache = cache;
+                    callback(true);
+                }, function() {
+                    callback(false);
+                });
+            },
+
+            // list meta of entries, stored in a response header with the original url
+            list: function(callback) {
+                var cache = this.cache;
+                cache.keys().then(function(requests) {
+                    return Promise.all(requests.map(function(request) {
+                        return cache.match(request).then(function(response) {
+                            try {
+                                return JSON.parse(decodeURIComponent(response.headers.get('x-abtf-meta')));
+                            } catch (e) {
+                                return false;
+                            }
+                        });
+                    }));
+                }).then(function(entries) {
+                    callback(entries.filter(function(entry) {
+                        return entry instanceof Array;
+                    }));
+                }, function() {
+                    callback([]);
+                });
+            },
+
+            // get data
+            get: function(url, callback) {
+                this.cache.match(url).then(function(response) {
+                    return (response) ? response.text() : false;
+                }).then(callback, function() {
+                    callback(false);
+                });
+            },
+
+            // save data
+            set: function(url, meta, data, callback) {
+                try {
+                    var response = new Response((data instanceof Array) ? data.join('') : data, {
+                        headers: {
+                            'Content-Type': (meta.type === 'css') ? 'text/css' : 'application/javascript',
+                            'x-abtf-meta': encodeURIComponent(JSON.stringify([url, meta]))
+                        }
+                    });
+                } catch (e) {
+                    return callback(STORAGE_ERROR(e));
+                }
+                this.cache.put(url, response).then(function() {
+                    callback(false);
+                }, function(e) {
+                    callback(STORAGE_ERROR(e));
+                });
+            },
+
+            // remove entry
+            remove: function(url, callback) {
+                this.cache['delete'](url).then(function() {
+                    callback();
+                }, function() {
+                    callback();
+                });
+            }
+        },
+
+        /**
+         * localStorage
+         */
+        'localstorage': {
+
+            // Prefix for cache entries
+            prefix: 'abtf-',
+
+            // entries are returned synchronously
+            sync: true,
+
+            // localStorage appears to become buggy with large scripts, split data in chunks
+            // @todo performance tests
+            // @link https://jsperf.com/localstorage-10x100kb-vs-2x-500kb-vs-1x-1mb
+            chunkSize: 100000, // 100kb
+
+            // test availability of localStorage
+            init: function(callback) {
+                try {
+                    callback(!!window.localStorage);
+                } catch (e) {
+                    callback(false);
+                }
+            },
+
+            // list meta of entries
+            list: function(callback) {
+                var entries = [];
+                var item, key, entry, meta;
+                for (item in localStorage) {
+                    if (item.indexOf(this.prefix) !== 0) {
+                        continue;
+                    }
+                    key = item.substr(this.prefix.length);
+                    if (!key || key.indexOf('chunk:') === 0) {
+                        // chunk, listed by parent object
+                        continue;
+                    }
+
+                    entry = this.entry(key);
+                    if (!entry) {
+                        continue;
+                    }
+
+                    meta = {
+                        date: entry.date,
+                        expire: entry.expire,
+                        size: entry.size
+                    };
+                    if (entry.chunked) {
+                        meta.chunks = entry.chunks;
+                    }
+                    if (entry.hash) {
+                        meta.hash = entry.hash;
+                    }
+                    if (entry.version) {
+                        meta.version = entry.version;
+                    }
+                    if (entry.generation) {
+                        meta.generation = entry.generation;
+                    }
+                    if (entry.type) {
+                        meta.type = entry.type;
+                    }
+
+                    // entries saved by older versions
+                    if (typeof meta.size === 'undefined') {
+                        meta.size = 0;
+                        if (entry.chunked) {
+                            for (var i = 0; i < entry.chunks; i++) {
+                                meta.size += (localStorage.getItem(this.prefix + 'chunk:' + i + ':' + key) || '').length;
+                            }
+                        } else if (entry.data) {
+                            meta.size = entry.data.length;
+                        }
+                    }
+
+                    entries.push([key, meta]);
+                }
+                callback(entries);
+            },
+
+            // get entry object
+            entry: function(key) {
+                try {
+                    return JSON.parse(localStorage.getItem(this.prefix + key) || 'false');
+                } catch (e) {
+                    return false;
+                }
+            },
+
+            // get data
+            get: function(url, callback) {
+                var entry = this.entry(url);
+                if (!entry || typeof entry !== 'object') {
+                    return callback(false); // not in cache
+                }
+
+                /**
+                 * Chunked data
+                 */
+                if (entry.chunked === true) {
+                    var data = [],
+                        chunkData;
+                    for (var i = 0; i < entry.chunks; i++) {
+                        chunkData = localStorage.getItem(this.prefix + 'chunk:' + i + ':' + url);
+
+                        // chunk is missing
+                        if (!chunkData) {
+                            return callback(false);
+                        }
+                        data.push(chunkData);
+                    }
+                    return callback(data.join(''));
+                }
+
+                callback(entry.data || false);
+            },
+
+            // save data
+            set: function(url, meta, data, callback) {
+                var entry = {
+                    date: meta.date,
+                    expire: meta.expire,
+                    size: meta.size
+                };
+                if (meta.hash) {
+                    entry.hash = meta.hash;
+                }
+                if (meta.version) {
+                    entry.version = meta.version;
+                }
+                if (meta.generation) {
+                    entry.generation = meta.generation;
+                }
+                if (meta.type) {
+                    entry.type = meta.type;
+                }
+
+                var chunks = false;
+                if (data instanceof Array) {
+                    entry.chunked = true;
+                    entry.chunks = data.length;
+                    chunks = data;
+                } else {
+                    entry.data = data;
+                }
 
-        // Prefix for cache entries
-        prefix: 'abtf-',
+                try {
+                    if (chunks) {
+                        var l = chunks.length;
+                        for (var i = 0; i < l; i++) {
+                            localStorage.setItem(this.prefix + 'chunk:' + i + ':' + url, chunks[i]);
+                        }
+                    }
+                    localStorage.setItem(this.prefix + url, JSON.stringify(entry));
+                } catch (e) {
+
+                    // remove partially saved chunks
+                    this.remove(url, function() {}, entry);
+
+                    return callback(STORAGE_ERROR(e));
+                }
+                callback(false);
+            },
+
+            // remove entry and chunks
+            remove: function(url, callback, entry) {
+                entry = entry || this.entry(url);
+                if (entry && entry.chunked) {
+                    var l = parseInt(entry.chunks);
+                    for (var i = 0; i < l; i++) {
+                        localStorage.removeItem(this.prefix + 'chunk:' + i + ':' + url);
+                    }
+                }
+                localStorage.removeItem(this.prefix + url);
+                callback();
+            }
+        }
+    };
+
+    /**
+     * Script cache controller
+     */
+    var LS = {
 
         // Default expire time in seconds
         default_expire: 86400, // 1 day
@@ -55,6 +538,16 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         // preloaded scripts, loaded while waiting for dependencies
         preloaded: {},
 
+        // selected storage backend
+        backend: false,
+        storage: false,
+
+        // meta of cache entries (url => meta), false until loaded from the storage backend
+        index: false,
+
+        // callbacks waiting for the storage backend
+        readyQueue: [],
+
         // return current time in seconds
         now: function() {
             return (+new Date() / 1000);
@@ -76,89 +569,316 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         },
 
         /**
-         * Save script to localStorage cache
+         * Select storage backend by capability
+         */
+        init: function() {
+
+            var candidates = ['indexeddb', 'cache', 'localstorage'];
+
+            // configured storage
+            var preferred = (Abtf[CONFIG.JS_CACHE]) ? Abtf[CONFIG.JS_CACHE][CONFIG.JS_CACHE_STORAGE] : false;
+            if (preferred && candidates.indexOf(preferred) > 0) {
+                candidates.splice(candidates.indexOf(preferred), 1);
+                candidates.unshift(preferred);
+            }
+
+            var next = function() {
+                var name = candidates.shift();
+
+                // no storage available
+                if (!name) {
+
+                    if (ABTFDEBUG) {
+                        console.error('Abtf.js() ➤ script cache ➤ no storage available');
+                    }
+
+                    LS.ready({});
+                    return;
+                }
+
+                BACKENDS[name].init(function(available) {
+                    if (!available) {
+                        return next();
+                    }
+
+                    LS.backend = BACKENDS[name];
+                    LS.storage = name;
+
+                    // load meta of cache entries
+                    LS.backend.list(function(entries) {
+                        var index = {};
+                        var l = entries.length;
+                        for (var i = 0; i < l; i++) {
+                            if (entries[i][1] && typeof entries[i][1] === 'object') {
+                                index[entries[i][0]] = entries[i][1];
+                            }
+                        }
+
+                        if (ABTFDEBUG) {
+                            console.info('Abtf.js() ➤ script cache ➤ ' + name, '(' + l + ' entries)');
+                        }
+
+                        LS.ready(index);
+                    });
+                });
+            };
+            next();
+        },
+
+        /**
+         * Storage backend ready
+         */
+        ready: function(index) {
+            LS.index = index;
+
+            // remove entries of an older generation or version
+            LS.invalidate();
+
+            // verify scripts of the page manifest that are captured by the proxy in advance, the proxy requests cached
+            // scripts synchronously
+            for (var url in index) {
+                if (index.hasOwnProperty(url) && index[url].type === 'proxy' && MANIFEST_VERSION(url) && LS.cached(url)) {
+                    LS.preloadScript(url);
+                }
+            }
+
+            var queue = LS.readyQueue;
+            LS.readyQueue = [];
+            var l = queue.length;
+            for (var i = 0; i < l; i++) {
+                queue[i]();
+            }
+        },
+
+        /**
+         * Execute callback when the storage backend is ready
          */
-        saveScript: function(url, scriptData, expire) {
+        onReady: function(callback) {
+            if (LS.index) {
+                callback();
+            } else {
+                LS.readyQueue.push(callback);
+            }
+        },
+
+        /**
+         * Return meta of cache entry that is not expired or stale
+         */
+        cached: function(url) {
+            if (!LS.index || !LS.index[url]) {
+                return false;
+            }
+
+            // verify expire time
+            if (typeof LS.index[url].expire !== 'undefined' && (LS.index[url].expire - LS.now()) < 0) {
+                return false; // expired
+            }
+
+            if (LS.stale(url, LS.index[url])) {
+                return false;
+            }
+
+            return LS.index[url];
+        },
+
+        /**
+         * Entry is of an older cache generation or does not match the version manifest
+         */
+        stale: function(url, meta) {
+            if ((meta.generation || 0) !== GENERATION) {
+                return true;
+            }
+
+            var version = MANIFEST_VERSION(url);
+            return (version && meta.version !== version && meta.hash !== version) ? true : false;
+        },
+
+        /**
+         * Remove stale entries
+         */
+        invalidate: function() {
+            var removed = [];
+            for (var url in LS.index) {
+                if (LS.index.hasOwnProperty(url) && LS.stale(url, LS.index[url])) {
+                    removed.push(url);
+                }
+            }
+
+            var l = removed.length;
+            for (var i = 0; i < l; i++) {
+                LS.remove(removed[i]);
+            }
+
+            STATS.invalidated += l;
+
+            if (ABTFDEBUG) {
+                if (l > 0) {
+                    console.warn('Abtf.js() ➤ script cache ➤ invalidated', l, 'stale scripts', '(generation ' + GENERATION + ')');
+                }
+            }
+        },
+
+        /**
+         * Verify cached script data against the server supplied hash
+         *
+         * Entries without a server hash are not verified. The hash stored with an entry can be replaced together
+         * with the data and does not offer an integrity guarantee.
+         */
+        verify: function(url, meta, data, callback) {
+
+            var expected = INTEGRITY_HASH(url);
+            if (!expected) {
+                return callback(!INTEGRITY_REQUIRED, 'no hash');
+            }
+
+            DIGEST(data, function(hash) {
+                if (!hash) {
+                    return callback(!INTEGRITY_REQUIRED, 'SubtleCrypto not available');
+                }
+                callback(hash === expected, 'hash mismatch');
+            });
+        },
+
+        /**
+         * Save script or stylesheet (type css) to cache
+         */
+        saveScript: function(url, scriptData, expire, type) {
+
+            // verify downloaded data before saving
+            DIGEST(scriptData, function(hash) {
+
+                var expected = INTEGRITY_HASH(url);
+                if ((expected && hash !== expected) || (INTEGRITY_REQUIRED && !expected)) {
+
+                    if (ABTFDEBUG) {
+                        console.error('Abtf.js() ➤ script cache ➤ integrity', (expected) ? 'hash mismatch' : 'no hash', 'not saved', Abtf[CONFIG.LOCALURL](url));
+                    }
+                    return;
+                }
+
+                LS.save(url, scriptData, expire, hash, type);
+            });
+        },
+
+        /**
+         * Save verified script to cache
+         */
+        save: function(url, scriptData, expire, hash, type) {
 
             // minimize interference with rendering
             LS.execWhenIdle(function idleTime() {
 
-                var scriptObj = {};
-
                 var now = LS.now();
-                scriptObj.date = now;
-                scriptObj.expire = now + (expire || LS.default_expire);
+                var meta = {
+                    date: now,
+                    expire: now + (expire || LS.default_expire),
+                    size: 0,
+                    generation: GENERATION
+                };
+
+                if (hash) {
+                    meta.hash = hash;
+                }
+                if (type) {
+                    meta.type = type;
+                }
+
+                var version = MANIFEST_VERSION(url);
+                if (version) {
+                    meta.version = version;
+                }
 
                 if (scriptData instanceof Array) {
 
                     // chunked
-                    scriptObj.chunked = true;
-                    scriptObj.chunks = scriptData.length;
-
-                    var chunkObjects = [];
+                    meta.chunks = scriptData.length;
                     var l = scriptData.length;
                     for (var i = 0; i < l; i++) {
-                        chunkObjects.push(scriptData[i]);
+                        meta.size += scriptData[i].length;
                     }
                 } else {
-                    var chunkObjects = false;
-                    scriptObj.data = scriptData;
+                    meta.size = scriptData.length;
                 }
 
-                LS.add(url, scriptObj);
-
-                if (chunkObjects) {
-                    var l = chunkObjects.length;
-                    for (var i = 0; i < l; i++) {
-                        LS.add('chunk:' + i + ':' + url, chunkObjects[i]);
-                    }
-                }
+                LS.add(url, meta, scriptData);
 
             }, 3000);
         },
 
         /**
-         * Get script from localStorage cache
+         * Get script blob url from cache, callback is called with false when the script is not in the cache
+         */
+        getScript: function(url, callback) {
+
+            if (typeof LS.preloaded[url] !== 'undefined' && LS.preloaded[url] !== false) {
+                return callback(LS.preloaded[url]);
+            }
+
+            // abort preloading
+            LS.preloaded[url] = false;
+
+            LS.getData(url, function(data) {
+                if (!data) {
+                    return callback(false);
+                }
+                LS.blobUrl(url, data, callback);
+            });
+        },
+
+        /**
+         * Get verified data from cache, callback is called with false when the entry is not in the cache
          */
-        getScript: function(url) {
+        getData: function(url, callback) {
+
+            LS.onReady(function() {
+
+                var meta = LS.cached(url);
+                if (!LS.backend || !meta) {
+                    return callback(false); // not in cache or expired
+                }
+
+                // get from storage
+                LS.backend.get(url, function(data) {
+
+                    if (!data) {
+                        return callback(false); // no data
+                    }
+
+                    LS.verify(url, meta, data, function(valid, reason) {
+
+                        if (!valid) {
 
-            if (typeof LS.preloaded[url] !== 'undefined' && LS.preloaded[url] !== false) {
-                return LS.preloaded[url];
-            }
+                            if (ABTFDEBUG) {
+                                console.error('Abtf.js() ➤ script cache ➤ integrity', reason, 'removed', Abtf[CONFIG.LOCALURL](url));
+                            }
 
-            // abort preloading
-            LS.preloaded[url] = false;
+                            STATS.integrity++;
 
-            // get from localStorage
-            var cacheObject = LS.get(url);
+                            Abtf[CONFIG.EMIT]('js:integrity', {
+                                url: url,
+                                reason: reason
+                            });
 
-            if (!cacheObject || typeof cacheObject !== 'object') {
-                return false; // not in cache
-            }
+                            // remove from cache, the script is downloaded again
+                            LS.remove(url);
 
-            // verify expire time
-            if (typeof cacheObject.expire !== 'undefined' && (cacheObject.expire - LS.now()) < 0) {
-                return false; // expired
-            }
+                            return callback(false);
+                        }
 
-            /**
-             * Chunked data
-             */
-            if (typeof cacheObject.chunked !== 'undefined' && cacheObject.chunked === true) {
-                var data = [],
-                    chunkData;
-                for (var i = 0; i < cacheObject.chunks; i++) {
-                    chunkData = LS.get('chunk:' + i + ':' + url);
+                        callback(data);
+                    });
+                });
+            });
+        },
 
-                    // chunk is missing
-                    if (chunkData === false || typeof chunkData === 'undefined') {
-                        return false;
-                    }
-                    data.push(chunkData);
-                }
-                cacheObject.data = data.join('');
-            } else if (!cacheObject.data) {
-                return false; // no data
+        /**
+         * Create blob url for verified script data
+         */
+        blobUrl: function(url, data, callback) {
+
+            // preloaded by parallel request
+            if (LS.preloaded[url]) {
+                return callback(LS.preloaded[url]);
             }
 
             var scriptData = '/* @source ' + url + ' */\n';
@@ -169,8 +889,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
             /** requestIdleCallback */
             if (Abtf[CONFIG.IDLE] && typeof Abtf[CONFIG.JS][2] !== 'undefined' && Abtf[CONFIG.JS][2]) {
 
-                var l = Abtf[CONFIG.JS][2].length,
-                    str;
+                var l = Abtf[CONFIG.JS][2].length;
                 for (var i = 0; i < l; i++) {
                     if (typeof Abtf[CONFIG.JS][2][i] !== 'object') {
                         continue;
@@ -187,21 +906,21 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
             if (idle) {
                 scriptData += 'window.requestIdleCallback(function(){';
-                scriptData += cacheObject.data;
+                scriptData += data;
                 if (idle_timeframe) {
                     scriptData += '},{timeout:' + idle_timeframe + '});';
                 } else {
                     scriptData += '});';
                 }
             } else {
-                scriptData += cacheObject.data;
+                scriptData += data;
             }
 
             // create blob url
             LS.preloaded[url] = createBlobUrl(scriptData, 'application/javascript');
             OBJECT_URLS.push(LS.preloaded[url]);
 
-            return LS.preloaded[url];
+            callback(LS.preloaded[url]);
         },
 
         /**
@@ -220,60 +939,68 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                     return;
                 }
 
-                LS.preloaded[url] = LS.getScript(url);
+                LS.getScript(url, function() {});
 
             }, 100);
         },
 
         /**
-         * Add data to localStorage cache
+         * Add data to cache
          */
-        add: function(key, storeObj, retryCount) {
+        add: function(key, meta, data, retryCount) {
+
+            if (!LS.backend) {
+                return;
+            }
 
             // skip retry after 10 removed entries
             if (typeof retryCount !== 'undefined' && parseInt(retryCount) > 10) {
 
                 if (ABTFDEBUG) {
-                    console.error('Abtf.js() ➤ localStorage quota reached', 'retry limit reached, abort saving...', key);
+                    console.error('Abtf.js() ➤ ' + LS.storage + ' quota reached', 'retry limit reached, abort saving...', key);
                 }
                 return;
             }
 
-            if (typeof storeObj === 'object') {
-                storeObj = JSON.stringify(storeObj);
-            }
-            try {
-                localStorage.setItem(LS.prefix + key, storeObj);
-                return true;
-            } catch (e) {
+            LS.backend.set(key, meta, data, function(error) {
+
+                if (!error) {
+                    LS.index[key] = meta;
+                    return;
+                }
 
                 /**
-                 * localStorage quota reached, prune old cache entries
+                 * Quota reached, prune oldest cache entry
                  */
-                if (e.name.toUpperCase().indexOf('QUOTA') >= 0) {
-                    var item, entry, entryKey;
-                    var tempScripts = [];
-
-                    for (item in localStorage) {
-                        if (item.indexOf(LS.prefix) === 0 && item.indexOf('chunk:') === -1) {
-                            entryKey = item.split(LS.prefix)[1];
-                            entry = LS.get(entryKey);
-                            if (entry) {
-                                tempScripts.push([entryKey, entry]);
-                            }
+                if (error === 'quota') {
+
+                    var oldest = false;
+                    for (var url in LS.index) {
+                        if (!LS.index.hasOwnProperty(url) || url === key) {
+                            continue;
+                        }
+                        if (oldest === false || LS.index[url].date < LS.index[oldest].date) {
+                            oldest = url;
                         }
                     }
 
-                    if (tempScripts.length) {
-                        tempScripts.sort(function(a, b) {
-                            return a[1].date - b[1].date;
-                        });
+                    if (oldest === false) {
 
                         if (ABTFDEBUG) {
-                            console.error('Abtf.js() ➤ localStorage quota reached', 'removed', tempScripts[0][0], 'for key', key);
+                            console.error('Abtf.js() ➤ ' + LS.storage + ' quota reached', 'no files to remove');
                         }
 
-                        LS.remove(tempScripts[0][0]);
+                        // no files to remove. Larger than available quota
+                        return;
+                    }
+
+                    if (ABTFDEBUG) {
+                        console.error('Abtf.js() ➤ ' + LS.storage + ' quota reached', 'removed', oldest, 'for key', key);
+                    }
+
+                    STATS.evictions++;
+
+                    LS.remove(oldest, function() {
 
                         // minimize interference with rendering
                         LS.execWhenIdle(function idleTime() {
@@ -281,150 +1008,120 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                             if (typeof retryCount === 'undefined') {
                                 retryCount = 0;
                             }
-                            LS.add(key, storeObj, ++retryCount);
+                            LS.add(key, meta, data, ++retryCount);
 
                         }, 1000);
+                    });
 
-                        return;
-                    } else {
-
-
-                        if (ABTFDEBUG) {
-                            console.error('Abtf.js() ➤ localStorage quota reached', 'no files to remove');
-                        }
-
-                        // no files to remove. Larger than available quota
-                        return;
-                    }
-
-                } else {
-
-                    if (ABTFDEBUG) {
-                        console.error('Abtf.js() ➤ localStorage error', e.name, e);
-                    }
-
-                    // some other error
                     return;
                 }
-            }
-        },
-
-        /**
-         * Remove from localStorage
-         */
-        remove: function(key) {
-
-            var entry = LS.get(key);
-            if (!entry) {
-                return;
-            }
 
-            if (entry.chunked) {
+                STATS.storage_errors++;
 
-                // remove chunks
-                var l = parseInt(entry.chunks);
-                for (var i = 0; i < l; i++) {
-                    localStorage.removeItem(LS.prefix + 'chunk:' + i + ':' + key);
+                if (ABTFDEBUG) {
+                    console.error('Abtf.js() ➤ ' + LS.storage + ' error', error);
                 }
-            }
-
-            localStorage.removeItem(LS.prefix + key);
+            });
         },
 
         /**
-         * Get from localStorage
+         * Remove from cache
          */
-        get: function(key) {
-            var item = localStorage.getItem(LS.prefix + key);
-            try {
-
-                // chunk, return string data
-                if (key.indexOf('chunk:') !== -1) {
-                    return item || false;
-                }
-
-                // return entry object
-                return JSON.parse(item || 'false');
-
-            } catch (e) {
-                return false;
+        remove: function(key, callback) {
+            if (LS.index) {
+                delete LS.index[key];
+            }
+            if (LS.preloaded[key]) {
+                delete LS.preloaded[key];
+            }
+            if (!LS.backend) {
+                return (callback) ? callback() : null;
             }
+            LS.backend.remove(key, callback || function() {});
         },
 
         /**
-         * Clear expired entries in localStorage
+         * Clear expired entries
          */
         clear: function(expired) {
-            var item, key;
-            var now = this.now();
-
-            if (ABTFDEBUG) {
+            LS.onReady(function() {
+                var now = LS.now();
                 var removed = [];
-            }
 
-            var entry, clear;
-            for (item in localStorage) {
-                key = item.split(LS.prefix)[1];
-                if (key) {
-                    if (key.indexOf('chunk:') !== -1) {
-                        // chunk, remove by parent object
+                for (var key in LS.index) {
+                    if (!LS.index.hasOwnProperty(key)) {
                         continue;
                     }
-
-                    // get entry
-                    entry = LS.get(key);
-                    if (!entry) {
-                        // entry does not exist
-                        continue;
+                    if (!expired || LS.index[key].expire <= now) {
+                        removed.push(key);
                     }
+                }
 
-                    if (!expired || entry.expire <= now) {
+                var l = removed.length;
+                for (var i = 0; i < l; i++) {
+                    LS.remove(removed[i]);
+                }
 
-                        // remove entry
-                        LS.remove(key);
+                if (expired) {
+                    STATS.expired += l;
+                }
 
-                        if (ABTFDEBUG) {
-                            removed.push(key);
-                        }
+                if (ABTFDEBUG) {
+                    if (removed.length > 0) {
+                        console.warn('Abtf.js() ➤ ' + LS.storage + ' cleared', removed.length, 'expired scripts');
                     }
                 }
-            }
+            });
+        },
 
-            if (ABTFDEBUG) {
-                if (removed.length > 0) {
-                    console.warn('Abtf.js() ➤ localStorage cleared', removed.length, 'expired scripts');
+        /**
+         * Migrate localStorage entries to the selected storage backend
+         */
+        migrate: function() {
+            LS.onReady(function() {
+                if (!LS.backend || LS.storage === 'localstorage') {
+                    return;
                 }
-            }
-        }
 
-    };
+                var legacy = BACKENDS['localstorage'];
+                legacy.init(function(available) {
+                    if (!available) {
+                        return;
+                    }
 
-    /**
-     * Create javascript blob url
-     */
-    var createBlobUrl = function(fileData, mimeType) {
-        var blob;
+                    legacy.list(function(entries) {
+                        var now = LS.now();
+                        var l = entries.length;
+                        for (var i = 0; i < l; i++) {
+                            (function(url, meta) {
+                                if (!LS.index[url] && meta.expire > now && !LS.stale(url, meta)) {
+                                    legacy.get(url, function(data) {
+                                        if (data) {
+                                            LS.add(url, meta, data);
+                                        }
+                                    });
+                                }
+                                legacy.remove(url, function() {});
+                            })(entries[i][0], entries[i][1]);
+                        }
 
-        /**
-         * Create blob
-         */
-        try {
-            blob = new Blob([fileData], {
-                type: mimeType
+                        if (ABTFDEBUG) {
+                            if (l > 0) {
+                                console.info('Abtf.js() ➤ script cache ➤ migrated', l, 'localStorage entries to', LS.storage);
+                            }
+                        }
+                    });
+                });
             });
-        } catch (e) { // Backwards-compatibility
-            window.BlobBuilder = window.BlobBuilder || window.WebKitBlobBuilder || window.MozBlobBuilder;
-            blob = new BlobBuilder();
-            blob.append(fileData);
-            blob = blob.getBlob(mimeType);
         }
 
-        /**
-         * Return blob url
-         */
-        return URL.createObjectURL(blob);
     };
 
+    /**
+     * Create javascript blob url
+     */
+    var createBlobUrl = Abtf[CONFIG.BLOB_URL];
+
     /**
      * Web Worker source code
      */
@@ -436,10 +1133,6 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
             // default timeout
             self.DEFAULT_TIMEOUT = 5000;
 
-            // @todo performance tests
-            // @link https://jsperf.com/localstorage-10x100kb-vs-2x-500kb-vs-1x-1mb
-            self.MAX_CHUNK_SIZE = 100000; // 100kb
-
             // chunk data for localStorage
             self.CHUNK_DATA = function(data, chunkSize) {
                 var chunksCount = Math.ceil(data.length / chunkSize);
@@ -476,7 +1169,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                         request_timeout = false;
                     }
 
-                    if (!error && returnData) {
+                    if (!error && returnData && file.c) {
 
                         /**
                          * localStorage appears to become buggy with large scripts
@@ -486,8 +1179,8 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                         var dataSize = returnData.length;
 
                         // calculate data size
-                        if (dataSize > self.MAX_CHUNK_SIZE) {
-                            returnData = self.CHUNK_DATA(returnData, self.MAX_CHUNK_SIZE);
+                        if (dataSize > file.c) {
+                            returnData = self.CHUNK_DATA(returnData, file.c);
                         }
                     }
 
@@ -638,7 +1331,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                     self.postMessage([2, file.i, error]);
                 } else {
 
-                    // send back data to save in localStorage
+                    // send back data to save in cache
                     self.postMessage([1, file.i, returnData]);
                 }
 
@@ -744,6 +1437,8 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
             // error
             if (parseInt(response[0]) === 2) {
+                STATS.worker_errors++;
+
                 if (ABTFDEBUG) {
                     if (response[2] instanceof Array) {
                         if (parseInt(response[2][0]) > 200 && parseInt(response[2][0]) < 600) {
@@ -762,6 +1457,8 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
          */
         handleError: function(error) {
 
+            STATS.worker_errors++;
+
             // output error to console
             if (ABTFDEBUG) {
                 console.error('Abtf.js() ➤ web worker script loader error', error);
@@ -772,13 +1469,18 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
          * Load script
          */
         loadScript: function(url, onData) {
+            this.load(Abtf[CONFIG.PROXIFY](url), onData);
+        },
+
+        /**
+         * Load resource
+         */
+        load: function(url, onData) {
 
             if (!this.worker) {
                 this.start();
             }
 
-            url = Abtf[CONFIG.PROXIFY](url);
-
             var scriptIndex = parseInt(this.scriptIndex);
             this.scriptIndex++;
 
@@ -791,7 +1493,8 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
             // send to web worker 
             this.worker.postMessage({
                 url: url,
-                i: scriptIndex
+                i: scriptIndex,
+                c: (LS.backend && LS.backend.chunkSize) ? LS.backend.chunkSize : 0
             });
         }
     };
@@ -799,6 +1502,9 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     // start web worker
     WEBWORKER.start();
 
+    // select storage backend
+    LS.init();
+
     /**
      * Clear memory
      */
@@ -855,61 +1561,81 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     }
 
     /**
-     * Load cached script
+     * Migrate localStorage entries
      */
-    Abtf[CONFIG.LOAD_CACHED_SCRIPT] = function(src, callback, onStart) {
+    LS.execWhenIdle(LS.migrate, 5000);
 
-        ASYNC(function() {
+    /**
+     * Save script downloaded by the web worker
+     */
+    var ON_WORKER_DATA = function(src, type) {
+        return function onData(scriptData) {
 
-            /**
-             * Try localStorage cache
-             */
-            var url = LS.getScript(src);
-            if (url) {
+            if (!scriptData) {
                 if (ABTFDEBUG) {
-                    onStart(url);
+                    console.error('Abtf.js() ➤ web worker script loader no data', Abtf[CONFIG.LOCALURL](src));
                 }
-                Abtf[CONFIG.LOAD_SCRIPT](url, callback);
                 return;
             }
 
             if (ABTFDEBUG) {
-                // not cached
-                onStart(false);
+                if (scriptData instanceof Array) {
+                    console.info('Abtf.js() ➤ web worker ➤ ' + LS.storage + ' saved chunked', '(' + scriptData.length + ' chunks)', Abtf[CONFIG.LOCALURL](src));
+                } else {
+                    console.info('Abtf.js() ➤ web worker ➤ ' + LS.storage + ' saved', '(' + scriptData.length + ')', Abtf[CONFIG.LOCALURL](src));
+                }
             }
 
+            // save script to cache
+            LS.saveScript(src, scriptData, false, type);
+        };
+    };
+
+    /**
+     * Load cached script
+     */
+    Abtf[CONFIG.LOAD_CACHED_SCRIPT] = function(src, callback, onStart) {
+
+        ASYNC(function() {
+
             /**
-             * Not in cache, start regular request and potentially use browser cache speed
+             * Try cache
              */
-            Abtf[CONFIG.LOAD_SCRIPT](src, function scriptLoaded() {
+            LS.getScript(src, function(url) {
+                Abtf[CONFIG.EMIT]('js:cache', {
+                    url: src,
+                    hit: (url) ? true : false
+                });
+                if (url) {
+                    STATS.hits++;
+                    onStart(url);
+                    Abtf[CONFIG.LOAD_SCRIPT](url, callback);
+                    return;
+                }
 
-                callback();
+                STATS.misses++;
+
+                // not cached
+                onStart(false);
 
                 /**
-                 * Load script into cache in the background
+                 * Not in cache, start regular request and potentially use browser cache speed
                  */
-                WEBWORKER.loadScript(src, function onData(scriptData) {
+                Abtf[CONFIG.LOAD_SCRIPT](src, function scriptLoaded(err, execError) {
 
-                    if (!scriptData) {
-                        if (ABTFDEBUG) {
-                            console.error('Abtf.js() ➤ web worker script loader no data', Abtf[CONFIG.LOCALURL](src));
-                        }
-                        return;
-                    }
+                    callback(err, execError);
 
-                    if (ABTFDEBUG) {
-                        if (scriptData instanceof Array) {
-                            console.info('Abtf.js() ➤ web worker ➤ localStorage saved chunked', '(' + scriptData.length + ' chunks)', Abtf[CONFIG.LOCALURL](src));
-                        } else {
-                            console.info('Abtf.js() ➤ web worker ➤ localStorage saved', '(' + scriptData.length + ')', Abtf[CONFIG.LOCALURL](src));
-                        }
+                    // do not cache failed scripts or scripts that throw
+                    if (err || execError) {
+                        return;
                     }
 
-                    // save script to local storage
-                    LS.saveScript(src, scriptData);
+                    /**
+                     * Load script into cache in the background
+                     */
+                    WEBWORKER.loadScript(src, ON_WORKER_DATA(src));
 
                 });
-
             });
 
         });
@@ -917,55 +1643,239 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     };
 
     /**
-     * Preload cached script
+     * Preload cached script, onMiss is called when the script is not in the cache
      */
-    Abtf[CONFIG.PRELOAD_CACHED_SCRIPT] = function(url) {
+    Abtf[CONFIG.PRELOAD_CACHED_SCRIPT] = function(url, onMiss) {
         ASYNC(function() {
-            LS.preloadScript(url);
+            if (onMiss) {
+                LS.getScript(url, function(cachedUrl) {
+                    if (!cachedUrl) {
+                        onMiss();
+                    }
+                });
+            } else {
+                LS.preloadScript(url);
+            }
         });
     };
 
     /**
      * Load cached script url
+     *
+     * The url is returned synchronously. Scripts that are downloaded by this method are saved as type proxy and are
+     * verified in advance when the storage backend is ready (SubtleCrypto is async) when they are in the version
+     * manifest of the page. A script that is not verified yet is loaded from the network.
      */
     Abtf[CONFIG.LOAD_CACHED_SCRIPT_URL] = function(src) {
 
         /**
-         * Try localStorage cache
+         * Try cache
          */
-        var url = LS.getScript(src);
+        var url = LS.preloaded[src] || false;
+
+        // synchronous storage backend without server hash (not verified)
+        if (!url && LS.index && LS.backend && LS.backend.sync && !INTEGRITY_HASH(src)) {
+            LS.getScript(src, function(cachedUrl) {
+                url = cachedUrl;
+            });
+        }
         if (url) {
+            STATS.hits++;
             return url;
         }
 
+        LS.onReady(function() {
+
+            // in cache, not verified yet
+            if (LS.cached(src)) {
+                return;
+            }
+
+            STATS.misses++;
+
+            /**
+             * Load script into cache in the background
+             */
+            WEBWORKER.loadScript(src, ON_WORKER_DATA(src, 'proxy'));
+        });
+
+        // return original url 
+        return src;
+
+    };
+
+    if (CSS_CACHE) {
+
         /**
-         * Load script into cache in the background
+         * Rebase relative url() and @import references to the stylesheet location
+         *
+         * Cached stylesheets are applied as inline <style> or blob url which do not resolve against the original
+         * stylesheet url.
          */
-        WEBWORKER.loadScript(src, function onData(scriptData) {
+        var REBASE_CSS = function(cssText, href) {
 
-            if (!scriptData) {
-                if (ABTFDEBUG) {
-                    console.error('Abtf.js() ➤ web worker script loader no data', Abtf[CONFIG.LOCALURL](src));
+            // absolute stylesheet url
+            var parser = document.createElement('a');
+            parser.href = href;
+            var base = parser.href;
+
+            var rebase = function(path) {
+                path = path.trim();
+
+                // data uri, absolute, protocol relative or fragment
+                if (!path || /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(path)) {
+                    return path;
                 }
-                return;
+                try {
+                    return new URL(path, base).href;
+                } catch (e) {
+                    return path;
+                }
+            };
+
+            return cssText
+                .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, function(match, quote, path) {
+                    return 'url(' + quote + rebase(path) + quote + ')';
+                })
+                .replace(/@import\s+(['"])([^'"]+)\1/gi, function(match, quote, path) {
+                    return '@import ' + quote + rebase(path) + quote;
+                });
+        };
+
+        // stylesheets waiting for window.onload to be cached
+        var CSS_QUEUE = [];
+        var CACHE_CSS = function() {
+            var queue = CSS_QUEUE.splice(0, CSS_QUEUE.length);
+            var l = queue.length;
+            for (var i = 0; i < l; i++) {
+                WEBWORKER.load(queue[i], ON_WORKER_DATA(queue[i], 'css'));
             }
+        };
+        window.addEventListener('load', function() {
+            LS.execWhenIdle(CACHE_CSS, 3000);
+        });
 
-            if (ABTFDEBUG) {
-                if (scriptData instanceof Array) {
-                    console.info('Abtf.js() ➤ web worker ➤ localStorage saved chunked', '(' + scriptData.length + ' chunks)', Abtf[CONFIG.LOCALURL](src));
-                } else {
-                    console.info('Abtf.js() ➤ web worker ➤ localStorage saved', '(' + scriptData.length + ')', Abtf[CONFIG.LOCALURL](src));
+        /**
+         * Load cached stylesheet
+         *
+         * The callback is called with [mode, value] where value is the rebased CSS (style mode) or a blob url
+         * (blob mode), or with false when the stylesheet is not in the cache. Stylesheets that are not cached are
+         * downloaded by the web worker after window.onload, from the browser cache when possible.
+         */
+        Abtf[CONFIG.LOAD_CACHED_CSS] = function(href, callback) {
+
+            LS.getData(href, function(data) {
+                Abtf[CONFIG.EMIT]('css:cache', {
+                    url: href,
+                    hit: (data) ? true : false
+                });
+
+                if (data) {
+                    STATS.hits++;
+
+                    var cssText = '/* @source ' + href + ' */\n' + REBASE_CSS(data, href);
+
+                    if (CSS_CACHE === 'blob') {
+                        var url = createBlobUrl(cssText, 'text/css');
+                        OBJECT_URLS.push(url);
+                        return callback(['blob', url]);
+                    }
+
+                    return callback(['style', cssText]);
                 }
-            }
 
-            // save script to local storage
-            LS.saveScript(src, scriptData);
+                STATS.misses++;
 
-        });
+                callback(false);
 
-        // return original url 
-        return src;
+                if (CSS_QUEUE.indexOf(href) === -1) {
+                    CSS_QUEUE.push(href);
+                    if (document.readyState === 'complete') {
+                        LS.execWhenIdle(CACHE_CSS, 3000);
+                    }
+                }
+            });
+        };
+    }
 
+    /**
+     * Return cache statistics (debug overlay and telemetry)
+     */
+    Abtf[CONFIG.CACHE_STATS] = function() {
+        var stats = {
+            'storage': LS.storage,
+            'entries': 0,
+            'size': 0,
+            'chunks': 0,
+            'hits': STATS.hits,
+            'misses': STATS.misses,
+            'evictions': STATS.evictions,
+            'expired': STATS.expired,
+            'invalidated': STATS.invalidated,
+            'integrity': STATS.integrity,
+            'worker_errors': STATS.worker_errors,
+            'storage_errors': STATS.storage_errors
+        };
+        for (var key in LS.index) {
+            if (LS.index.hasOwnProperty(key)) {
+                stats['entries']++;
+                stats['size'] += LS.index[key].size || 0;
+                stats['chunks'] += LS.index[key].chunks || 0;
+            }
+        }
+        return stats;
     };
 
-});
\ No newline at end of file
+    if (ABTFDEBUG) {
+
+        /**
+         * Purge entry or all entries when url is false (debug overlay)
+         */
+        Abtf[CONFIG.CACHE_PURGE] = function(url, callback) {
+            LS.onReady(function() {
+                var urls = (url) ? [url] : Object.keys(LS.index);
+                var pending = urls.length;
+                if (pending === 0) {
+                    return callback();
+                }
+
+                var l = urls.length;
+                for (var i = 0; i < l; i++) {
+                    LS.remove(urls[i], function() {
+                        if (--pending === 0) {
+                            console.info('Abtf.js() ➤ script cache ➤ purged', l, 'scripts');
+                            callback();
+                        }
+                    });
+                }
+            });
+        };
+
+        /**
+         * Return script cache state (debug overlay)
+         */
+        Abtf[CONFIG.CACHE_STATE] = function() {
+            var state = [];
+            var key, entry;
+            for (key in LS.index) {
+                if (!LS.index.hasOwnProperty(key)) {
+                    continue;
+                }
+                entry = LS.index[key];
+
+                state.push({
+                    'url': key,
+                    'storage': LS.storage,
+                    'size': entry.size || 0,
+                    'date': Math.round(entry.date),
+                    'expire': Math.round(entry.expire),
+                    'chunks': entry.chunks || 0,
+                    'hash': entry.hash || false,
+                    'type': entry.type || 'js'
+                });
+            }
+            return state;
+        };
+    }
+
+}, 'loadscript');
@@ -37,9 +37,63 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
     // mark loadScript injections
     Abtf[CONFIG.LOAD_SCRIPT_MARK] = false;
 
-    Abtf[CONFIG.LOAD_SCRIPT] = function(src, callback) {
+    /**
+     * Script execution errors
+     *
+     * Errors thrown while an injected script is evaluated are attributed to the script by document.currentScript
+     * (classic scripts) or by the error filename (module scripts).
+     */
+    var EXECUTING = [];
+
+    var EXEC_ERROR = function(event) {
+        var current = document.currentScript;
+        var l = EXECUTING.length;
+        for (var i = 0; i < l; i++) {
+            if ((current && EXECUTING[i][0] === current) || (event.filename && EXECUTING[i][0].src === event.filename)) {
+                if (!EXECUTING[i][1]) {
+                    EXECUTING[i][1] = [event.message || 'Script error.', event.lineno || 0, event.colno || 0];
+                }
+                return;
+            }
+        }
+    };
+
+    if (window.addEventListener) {
+        window.addEventListener('error', EXEC_ERROR);
+    }
+
+    /**
+     * Create blob url (web worker code and cached scripts)
+     */
+    Abtf[CONFIG.BLOB_URL] = function(fileData, mimeType) {
+        var blob;
+
+        /**
+         * Create blob
+         */
+        try {
+            blob = new Blob([fileData], {
+                type: mimeType
+            });
+        } catch (e) { // Backwards-compatibility
+            window.BlobBuilder = window.BlobBuilder || window.WebKitBlobBuilder || window.MozBlobBuilder;
+            blob = new BlobBuilder();
+            blob.append(fileData);
+            blob = blob.getBlob(mimeType);
+        }
+
+        /**
+         * Return blob url
+         */
+        return URL.createObjectURL(blob);
+    };
+
+    // attributes to copy from the script config (set before src)
+    var SCRIPT_ATTRIBUTES = ['integrity', 'crossorigin', 'referrerpolicy'];
 
-        var script = document.createElement("script");
+    Abtf[CONFIG.LOAD_SCRIPT] = function(src, callback, attrs) {
+
+        var script = Abtf[CONFIG.CSP_NONCE](document.createElement("script"));
 
         if (Abtf[CONFIG.LOAD_SCRIPT_MARK]) {
 
@@ -47,10 +101,27 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
             script.setAttribute('data-abtf', '');
         }
 
+        // script attributes (type=module, integrity, crossorigin, referrerpolicy)
+        if (attrs) {
+            if (attrs['type'] === 'module') {
+                script.type = 'module';
+            }
+            var l = SCRIPT_ATTRIBUTES.length;
+            for (var i = 0; i < l; i++) {
+                if (typeof attrs[SCRIPT_ATTRIBUTES[i]] === 'string') {
+                    script.setAttribute(SCRIPT_ATTRIBUTES[i], attrs[SCRIPT_ATTRIBUTES[i]]);
+                }
+            }
+        }
+
         var done = false;
         var err;
         var _cleanup; // _must_ be set below.
 
+        // [script, execution error]
+        var executing = [script, false];
+        EXECUTING.push(executing);
+
         /**
          * Final handler for error or completion.
          *
@@ -68,10 +139,16 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
 
             // Internal cleanup.
             _cleanup();
+            var i = EXECUTING.length;
+            while (i--) {
+                if (EXECUTING[i] === executing) {
+                    EXECUTING.splice(i, 1);
+                }
+            }
 
-            // Callback.
+            // Callback with the error thrown during execution.
             if (callback) {
-                callback(err);
+                callback(err, (!err && executing[1]) ? executing[1] : false);
             }
         };
 
@@ -215,4 +292,4 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         }
     };
 
-});
\ No newline at end of file
+}, 'loadscript');
\ No newline at end of file
@@ -0,0 +1,455 @@
+/**
+ * Debug overlay
+ *
+ * In-page debug panel for admins with a CSS waterfall, the script queue with dependencies, proxy captures,
+ * service worker policy matches and the script cache state with statistics. Cached scripts can be purged. The panel
+ * state can be exported as JSON.
+ *
+ * @package    abovethefold
+ * @subpackage abovethefold/public
+ * @author     PageSpeed.pro <info@pagespeed.pro>
+ */
+
+Abtf[CONFIG.LOAD_MODULE](function(window, Abtf, document) {
+
+    // debug build only
+    if (!ABTFDEBUG) {
+        return;
+    }
+
+    var performance = window.performance;
+    var NOW = function() {
+        return Math.round((performance && performance.now) ? performance.now() : +new Date());
+    };
+
+    // panel open state
+    var STORAGE_KEY = 'abtf-debug-overlay';
+    var IS_OPEN = function() {
+        try {
+            return window.sessionStorage && window.sessionStorage.getItem(STORAGE_KEY) === '1';
+        } catch (err) {
+            return false;
+        }
+    };
+    var SET_OPEN = function(open) {
+        try {
+            window.sessionStorage.setItem(STORAGE_KEY, (open) ? '1' : '0');
+        } catch (err) {}
+    };
+
+    /**
+     * Collected timings
+     */
+    var TIMINGS = {
+        css: {},
+        js: {},
+        cache: {},
+        proxy: [],
+        sw: []
+    };
+
+    var TIMING = function(type, url) {
+        if (!TIMINGS[type][url]) {
+            TIMINGS[type][url] = {};
+        }
+        return TIMINGS[type][url];
+    };
+
+    Abtf.on('css:start', function(data) {
+        TIMING('css', data.url).start = NOW();
+    });
+    Abtf.on('css:file', function(data) {
+        TIMING('css', data.url).applied = NOW();
+    });
+    Abtf.on('js:queue', function(data) {
+        TIMING('js', data.url).queued = NOW();
+    });
+    Abtf.on('js:start', function(data) {
+        TIMING('js', data.url).start = NOW();
+    });
+    Abtf.on('js:file', function(data) {
+        TIMING('js', data.url).executed = NOW();
+    });
+    Abtf.on('js:error', function(data) {
+
+        // execution errors are shown with the message (js:exception)
+        if (data.reason !== 'exec') {
+            TIMING('js', data.url).failed = data.reason;
+        }
+    });
+    Abtf.on('js:exception', function(data) {
+        TIMING('js', data.url).failed = 'exception: ' + data.message;
+    });
+    Abtf.on('js:sandbox', function(data) {
+        TIMING('js', data.url).sandbox = data.type;
+    });
+    Abtf.on('js:skip', function(data) {
+        TIMING('js', data.url).failed = 'skipped, ' + data.dependency + ' failed';
+    });
+    Abtf.on('js:cache', function(data) {
+        TIMINGS.cache[data.url] = data.hit;
+    });
+    Abtf.on('proxy:capture', function(data) {
+        TIMINGS.proxy.push({
+            'type': data.type,
+            'url': data.url,
+            'time': NOW()
+        });
+    });
+    Abtf.on('sw:policy', function(data) {
+        TIMINGS.sw.push({
+            'url': data.url,
+            'policy': data.title,
+            'strategy': data.strategy,
+            'time': NOW()
+        });
+    });
+
+    /**
+     * CSS files from config
+     */
+    var GET_CSS = function() {
+        var files = Abtf[CONFIG.CSS];
+        var css = [];
+        if (!files || typeof files !== 'object') {
+            return css;
+        }
+        for (var i in files) {
+            if (!files.hasOwnProperty(i) || typeof files[i] !== 'object') {
+                continue;
+            }
+            var timing = TIMINGS.css[files[i][1]] || {};
+            css.push({
+                'url': files[i][1],
+                'media': files[i][0].join(','),
+                'strategy': (files[i][2] instanceof Array) ? files[i][2].join(':') : false,
+                'start': (typeof timing.start !== 'undefined') ? timing.start : false,
+                'applied': (typeof timing.applied !== 'undefined') ? timing.applied : false
+            });
+        }
+        return css;
+    };
+
+    /**
+     * Script queue and dependency graph from config
+     */
+    var GET_JS = function() {
+        var scripts = [];
+        var config = (Abtf[CONFIG.JS]) ? Abtf[CONFIG.JS][0] : false;
+        if (!config || typeof config !== 'object' || !(config[0] instanceof Array)) {
+            return scripts;
+        }
+
+        var files = config[0];
+        var groups = (config[1] && typeof config[1] === 'object') ? config[1] : {};
+        var refs = (config[2] instanceof Array) ? config[2] : [];
+
+        var name = function(ref) {
+            return refs[ref] || ref;
+        };
+
+        // handles in queue
+        var handles = {};
+        var l = files.length;
+        for (var i = 0; i < l; i++) {
+            if (typeof files[i][2] !== 'undefined' && files[i][2] !== false) {
+                handles[name(files[i][2])] = true;
+            }
+        }
+
+        for (var i = 0; i < l; i++) {
+            var deps = [];
+            var missing = [];
+            var fileDeps = (files[i][3] instanceof Array) ? files[i][3] : [];
+            var dl = fileDeps.length;
+            for (var di = 0; di < dl; di++) {
+
+                // dependency group
+                var group = groups[fileDeps[di]];
+                var depHandles = (group instanceof Array) ? group : [fileDeps[di]];
+                var gl = depHandles.length;
+                for (var gi = 0; gi < gl; gi++) {
+                    deps.push(name(depHandles[gi]));
+                    if (!handles[name(depHandles[gi])]) {
+                        missing.push(name(depHandles[gi]));
+                    }
+                }
+            }
+
+            var timing = (files[i][0] !== false && TIMINGS.js[files[i][0]]) || {};
+            scripts.push({
+                'url': files[i][0],
+                'inline': (files[i][0] === false) ? files[i][5].replace(/\s+/g, ' ').substr(0, 100) : false,
+                'handle': (typeof files[i][2] !== 'undefined' && files[i][2] !== false) ? name(files[i][2]) : false,
+                'async': (files[i][1]) ? true : false,
+                'module': (files[i][4]) ? ((files[i][4]['type'] === 'module') ? 'module' : ((files[i][4]['nomodule']) ? 'nomodule' : false)) : false,
+                'deps': deps,
+                'missing': missing,
+                'queued': (typeof timing.queued !== 'undefined') ? timing.queued : false,
+                'start': (typeof timing.start !== 'undefined') ? timing.start : false,
+                'executed': (typeof timing.executed !== 'undefined') ? timing.executed : false,
+                'failed': (typeof timing.failed !== 'undefined') ? timing.failed : false,
+                'sandbox': (typeof timing.sandbox !== 'undefined') ? timing.sandbox : false,
+                'cache': (typeof TIMINGS.cache[PARSE_URL(files[i][0])] !== 'undefined') ? TIMINGS.cache[PARSE_URL(files[i][0])] : null
+            });
+        }
+        return scripts;
+    };
+
+    var PARSE_URL = function(url) {
+        var parser = document.createElement('a');
+        parser.href = url;
+        return parser.href;
+    };
+
+    /**
+     * Script cache state
+     */
+    var GET_CACHE = function() {
+        if (typeof Abtf[CONFIG.CACHE_STATE] === 'undefined') {
+            return false;
+        }
+        return Abtf[CONFIG.CACHE_STATE]();
+    };
+
+    var GET_CACHE_STATS = function() {
+        if (typeof Abtf[CONFIG.CACHE_STATS] === 'undefined') {
+            return false;
+        }
+        return Abtf[CONFIG.CACHE_STATS]();
+    };
+
+    /**
+     * Debug state for export
+     */
+    var GET_STATE = function() {
+        return {
+            'url': document.location.href,
+            'date': new Date().toISOString(),
+            'userAgent': window.navigator.userAgent,
+            'css': GET_CSS(),
+            'js': GET_JS(),
+            'proxy': TIMINGS.proxy,
+            'sw': TIMINGS.sw,
+            'cache': GET_CACHE(),
+            'cacheStats': GET_CACHE_STATS()
+        };
+    };
+
+    /**
+     * Render panel
+     */
+    var ESCAPE = function(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    };
+
+    var MS = function(time) {
+        return (time === false) ? '-' : time + 'ms';
+    };
+
+    // waterfall bar
+    var BAR = function(start, end, max) {
+        if (start === false || !max) {
+            return '';
+        }
+        var left = Math.min(99, Math.round((start / max) * 100));
+        var width = Math.max(1, Math.round((((end === false) ? max : end) - start) / max * 100));
+        return '<div class="abtf-bar' + ((end === false) ? ' abtf-pending' : '') + '" style="margin-left:' + left + '%;width:' + width + '%;"></div>';
+    };
+
+    var SECTION = function(title, count, html) {
+        return '<h4>' + ESCAPE(title) + ' <span>(' + count + ')</span></h4>' + ((count) ? html : '<p>-</p>');
+    };
+
+    var RENDER = function(panel) {
+        var state = GET_STATE();
+        var html = '';
+        var l, i, row;
+
+        // waterfall scale
+        var max = 0;
+        l = state.css.length;
+        for (i = 0; i < l; i++) {
+            max = Math.max(max, state.css[i]['applied'] || 0, state.css[i]['start'] || 0);
+        }
+        l = state.js.length;
+        for (i = 0; i < l; i++) {
+            max = Math.max(max, state.js[i]['executed'] || 0, state.js[i]['start'] || 0);
+        }
+
+        // CSS waterfall
+        var rows = '';
+        l = state.css.length;
+        for (i = 0; i < l; i++) {
+            row = state.css[i];
+            rows += '<tr><td title="' + ESCAPE(row['url']) + '">' + ESCAPE(Abtf[CONFIG.LOCALURL](row['url'])) + ((row['strategy']) ? ' <em>' + ESCAPE(row['strategy']) + '</em>' : '') + '</td><td>' + ESCAPE(row['media']) + '</td><td>' + MS(row['start']) + '</td><td>' + MS(row['applied']) + '</td><td class="abtf-waterfall">' + BAR(row['start'], row['applied'], max) + '</td></tr>';
+        }
+        html += SECTION('CSS', l, '<table><tr><th>File</th><th>Media</th><th>Start</th><th>Applied</th><th></th></tr>' + rows + '</table>');
+
+        // script queue
+        rows = '';
+        l = state.js.length;
+        for (i = 0; i < l; i++) {
+            row = state.js[i];
+            var deps = [];
+            var dl = row['deps'].length;
+            for (var di = 0; di < dl; di++) {
+                if (row['missing'].indexOf(row['deps'][di]) !== -1) {
+                    deps.push('<span class="abtf-error" title="not in queue">' + ESCAPE(row['deps'][di]) + '</span>');
+                } else {
+                    deps.push(ESCAPE(row['deps'][di]));
+                }
+            }
+            rows += '<tr><td>' + (i + 1) + '</td><td>' + ((row['handle'] !== false) ? ESCAPE(row['handle']) : '-') + '</td><td title="' + ESCAPE(row['url'] || row['inline']) + '">' + ((row['inline'] !== false) ? '<em>inline</em> ' + ESCAPE(row['inline']) : ESCAPE(Abtf[CONFIG.LOCALURL](row['url']))) + ((row['async']) ? ' <em>async</em>' : '') + ((row['module']) ? ' <em>' + row['module'] + '</em>' : '') + ((row['cache'] === true) ? ' <em>cached</em>' : '') + ((row['sandbox']) ? ' <em>sandbox ' + row['sandbox'] + '</em>' : '') + ((row['failed']) ? ' <span class="abtf-error">' + ESCAPE(row['failed']) + '</span>' : '') + '</td><td>' + (deps.join(', ') || '-') + '</td><td>' + MS(row['queued']) + '</td><td>' + MS(row['start']) + '</td><td>' + MS(row['executed']) + '</td><td class="abtf-waterfall">' + BAR(row['start'], row['executed'], max) + '</td></tr>';
+        }
+        html += SECTION('Scripts', l, '<table><tr><th>#</th><th>Handle</th><th>File</th><th>Dependencies</th><th>Queued</th><th>Start</th><th>Executed</th><th></th></tr>' + rows + '</table>');
+
+        // proxy captures
+        rows = '';
+        l = state.proxy.length;
+        for (i = 0; i < l; i++) {
+            row = state.proxy[i];
+            rows += '<tr><td>' + ESCAPE(row['type']) + '</td><td title="' + ESCAPE(row['url']) + '">' + ESCAPE(Abtf[CONFIG.LOCALURL](row['url'])) + '</td><td>' + MS(row['time']) + '</td></tr>';
+        }
+        html += SECTION('Proxy captures', l, '<table><tr><th>Type</th><th>File</th><th>Time</th></tr>' + rows + '</table>');
+
+        // service worker policy matches
+        rows = '';
+        l = state.sw.length;
+        for (i = 0; i < l; i++) {
+            row = state.sw[i];
+            rows += '<tr><td title="' + ESCAPE(row['url']) + '">' + ESCAPE(Abtf[CONFIG.LOCALURL](row['url'])) + '</td><td>' + ESCAPE(row['policy'] || '-') + '</td><td>' + ESCAPE(row['strategy']) + '</td></tr>';
+        }
+        html += SECTION('Service Worker policy matches', l, '<table><tr><th>Request</th><th>Policy</th><th>Strategy</th></tr>' + rows + '</table>');
+
+        // script cache
+        if (state.cache !== false) {
+            rows = '';
+            l = state.cache.length;
+            for (i = 0; i < l; i++) {
+                row = state.cache[i];
+                rows += '<tr><td>' + ESCAPE(row['type']) + '</td><td title="' + ESCAPE(row['url']) + '">' + ESCAPE(Abtf[CONFIG.LOCALURL](row['url'])) + '</td><td>' + Math.round(row['size'] / 1024) + 'kb</td><td>' + row['chunks'] + '</td><td>' + ((row['expire']) ? new Date(row['expire'] * 1000).toLocaleString() : '-') + '</td><td><button class="abtf-purge" data-url="' + ESCAPE(row['url']) + '">Purge</button></td></tr>';
+            }
+            html += SECTION('Script cache' + ((l) ? ' (' + state.cache[0]['storage'] + ')' : ''), l, '<table><tr><th>Type</th><th>File</th><th>Size</th><th>Chunks</th><th>Expire</th><th><button class="abtf-purge" data-url="">Purge all</button></th></tr>' + rows + '</table>');
+
+            // statistics of the page view
+            var stats = state.cacheStats;
+            if (stats) {
+                html += '<p>' + stats['entries'] + ' entries, ' + Math.round(stats['size'] / 1024) + 'kb, ' + stats['chunks'] + ' chunks &middot; ' +
+                    stats['hits'] + ' hits, ' + stats['misses'] + ' misses' + (((stats['hits'] + stats['misses']) > 0) ? ' (' + Math.round((stats['hits'] / (stats['hits'] + stats['misses'])) * 100) + '%)' : '') + ' &middot; ' +
+                    stats['evictions'] + ' evictions, ' + stats['expired'] + ' expired, ' + stats['invalidated'] + ' invalidated &middot; ' +
+                    '<span' + ((stats['integrity'] || stats['worker_errors'] || stats['storage_errors']) ? ' class="abtf-error"' : '') + '>' + stats['integrity'] + ' integrity failures, ' + stats['worker_errors'] + ' worker errors, ' + stats['storage_errors'] + ' storage errors</span></p>';
+            }
+        }
+
+        panel.innerHTML = html;
+    };
+
+    /**
+     * Export state as JSON file
+     */
+    var EXPORT = function() {
+        var json = JSON.stringify(GET_STATE(), null, 2);
+        var filename = 'abtf-debug-' + document.location.hostname + '-' + (+new Date()) + '.json';
+
+        if (window.Blob && window.URL && window.URL.createObjectURL) {
+            var url = window.URL.createObjectURL(new Blob([json], {
+                type: 'application/json'
+            }));
+            var link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(function() {
+                window.URL.revokeObjectURL(url);
+            }, 1000);
+        } else {
+            window.open('data:application/json;charset=utf-8,' + encodeURIComponent(json));
+        }
+    };
+
+    var STYLE = '#abtf-debug{position:fixed;z-index:2147483647;right:10px;bottom:10px;max-width:calc(100% - 20px);font:12px/1.4 monospace;color:#222;}' +
+        '#abtf-debug button{font:12px monospace;cursor:pointer;border:1px solid #999;background:#fff;color:#222;padding:3px 8px;margin-left:4px;}' +
+        '#abtf-debug .abtf-toggle{float:right;background:#222;color:#fff;}' +
+        '#abtf-debug .abtf-panel{clear:both;display:none;background:#fff;border:1px solid #999;box-shadow:0 0 10px rgba(0,0,0,.3);margin-top:4px;width:900px;max-width:100%;max-height:70vh;overflow:auto;padding:8px;}' +
+        '#abtf-debug.abtf-open .abtf-panel{display:block;}' +
+        '#abtf-debug h4{margin:10px 0 4px;font:bold 13px monospace;}' +
+        '#abtf-debug h4 span{font-weight:normal;color:#777;}' +
+        '#abtf-debug table{width:100%;border-collapse:collapse;}' +
+        '#abtf-debug th,#abtf-debug td{text-align:left;border-bottom:1px solid #eee;padding:2px 4px;vertical-align:top;word-break:break-all;}' +
+        '#abtf-debug .abtf-waterfall{width:20%;}' +
+        '#abtf-debug .abtf-bar{height:8px;margin-top:3px;background:#3da508;}' +
+        '#abtf-debug .abtf-pending{background:#f0ad4e;}' +
+        '#abtf-debug .abtf-error{color:#d00;font-weight:bold;}';
+
+    /**
+     * Create overlay
+     */
+    var CREATE = function() {
+        if (!document.body) {
+            return;
+        }
+
+        var style = Abtf[CONFIG.CSP_NONCE](document.createElement('style'));
+        style.appendChild(document.createTextNode(STYLE));
+        document.head.appendChild(style);
+
+        var container = document.createElement('div');
+        container.id = 'abtf-debug';
+        container.innerHTML = '<button class="abtf-toggle" title="Above The Fold Optimization debug">Abtf</button>' +
+            '<div class="abtf-panel"><div><button class="abtf-refresh">Refresh</button><button class="abtf-export">Export JSON</button></div><div class="abtf-content"></div></div>';
+        document.body.appendChild(container);
+
+        var content = container.querySelector('.abtf-content');
+
+        var toggle = function(open) {
+            container.className = (open) ? 'abtf-open' : '';
+            SET_OPEN(open);
+            if (open) {
+                RENDER(content);
+            }
+        };
+
+        container.querySelector('.abtf-toggle').addEventListener('click', function() {
+            toggle(container.className !== 'abtf-open');
+        });
+        container.querySelector('.abtf-refresh').addEventListener('click', function() {
+            RENDER(content);
+        });
+        container.querySelector('.abtf-export').addEventListener('click', EXPORT);
+
+        // purge script cache entries
+        content.addEventListener('click', function(e) {
+            if (!e.target || e.target.className !== 'abtf-purge' || typeof Abtf[CONFIG.CACHE_PURGE] === 'undefined') {
+                return;
+            }
+            var url = e.target.getAttribute('data-url');
+            if (!url && !window.confirm('Purge all cached scripts?')) {
+                return;
+            }
+            Abtf[CONFIG.CACHE_PURGE](url || false, function() {
+                RENDER(content);
+            });
+        });
+
+        // update open panel when loaders complete
+        var update = function() {
+            if (container.className === 'abtf-open') {
+                RENDER(content);
+            }
+        };
+        Abtf.on('css:loaded', update);
+        Abtf.on('js:loaded', update);
+
+        toggle(IS_OPEN());
+    };
+
+    Abtf[CONFIG.DOMREADY](CREATE);
+
+}, 'overlay');
\ No newline at end of file
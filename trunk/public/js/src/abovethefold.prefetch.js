@@ -0,0 +1,295 @@
+/**
+ * Speculative navigation prefetch
+ *
+ * Prefetches or prerenders same-origin links on hover, touchstart or viewport entry. Speculation Rules are used
+ * when supported, otherwise links are prefetched with <link rel=prefetch> or warmed in the Service Worker cache.
+ *
+ * @link https://developer.chrome.com/docs/web-platform/prerender-pages
+ *
+ * @package    abovethefold
+ * @subpackage abovethefold/public
+ * @author     PageSpeed.pro <info@pagespeed.pro>
+ */
+
+Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
+
+    // [mode, trigger, exclude]
+    var PREFETCH_CONFIG = Abtf[CONFIG.PREFETCH];
+    if (!PREFETCH_CONFIG) {
+        return;
+    }
+
+    var doc = window.document;
+    var navigator = window.navigator;
+
+    // prefetch or prerender
+    var MODE = (PREFETCH_CONFIG[CONFIG.PREFETCH_MODE] === 'prerender') ? 'prerender' : 'prefetch';
+
+    // hover or viewport
+    var TRIGGER = (PREFETCH_CONFIG[CONFIG.PREFETCH_TRIGGER] === 'viewport') ? 'viewport' : 'hover';
+
+    // url patterns to exclude (admin, cart, logout)
+    var EXCLUDE = PREFETCH_CONFIG[CONFIG.PREFETCH_EXCLUDE] || [];
+
+    // links to ignore
+    var IGNORE_SELECTOR = '[download],[rel~="nofollow"],[data-no-prefetch],[target="_blank"]';
+
+    // hover delay before prefetch (ms)
+    var HOVER_DELAY = 65;
+
+    // maximum number of viewport prefetches per page
+    var VIEWPORT_MAX = 20;
+
+    /**
+     * Data saver and slow connections
+     */
+    var CONSTRAINED = function() {
+        var connection = navigator['connection'];
+        return !!(connection && (connection['saveData'] || /(^|-)2g$/.test(connection['effectiveType'] || '')));
+    };
+
+    if (CONSTRAINED()) {
+        if (ABTFDEBUG) {
+            console.info('Abtf.prefetch() ➤ disabled ➤ data saver or slow connection');
+        }
+        return;
+    }
+
+    /**
+     * Return url to prefetch for link or false
+     */
+    var PREFETCHED = {};
+    var PREFETCH_URL = function(link) {
+        if (!link || !link.href || (link.protocol !== 'http:' && link.protocol !== 'https:')) {
+            return false;
+        }
+
+        // same origin, other page
+        if (link.host !== window.location.host || (link.pathname === window.location.pathname && link.search === window.location.search)) {
+            return false;
+        }
+
+        if (link.matches && link.matches(IGNORE_SELECTOR)) {
+            return false;
+        }
+
+        var url = link.href.split('#')[0];
+        if (PREFETCHED[url]) {
+            return false;
+        }
+
+        var l = EXCLUDE.length;
+        for (var i = 0; i < l; i++) {
+            if (url.indexOf(EXCLUDE[i]) !== -1) {
+                return false;
+            }
+        }
+
+        return url;
+    };
+
+    /**
+     * Speculation Rules
+     */
+    var SPECULATION_RULES = (window.HTMLScriptElement && HTMLScriptElement['supports'] && HTMLScriptElement['supports']('speculationrules'));
+
+    var INSERT_RULES = function() {
+        var where = [{
+            'href_matches': '/*'
+        }, {
+            'not': {
+                'selector_matches': IGNORE_SELECTOR
+            }
+        }];
+
+        // substring patterns match the href attribute
+        var l = EXCLUDE.length;
+        for (var i = 0; i < l; i++) {
+            where.push({
+                'not': {
+                    'selector_matches': 'a[href*="' + EXCLUDE[i].replace(/["\\]/g, '\\$&') + '"]'
+                }
+            });
+        }
+
+        var rules = {};
+        rules[MODE] = [{
+            'source': 'document',
+            'where': {
+                'and': where
+            },
+            'eagerness': (TRIGGER === 'viewport') ? 'eager' : 'moderate'
+        }];
+
+        var script = Abtf[CONFIG.CSP_NONCE](doc.createElement('script'));
+        script.type = 'speculationrules';
+        script.text = JSON.stringify(rules);
+        (doc.head || doc.getElementsByTagName('head')[0]).appendChild(script);
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.prefetch() ➤ speculation rules ➤ ' + MODE, TRIGGER, rules);
+        }
+
+        Abtf[CONFIG.EMIT]('prefetch:rules', {
+            type: MODE
+        });
+    };
+
+    /**
+     * Service Worker cache (PWA)
+     */
+    var SW_CONTROLLED = function() {
+        return !!(Abtf[CONFIG.PWA] && navigator.serviceWorker && navigator.serviceWorker.controller && Abtf.offline);
+    };
+
+    /**
+     * Prefetch url
+     */
+    var LINK_SUPPORT = (function() {
+        var link = doc.createElement('link');
+        return (link.relList && link.relList.supports && link.relList.supports('prefetch'));
+    })();
+
+    var PREFETCH = function(url, trigger) {
+        if (PREFETCHED[url] || CONSTRAINED()) {
+            return;
+        }
+        PREFETCHED[url] = true;
+
+        var type;
+        if (SW_CONTROLLED()) {
+
+            // warm Service Worker cache
+            type = 'sw';
+            Abtf.offline(url);
+        } else if (LINK_SUPPORT) {
+            type = 'link';
+            var link = Abtf[CONFIG.CSP_NONCE](doc.createElement('link'));
+            link.rel = 'prefetch';
+            link.setAttribute('as', 'document');
+            link.href = url;
+            (doc.head || doc.getElementsByTagName('head')[0]).appendChild(link);
+        } else {
+            return;
+        }
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.prefetch() ➤ ' + type + ' ➤ ' + trigger, Abtf[CONFIG.LOCALURL](url));
+        }
+
+        Abtf[CONFIG.EMIT]('prefetch:link', {
+            url: url,
+            type: type
+        });
+    };
+
+    // return link element for event target
+    var LINK = function(el) {
+        while (el && el.nodeName !== 'A') {
+            el = el.parentNode;
+        }
+        return el;
+    };
+
+    /**
+     * Hover and touchstart
+     */
+    var HOVER_TIMER;
+    var ON_HOVER = function(event) {
+        var url = PREFETCH_URL(LINK(event.target));
+        if (!url) {
+            return;
+        }
+        if (event.type === 'touchstart') {
+            PREFETCH(url, 'touchstart');
+            return;
+        }
+        clearTimeout(HOVER_TIMER);
+        HOVER_TIMER = setTimeout(function() {
+            PREFETCH(url, 'hover');
+        }, HOVER_DELAY);
+    };
+
+    var ON_LEAVE = function(event) {
+        if (LINK(event.target)) {
+            clearTimeout(HOVER_TIMER);
+        }
+    };
+
+    /**
+     * Viewport entry, prefetched in CPU idle time
+     */
+    var VIEWPORT_COUNT = 0;
+    var OBSERVE_VIEWPORT = function() {
+        var observer = new IntersectionObserver(function(entries) {
+            var l = entries.length;
+            for (var i = 0; i < l; i++) {
+                if (!entries[i]['isIntersecting']) {
+                    continue;
+                }
+                observer.unobserve(entries[i].target);
+
+                var url = PREFETCH_URL(entries[i].target);
+                if (!url || VIEWPORT_COUNT >= VIEWPORT_MAX) {
+                    continue;
+                }
+                VIEWPORT_COUNT++;
+
+                if (Abtf[CONFIG.IDLE]) {
+                    Abtf[CONFIG.IDLE]((function(url) {
+                        return function() {
+                            PREFETCH(url, 'viewport');
+                        };
+                    })(url), {
+                        timeout: 2000
+                    });
+                } else {
+                    PREFETCH(url, 'viewport');
+                }
+            }
+        });
+
+        var links = doc.getElementsByTagName('a');
+        var l = links.length;
+        for (var i = 0; i < l; i++) {
+            if (PREFETCH_URL(links[i])) {
+                observer.observe(links[i]);
+            }
+        }
+    };
+
+    /**
+     * Start
+     */
+    var START = function() {
+
+        // prerender requires Speculation Rules, the Service Worker cache is warmed for prefetch
+        if (SPECULATION_RULES && (MODE === 'prerender' || !SW_CONTROLLED())) {
+            INSERT_RULES();
+            return;
+        }
+
+        if (TRIGGER === 'viewport' && window.IntersectionObserver) {
+            OBSERVE_VIEWPORT();
+        } else {
+            doc.addEventListener('mouseover', ON_HOVER, true);
+            doc.addEventListener('mouseout', ON_LEAVE, true);
+            doc.addEventListener('touchstart', ON_HOVER, {
+                'capture': true,
+                'passive': true
+            });
+        }
+    };
+
+    // start in CPU idle time after the page has loaded
+    Abtf[CONFIG.DOMREADY](function() {
+        if (Abtf[CONFIG.IDLE]) {
+            Abtf[CONFIG.IDLE](START, {
+                timeout: 2000
+            });
+        } else {
+            setTimeout(START, 0);
+        }
+    });
+
+}, 'prefetch');
\ No newline at end of file
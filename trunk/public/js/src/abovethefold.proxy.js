@@ -534,7 +534,7 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
                             if (parser.protocol === 'blob:') {
                                 return false;
                             }
-                            url = Abtf[CONFIG.LOAD_CACHED_SCRIPT_URL](parser.href);
+                            var url = Abtf[CONFIG.LOAD_CACHED_SCRIPT_URL](parser.href);
 
                             if (url !== parser.href) {
 
@@ -609,6 +609,11 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         // proxy or direct cache url
         var proxy_url = PROXIFY_URL(url, type);
 
+        Abtf[CONFIG.EMIT]('proxy:capture', {
+            url: url,
+            type: type
+        });
+
         if (type === 'css') {
 
             node.href = proxy_url;
@@ -687,4 +692,4 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         return url;
     }
 
-});
\ No newline at end of file
+}, 'proxy');
\ No newline at end of file
@@ -56,4 +56,4 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         }
     });
 
-});
\ No newline at end of file
+}, 'pwa-unregister');
\ No newline at end of file
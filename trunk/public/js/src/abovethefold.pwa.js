@@ -149,6 +149,17 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         // command data from PWA SW
         if (event && event.data && event.data instanceof Array) {
 
+            // policy match (debug overlay)
+            if (ABTFDEBUG) {
+                if (event.data[0] === 4) {
+                    Abtf[CONFIG.EMIT]('sw:policy', {
+                        url: event.data[1],
+                        title: event.data[2],
+                        strategy: event.data[3]
+                    });
+                }
+            }
+
             // asset updated
             if (event.data[0] === 2) {
                 if (!document.body) {
@@ -242,4 +253,4 @@ Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
         });
     }
 
-});
\ No newline at end of file
+}, 'pwa');
\ No newline at end of file
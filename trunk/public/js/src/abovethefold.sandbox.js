@@ -0,0 +1,891 @@
+/**
+ * Third-party script sandbox
+ *
+ * Runs matching third-party scripts off the main thread in a web worker with a proxied DOM API or isolated
+ * in a sandboxed iframe. DOM reads in the worker return a snapshot of the page (location, cookies, viewport)
+ * while cookie writes, image beacons and sendBeacon requests are performed on the main thread. Calls to
+ * forwarded globals such as dataLayer.push are replayed in the sandbox.
+ *
+ * @link https://partytown.builder.io/
+ *
+ * @package    abovethefold
+ * @subpackage abovethefold/public
+ * @author     PageSpeed.pro <info@pagespeed.pro>
+ */
+
+Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
+
+    var doc = window.document;
+
+    // [scripts, forward]
+    var SANDBOX_CONFIG = Abtf[CONFIG.JS_SANDBOX];
+    if (!SANDBOX_CONFIG || !SANDBOX_CONFIG[CONFIG.JS_SANDBOX_SCRIPTS]) {
+        return;
+    }
+
+    // [[script_string, mode], ...]
+    var SCRIPTS = SANDBOX_CONFIG[CONFIG.JS_SANDBOX_SCRIPTS];
+
+    // global functions to forward, e.g. dataLayer.push or gtag
+    var FORWARD = SANDBOX_CONFIG[CONFIG.JS_SANDBOX_FORWARD] || [];
+
+    // test availability of Web Workers (blob url from script loader)
+    var WORKER_SUPPORT = !!(window.Worker && window.URL && Abtf[CONFIG.BLOB_URL]);
+
+    // test availability of sandboxed iframes
+    var IFRAME_SUPPORT = ('srcdoc' in doc.createElement('iframe') && window.postMessage);
+
+    /**
+     * Forwarded calls, shared by the worker and the iframe sandbox
+     *
+     * Calls are queued until the target function is defined by a sandboxed script.
+     */
+    var FORWARD_CODE = function(global) {
+        var queue = [];
+
+        // recreate arguments object (gtag() pushes arguments to the dataLayer)
+        var toArguments = function(args) {
+            return (function() {
+                return arguments;
+            }).apply(null, args);
+        };
+
+        // resolve [object, function] by path, a missing array is created for push
+        var resolve = function(path) {
+            var parts = path.split('.');
+            var method = parts.pop();
+            var obj = global;
+            var l = parts.length;
+            for (var i = 0; i < l; i++) {
+                if (typeof obj[parts[i]] === 'undefined') {
+                    obj[parts[i]] = (i === l - 1 && method === 'push') ? [] : {};
+                }
+                obj = obj[parts[i]];
+            }
+            return (obj && typeof obj[method] === 'function') ? [obj, obj[method]] : false;
+        };
+
+        var apply = function(path, args) {
+            var target = resolve(path);
+            if (!target) {
+                return false;
+            }
+            var decoded = [];
+            var l = args.length;
+            for (var i = 0; i < l; i++) {
+                decoded.push((args[i][0] === 1) ? toArguments(args[i][1]) : args[i][1]);
+            }
+            target[1].apply(target[0], decoded);
+            return true;
+        };
+
+        return {
+            call: function(path, args) {
+                if (queue.length || !apply(path, args)) {
+                    queue.push([path, args]);
+                }
+            },
+
+            // apply queued calls after a script is loaded
+            flush: function() {
+                while (queue.length && apply(queue[0][0], queue[0][1])) {
+                    queue.shift();
+                }
+            }
+        };
+    };
+
+    /**
+     * Web Worker source code
+     *
+     * The worker receives a snapshot of the page and provides window, document, location and storage proxies
+     * to scripts loaded with importScripts().
+     */
+    var WORKER_CODE = function(forwardCode) {
+
+        var post = self.postMessage.bind(self);
+        var NOOP = function() {};
+        var FORWARD = forwardCode(self);
+        var page;
+
+        var resolve = function(url) {
+            try {
+                return new URL(url, page.href).href;
+            } catch (err) {
+                return url;
+            }
+        };
+
+        var define = function(name, value) {
+            try {
+                Object.defineProperty(self, name, {
+                    value: value,
+                    writable: true,
+                    configurable: true
+                });
+            } catch (err) {}
+        };
+
+        var dispatch = function(el, type) {
+            setTimeout(function() {
+                var event = {
+                    'type': type,
+                    'target': el,
+                    'currentTarget': el,
+                    'preventDefault': NOOP,
+                    'stopPropagation': NOOP
+                };
+                if (typeof el['on' + type] === 'function') {
+                    el['on' + type](event);
+                }
+                var listeners = el.listeners[type] || [];
+                var l = listeners.length;
+                for (var i = 0; i < l; i++) {
+                    listeners[i](event);
+                }
+            }, 0);
+        };
+
+        // in-memory storage
+        var STORAGE = function() {
+            var data = {};
+            return {
+                'getItem': function(key) {
+                    return (data.hasOwnProperty(key)) ? data[key] : null;
+                },
+                'setItem': function(key, value) {
+                    data[key] = String(value);
+                },
+                'removeItem': function(key) {
+                    delete data[key];
+                },
+                'clear': function() {
+                    data = {};
+                },
+                'key': function(index) {
+                    return Object.keys(data)[index] || null;
+                }
+            };
+        };
+
+        // cookies from snapshot, writes are performed on the main thread
+        var cookies = {};
+        var SET_COOKIE = function(value) {
+            value = String(value);
+            var pair = value.split(';')[0];
+            var index = pair.indexOf('=');
+            if (index === -1) {
+                return;
+            }
+            var name = pair.substr(0, index).trim();
+            var expires = /expires=([^;]+)/i.exec(value);
+            if (/max-age=\s*(0|-\d+)/i.test(value) || (expires && Date.parse(expires[1]) < Date.now())) {
+                delete cookies[name];
+            } else {
+                cookies[name] = pair.substr(index + 1);
+            }
+        };
+
+        // script execution
+        var EXEC = function(el) {
+            if (el['src']) {
+                var error = false;
+                doc['currentScript'] = el;
+                try {
+                    importScripts(resolve(el['src']));
+                } catch (err) {
+                    error = err;
+                }
+                doc['currentScript'] = null;
+                FORWARD.flush();
+                el.error = error;
+                dispatch(el, (error && error.name === 'NetworkError') ? 'error' : 'load');
+            } else if (el['text'] || el['textContent']) {
+                try {
+                    (0, eval)(el['text'] || el['textContent']);
+                } catch (err) {}
+                FORWARD.flush();
+            }
+        };
+
+        // element proxy
+        var ELEMENT = function(tagName) {
+            tagName = String(tagName).toUpperCase();
+            var attributes = {};
+            var el = {
+                'tagName': tagName,
+                'nodeName': tagName,
+                'nodeType': 1,
+                'style': {},
+                'dataset': {},
+                'childNodes': [],
+                'children': [],
+                'parentNode': null,
+                'parentElement': null,
+                'text': '',
+                'textContent': '',
+                'innerHTML': '',
+                'setAttribute': function(name, value) {
+                    name = String(name).toLowerCase();
+                    attributes[name] = String(value);
+                    if (name === 'src') {
+                        el['src'] = value;
+                    }
+                },
+                'getAttribute': function(name) {
+                    name = String(name).toLowerCase();
+                    return (attributes.hasOwnProperty(name)) ? attributes[name] : null;
+                },
+                'hasAttribute': function(name) {
+                    return attributes.hasOwnProperty(String(name).toLowerCase());
+                },
+                'removeAttribute': function(name) {
+                    delete attributes[String(name).toLowerCase()];
+                },
+                'addEventListener': function(type, listener) {
+                    (el.listeners[type] = el.listeners[type] || []).push(listener);
+                },
+                'removeEventListener': function(type, listener) {
+                    var listeners = el.listeners[type] || [];
+                    var index = listeners.indexOf(listener);
+                    if (index !== -1) {
+                        listeners.splice(index, 1);
+                    }
+                },
+                'appendChild': function(child) {
+                    return el['insertBefore'](child, null);
+                },
+                'insertBefore': function(child, ref) {
+                    if (child['parentNode']) {
+                        child['parentNode']['removeChild'](child);
+                    }
+                    var index = el['childNodes'].indexOf(ref);
+                    el['childNodes'].splice((index === -1) ? el['childNodes'].length : index, 0, child);
+                    child['parentNode'] = child['parentElement'] = el;
+                    if (child['tagName'] === 'SCRIPT') {
+                        EXEC(child);
+                    }
+                    return child;
+                },
+                'removeChild': function(child) {
+                    var index = el['childNodes'].indexOf(child);
+                    if (index !== -1) {
+                        el['childNodes'].splice(index, 1);
+                    }
+                    child['parentNode'] = child['parentElement'] = null;
+                    return child;
+                },
+                'remove': function() {
+                    if (el['parentNode']) {
+                        el['parentNode']['removeChild'](el);
+                    }
+                },
+                'cloneNode': function() {
+                    return ELEMENT(tagName);
+                },
+                'contains': function() {
+                    return false;
+                },
+                'getBoundingClientRect': function() {
+                    return {
+                        'top': 0,
+                        'left': 0,
+                        'right': 0,
+                        'bottom': 0,
+                        'width': 0,
+                        'height': 0
+                    };
+                },
+                'getElementsByTagName': function(name) {
+                    name = String(name).toUpperCase();
+                    return el['childNodes'].filter(function(child) {
+                        return (name === '*' || child['tagName'] === name);
+                    });
+                },
+                'getElementsByClassName': function() {
+                    return [];
+                },
+                'querySelector': function() {
+                    return null;
+                },
+                'querySelectorAll': function() {
+                    return [];
+                },
+                'dispatchEvent': function() {
+                    return true;
+                }
+            };
+            el.listeners = {};
+
+            // image requests (tracking pixels) are performed on the main thread
+            if (tagName === 'IMG' || tagName === 'SCRIPT') {
+                var src = '';
+                Object.defineProperty(el, 'src', {
+                    get: function() {
+                        return src;
+                    },
+                    set: function(value) {
+                        src = resolve(String(value));
+                        attributes['src'] = src;
+                        if (tagName === 'IMG') {
+                            post([3, src]);
+                            dispatch(el, 'load');
+                        }
+                    }
+                });
+            }
+
+            return el;
+        };
+
+        var html = ELEMENT('html');
+        var head = html['appendChild'](ELEMENT('head'));
+        var body = html['appendChild'](ELEMENT('body'));
+
+        // reference script for getElementsByTagName('script')[0].parentNode.insertBefore()
+        head['childNodes'].push(ELEMENT('script'));
+        head['childNodes'][0]['parentNode'] = head['childNodes'][0]['parentElement'] = head;
+
+        // document proxy
+        var doc = {
+            'nodeType': 9,
+            'readyState': 'complete',
+            'visibilityState': 'visible',
+            'hidden': false,
+            'characterSet': 'UTF-8',
+            'compatMode': 'CSS1Compat',
+            'currentScript': null,
+            'documentElement': html,
+            'head': head,
+            'body': body,
+            'createElement': ELEMENT,
+            'createElementNS': function(ns, tagName) {
+                return ELEMENT(tagName);
+            },
+            'createTextNode': function(text) {
+                return {
+                    'nodeType': 3,
+                    'textContent': String(text)
+                };
+            },
+            'createEvent': function() {
+                return {
+                    'initEvent': NOOP
+                };
+            },
+            'getElementById': function() {
+                return null;
+            },
+            'getElementsByTagName': function(name) {
+                name = String(name).toUpperCase();
+                if (name === 'HTML') {
+                    return [html];
+                }
+                return html['getElementsByTagName'](name).concat(head['getElementsByTagName'](name), body['getElementsByTagName'](name));
+            },
+            'getElementsByClassName': function() {
+                return [];
+            },
+            'getElementsByName': function() {
+                return [];
+            },
+            'querySelector': function(selector) {
+                return doc['querySelectorAll'](selector)[0] || null;
+            },
+            'querySelectorAll': function(selector) {
+                selector = String(selector).trim();
+                return (/^(html|head|body|script)$/i.test(selector)) ? doc['getElementsByTagName'](selector) : [];
+            },
+            'addEventListener': NOOP,
+            'removeEventListener': NOOP,
+            'dispatchEvent': function() {
+                return true;
+            },
+            'hasFocus': function() {
+                return true;
+            }
+        };
+        Object.defineProperty(doc, 'cookie', {
+            get: function() {
+                var pairs = [];
+                for (var name in cookies) {
+                    if (cookies.hasOwnProperty(name)) {
+                        pairs.push(name + '=' + cookies[name]);
+                    }
+                }
+                return pairs.join('; ');
+            },
+            set: function(value) {
+                SET_COOKIE(value);
+                post([2, String(value)]);
+            }
+        });
+
+        // setup window proxies from page snapshot
+        var SETUP = function() {
+            var url = new URL(page.href);
+            var location = {
+                'href': url.href,
+                'protocol': url.protocol,
+                'host': url.host,
+                'hostname': url.hostname,
+                'port': url.port,
+                'pathname': url.pathname,
+                'search': url.search,
+                'hash': url.hash,
+                'origin': url.origin,
+                'assign': NOOP,
+                'replace': NOOP,
+                'reload': NOOP,
+                'toString': function() {
+                    return url.href;
+                }
+            };
+
+            var cookie = (page.cookie) ? page.cookie.split(/;\s*/) : [];
+            var l = cookie.length;
+            for (var i = 0; i < l; i++) {
+                SET_COOKIE(cookie[i]);
+            }
+
+            doc['location'] = location;
+            doc['URL'] = url.href;
+            doc['domain'] = url.hostname;
+            doc['referrer'] = page.referrer;
+            doc['title'] = page.title;
+            html['setAttribute']('lang', page.lang);
+
+            define('window', self);
+            define('parent', self);
+            define('top', self);
+            define('frames', self);
+            define('opener', null);
+            define('document', doc);
+            define('location', location);
+            define('innerWidth', page.width);
+            define('innerHeight', page.height);
+            define('outerWidth', page.width);
+            define('outerHeight', page.height);
+            define('devicePixelRatio', page.dpr);
+            define('scrollX', 0);
+            define('scrollY', 0);
+            define('pageXOffset', 0);
+            define('pageYOffset', 0);
+            define('screen', {
+                'width': page.screen[0],
+                'height': page.screen[1],
+                'availWidth': page.screen[0],
+                'availHeight': page.screen[1],
+                'colorDepth': 24,
+                'pixelDepth': 24
+            });
+            define('history', {
+                'length': 1,
+                'state': null,
+                'pushState': NOOP,
+                'replaceState': NOOP,
+                'back': NOOP,
+                'forward': NOOP,
+                'go': NOOP
+            });
+            define('localStorage', STORAGE());
+            define('sessionStorage', STORAGE());
+            define('Image', function() {
+                return ELEMENT('img');
+            });
+            define('getComputedStyle', function() {
+                return {
+                    'getPropertyValue': function() {
+                        return '';
+                    }
+                };
+            });
+            define('matchMedia', function(query) {
+                return {
+                    'matches': false,
+                    'media': query,
+                    'addListener': NOOP,
+                    'removeListener': NOOP,
+                    'addEventListener': NOOP,
+                    'removeEventListener': NOOP
+                };
+            });
+            define('scrollTo', NOOP);
+            define('scrollBy', NOOP);
+            if (!self.requestAnimationFrame) {
+                define('requestAnimationFrame', function(callback) {
+                    return setTimeout(function() {
+                        callback(Date.now());
+                    }, 16);
+                });
+                define('cancelAnimationFrame', clearTimeout);
+            }
+
+            // sendBeacon is performed on the main thread
+            try {
+                self.navigator['sendBeacon'] = function(url, data) {
+                    try {
+                        post([4, resolve(url), data]);
+                    } catch (err) {
+                        return false;
+                    }
+                    return true;
+                };
+                if (typeof self.navigator['cookieEnabled'] === 'undefined') {
+                    self.navigator['cookieEnabled'] = true;
+                }
+            } catch (err) {}
+        };
+
+        self.addEventListener('message', function(event) {
+            var msg = event.data;
+            if (!(msg instanceof Array)) {
+                return;
+            }
+
+            // page snapshot
+            if (msg[0] === 0) {
+                page = msg[1];
+                SETUP();
+                return;
+            }
+
+            // load script: [1, index, url]
+            if (msg[0] === 1) {
+                var script = ELEMENT('script');
+                var done = function() {
+                    var error = script.error;
+                    post([1, msg[1], (error && error.name === 'NetworkError') ? true : false, (error && error.name !== 'NetworkError') ? [String(error.message || error), error.lineNumber || 0, error.columnNumber || 0] : false]);
+                };
+                script['addEventListener']('load', done);
+                script['addEventListener']('error', done);
+                script['src'] = msg[2];
+                head['appendChild'](script);
+                return;
+            }
+
+            // forwarded call: [2, path, args]
+            if (msg[0] === 2) {
+                FORWARD.call(msg[1], msg[2]);
+            }
+        });
+    };
+
+    /**
+     * Sandboxed iframe source code
+     *
+     * The iframe has an opaque origin without access to the page, its cookies and storage.
+     */
+    var IFRAME_CODE = function(forwardCode) {
+
+        var FORWARD = forwardCode(window);
+        var parent = window.parent;
+        var nonce = (document.currentScript) ? (document.currentScript.nonce || document.currentScript.getAttribute('nonce')) : false;
+
+        var post = function(msg) {
+            parent.postMessage(msg, '*');
+        };
+
+        window.addEventListener('message', function(event) {
+            var msg = event.data;
+            if (event.source !== parent || !(msg instanceof Array)) {
+                return;
+            }
+
+            // load script: [1, index, url]
+            if (msg[0] === 1) {
+                var script = document.createElement('script');
+                if (nonce) {
+                    script.setAttribute('nonce', nonce);
+                }
+                script.onload = function() {
+                    FORWARD.flush();
+                    post([1, msg[1], false, false]);
+                };
+                script.onerror = function() {
+                    post([1, msg[1], true, false]);
+                };
+                script.src = msg[2];
+                document.head.appendChild(script);
+                return;
+            }
+
+            // forwarded call: [2, path, args]
+            if (msg[0] === 2) {
+                FORWARD.call(msg[1], msg[2]);
+            }
+        });
+
+        // ready
+        post([0]);
+    };
+
+    // sandbox source with shared forward code
+    var SANDBOX_SOURCE = function(code) {
+        return '(' + code.toString() + ')(' + FORWARD_CODE.toString() + ');';
+    };
+
+    /**
+     * Forward calls to sandboxes
+     *
+     * Calls are logged to be replayed in sandboxes that are started later.
+     */
+    var FORWARD_LOG = [];
+    var SANDBOXES = [];
+
+    // encode arguments for postMessage, arguments objects are recreated in the sandbox
+    var ENCODE = function(args) {
+        var encoded = [];
+        var l = args.length;
+        for (var i = 0; i < l; i++) {
+            encoded.push((Object.prototype.toString.call(args[i]) === '[object Arguments]') ? [1, Array.prototype.slice.call(args[i])] : [0, args[i]]);
+        }
+        try {
+            return JSON.parse(JSON.stringify(encoded));
+        } catch (err) {
+            return false;
+        }
+    };
+
+    var FORWARD_CALL = function(path, args) {
+        args = ENCODE(args);
+        if (!args) {
+            if (ABTFDEBUG) {
+                console.warn('Abtf.js() ➤ sandbox ➤ forward ➤ arguments not serializable', path);
+            }
+            return;
+        }
+        FORWARD_LOG.push([path, args]);
+        var l = SANDBOXES.length;
+        for (var i = 0; i < l; i++) {
+            SANDBOXES[i].send([2, path, args]);
+        }
+    };
+
+    var SETUP_FORWARD = function(path) {
+        var parts = path.split('.');
+        var method = parts.pop();
+        var obj = window;
+        var l = parts.length;
+        for (var i = 0; i < l; i++) {
+            if (typeof obj[parts[i]] === 'undefined') {
+                obj[parts[i]] = (i === l - 1 && method === 'push') ? [] : {};
+            }
+            obj = obj[parts[i]];
+        }
+        if (!obj) {
+            return;
+        }
+
+        var fn = obj[method];
+
+        // array push, forward existing entries
+        if (method === 'push' && obj instanceof Array) {
+            var entries = obj.length;
+            for (var i = 0; i < entries; i++) {
+                FORWARD_CALL(path, [obj[i]]);
+            }
+        }
+
+        obj[method] = function() {
+            FORWARD_CALL(path, arguments);
+            if (typeof fn === 'function') {
+                return fn.apply(this, arguments);
+            }
+        };
+    };
+
+    var l = FORWARD.length;
+    for (var i = 0; i < l; i++) {
+        SETUP_FORWARD(FORWARD[i]);
+    }
+
+    /**
+     * Sandbox controller
+     */
+    var SANDBOX = function(mode) {
+        var sandbox = this;
+        sandbox.mode = mode;
+        sandbox.index = 0;
+        sandbox.callbacks = {};
+        sandbox.queue = [];
+        sandbox.ready = false;
+
+        if (mode === 'worker') {
+            sandbox.uri = Abtf[CONFIG.BLOB_URL](SANDBOX_SOURCE(WORKER_CODE), 'application/javascript');
+            sandbox.worker = new Worker(sandbox.uri);
+            sandbox.worker.addEventListener('message', function(event) {
+                sandbox.receive(event.data);
+            });
+
+            // uncaught errors in sandboxed scripts
+            sandbox.worker.addEventListener('error', function(event) {
+                if (ABTFDEBUG) {
+                    console.error('Abtf.js() ➤ sandbox ➤ worker ➤ error', event.message);
+                }
+                event.preventDefault();
+            });
+
+            // page snapshot
+            sandbox.worker.postMessage([0, {
+                href: window.location.href,
+                referrer: doc.referrer,
+                title: doc.title,
+                cookie: doc.cookie,
+                lang: doc.documentElement.lang || '',
+                width: window.innerWidth,
+                height: window.innerHeight,
+                dpr: window.devicePixelRatio || 1,
+                screen: [window.screen.width, window.screen.height]
+            }]);
+            sandbox.ready = true;
+        } else {
+            var nonce = Abtf[CONFIG.CSP_NONCE](doc.createElement('script')).getAttribute('nonce');
+
+            sandbox.iframe = doc.createElement('iframe');
+            sandbox.iframe.setAttribute('sandbox', 'allow-scripts');
+            sandbox.iframe.setAttribute('aria-hidden', 'true');
+            sandbox.iframe.setAttribute('tabindex', '-1');
+            sandbox.iframe.title = 'sandbox';
+            sandbox.iframe.style.cssText = 'position:absolute;width:0;height:0;border:0;visibility:hidden;';
+            sandbox.iframe.srcdoc = '<!DOCTYPE html><html><head><script' + ((nonce) ? ' nonce="' + nonce.replace(/"/g, '&quot;') + '"' : '') + '>' + SANDBOX_SOURCE(IFRAME_CODE) + '</script></head><body></body></html>';
+
+            window.addEventListener('message', function(event) {
+                if (event.source === sandbox.iframe.contentWindow) {
+                    sandbox.receive(event.data);
+                }
+            });
+
+            (doc.body || doc.documentElement).appendChild(sandbox.iframe);
+        }
+
+        // replay forwarded calls
+        var l = FORWARD_LOG.length;
+        for (var i = 0; i < l; i++) {
+            sandbox.send([2, FORWARD_LOG[i][0], FORWARD_LOG[i][1]]);
+        }
+
+        SANDBOXES.push(sandbox);
+    };
+
+    SANDBOX.prototype.send = function(msg) {
+        if (!this.ready) {
+            this.queue.push(msg);
+        } else if (this.worker) {
+            this.worker.postMessage(msg);
+        } else {
+            this.iframe.contentWindow.postMessage(msg, '*');
+        }
+    };
+
+    SANDBOX.prototype.receive = function(msg) {
+        if (!(msg instanceof Array)) {
+            return;
+        }
+
+        switch (msg[0]) {
+
+            // iframe ready
+            case 0:
+                this.ready = true;
+                var queue = this.queue.splice(0, this.queue.length);
+                var l = queue.length;
+                for (var i = 0; i < l; i++) {
+                    this.send(queue[i]);
+                }
+                break;
+
+            // script loaded: [1, index, error, execError]
+            case 1:
+                var callback = this.callbacks[msg[1]];
+                if (callback) {
+                    delete this.callbacks[msg[1]];
+                    callback(msg[2], msg[3]);
+                }
+                break;
+
+            // cookie write
+            case 2:
+                if (typeof msg[1] === 'string') {
+                    doc.cookie = msg[1];
+                }
+                break;
+
+            // image request
+            case 3:
+                if (typeof msg[1] === 'string' && /^https?:/i.test(msg[1])) {
+                    new Image().src = msg[1];
+                }
+                break;
+
+            // beacon
+            case 4:
+                if (typeof msg[1] === 'string' && /^https?:/i.test(msg[1]) && window.navigator.sendBeacon) {
+                    window.navigator.sendBeacon(msg[1], msg[2]);
+                }
+                break;
+        }
+    };
+
+    SANDBOX.prototype.load = function(src, callback) {
+        var index = this.index++;
+        this.callbacks[index] = callback;
+        this.send([1, index, src]);
+    };
+
+    SANDBOX.prototype.stop = function() {
+        if (this.worker) {
+            this.worker.terminate();
+            URL.revokeObjectURL(this.uri);
+        }
+    };
+
+    // started sandboxes by mode
+    var STARTED = {};
+
+    /**
+     * Return sandbox mode for script url
+     *
+     * Iframe mode falls back to the worker. Scripts are loaded on the main thread when both are unavailable.
+     */
+    Abtf[CONFIG.SANDBOX_MATCH] = function(url) {
+        var l = SCRIPTS.length;
+        for (var i = 0; i < l; i++) {
+            if (typeof SCRIPTS[i] === 'object' && url.indexOf(SCRIPTS[i][0]) !== -1) {
+                if (SCRIPTS[i][1] === 'iframe' && IFRAME_SUPPORT) {
+                    return 'iframe';
+                }
+                return (WORKER_SUPPORT) ? 'worker' : false;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Load script in sandbox
+     */
+    Abtf[CONFIG.SANDBOX_SCRIPT] = function(src, mode, callback) {
+        if (!STARTED[mode]) {
+            STARTED[mode] = new SANDBOX(mode);
+        }
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.js() ➤ sandbox ➤ ' + mode, Abtf[CONFIG.LOCALURL](src));
+        }
+
+        // the proxy does not capture scripts inserted in the sandbox
+        STARTED[mode].load((Abtf[CONFIG.PROXIFY]) ? Abtf[CONFIG.PROXIFY](src) : src, callback);
+    };
+
+    /**
+     * Clear memory
+     */
+    window.addEventListener('beforeunload', function() {
+        for (var mode in STARTED) {
+            if (STARTED.hasOwnProperty(mode)) {
+                STARTED[mode].stop();
+            }
+        }
+    });
+
+}, 'sandbox');
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Performance telemetry
+ *
+ * Collects CSS, script, web font and paint timings and sends them to the server using navigator.sendBeacon.
+ *
+ * @link https://developer.mozilla.org/en-US/docs/Web/API/Navigator/sendBeacon
+ *
+ * @package    abovethefold
+ * @subpackage abovethefold/public
+ * @author     PageSpeed.pro <info@pagespeed.pro>
+ */
+
+Abtf[CONFIG.LOAD_MODULE](function(window, Abtf) {
+
+    var TELEMETRY_CONFIG = Abtf[CONFIG.TELEMETRY];
+    if (!TELEMETRY_CONFIG || !TELEMETRY_CONFIG[CONFIG.TELEMETRY_URL]) {
+        return;
+    }
+
+    // test availability of sendBeacon
+    if (!window.navigator.sendBeacon) {
+        return;
+    }
+
+    // sample rate (percentage of page views)
+    var sample = (typeof TELEMETRY_CONFIG[CONFIG.TELEMETRY_SAMPLE] === 'number') ? TELEMETRY_CONFIG[CONFIG.TELEMETRY_SAMPLE] : 5;
+    if ((Math.random() * 100) >= sample) {
+        if (ABTFDEBUG) {
+            console.info('Abtf.telemetry() ➤ not sampled', sample + '%');
+        }
+        return;
+    }
+
+    var document = window.document;
+    var performance = window.performance;
+
+    // time since navigation start
+    var START = (performance && performance.timing) ? performance.timing.navigationStart : +new Date();
+    var NOW = function() {
+        return Math.round((performance && performance.now) ? performance.now() : (+new Date() - START));
+    };
+
+    /**
+     * Telemetry report
+     */
+    var REPORT = {
+        'url': document.location.pathname,
+        'paint': {},
+        'css': {},
+        'js': {},
+        'cache': [0, 0],
+        'proxy': 0,
+        'fonts': false,
+        'jscache': false
+    };
+
+    // return resource timing object
+    var RESOURCE = function(type, url) {
+        if (!REPORT[type][url]) {
+            REPORT[type][url] = {};
+        }
+        return REPORT[type][url];
+    };
+
+    /**
+     * CSS: download start and applied
+     */
+    Abtf.on('css:start', function(data) {
+        RESOURCE('css', data.url)['start'] = NOW();
+    });
+    Abtf.on('css:file', function(data) {
+        RESOURCE('css', data.url)['applied'] = NOW();
+    });
+
+    /**
+     * Scripts: queued, dependency wait and executed
+     */
+    Abtf.on('js:queue', function(data) {
+        var resource = RESOURCE('js', data.url);
+        resource['handle'] = data.handle;
+        resource['queued'] = NOW();
+    });
+    Abtf.on('js:start', function(data) {
+        var resource = RESOURCE('js', data.url);
+        resource['start'] = NOW();
+        if (typeof resource['queued'] !== 'undefined') {
+            resource['wait'] = resource['start'] - resource['queued'];
+        }
+    });
+    Abtf.on('js:file', function(data) {
+        RESOURCE('js', data.url)['executed'] = NOW();
+    });
+
+    // script cache hits / misses
+    Abtf.on('js:cache', function(data) {
+        REPORT['cache'][(data.hit) ? 0 : 1]++;
+    });
+
+    // proxy captures
+    Abtf.on('proxy:capture', function() {
+        REPORT['proxy']++;
+    });
+
+    // web fonts active / inactive
+    Abtf.on('fonts:loaded', function(status) {
+        REPORT['fonts'] = [status, NOW()];
+    });
+
+    /**
+     * Paint timing
+     */
+    var PAINT = function(entry) {
+        if (entry.entryType === 'largest-contentful-paint') {
+            REPORT['paint']['lcp'] = Math.round(entry.startTime);
+        } else if (entry.name === 'first-paint') {
+            REPORT['paint']['fp'] = Math.round(entry.startTime);
+        } else if (entry.name === 'first-contentful-paint') {
+            REPORT['paint']['fcp'] = Math.round(entry.startTime);
+        }
+    };
+
+    if (window.PerformanceObserver) {
+        var observe = function(type) {
+            try {
+                new PerformanceObserver(function(list) {
+                    var entries = list.getEntries();
+                    var l = entries.length;
+                    for (var i = 0; i < l; i++) {
+                        PAINT(entries[i]);
+                    }
+                }).observe({
+                    'type': type,
+                    'buffered': true
+                });
+            } catch (err) {
+                if (ABTFDEBUG) {
+                    console.warn('Abtf.telemetry()', 'performance observer not supported', type);
+                }
+            }
+        };
+        observe('paint');
+        observe('largest-contentful-paint');
+    }
+
+    /**
+     * Send report
+     */
+    var SENT = false;
+    var SEND = function() {
+        if (SENT) {
+            return;
+        }
+        SENT = true;
+
+        // paint timing for browsers without PerformanceObserver
+        if (!REPORT['paint']['fcp'] && performance && performance.getEntriesByType) {
+            var entries = performance.getEntriesByType('paint');
+            var l = entries.length;
+            for (var i = 0; i < l; i++) {
+                PAINT(entries[i]);
+            }
+        }
+
+        // HTML5 script loader cache statistics
+        if (typeof Abtf[CONFIG.CACHE_STATS] !== 'undefined') {
+            REPORT['jscache'] = Abtf[CONFIG.CACHE_STATS]();
+        }
+
+        if (ABTFDEBUG) {
+            console.info('Abtf.telemetry() ➤ beacon', TELEMETRY_CONFIG[CONFIG.TELEMETRY_URL], REPORT);
+        }
+
+        window.navigator.sendBeacon(TELEMETRY_CONFIG[CONFIG.TELEMETRY_URL], JSON.stringify(REPORT));
+    };
+
+    // send when the page is hidden or unloaded, LCP is final
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            SEND();
+        }
+    });
+    window.addEventListener('pagehide', SEND);
+
+}, 'telemetry');
\ No newline at end of file
@@ -14,6 +14,9 @@
     var PWA_CACHE;
     var PWA_CACHE_MAX_SIZE = 1000; // default
 
+    // Cache Storage of the HTML5 script loader, managed by the client
+    var SCRIPT_CACHE = 'abtf-loadscript';
+
     // Via https://github.com/coonsta/cache-polyfill/blob/master/dist/serviceworker-cache-polyfill.js
     // Adds in some functionality missing in Chrome 40.
     if (!Cache.prototype.add) {
@@ -264,7 +267,7 @@
                         }
 
                         // preload resources
-                        preloadPromises = [];
+                        var preloadPromises = [];
                         preload.forEach(function(url) {
                             preloadPromises.push(CACHE_PRELOAD(url));
                         });
@@ -358,6 +361,11 @@
                     return Promise.all(
                         cacheNames.map(function(cacheName) {
 
+                            // script loader cache
+                            if (cacheName === SCRIPT_CACHE) {
+                                return Promise.resolve();
+                            }
+
                             // delete old cache
                             if (cacheName.indexOf(PWA_CACHE) !== 0) {
                                 if (ABTFDEBUG) {
@@ -1027,6 +1035,15 @@
 
             if (ABTFDEBUG) {
                 console.info('Abtf.sw() ➤ policy ➤ match', event.request.url, policyMatch);
+
+                // debug overlay
+                if (event.clientId) {
+                    clients.get(event.clientId).then(function(client) {
+                        if (client) {
+                            client.postMessage([4, event.request.url, policyMatch.title || '', policyMatch.strategy]);
+                        }
+                    });
+                }
             }
 
             switch (policyMatch.strategy) {